@@ -14,6 +14,7 @@ import { useAutoLogout } from './hooks/useAutoLogout';
 import { useAutoLock } from './hooks/useAutoLock';
 import { colors, navigationTheme, paperTheme } from './ui/theme';
 import { initNotifications, syncExpoPushTokenForCurrentUser } from './services/notifications';
+import { startOutboxSync, stopOutboxSync } from './services/outbox';
 
 // Context
 import { SavedInternshipsProvider } from './context/SavedInternshipsContext';
@@ -86,6 +87,20 @@ const Stack = createStackNavigator<RootStackParamList>();
 const profileCompleteKeyForUser = (uid: string) => `@InternQuest_profileComplete_${uid}`;
 const passwordChangedKeyForUser = (uid: string) => `@InternQuest_passwordChanged_${uid}`;
 
+const millisOf = (value: any): number => (value?.toMillis ? value.toMillis() : 0);
+
+// Blocks are written to users/{uid}.accountAccess by the setAccountBlocked Cloud Function
+// (which also disables the Auth user and revokes its sessions).
+const accountAccessOf = (data: any) =>
+  (data && typeof data.accountAccess === 'object' && data.accountAccess) ? data.accountAccess : null;
+const isAccountBlocked = (data: any) => accountAccessOf(data)?.isBlocked === true;
+
+// forcePasswordReset stamps passwordResetRequiredAt; the reset is pending until the user
+// changes their password after it. Both fields are server-written: confirmPasswordChange sets
+// passwordChangedAt once Auth shows the new password.
+const isPasswordResetPending = (data: any) =>
+  millisOf(data?.passwordResetRequiredAt) > millisOf(data?.passwordChangedAt);
+
 const AppInner: React.FC = () => {
   const insets = useSafeAreaInsets();
   const [isLoading, setIsLoading] = useState(true);
@@ -100,21 +115,9 @@ const AppInner: React.FC = () => {
   const { biometricEnabled } = useBiometric();
   const blockedListenerUnsubRef = useRef<null | (() => void)>(null);
 
-  const handleBlockedAccount = useCallback(async (data: any) => {
-    const accountAccess = (data && typeof data.accountAccess === 'object' && data.accountAccess) ? data.accountAccess : null;
-    const reason =
-      (accountAccess && typeof accountAccess.blockedReason === 'string' && accountAccess.blockedReason.trim()) ? accountAccess.blockedReason.trim() :
-      (typeof data?.blockedReason === 'string' && data.blockedReason.trim()) ? data.blockedReason.trim() :
-      (typeof data?.blockReason === 'string' && data.blockReason.trim()) ? data.blockReason.trim() :
-      '';
-    const blockedBy =
-      (accountAccess && typeof accountAccess.blockedBy === 'string' && accountAccess.blockedBy.trim()) ? accountAccess.blockedBy.trim() :
-      (typeof data?.blockedBy === 'string' && data.blockedBy.trim()) ? data.blockedBy.trim() :
-      '';
-    const who = blockedBy ? ` by ${blockedBy}` : '';
-    const suffix = reason ? `\n\nReason: ${reason}` : '';
-
-    setAuthBlockMessage(`Your account has been blocked${who}. Please contact your adviser/coordinator.${suffix}`);
+  // Sign out and show a message on the sign-in screen.
+  const endSession = useCallback(async (message: string) => {
+    setAuthBlockMessage(message);
 
     // Best-effort sign-out and reset app state.
     try { await signOut(auth); } catch (e) { /* best-effort */ }
@@ -124,6 +127,16 @@ const AppInner: React.FC = () => {
     setMustChangePassword(null);
     setIsLoading(false);
   }, []);
+
+  const handleBlockedAccount = useCallback(async (data: any) => {
+    const accountAccess = accountAccessOf(data);
+    const reason = (typeof accountAccess?.blockedReason === 'string' && accountAccess.blockedReason.trim()) ? accountAccess.blockedReason.trim() : '';
+    const blockedBy = (typeof accountAccess?.blockedBy === 'string' && accountAccess.blockedBy.trim()) ? accountAccess.blockedBy.trim() : '';
+    const who = blockedBy ? ` by ${blockedBy}` : '';
+    const suffix = reason ? `\n\nReason: ${reason}` : '';
+
+    await endSession(`Your account has been blocked${who}. Please contact your adviser/coordinator.${suffix}`);
+  }, [endSession]);
   const navigationRef = React.useRef<any>(null);
 
   // Fetch notification count when user is logged in (for badge on bell).
@@ -200,6 +213,9 @@ const AppInner: React.FC = () => {
         // (If permission is denied / emulator / missing projectId, it just no-ops.)
         void syncExpoPushTokenForCurrentUser();
 
+        // Send time logs and reports saved on this device while offline.
+        void startOutboxSync(user.uid);
+
         // Fetch user profile from Firestore
         try {
           const userRef = doc(firestore, 'users', user.uid);
@@ -211,22 +227,44 @@ const AppInner: React.FC = () => {
             async (snap) => {
               if (!snap.exists()) return;
               const data: any = snap.data();
-              const accountAccess = (data && typeof data.accountAccess === 'object' && data.accountAccess) ? data.accountAccess : null;
-              const isBlocked =
-                (accountAccess && accountAccess.isBlocked === true) ||
-                data?.isBlocked === true ||
-                data?.is_blocked === true ||
-                data?.blocked === true ||
-                String(data?.accountStatus || '').toLowerCase() === 'blocked' ||
-                String(data?.status || '').toLowerCase() === 'blocked';
-
-              if (isBlocked) {
+
+              // syncRoleClaims stamps roleClaimSyncedAt when it changes the role claim. Security
+              // rules read the claim from the ID token, so refresh a token issued before that.
+              const claimSyncedAt = data?.roleClaimSyncedAt?.toMillis ? data.roleClaimSyncedAt.toMillis() : 0;
+              if (claimSyncedAt) {
+                try {
+                  const tokenResult = await user.getIdTokenResult();
+                  if (claimSyncedAt > Date.parse(tokenResult.issuedAtTime)) await user.getIdToken(true);
+                } catch (e) {
+                  console.warn('Role claim token refresh failed:', e);
+                }
+              }
+
+              if (isAccountBlocked(data)) {
                 // Prevent multiple triggers.
                 if (blockedListenerUnsubRef.current) {
                   try { blockedListenerUnsubRef.current(); } catch (e) { /* ignore */ }
                   blockedListenerUnsubRef.current = null;
                 }
                 await handleBlockedAccount(data);
+                return;
+              }
+
+              // An admin reset the password after this session started: the old password no
+              // longer works and the session was revoked, so send the user back to sign in.
+              if (isPasswordResetPending(data)) {
+                try {
+                  const tokenResult = await user.getIdTokenResult();
+                  if (millisOf(data.passwordResetRequiredAt) > Date.parse(tokenResult.authTime)) {
+                    if (blockedListenerUnsubRef.current) {
+                      try { blockedListenerUnsubRef.current(); } catch (e) { /* ignore */ }
+                      blockedListenerUnsubRef.current = null;
+                    }
+                    await endSession('Your password was reset by an administrator. Sign in with the temporary password you were given, then choose a new one.');
+                  }
+                } catch (e) {
+                  console.warn('Password reset check failed:', e);
+                }
               }
             }
           );
@@ -267,9 +305,20 @@ const AppInner: React.FC = () => {
                 const legacyData: any = legacy.data();
                 if (legacyData?.archived === true) continue;
 
+                // Role, adviser, account access, placement and the hours ledger are managed server-side
+                // (rules reject them from the client); an admin re-applies them to the UID doc if the
+                // legacy doc carried them.
+                const {
+                  ojtLedger, totalHours, requiredHours, generatedDocuments,
+                  role, roleClaim, roleClaimSyncedAt, adviserId, adviserAssignedBy, adviserAssignedAt,
+                  accountAccess, passwordResetRequiredAt, passwordChangedAt,
+                  status, company, hiredAt, hiredCompanyId, appliedCompanyId, appliedCompanyName,
+                  ...legacyFields
+                } = legacyData || {};
+
                 // UID doc wins on conflicts; legacy doc fills missing fields.
                 const merged = {
-                  ...legacyData,
+                  ...legacyFields,
                   ...uidData,
                   migratedFromUserDocId: legacy.id,
                   migratedToAuthUidAt: serverTimestamp(),
@@ -308,16 +357,7 @@ const AppInner: React.FC = () => {
             const data: any = userDocAfter.data();
 
             // Account access block (adviser/coordinator/admin)
-            const accountAccess = (data && typeof data.accountAccess === 'object' && data.accountAccess) ? data.accountAccess : null;
-            const isBlocked =
-              (accountAccess && accountAccess.isBlocked === true) ||
-              data?.isBlocked === true ||
-              data?.is_blocked === true ||
-              data?.blocked === true ||
-              String(data?.accountStatus || '').toLowerCase() === 'blocked' ||
-              String(data?.status || '').toLowerCase() === 'blocked';
-
-            if (isBlocked) {
+            if (isAccountBlocked(data)) {
               await handleBlockedAccount(data);
               return;
             }
@@ -329,12 +369,14 @@ const AppInner: React.FC = () => {
             // Self-heal legacy / already-changed accounts:
             // - If mustChangePassword is true but we see a passwordChangedAt timestamp
             //   or passwordStatus.mustChangePassword === false, clear the flag.
-            let effectiveMustChangePassword = !!data?.mustChangePassword;
+            // A pending admin reset (forcePasswordReset) always gates, whatever the cache says.
+            const resetPending = isPasswordResetPending(data);
+            let effectiveMustChangePassword = !!data?.mustChangePassword || resetPending;
             const passwordStatus = data?.passwordStatus;
             const passwordChangedAt = data?.passwordChangedAt;
 
             // Also self-heal from local cache in case the Firestore write failed after a successful password change.
-            if (effectiveMustChangePassword) {
+            if (effectiveMustChangePassword && !resetPending) {
               try {
                 const cachedPasswordChanged = await AsyncStorage.getItem(passwordChangedKeyForUser(user.uid));
                 if (cachedPasswordChanged === 'true') {
@@ -347,6 +389,7 @@ const AppInner: React.FC = () => {
 
             if (
               effectiveMustChangePassword &&
+              !resetPending &&
               (
                 (passwordStatus && passwordStatus.mustChangePassword === false) ||
                 !!passwordChangedAt
@@ -491,6 +534,7 @@ const AppInner: React.FC = () => {
           try { blockedListenerUnsubRef.current(); } catch (e) { /* ignore */ }
           blockedListenerUnsubRef.current = null;
         }
+        stopOutboxSync();
         // No user found - need to sign in
         console.log('🔓 No saved session found - showing sign in screen');
         setCurrentUserEmail(null);
@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TouchableOpacity, Alert, StyleSheet, StyleProp, ViewStyle } from 'react-native';
+import { Ionicons as Icon } from '@expo/vector-icons';
+import { colors, radii } from '../ui/theme';
+import { OutboxState, subscribeOutbox, flushOutbox, dismissOutboxConflicts } from '../services/outbox';
+
+type Props = {
+  style?: StyleProp<ViewStyle>;
+};
+
+// Shows changes still waiting on this device (see services/outbox.ts) and any that could not
+// be applied. Hidden when there is nothing to report.
+const PendingSyncBanner: React.FC<Props> = ({ style }) => {
+  const [state, setState] = useState<OutboxState | null>(null);
+
+  useEffect(() => subscribeOutbox(setState), []);
+
+  if (!state || (!state.pending && !state.conflicts.length)) return null;
+
+  const showConflicts = () => {
+    const details = state.conflicts
+      .slice(0, 5)
+      .map((c) => `• ${c.title}: ${c.message}`)
+      .join('\n\n');
+    const more = state.conflicts.length > 5 ? `\n\n…and ${state.conflicts.length - 5} more.` : '';
+    Alert.alert('Changes not applied', details + more, [
+      { text: 'Close', style: 'cancel' },
+      { text: 'Dismiss', onPress: () => { void dismissOutboxConflicts(); } },
+    ]);
+  };
+
+  if (!state.pending) {
+    return (
+      <TouchableOpacity style={[styles.banner, styles.conflictBanner, style]} onPress={showConflicts} activeOpacity={0.85}>
+        <Icon name="alert-circle" size={18} color={colors.danger} />
+        <Text style={[styles.content, styles.text]}>
+          {state.conflicts.length === 1 ? '1 change was not applied.' : `${state.conflicts.length} changes were not applied.`} Tap for details.
+        </Text>
+      </TouchableOpacity>
+    );
+  }
+
+  const label = state.pending === 1 ? '1 change waiting to sync' : `${state.pending} changes waiting to sync`;
+  const detail = state.syncing
+    ? 'Syncing…'
+    : state.offline
+      ? 'Saved on this device. It will be sent when you are back online.'
+      : 'Saved on this device.';
+
+  return (
+    <View style={[styles.banner, style]}>
+      <Icon name="cloud-upload-outline" size={18} color={colors.warning} />
+      <View style={styles.content}>
+        <Text style={styles.title}>{label}</Text>
+        <Text style={styles.text}>{detail}</Text>
+        {state.conflicts.length > 0 && (
+          <Text style={styles.link} onPress={showConflicts}>
+            {state.conflicts.length} not applied. View details
+          </Text>
+        )}
+      </View>
+      <TouchableOpacity
+        onPress={() => { void flushOutbox(); }}
+        disabled={state.syncing}
+        style={[styles.syncButton, state.syncing && { opacity: 0.6 }]}
+        activeOpacity={0.85}
+      >
+        <Text style={styles.syncButtonText}>Sync now</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.warningSoft,
+    borderRadius: radii.md,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+  },
+  conflictBanner: {
+    backgroundColor: colors.dangerSoft,
+  },
+  content: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  title: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: colors.text,
+    marginBottom: 2,
+  },
+  text: {
+    color: colors.textMuted,
+    fontSize: 12,
+    lineHeight: 17,
+  },
+  link: {
+    marginTop: 4,
+    color: colors.danger,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  syncButton: {
+    marginLeft: 10,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: radii.sm,
+    backgroundColor: colors.warning,
+  },
+  syncButtonText: {
+    color: colors.onPrimary,
+    fontSize: 12,
+    fontWeight: '700',
+  },
+});
+
+export default PendingSyncBanner;
@@ -0,0 +1,435 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+    View, Text, Modal, ScrollView, TextInput, TouchableOpacity, ActivityIndicator, Alert, StyleSheet
+} from 'react-native';
+import { Ionicons as Icon } from '@expo/vector-icons';
+import { colors, radii, shadows } from '../ui/theme';
+import {
+    WeeklyReport,
+    ReportComment,
+    ReportSection,
+    ReportVersion,
+    REPORT_SECTION_LABELS,
+    REPORT_STATUS_LABELS,
+    addReportComment,
+    diffReportVersions,
+    getReportVersions,
+    subscribeToReportComments,
+} from '../services/weeklyReports';
+
+type Props = {
+    visible: boolean;
+    userId: string;
+    report: (WeeklyReport & { id: string }) | null;
+    onClose: () => void;
+    // Called with the report when the student chooses to revise and resubmit it.
+    onRevise?: (report: WeeklyReport & { id: string }) => void;
+};
+
+export const REPORT_STATUS_COLORS: Record<string, string> = {
+    draft: colors.textMuted,
+    submitted: colors.info,
+    revision_requested: colors.warning,
+    approved: colors.success,
+    rejected: colors.danger,
+};
+
+const WeeklyReportReviewModal: React.FC<Props> = ({ visible, userId, report, onClose, onRevise }) => {
+    const [comments, setComments] = useState<ReportComment[]>([]);
+    const [versions, setVersions] = useState<ReportVersion[]>([]);
+    const [versionsLoading, setVersionsLoading] = useState(false);
+    const [selectedVersion, setSelectedVersion] = useState<number | null>(null);
+    const [replyTo, setReplyTo] = useState<ReportComment | null>(null);
+    const [replyText, setReplyText] = useState('');
+    const [sending, setSending] = useState(false);
+
+    useEffect(() => {
+        if (!visible || !report) return undefined;
+        setReplyTo(null);
+        setReplyText('');
+        const unsub = subscribeToReportComments(userId, report.id, setComments);
+
+        setVersionsLoading(true);
+        getReportVersions(userId, report.id)
+            .then((list) => {
+                setVersions(list);
+                setSelectedVersion(list.length ? list[list.length - 1].version : null);
+            })
+            .catch(() => setVersions([]))
+            .finally(() => setVersionsLoading(false));
+
+        return () => unsub();
+    }, [visible, report?.id, userId]);
+
+    // Top-level comments grouped by section, each with its replies.
+    const threadsBySection = useMemo(() => {
+        const groups = new Map<ReportSection, Array<{ comment: ReportComment; replies: ReportComment[] }>>();
+        const replies = comments.filter((c) => c.parentId);
+        for (const c of comments) {
+            if (c.parentId) continue;
+            const section = (c.section in REPORT_SECTION_LABELS ? c.section : 'general') as ReportSection;
+            if (!groups.has(section)) groups.set(section, []);
+            groups.get(section)!.push({ comment: c, replies: replies.filter((r) => r.parentId === c.id) });
+        }
+        return groups;
+    }, [comments]);
+
+    const versionDiff = useMemo(() => {
+        if (selectedVersion == null) return null;
+        const index = versions.findIndex((v) => v.version === selectedVersion);
+        if (index <= 0) return null;
+        return diffReportVersions(versions[index - 1].content, versions[index].content);
+    }, [versions, selectedVersion]);
+
+    const handleSendReply = async () => {
+        if (!report || !replyTo || !replyText.trim()) return;
+        setSending(true);
+        try {
+            await addReportComment(userId, report.id, {
+                section: replyTo.section,
+                text: replyText,
+                parentId: replyTo.parentId || replyTo.id,
+            });
+            setReplyText('');
+            setReplyTo(null);
+        } catch (e: any) {
+            Alert.alert('Error', e?.message || 'Failed to send reply.');
+        } finally {
+            setSending(false);
+        }
+    };
+
+    if (!report) return null;
+    const status = report.status || 'submitted';
+    const canRevise = status === 'revision_requested' || status === 'rejected';
+
+    const renderComment = (c: ReportComment, isReply = false) => (
+        <View key={c.id} style={[styles.comment, isReply && styles.commentReply]}>
+            <View style={styles.commentHeader}>
+                <Text style={styles.commentAuthor}>{c.authorRole === 'reviewer' ? 'Adviser' : 'You'}</Text>
+                <Text style={styles.commentMeta}>v{c.version}</Text>
+            </View>
+            <Text style={styles.commentText}>{c.text}</Text>
+            {!isReply && (
+                <TouchableOpacity onPress={() => setReplyTo(c)} hitSlop={{ top: 6, bottom: 6, left: 6, right: 6 }}>
+                    <Text style={styles.replyLink}>Reply</Text>
+                </TouchableOpacity>
+            )}
+        </View>
+    );
+
+    return (
+        <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+            <View style={styles.backdrop}>
+                <View style={styles.card}>
+                    <View style={styles.headerRow}>
+                        <View style={styles.headerText}>
+                            <Text style={styles.title}>{report.monthCovered || report.weekStartDate || 'Weekly report'}</Text>
+                            <View style={[styles.statusPill, { backgroundColor: (REPORT_STATUS_COLORS[status] || colors.textMuted) + '22' }]}>
+                                <Text style={[styles.statusPillText, { color: REPORT_STATUS_COLORS[status] || colors.textMuted }]}>
+                                    {REPORT_STATUS_LABELS[status] || status}
+                                </Text>
+                            </View>
+                        </View>
+                        <TouchableOpacity onPress={onClose} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+                            <Icon name="close" size={24} color={colors.textMuted} />
+                        </TouchableOpacity>
+                    </View>
+
+                    <ScrollView style={styles.body} keyboardShouldPersistTaps="handled">
+                        <Text style={styles.sectionLabel}>Adviser comments</Text>
+                        {threadsBySection.size === 0 ? (
+                            <Text style={styles.emptyText}>No comments yet.</Text>
+                        ) : (
+                            Array.from(threadsBySection.entries()).map(([section, threads]) => (
+                                <View key={section} style={styles.threadGroup}>
+                                    <Text style={styles.threadSection}>{REPORT_SECTION_LABELS[section]}</Text>
+                                    {threads.map(({ comment, replies }) => (
+                                        <View key={comment.id}>
+                                            {renderComment(comment)}
+                                            {replies.map((r) => renderComment(r, true))}
+                                        </View>
+                                    ))}
+                                </View>
+                            ))
+                        )}
+
+                        <Text style={styles.sectionLabel}>Versions</Text>
+                        {versionsLoading ? (
+                            <ActivityIndicator color={colors.primary} style={styles.loading} />
+                        ) : versions.length === 0 ? (
+                            <Text style={styles.emptyText}>No submitted versions recorded.</Text>
+                        ) : (
+                            <>
+                                <View style={styles.versionChips}>
+                                    {versions.map((v) => (
+                                        <TouchableOpacity
+                                            key={v.version}
+                                            style={[styles.versionChip, selectedVersion === v.version && styles.versionChipSelected]}
+                                            onPress={() => setSelectedVersion(v.version)}
+                                        >
+                                            <Text style={[styles.versionChipText, selectedVersion === v.version && styles.versionChipTextSelected]}>
+                                                v{v.version}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    ))}
+                                </View>
+                                {versionDiff == null ? (
+                                    <Text style={styles.emptyText}>First submitted version.</Text>
+                                ) : versionDiff.length === 0 ? (
+                                    <Text style={styles.emptyText}>No changes from the previous version.</Text>
+                                ) : (
+                                    versionDiff.map((d) => (
+                                        <View key={d.field} style={styles.diffBlock}>
+                                            <Text style={styles.diffLabel}>{d.label}</Text>
+                                            {d.lines.map((line, i) => (
+                                                <Text
+                                                    key={i}
+                                                    style={[
+                                                        styles.diffLine,
+                                                        line.type === 'added' && styles.diffAdded,
+                                                        line.type === 'removed' && styles.diffRemoved,
+                                                    ]}
+                                                >
+                                                    {line.type === 'added' ? '+ ' : line.type === 'removed' ? '− ' : '  '}{line.text}
+                                                </Text>
+                                            ))}
+                                        </View>
+                                    ))
+                                )}
+                            </>
+                        )}
+                    </ScrollView>
+
+                    {replyTo && (
+                        <View style={styles.replyBox}>
+                            <Text style={styles.replyingTo} numberOfLines={1}>Replying to: {replyTo.text}</Text>
+                            <View style={styles.replyRow}>
+                                <TextInput
+                                    style={styles.replyInput}
+                                    placeholder="Write a reply"
+                                    placeholderTextColor={colors.textSubtle}
+                                    value={replyText}
+                                    onChangeText={setReplyText}
+                                    multiline
+                                />
+                                <TouchableOpacity onPress={() => setReplyTo(null)} style={styles.replyIconBtn}>
+                                    <Icon name="close-circle-outline" size={22} color={colors.textMuted} />
+                                </TouchableOpacity>
+                                <TouchableOpacity onPress={handleSendReply} disabled={sending || !replyText.trim()} style={styles.replyIconBtn}>
+                                    {sending
+                                        ? <ActivityIndicator size="small" color={colors.primary} />
+                                        : <Icon name="send" size={20} color={replyText.trim() ? colors.primary : colors.textSubtle} />}
+                                </TouchableOpacity>
+                            </View>
+                        </View>
+                    )}
+
+                    {canRevise && onRevise && (
+                        <TouchableOpacity style={styles.reviseButton} activeOpacity={0.85} onPress={() => onRevise(report)}>
+                            <Icon name="create-outline" size={18} color={colors.onPrimary} />
+                            <Text style={styles.reviseButtonText}>Revise and resubmit</Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const styles = StyleSheet.create({
+    backdrop: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.3)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 16,
+    },
+    card: {
+        width: '100%',
+        maxHeight: '85%',
+        backgroundColor: colors.surface,
+        borderRadius: radii.lg,
+        padding: 16,
+        ...shadows.card,
+    },
+    headerRow: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        marginBottom: 8,
+    },
+    headerText: {
+        flex: 1,
+        marginRight: 8,
+    },
+    title: {
+        fontSize: 18,
+        fontWeight: '600',
+        color: colors.text,
+        marginBottom: 6,
+    },
+    statusPill: {
+        alignSelf: 'flex-start',
+        paddingVertical: 3,
+        paddingHorizontal: 10,
+        borderRadius: 999,
+    },
+    statusPillText: {
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    body: {
+        marginBottom: 8,
+    },
+    sectionLabel: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: colors.text,
+        marginTop: 12,
+        marginBottom: 8,
+    },
+    emptyText: {
+        fontSize: 13,
+        color: colors.textMuted,
+    },
+    loading: {
+        paddingVertical: 12,
+    },
+    threadGroup: {
+        marginBottom: 10,
+    },
+    threadSection: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.textMuted,
+        textTransform: 'uppercase',
+        marginBottom: 6,
+    },
+    comment: {
+        backgroundColor: colors.surfaceAlt,
+        borderRadius: radii.md,
+        padding: 10,
+        marginBottom: 6,
+    },
+    commentReply: {
+        marginLeft: 20,
+        backgroundColor: colors.primarySoft,
+    },
+    commentHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginBottom: 2,
+    },
+    commentAuthor: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: colors.text,
+    },
+    commentMeta: {
+        fontSize: 11,
+        color: colors.textSubtle,
+    },
+    commentText: {
+        fontSize: 13,
+        color: colors.text,
+        lineHeight: 18,
+    },
+    replyLink: {
+        marginTop: 4,
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.primary,
+    },
+    versionChips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 6,
+        marginBottom: 10,
+    },
+    versionChip: {
+        paddingVertical: 4,
+        paddingHorizontal: 12,
+        borderRadius: 999,
+        borderWidth: 1,
+        borderColor: colors.border,
+    },
+    versionChipSelected: {
+        borderColor: colors.primary,
+        backgroundColor: colors.primarySoft,
+    },
+    versionChipText: {
+        fontSize: 12,
+        color: colors.textMuted,
+    },
+    versionChipTextSelected: {
+        color: colors.primary,
+        fontWeight: '700',
+    },
+    diffBlock: {
+        marginBottom: 10,
+    },
+    diffLabel: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.textMuted,
+        marginBottom: 4,
+    },
+    diffLine: {
+        fontSize: 12,
+        color: colors.text,
+        paddingHorizontal: 6,
+        paddingVertical: 1,
+    },
+    diffAdded: {
+        backgroundColor: colors.successSoft,
+    },
+    diffRemoved: {
+        backgroundColor: colors.dangerSoft,
+        textDecorationLine: 'line-through',
+    },
+    replyBox: {
+        borderTopWidth: 1,
+        borderTopColor: colors.border,
+        paddingTop: 8,
+    },
+    replyingTo: {
+        fontSize: 12,
+        color: colors.textMuted,
+        marginBottom: 4,
+    },
+    replyRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    replyInput: {
+        flex: 1,
+        borderWidth: 1,
+        borderColor: colors.border,
+        borderRadius: radii.md,
+        paddingHorizontal: 10,
+        paddingVertical: 8,
+        maxHeight: 90,
+        color: colors.text,
+    },
+    replyIconBtn: {
+        padding: 6,
+        marginLeft: 2,
+    },
+    reviseButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: colors.primary,
+        paddingVertical: 12,
+        borderRadius: radii.md,
+        marginTop: 8,
+    },
+    reviseButtonText: {
+        color: colors.onPrimary,
+        fontSize: 15,
+        fontWeight: '600',
+        marginLeft: 8,
+    },
+});
+
+export default WeeklyReportReviewModal;
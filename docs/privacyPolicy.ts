@@ -9,6 +9,7 @@ export default `Privacy Policy — InternQuest
 
 - Account & profile information you provide (e.g., name, student number, email, contact number, program/field, skills).
 - Internship activity and app usage data needed to provide features (e.g., saved internships, notifications state).
+- Error reports when something in the App fails (the screen and action, the error message, app version and device platform), linked to your account.
 - Documents and files you upload (e.g., images, PDFs) and related metadata (file name, type, upload timestamps).
 
 3. How We Use Information
@@ -34,10 +35,13 @@ export default `Privacy Policy — InternQuest
 7. Data Retention
 
 - We retain information as long as necessary to provide the App and comply with legitimate requirements. When appropriate, we may delete or anonymize data.
+- Error reports are deleted automatically after 30 days.
 
 8. Your Choices
 
 - You can update certain profile details in Settings.
+- You can download a copy of your data (profile, OJT logs, weekly reports, requirements, applications, notifications and uploaded files) from Settings > Your Data.
+- You can request deletion of your account from Settings > Your Data. The account is deleted after a waiting period, during which you can cancel the request and administrators can see it.
 - You can request support from your adviser/coordinator for questions about records or access.
 
 9. Contact
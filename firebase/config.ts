@@ -52,18 +52,22 @@ const buildFunctionsEmulatorUrl = (functionName: string) => {
   return `http://${FUNCTIONS_EMULATOR_HOST}:5001/${projectId}/${FUNCTIONS_REGION}/${functionName}`;
 };
 
-const ADMIN_FILE_FROM_ENV = process.env.ADMIN_FILE_FUNCTION_BASE_URL;
-const ADMIN_FILE_FROM_CONSTANTS = extras?.ADMIN_FILE_FUNCTION_BASE_URL;
-export const ADMIN_FILE_FUNCTION_BASE_URL = ADMIN_FILE_FROM_ENV || ADMIN_FILE_FROM_CONSTANTS || 'https://<region>-<project>.cloudfunctions.net/getAdminFile';
+// Authenticated file access (admin_files uploads, help desk templates): returns short-lived URLs
+const FILE_ACCESS_FROM_ENV = process.env.FILE_ACCESS_FUNCTION_BASE_URL;
+const FILE_ACCESS_FROM_CONSTANTS = extras?.FILE_ACCESS_FUNCTION_BASE_URL;
+export const FILE_ACCESS_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('getFile')
+    : (FILE_ACCESS_FROM_ENV || FILE_ACCESS_FROM_CONSTANTS || '');
 
-// Optional: Cloud Function to look up email by studentId prior to auth
-// REQUIRED: Email addresses are personalized, not derived from Student ID
-const LOOKUP_EMAIL_FROM_ENV = process.env.LOOKUP_EMAIL_FUNCTION_BASE_URL;
-const LOOKUP_EMAIL_FROM_CONSTANTS = extras?.LOOKUP_EMAIL_FUNCTION_BASE_URL;
-export const LOOKUP_EMAIL_FUNCTION_BASE_URL =
+// Student ID sign-in: checks studentId + password server-side and returns a custom token
+// (the account email is personalized and never sent to the app)
+const STUDENT_SIGN_IN_FROM_ENV = process.env.STUDENT_SIGN_IN_FUNCTION_BASE_URL;
+const STUDENT_SIGN_IN_FROM_CONSTANTS = extras?.STUDENT_SIGN_IN_FUNCTION_BASE_URL;
+export const STUDENT_SIGN_IN_FUNCTION_BASE_URL =
   (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
-    ? buildFunctionsEmulatorUrl('lookupEmailByStudentId')
-    : (LOOKUP_EMAIL_FROM_ENV || LOOKUP_EMAIL_FROM_CONSTANTS || '');
+    ? buildFunctionsEmulatorUrl('signInWithStudentId')
+    : (STUDENT_SIGN_IN_FROM_ENV || STUDENT_SIGN_IN_FROM_CONSTANTS || '');
 
 
 // Admin-only: Cloud Function to create user accounts
@@ -90,8 +94,116 @@ export const SEND_PUSH_USER_FUNCTION_BASE_URL =
     ? buildFunctionsEmulatorUrl('sendPushToUser')
     : (SEND_PUSH_USER_FROM_ENV || SEND_PUSH_USER_FROM_CONSTANTS || '');
 
-// Domain to construct fallback auth email from Student ID when no lookup function is configured
-// (Not used when LOOKUP_EMAIL_FUNCTION_BASE_URL is configured, which is required for this app)
+// Any authenticated user: Cloud Functions owning the application workflow (apply / withdraw)
+const APPLY_TO_COMPANY_FROM_ENV = process.env.APPLY_TO_COMPANY_FUNCTION_BASE_URL;
+const APPLY_TO_COMPANY_FROM_CONSTANTS = extras?.APPLY_TO_COMPANY_FUNCTION_BASE_URL;
+export const APPLY_TO_COMPANY_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('applyToCompany')
+    : (APPLY_TO_COMPANY_FROM_ENV || APPLY_TO_COMPANY_FROM_CONSTANTS || '');
+
+const WITHDRAW_APPLICATION_FROM_ENV = process.env.WITHDRAW_APPLICATION_FUNCTION_BASE_URL;
+const WITHDRAW_APPLICATION_FROM_CONSTANTS = extras?.WITHDRAW_APPLICATION_FUNCTION_BASE_URL;
+export const WITHDRAW_APPLICATION_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('withdrawApplication')
+    : (WITHDRAW_APPLICATION_FROM_ENV || WITHDRAW_APPLICATION_FROM_CONSTANTS || '');
+
+// Admin-only: Cloud Function to approve/deny applications (also accounts for MOA slots)
+const DECIDE_APPLICATION_FROM_ENV = process.env.DECIDE_APPLICATION_FUNCTION_BASE_URL;
+const DECIDE_APPLICATION_FROM_CONSTANTS = extras?.DECIDE_APPLICATION_FUNCTION_BASE_URL;
+export const DECIDE_APPLICATION_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('decideApplication')
+    : (DECIDE_APPLICATION_FROM_ENV || DECIDE_APPLICATION_FROM_CONSTANTS || '');
+
+// Cloud Function for live OJT clock-in/clock-out (server time + geofence check)
+const CLOCK_OJT_FROM_ENV = process.env.CLOCK_OJT_FUNCTION_BASE_URL;
+const CLOCK_OJT_FROM_CONSTANTS = extras?.CLOCK_OJT_FUNCTION_BASE_URL;
+export const CLOCK_OJT_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('clockOjt')
+    : (CLOCK_OJT_FROM_ENV || CLOCK_OJT_FROM_CONSTANTS || '');
+
+// Cloud Function that renders and archives weekly report / checklist PDFs
+const GENERATE_DOCUMENT_PDF_FROM_ENV = process.env.GENERATE_DOCUMENT_PDF_FUNCTION_BASE_URL;
+const GENERATE_DOCUMENT_PDF_FROM_CONSTANTS = extras?.GENERATE_DOCUMENT_PDF_FUNCTION_BASE_URL;
+export const GENERATE_DOCUMENT_PDF_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('generateDocumentPdf')
+    : (GENERATE_DOCUMENT_PDF_FROM_ENV || GENERATE_DOCUMENT_PDF_FROM_CONSTANTS || '');
+
+// Cloud Function that applies adviser decisions on uploaded requirement files
+const REVIEW_REQUIREMENT_FILE_FROM_ENV = process.env.REVIEW_REQUIREMENT_FILE_FUNCTION_BASE_URL;
+const REVIEW_REQUIREMENT_FILE_FROM_CONSTANTS = extras?.REVIEW_REQUIREMENT_FILE_FUNCTION_BASE_URL;
+export const REVIEW_REQUIREMENT_FILE_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('reviewRequirementFile')
+    : (REVIEW_REQUIREMENT_FILE_FROM_ENV || REVIEW_REQUIREMENT_FILE_FROM_CONSTANTS || '');
+
+// Admins/coordinators: Cloud Function that assigns advisers to students
+const ASSIGN_ADVISER_FROM_ENV = process.env.ASSIGN_ADVISER_FUNCTION_BASE_URL;
+const ASSIGN_ADVISER_FROM_CONSTANTS = extras?.ASSIGN_ADVISER_FUNCTION_BASE_URL;
+export const ASSIGN_ADVISER_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('assignAdviser')
+    : (ASSIGN_ADVISER_FROM_ENV || ASSIGN_ADVISER_FROM_CONSTANTS || '');
+
+// Account lifecycle (admins)
+const SET_ACCOUNT_BLOCKED_FROM_ENV = process.env.SET_ACCOUNT_BLOCKED_FUNCTION_BASE_URL;
+const SET_ACCOUNT_BLOCKED_FROM_CONSTANTS = extras?.SET_ACCOUNT_BLOCKED_FUNCTION_BASE_URL;
+export const SET_ACCOUNT_BLOCKED_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('setAccountBlocked')
+    : (SET_ACCOUNT_BLOCKED_FROM_ENV || SET_ACCOUNT_BLOCKED_FROM_CONSTANTS || '');
+
+const FORCE_PASSWORD_RESET_FROM_ENV = process.env.FORCE_PASSWORD_RESET_FUNCTION_BASE_URL;
+const FORCE_PASSWORD_RESET_FROM_CONSTANTS = extras?.FORCE_PASSWORD_RESET_FUNCTION_BASE_URL;
+export const FORCE_PASSWORD_RESET_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('forcePasswordReset')
+    : (FORCE_PASSWORD_RESET_FROM_ENV || FORCE_PASSWORD_RESET_FROM_CONSTANTS || '');
+
+// Any signed-in user, after changing their own password
+const CONFIRM_PASSWORD_CHANGE_FROM_ENV = process.env.CONFIRM_PASSWORD_CHANGE_FUNCTION_BASE_URL;
+const CONFIRM_PASSWORD_CHANGE_FROM_CONSTANTS = extras?.CONFIRM_PASSWORD_CHANGE_FUNCTION_BASE_URL;
+export const CONFIRM_PASSWORD_CHANGE_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('confirmPasswordChange')
+    : (CONFIRM_PASSWORD_CHANGE_FROM_ENV || CONFIRM_PASSWORD_CHANGE_FROM_CONSTANTS || '');
+
+const DEPROVISION_USER_FROM_ENV = process.env.DEPROVISION_USER_FUNCTION_BASE_URL;
+const DEPROVISION_USER_FROM_CONSTANTS = extras?.DEPROVISION_USER_FUNCTION_BASE_URL;
+export const DEPROVISION_USER_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('deprovisionUser')
+    : (DEPROVISION_USER_FROM_ENV || DEPROVISION_USER_FROM_CONSTANTS || '');
+
+// Personal data: export a ZIP of the signed-in student's data / request account deletion
+const EXPORT_MY_DATA_FROM_ENV = process.env.EXPORT_MY_DATA_FUNCTION_BASE_URL;
+const EXPORT_MY_DATA_FROM_CONSTANTS = extras?.EXPORT_MY_DATA_FUNCTION_BASE_URL;
+export const EXPORT_MY_DATA_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('exportMyData')
+    : (EXPORT_MY_DATA_FROM_ENV || EXPORT_MY_DATA_FROM_CONSTANTS || '');
+
+const ACCOUNT_DELETION_FROM_ENV = process.env.ACCOUNT_DELETION_FUNCTION_BASE_URL;
+const ACCOUNT_DELETION_FROM_CONSTANTS = extras?.ACCOUNT_DELETION_FUNCTION_BASE_URL;
+export const ACCOUNT_DELETION_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('accountDeletionRequest')
+    : (ACCOUNT_DELETION_FROM_ENV || ACCOUNT_DELETION_FROM_CONSTANTS || '');
+
+// Client error reports (services/errorReporting.ts)
+const REPORT_CLIENT_ERRORS_FROM_ENV = process.env.REPORT_CLIENT_ERRORS_FUNCTION_BASE_URL;
+const REPORT_CLIENT_ERRORS_FROM_CONSTANTS = extras?.REPORT_CLIENT_ERRORS_FUNCTION_BASE_URL;
+export const REPORT_CLIENT_ERRORS_FUNCTION_BASE_URL =
+  (USE_FUNCTIONS_EMULATOR && FUNCTIONS_EMULATOR_HOST)
+    ? buildFunctionsEmulatorUrl('reportClientErrors')
+    : (REPORT_CLIENT_ERRORS_FROM_ENV || REPORT_CLIENT_ERRORS_FROM_CONSTANTS || '');
+
+// Domain to construct fallback auth email from Student ID when no sign-in function is configured
+// (Not used when STUDENT_SIGN_IN_FUNCTION_BASE_URL is configured, which is required for this app)
 const STUDENT_ID_DOMAIN_FROM_ENV = process.env.STUDENT_ID_EMAIL_DOMAIN;
 const STUDENT_ID_DOMAIN_FROM_CONSTANTS = extras?.STUDENT_ID_EMAIL_DOMAIN;
 export const STUDENT_ID_EMAIL_DOMAIN = STUDENT_ID_DOMAIN_FROM_ENV || STUDENT_ID_DOMAIN_FROM_CONSTANTS || 'student.internquest.local';
@@ -0,0 +1,78 @@
+// Realtime Database rules for the MOA slot counts and company mirror, per role, against the
+// Database emulator (npm run test:rules). Skipped when the emulator is not running.
+const test = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+
+const emulated = Boolean(process.env.FIREBASE_DATABASE_EMULATOR_HOST);
+const skip = !emulated && 'needs the Realtime Database emulator';
+
+const ROLES = { stu: 'student', adv: 'adviser', coord: 'coordinator', admin: 'admin', root: 'super_admin' };
+
+let testEnv;
+
+const as = (who) => (who
+  ? testEnv.authenticatedContext(who, { role: ROLES[who] })
+  : testEnv.unauthenticatedContext()
+).database();
+
+test.before(async () => {
+  if (!emulated) return;
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-internquest',
+    database: { rules: fs.readFileSync(path.join(__dirname, 'database.rules.json'), 'utf8') },
+  });
+});
+
+test.beforeEach(async () => {
+  if (!emulated) return;
+  await testEnv.clearDatabase();
+  await testEnv.withSecurityRulesDisabled(async (ctx) => {
+    await ctx.database().ref().set({
+      moaAvailability: { acme: 3 },
+      companies: { acme: { name: 'Acme Corp' } },
+      status: { stu: { state: 'online' } },
+    });
+  });
+});
+
+test.after(async () => {
+  if (testEnv) await testEnv.cleanup();
+});
+
+test('moaAvailability: signed-in users read slot counts', { skip }, async () => {
+  await assertFails(as(null).ref('moaAvailability/acme').get());
+  for (const who of ['stu', 'adv', 'coord', 'admin']) {
+    // eslint-disable-next-line no-await-in-loop
+    await assertSucceeds(as(who).ref('moaAvailability/acme').get());
+  }
+});
+
+test('moaAvailability: only admins change slot counts', { skip }, async () => {
+  // Students reserve slots through decideApplication, never directly.
+  await assertFails(as(null).ref('moaAvailability/acme').set(99));
+  await assertFails(as('stu').ref('moaAvailability/acme').set(99));
+  await assertFails(as('stu').ref('moaAvailability/acme').transaction((n) => (n || 0) - 1));
+  await assertFails(as('adv').ref('moaAvailability/acme').set(99));
+  await assertFails(as('coord').ref('moaAvailability/acme').set(99));
+  await assertSucceeds(as('admin').ref('moaAvailability/acme').set(5));
+  await assertSucceeds(as('root').ref('moaAvailability/beta').set(2));
+});
+
+test('companies: readable when signed in, written by admins', { skip }, async () => {
+  await assertFails(as(null).ref('companies/acme').get());
+  await assertSucceeds(as('stu').ref('companies/acme').get());
+  await assertFails(as('stu').ref('companies/acme/name').set('Forged'));
+  await assertFails(as('adv').ref('companies/acme/name').set('Forged'));
+  await assertFails(as('coord').ref('companies/acme/name').set('Forged'));
+  await assertSucceeds(as('admin').ref('companies/acme/name').set('Acme Corporation'));
+});
+
+test('status: each user reads and writes only their own presence', { skip }, async () => {
+  await assertSucceeds(as('stu').ref('status/stu').set({ state: 'offline' }));
+  await assertFails(as('adv').ref('status/stu').get());
+  await assertFails(as('admin').ref('status/stu').set({ state: 'offline' }));
+  await assertFails(as(null).ref('status/stu').get());
+  await assertFails(as('stu').ref('secret').get());
+});
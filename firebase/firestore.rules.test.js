@@ -0,0 +1,271 @@
+// Firestore security rules, per role, against the Firestore emulator (npm run test:rules).
+// Skipped when the emulator is not running.
+const test = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+
+const emulated = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+const skip = !emulated && 'needs the Firestore emulator';
+
+// stu is assigned to adv; other belongs to another adviser.
+const ROLES = { stu: 'student', other: 'student', newbie: 'student', adv: 'adviser', coord: 'coordinator', admin: 'admin' };
+
+let testEnv;
+
+// Firestore client for a user id, or unauthenticated when `who` is null. Roles come from the
+// `role` custom claim, like tokens issued after syncRoleClaims.
+const as = (who) => (who
+  ? testEnv.authenticatedContext(who, { role: ROLES[who] })
+  : testEnv.unauthenticatedContext()
+).firestore();
+
+const seed = (docs) => testEnv.withSecurityRulesDisabled(async (ctx) => {
+  const db = ctx.firestore();
+  await Promise.all(Object.entries(docs).map(([docPath, data]) => db.doc(docPath).set(data)));
+});
+
+test.before(async () => {
+  if (!emulated) return;
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-internquest',
+    firestore: { rules: fs.readFileSync(path.join(__dirname, 'firestore.rules'), 'utf8') },
+  });
+});
+
+test.beforeEach(async () => {
+  if (!emulated) return;
+  await testEnv.clearFirestore();
+  await seed({
+    'users/stu': { role: 'student', adviserId: 'adv', fullName: 'Stu Dent', status: 'active', ojtLedger: { totalHours: 10 } },
+    'users/other': { role: 'student', adviserId: 'adv2', fullName: 'Other Student', status: 'active' },
+    'users/adv': { role: 'adviser', fullName: 'Ada Viser' },
+    'users/coord': { role: 'coordinator', fullName: 'Coor Dinator' },
+    'users/admin': { role: 'admin', fullName: 'Ad Min' },
+  });
+});
+
+test.after(async () => {
+  if (testEnv) await testEnv.cleanup();
+});
+
+test('users: profile access by role', { skip }, async () => {
+  await assertFails(as(null).doc('users/stu').get());
+  await assertSucceeds(as('stu').doc('users/stu').get());
+  await assertFails(as('stu').doc('users/other').get());
+  await assertSucceeds(as('adv').doc('users/stu').get());
+  await assertFails(as('adv').doc('users/other').get());
+  await assertSucceeds(as('coord').doc('users/other').get());
+  await assertSucceeds(as('admin').doc('users/other').get());
+
+  await assertSucceeds(as('stu').doc('users/stu').update({ bio: 'Hello' }));
+  await assertFails(as('stu').doc('users/other').update({ bio: 'Hello' }));
+  await assertFails(as('adv').doc('users/stu').update({ bio: 'Hello' }));
+  await assertFails(as('coord').doc('users/stu').update({ bio: 'Hello' }));
+  await assertSucceeds(as('admin').doc('users/stu').update({ bio: 'Hello' }));
+  await assertFails(as(null).doc('users/stu').update({ bio: 'Hello' }));
+});
+
+test('users: students cannot change server-maintained fields', { skip }, async () => {
+  const forged = {
+    status: 'hired',
+    company: 'Acme Corp',
+    hiredAt: new Date(),
+    hiredCompanyId: 'acme',
+    appliedCompanyId: 'acme',
+    appliedCompanyName: 'Acme Corp',
+    ojtLedger: { totalHours: 999 },
+    totalHours: 999,
+    requiredHours: 1,
+    generatedDocuments: {},
+    role: 'admin',
+    adviserId: 'someone-else',
+    accountAccess: { isBlocked: false },
+    passwordResetRequiredAt: null,
+    passwordChangedAt: new Date(),
+  };
+  for (const [field, value] of Object.entries(forged)) {
+    // eslint-disable-next-line no-await-in-loop
+    await assertFails(as('stu').doc('users/stu').update({ [field]: value }));
+  }
+  await assertSucceeds(as('admin').doc('users/stu').update({ status: 'hired', company: 'Acme Corp' }));
+});
+
+test('users: a new profile carries no server-maintained fields', { skip }, async () => {
+  await assertFails(as('newbie').doc('users/newbie').set({ fullName: 'New Bie', status: 'hired', company: 'Acme Corp' }));
+  await assertFails(as('newbie').doc('users/newbie').set({ fullName: 'New Bie', ojtLedger: { totalHours: 999 } }));
+  await assertFails(as('newbie').doc('users/newbie').set({ fullName: 'New Bie', totalHours: 999 }));
+  await assertFails(as('newbie').doc('users/newbie').set({ fullName: 'New Bie', role: 'student' }));
+  await assertFails(as('newbie').doc('users/someone').set({ fullName: 'New Bie' }));
+  await assertFails(as(null).doc('users/newbie').set({ fullName: 'New Bie' }));
+  await assertSucceeds(as('newbie').doc('users/newbie').set({ fullName: 'New Bie' }));
+});
+
+test('users: only admins delete profiles', { skip }, async () => {
+  await assertFails(as('stu').doc('users/stu').delete());
+  await assertFails(as('adv').doc('users/stu').delete());
+  await assertFails(as('coord').doc('users/stu').delete());
+  await assertFails(as(null).doc('users/stu').delete());
+  await assertSucceeds(as('admin').doc('users/stu').delete());
+});
+
+test('applications: read by the owner and admins, written by admins only', { skip }, async () => {
+  await seed({
+    'applications/stu_acme': { userId: 'stu', companyId: 'acme', status: 'pending' },
+    'applications/other_acme': { userId: 'other', companyId: 'acme', status: 'pending' },
+  });
+  await assertFails(as(null).doc('applications/stu_acme').get());
+  await assertSucceeds(as('stu').doc('applications/stu_acme').get());
+  await assertFails(as('stu').doc('applications/other_acme').get());
+  await assertFails(as('adv').doc('applications/stu_acme').get());
+  await assertFails(as('coord').doc('applications/stu_acme').get());
+  await assertSucceeds(as('admin').doc('applications/other_acme').get());
+
+  await assertFails(as('stu').doc('applications/stu_beta').set({ userId: 'stu', companyId: 'beta', status: 'pending' }));
+  await assertFails(as('stu').doc('applications/stu_acme').update({ status: 'approved' }));
+  await assertFails(as('stu').doc('applications/stu_acme').delete());
+  await assertFails(as('adv').doc('applications/stu_acme').update({ status: 'approved' }));
+  await assertFails(as('coord').doc('applications/stu_acme').update({ status: 'approved' }));
+  await assertSucceeds(as('admin').doc('applications/stu_acme').update({ status: 'denied' }));
+});
+
+test('notifications: recipients read and manage their own', { skip }, async () => {
+  await seed({
+    'notifications/n1': { userId: 'stu', title: 'Hello' },
+    'notifications/n2': { userId: 'other', title: 'Hello' },
+  });
+  await assertFails(as(null).doc('notifications/n1').get());
+  await assertSucceeds(as('stu').doc('notifications/n1').get());
+  await assertFails(as('stu').doc('notifications/n2').get());
+  await assertFails(as('adv').doc('notifications/n1').get());
+  await assertFails(as('coord').doc('notifications/n1').get());
+  await assertSucceeds(as('admin').doc('notifications/n2').get());
+
+  await assertSucceeds(as('stu').doc('notifications/n1').update({ read: true }));
+  await assertFails(as('stu').doc('notifications/n2').update({ read: true }));
+  await assertFails(as('stu').collection('notifications').add({ userId: 'other', title: 'Spoofed' }));
+  await assertFails(as('adv').collection('notifications').add({ userId: 'stu', title: 'Hello' }));
+  await assertSucceeds(as('admin').collection('notifications').add({ userId: 'stu', title: 'Hello' }));
+});
+
+test('requirement_approvals: read by the student and supervisors, written by the server only', { skip }, async () => {
+  await seed({
+    'requirement_approvals/stu': { medical_certificate: { status: 'approved' } },
+    'requirement_approvals/other': { medical_certificate: { status: 'pending_review' } },
+  });
+  await assertFails(as(null).doc('requirement_approvals/stu').get());
+  await assertSucceeds(as('stu').doc('requirement_approvals/stu').get());
+  await assertFails(as('stu').doc('requirement_approvals/other').get());
+  await assertSucceeds(as('adv').doc('requirement_approvals/stu').get());
+  await assertFails(as('adv').doc('requirement_approvals/other').get());
+  await assertSucceeds(as('coord').doc('requirement_approvals/other').get());
+  await assertSucceeds(as('admin').doc('requirement_approvals/other').get());
+
+  const forged = { medical_certificate: { status: 'approved' } };
+  for (const who of ['stu', 'adv', 'coord', 'admin']) {
+    // eslint-disable-next-line no-await-in-loop
+    await assertFails(as(who).doc('requirement_approvals/stu').set(forged, { merge: true }));
+  }
+});
+
+test('clientErrors: admins read, nobody writes', { skip }, async () => {
+  await seed({ 'clientErrors/2026-01-01_abc': { count: 1, screen: 'OJTTracker' } });
+  await assertFails(as(null).doc('clientErrors/2026-01-01_abc').get());
+  await assertFails(as('stu').doc('clientErrors/2026-01-01_abc').get());
+  await assertFails(as('adv').doc('clientErrors/2026-01-01_abc').get());
+  await assertFails(as('coord').doc('clientErrors/2026-01-01_abc').get());
+  await assertSucceeds(as('admin').doc('clientErrors/2026-01-01_abc').get());
+  for (const who of [null, 'stu', 'adv', 'coord', 'admin']) {
+    // eslint-disable-next-line no-await-in-loop
+    await assertFails(as(who).doc('clientErrors/2026-01-01_xyz').set({ count: 1 }));
+  }
+});
+
+test('clientErrorThrottle: server-only, even for the user it limits', { skip }, async () => {
+  await seed({ 'clientErrorThrottle/stu': { windowStart: 1, count: 20, updatedAt: 1 } });
+  for (const who of [null, 'stu', 'adv', 'coord', 'admin']) {
+    // eslint-disable-next-line no-await-in-loop
+    await assertFails(as(who).doc('clientErrorThrottle/stu').get());
+    // eslint-disable-next-line no-await-in-loop
+    await assertFails(as(who).doc('clientErrorThrottle/stu').set({ count: 0 }));
+  }
+});
+
+test('ojtLogs: students write manual logs; supervisors review; locked and clock logs are frozen', { skip }, async () => {
+  await seed({
+    'users/stu/ojtLogs/open': { date: '2026-01-05', hours: 8, verificationStatus: 'manual' },
+    'users/stu/ojtLogs/locked': { date: '2026-01-06', hours: 8, verificationStatus: 'manual', locked: true, lockedByReportId: 'r1' },
+    'users/other/ojtLogs/open': { date: '2026-01-05', hours: 8, verificationStatus: 'manual' },
+    'users/stu/ojtLogs/counted': { date: '2026-01-08', hours: 8, verificationStatus: 'manual', ledgerStatus: 'counted', ledgerHours: 8, ledgerReason: null },
+    'users/stu/ojtLogs/clocked': { source: 'clock', verificationStatus: 'verified', clockInAt: new Date(), clockOutAt: null },
+  });
+  const log = (extra = {}) => ({ date: '2026-01-07', hours: 8, ...extra });
+
+  await assertFails(as(null).doc('users/stu/ojtLogs/open').get());
+  await assertSucceeds(as('stu').doc('users/stu/ojtLogs/open').get());
+  await assertFails(as('stu').doc('users/other/ojtLogs/open').get());
+  await assertSucceeds(as('adv').doc('users/stu/ojtLogs/open').get());
+  await assertFails(as('adv').doc('users/other/ojtLogs/open').get());
+  await assertSucceeds(as('coord').doc('users/other/ojtLogs/open').get());
+
+  await assertSucceeds(as('stu').doc('users/stu/ojtLogs/new').set(log()));
+  await assertFails(as('stu').doc('users/stu/ojtLogs/clock').set(log({ source: 'clock', verificationStatus: 'verified' })));
+  await assertFails(as('stu').doc('users/stu/ojtLogs/ledger').set(log({ ledgerHours: 24 })));
+  await assertFails(as('stu').doc('users/stu/ojtLogs/reviewed').set(log({ reviewStatus: 'approved' })));
+  await assertFails(as('stu').doc('users/other/ojtLogs/new').set(log()));
+  await assertFails(as(null).doc('users/stu/ojtLogs/new').set(log()));
+
+  await assertSucceeds(as('stu').doc('users/stu/ojtLogs/open').update({ hours: 7 }));
+  await assertFails(as('stu').doc('users/stu/ojtLogs/locked').update({ hours: 12 }));
+  await assertFails(as('stu').doc('users/stu/ojtLogs/locked').delete());
+  await assertFails(as('stu').doc('users/stu/ojtLogs/open').update({ locked: false }));
+  // Logs the ledger trigger has stamped stay editable, as long as the edit keeps its fields.
+  await assertSucceeds(as('stu').doc('users/stu/ojtLogs/counted').set({ hours: 7, clientUpdatedAt: 1 }, { merge: true }));
+  await assertFails(as('stu').doc('users/stu/ojtLogs/counted').set(log()));
+  await assertFails(as('stu').doc('users/stu/ojtLogs/counted').update({ ledgerHours: 24 }));
+  await assertFails(as('stu').doc('users/stu/ojtLogs/counted').update({ reviewStatus: 'approved' }));
+  await assertFails(as('stu').doc('users/stu/ojtLogs/clocked').update({ clockOutAt: new Date() }));
+  await assertFails(as('stu').doc('users/stu/ojtLogs/clocked').set({ hours: 12, verificationStatus: 'manual' }, { merge: true }));
+
+  const review = { reviewStatus: 'approved', reviewedBy: 'Ada Viser', reviewedAt: new Date() };
+  await assertSucceeds(as('adv').doc('users/stu/ojtLogs/open').update(review));
+  await assertFails(as('adv').doc('users/stu/ojtLogs/open').update({ hours: 12 }));
+  await assertFails(as('adv').doc('users/other/ojtLogs/open').update(review));
+  await assertSucceeds(as('coord').doc('users/other/ojtLogs/open').update(review));
+  // Editing a reviewed log sends it back for review.
+  await assertFails(as('stu').doc('users/stu/ojtLogs/open').update({ hours: 6 }));
+  await assertSucceeds(as('stu').doc('users/stu/ojtLogs/open').update({ hours: 6, reviewStatus: 'pending' }));
+  await assertFails(as('coord').doc('users/other/ojtLogs/open').delete());
+  await assertSucceeds(as('admin').doc('users/stu/ojtLogs/locked').update({ hours: 4 }));
+});
+
+test('weeklyReports: students draft and submit; supervisors review', { skip }, async () => {
+  await seed({
+    'users/stu/weeklyReports/submitted': { status: 'submitted', entries: [] },
+    'users/stu/weeklyReports/approved': { status: 'approved', entries: [] },
+    'users/stu/weeklyReports/returned': { status: 'revision_requested', entries: [] },
+    'users/other/weeklyReports/submitted': { status: 'submitted', entries: [] },
+  });
+
+  await assertFails(as(null).doc('users/stu/weeklyReports/submitted').get());
+  await assertSucceeds(as('stu').doc('users/stu/weeklyReports/submitted').get());
+  await assertFails(as('stu').doc('users/other/weeklyReports/submitted').get());
+  await assertSucceeds(as('adv').doc('users/stu/weeklyReports/submitted').get());
+  await assertFails(as('adv').doc('users/other/weeklyReports/submitted').get());
+  await assertSucceeds(as('coord').doc('users/other/weeklyReports/submitted').get());
+
+  await assertSucceeds(as('stu').doc('users/stu/weeklyReports/new').set({ status: 'submitted', entries: [] }));
+  await assertFails(as('stu').doc('users/stu/weeklyReports/self').set({ status: 'approved', entries: [] }));
+  await assertFails(as('stu').doc('users/stu/weeklyReports/versioned').set({ status: 'submitted', version: 3 }));
+  await assertSucceeds(as('stu').doc('users/stu/weeklyReports/returned').update({ status: 'submitted', entries: [{ date: '2026-01-05' }] }));
+  await assertFails(as('stu').doc('users/stu/weeklyReports/approved').update({ entries: [{ date: '2026-01-05' }] }));
+  await assertFails(as('stu').doc('users/stu/weeklyReports/returned').update({ status: 'submitted', feedback: 'Looks good' }));
+  await assertFails(as('stu').doc('users/stu/weeklyReports/approved').delete());
+
+  const review = { status: 'approved', reviewedBy: 'Ada Viser', reviewedAt: new Date(), feedback: 'Good' };
+  await assertSucceeds(as('adv').doc('users/stu/weeklyReports/submitted').update(review));
+  await assertFails(as('adv').doc('users/stu/weeklyReports/returned').update({ status: 'approved', totalHours: 99 }));
+  await assertFails(as('adv').doc('users/other/weeklyReports/submitted').update(review));
+  await assertSucceeds(as('coord').doc('users/other/weeklyReports/submitted').update(review));
+  await assertSucceeds(as('admin').doc('users/stu/weeklyReports/approved').delete());
+});
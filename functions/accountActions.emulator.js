@@ -0,0 +1,146 @@
+// Account lifecycle endpoints (setAccountBlocked, forcePasswordReset, confirmPasswordChange,
+// deprovisionUser) against the Auth, Firestore, Realtime Database and Storage emulators.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emulatorSkip, loadFunctions, unique, idTokenFor, callHandler } = require('./emulatorTesting');
+
+const skip = emulatorSkip('auth', 'firestore', 'database', 'storage');
+
+let functions;
+let db;
+let rtdb;
+let auth;
+let bucket;
+if (!skip) {
+  functions = loadFunctions();
+  db = require('firebase-admin/firestore').getFirestore();
+  rtdb = require('firebase-admin/database').getDatabase();
+  auth = require('firebase-admin/auth').getAuth();
+  bucket = require('firebase-admin/storage').getStorage().bucket();
+}
+
+const call = (handler, token, body) => callHandler(functions[handler], { token, body });
+
+// A student (signed in once, so they have an Auth user), their adviser and an admin.
+const setup = async () => {
+  const studentUid = `stu-${unique()}`;
+  const adviserUid = `adv-${unique()}`;
+  const studentId = `S-${unique()}`;
+  await db.collection('users').doc(adviserUid).set({ name: 'Ada Viser', role: 'adviser' });
+  await db.collection('users').doc(studentUid).set({
+    name: 'Test Student',
+    email: `${studentUid}@test.internquest`,
+    studentId,
+    role: 'student',
+    adviserId: adviserUid,
+  });
+  return {
+    studentUid,
+    studentId,
+    adviserUid,
+    student: await idTokenFor(studentUid, { role: 'student' }),
+    adviser: await idTokenFor(adviserUid, { role: 'adviser' }),
+    admin: await idTokenFor(`admin-${unique()}`, { role: 'admin' }),
+  };
+};
+
+// Auth emulator REST call, as the app's Firebase Auth SDK would make it.
+const identityToolkit = async (method, body) => {
+  const url = `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/identitytoolkit.googleapis.com/v1/accounts:${method}?key=fake-api-key`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...body, returnSecureToken: true }),
+  });
+  return response.json();
+};
+
+const exists = async (collection, docId) => (await db.collection(collection).doc(docId).get()).exists;
+
+test('admins block and unblock accounts, in Firestore and in Auth', { skip }, async () => {
+  const { studentUid, admin } = await setup();
+
+  const blocked = await call('setAccountBlocked', admin, { uid: studentUid, blocked: true, reason: 'Unpaid fees' });
+  assert.equal(blocked.statusCode, 200);
+  const { accountAccess } = (await db.collection('users').doc(studentUid).get()).data();
+  assert.equal(accountAccess.isBlocked, true);
+  assert.equal(accountAccess.blockedReason, 'Unpaid fees');
+  assert.equal((await auth.getUser(studentUid)).disabled, true);
+
+  const unblocked = await call('setAccountBlocked', admin, { uid: studentUid, blocked: false });
+  assert.equal(unblocked.statusCode, 200);
+  assert.equal((await db.collection('users').doc(studentUid).get()).data().accountAccess.isBlocked, false);
+  assert.equal((await auth.getUser(studentUid)).disabled, false);
+});
+
+test('advisers and students cannot block accounts', { skip }, async () => {
+  const { studentUid, adviserUid, student, adviser } = await setup();
+
+  assert.equal((await call('setAccountBlocked', adviser, { uid: studentUid, blocked: true })).statusCode, 403);
+  assert.equal((await call('setAccountBlocked', student, { uid: adviserUid, blocked: true })).statusCode, 403);
+  assert.equal((await auth.getUser(studentUid)).disabled, false);
+  assert.equal((await db.collection('users').doc(studentUid).get()).data().accountAccess, undefined);
+});
+
+test('a forced reset holds until the user changes their password', { skip }, async () => {
+  const { studentUid, student, admin } = await setup();
+  const email = `${studentUid}@test.internquest`;
+  await auth.updateUser(studentUid, { email, password: 'first-password' });
+
+  assert.equal((await call('forcePasswordReset', student, { uid: studentUid })).statusCode, 403);
+  const reset = await call('forcePasswordReset', admin, { uid: studentUid });
+  assert.equal(reset.statusCode, 200);
+  const afterReset = (await db.collection('users').doc(studentUid).get()).data();
+  assert.equal(afterReset.mustChangePassword, true);
+  assert.ok(afterReset.passwordResetRequiredAt);
+
+  // The temporary password signs in; the old one no longer does.
+  assert.ok((await identityToolkit('signInWithPassword', { email, password: 'first-password' })).error);
+  const signedIn = await identityToolkit('signInWithPassword', { email, password: reset.body.temporaryPassword });
+  assert.ok(signedIn.idToken);
+
+  // Claiming a change without making one is refused.
+  const early = await call('confirmPasswordChange', signedIn.idToken, {});
+  assert.equal(early.statusCode, 409);
+  assert.equal(early.body.error, 'PASSWORD_NOT_CHANGED');
+
+  // Auth keeps token validity to the second.
+  await new Promise((resolve) => { setTimeout(resolve, 1100); });
+  const changed = await identityToolkit('update', { idToken: signedIn.idToken, password: 'second-password' });
+  const confirmed = await call('confirmPasswordChange', changed.idToken, {});
+  assert.equal(confirmed.statusCode, 200);
+  const afterChange = (await db.collection('users').doc(studentUid).get()).data();
+  assert.equal(afterChange.mustChangePassword, false);
+  assert.ok(afterChange.passwordChangedAt.toMillis() > afterChange.passwordResetRequiredAt.toMillis());
+});
+
+test('deprovisioning archives the student, removes their data and returns their MOA slot', { skip }, async () => {
+  const { studentUid, studentId, student, admin } = await setup();
+  const companyId = `c-${unique()}`;
+  await db.collection('companies').doc(companyId).set({ companyName: 'Acme Corp' });
+  await rtdb.ref(`moaAvailability/${companyId}`).set(1);
+  const applied = await call('applyToCompany', student, { companyId });
+  await call('decideApplication', admin, { applicationId: applied.body.applicationId, decision: 'approve' });
+  assert.equal((await rtdb.ref(`moaAvailability/${companyId}`).get()).val(), 0);
+  await bucket.file(`requirements/${studentUid}/resume.pdf`).save('%PDF-1.4');
+
+  const res = await call('deprovisionUser', admin, { uid: studentUid, confirm: studentId });
+  assert.equal(res.statusCode, 200);
+  assert.equal((await rtdb.ref(`moaAvailability/${companyId}`).get()).val(), 1);
+  assert.equal(await exists('users', studentUid), false);
+  assert.equal(await exists('applications', applied.body.applicationId), false);
+  assert.equal(await exists('archivedUsers', studentUid), true);
+  const [archived] = await bucket.file(res.body.archivePath).exists();
+  assert.equal(archived, true);
+  const [uploads] = await bucket.getFiles({ prefix: `requirements/${studentUid}/` });
+  assert.equal(uploads.length, 0);
+  await assert.rejects(auth.getUser(studentUid), { code: 'auth/user-not-found' });
+});
+
+test('deprovisioning needs the student ID as confirmation and an admin', { skip }, async () => {
+  const { studentUid, studentId, adviser, admin } = await setup();
+
+  assert.equal((await call('deprovisionUser', admin, { uid: studentUid, confirm: 'wrong' })).body.error, 'CONFIRMATION_MISMATCH');
+  assert.equal((await call('deprovisionUser', adviser, { uid: studentUid, confirm: studentId })).statusCode, 403);
+  assert.equal(await exists('users', studentUid), true);
+});
@@ -0,0 +1,154 @@
+// Deadline reminders for one student (see sendDeadlineReminders in index.js), and the Manila
+// date helpers they share with the rest of the functions.
+const MANILA_UTC_OFFSET_MS = 8 * 60 * 60 * 1000; // Asia/Manila has no DST
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const REQUIREMENT_DUE_SOON_DAYS = Number(process.env.REQUIREMENT_DUE_SOON_DAYS || 3);
+const OJT_WEEKLY_HOURS_TARGET = Number(process.env.OJT_WEEKLY_HOURS_TARGET || 40);
+const OJT_PACE_TOLERANCE = Number(process.env.OJT_PACE_TOLERANCE || 0.8);
+const DEFAULT_REQUIRED_HOURS = 300;
+
+// Accepts Firestore Timestamps, Dates, epoch ms and date strings. Bare dates
+// ('YYYY/MM/DD' as entered in the app, or 'YYYY-MM-DD') are read as Manila midnight.
+const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const m = value.trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+  if (m) return Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) - MANILA_UTC_OFFSET_MS;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const manilaDayKey = (ms) => new Date(ms + MANILA_UTC_OFFSET_MS).toISOString().slice(0, 10);
+
+// Monday 00:00 Manila of the week containing `ms`.
+const manilaWeekStartMs = (ms) => {
+  const local = new Date(ms + MANILA_UTC_OFFSET_MS);
+  const sinceMonday = (local.getUTCDay() + 6) % 7;
+  return Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - sinceMonday) - MANILA_UTC_OFFSET_MS;
+};
+
+// Weeks (by Monday start) a weekly report covers. Reports from the service carry
+// weekStartDate; reports from WeeklyReportScreen carry dated entries. Anything else is
+// credited to the week it was submitted in and the week before, since reports are often
+// filed early the following week.
+const weeklyReportWeeks = (report) => {
+  const weeks = new Set();
+  const start = toMillis(report.weekStartDate);
+  if (start !== null) weeks.add(manilaWeekStartMs(start));
+  for (const entry of Array.isArray(report.entries) ? report.entries : []) {
+    const ms = toMillis(entry && entry.date);
+    if (ms !== null) weeks.add(manilaWeekStartMs(ms));
+  }
+  if (weeks.size === 0) {
+    const submitted = toMillis(report.timestamp) || toMillis(report.submittedAt);
+    if (submitted !== null) {
+      const week = manilaWeekStartMs(submitted);
+      weeks.add(week);
+      weeks.add(week - WEEK_MS);
+    }
+  }
+  return weeks;
+};
+
+const sumOjtLogHours = (logs) => logs.reduce((sum, log) => {
+  const hours = Number(log && log.hours);
+  return Number.isFinite(hours) && hours > 0 ? sum + hours : sum;
+}, 0);
+
+// approvals is requirement_approvals/{uid}. Review state comes only from there; the
+// student's `requirements` list supplies due dates and uploads.
+// -> [{ key, type, category, title, message, data }]
+const buildDeadlineReminders = ({ userData, approvals, reports, ojtLogs }, nowMs) => {
+  const reminders = [];
+
+  for (const req of Array.isArray(userData.requirements) ? userData.requirements : []) {
+    if (!req || !req.id || req.isRequired === false) continue;
+    const dueMs = toMillis(req.dueDate);
+    if (dueMs === null) continue;
+    const hasFiles = Array.isArray(req.uploadedFiles) && req.uploadedFiles.length > 0;
+    const status = ((approvals || {})[req.id] || {}).status;
+    if (status === 'approved' || (hasFiles && !['rejected', 'needs_resubmission'].includes(status))) continue;
+
+    const title = req.title || 'A requirement';
+    const dueDay = manilaDayKey(dueMs);
+    if (dueMs < nowMs) {
+      reminders.push({
+        key: `requirement_overdue_${req.id}_${dueDay}`,
+        type: 'requirement_overdue',
+        category: 'requirements',
+        title: 'Requirement overdue',
+        message: `${title} was due on ${dueDay}. Upload it as soon as you can.`,
+        data: { requirementId: String(req.id), dueDate: dueDay },
+      });
+    } else if (dueMs - nowMs <= REQUIREMENT_DUE_SOON_DAYS * DAY_MS) {
+      reminders.push({
+        key: `requirement_due_${req.id}_${dueDay}`,
+        type: 'requirement_due_soon',
+        category: 'requirements',
+        title: 'Requirement due soon',
+        message: `${title} is due on ${dueDay}.`,
+        data: { requirementId: String(req.id), dueDate: dueDay },
+      });
+    }
+  }
+
+  // Report and hours reminders only apply once the student is placed.
+  const hiredMs = toMillis(userData.hiredAt);
+  if (userData.status !== 'hired' || hiredMs === null) return reminders;
+
+  const thisWeek = manilaWeekStartMs(nowMs);
+  const lastWeek = thisWeek - WEEK_MS;
+  if (hiredMs < thisWeek) {
+    const covered = new Set();
+    reports.forEach((r) => weeklyReportWeeks(r).forEach((w) => covered.add(w)));
+    if (!covered.has(lastWeek) && manilaWeekStartMs(hiredMs) <= lastWeek) {
+      const weekKey = manilaDayKey(lastWeek);
+      reminders.push({
+        key: `weekly_report_missing_${weekKey}`,
+        type: 'weekly_report_missing',
+        category: 'reports',
+        title: 'Weekly report missing',
+        message: `You have not submitted your weekly report for the week of ${weekKey}.`,
+        data: { weekStartDate: weekKey },
+      });
+    }
+  }
+
+  // Pace check: hours logged so far against a steady OJT_WEEKLY_HOURS_TARGET since hiring.
+  // The ledger (see recomputeOjtLedger) is authoritative; raw logs are a fallback for
+  // students whose ledger has not been built yet.
+  const ledger = userData.ojtLedger || null;
+  const requiredHours = ledger && ledger.requiredHours > 0
+    ? ledger.requiredHours
+    : (Number(userData.requiredHours) > 0 ? Number(userData.requiredHours) : DEFAULT_REQUIRED_HOURS);
+  const loggedHours = ledger ? Number(ledger.totalHours) || 0 : sumOjtLogHours(ojtLogs);
+  const weeksElapsed = Math.floor((nowMs - hiredMs) / WEEK_MS);
+  const expectedHours = Math.min(requiredHours, weeksElapsed * OJT_WEEKLY_HOURS_TARGET);
+  if (weeksElapsed >= 1 && loggedHours < requiredHours && loggedHours < expectedHours * OJT_PACE_TOLERANCE) {
+    reminders.push({
+      // One pace reminder per week at most.
+      key: `ojt_hours_behind_${manilaDayKey(thisWeek)}`,
+      type: 'ojt_hours_behind',
+      category: 'reports',
+      title: 'OJT hours behind schedule',
+      message: `You have logged ${Math.round(loggedHours)} of ${requiredHours} hours. `
+        + `By now you should have around ${Math.round(expectedHours)}. Remember to log your hours.`,
+      data: { loggedHours: Math.round(loggedHours), expectedHours: Math.round(expectedHours), requiredHours },
+    });
+  }
+
+  return reminders;
+};
+
+module.exports = {
+  MANILA_UTC_OFFSET_MS,
+  DAY_MS,
+  DEFAULT_REQUIRED_HOURS,
+  toMillis,
+  manilaDayKey,
+  buildDeadlineReminders,
+};
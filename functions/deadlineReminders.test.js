@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDeadlineReminders } = require('./deadlineReminders');
+
+// Wednesday 2026-03-11, 08:00 in Manila.
+const NOW_MS = Date.UTC(2026, 2, 11, 0, 0);
+
+const requirement = (id, dueDate, extra = {}) => ({ id, title: id, dueDate, ...extra });
+const uploaded = { uploadedFiles: [{ name: 'scan.pdf', adminDocId: 'file-1' }] };
+const remindersFor = (userData, approvals = {}, { reports = [], ojtLogs = [] } = {}) =>
+  buildDeadlineReminders({ userData, approvals, reports, ojtLogs }, NOW_MS);
+const keys = (reminders) => reminders.map((r) => r.key).sort();
+
+test('missing requirements are reminded about when due soon and when overdue', () => {
+  const reminders = remindersFor({
+    requirements: [
+      requirement('overdue', '2026/03/10'),
+      requirement('due_soon', '2026-03-13'),
+      requirement('later', '2026-04-30'),
+      requirement('optional', '2026/03/10', { isRequired: false }),
+      requirement('no_due_date', null),
+    ],
+  });
+  assert.deepEqual(keys(reminders), ['requirement_due_due_soon_2026-03-13', 'requirement_overdue_overdue_2026-03-10']);
+  const overdue = reminders.find((r) => r.type === 'requirement_overdue');
+  assert.equal(overdue.category, 'requirements');
+  assert.deepEqual(overdue.data, { requirementId: 'overdue', dueDate: '2026-03-10' });
+});
+
+test('approved requirements and uploads awaiting review are not reminded about', () => {
+  const reminders = remindersFor({
+    requirements: [
+      requirement('approved', '2026/03/10'),
+      requirement('in_review', '2026/03/10', uploaded),
+    ],
+  }, { approved: { status: 'approved' }, in_review: { status: 'pending_review' } });
+  assert.deepEqual(reminders, []);
+});
+
+test('rejected uploads still count as missing', () => {
+  const reminders = remindersFor({
+    requirements: [
+      requirement('rejected', '2026/03/10', uploaded),
+      requirement('resubmit', '2026-03-12', uploaded),
+    ],
+  }, { rejected: { status: 'rejected' }, resubmit: { status: 'needs_resubmission' } });
+  assert.deepEqual(keys(reminders), ['requirement_due_resubmit_2026-03-12', 'requirement_overdue_rejected_2026-03-10']);
+});
+
+test('an approval the student wrote on their own list does not count', () => {
+  const reminders = remindersFor({
+    requirements: [requirement('forged', '2026/03/10', { ...uploaded, approvalStatus: 'approved' })],
+  }, { forged: { status: 'rejected' } });
+  assert.deepEqual(keys(reminders), ['requirement_overdue_forged_2026-03-10']);
+});
+
+test('placed students are reminded about last week\'s report and their pace', () => {
+  const hired = { status: 'hired', hiredAt: '2026/02/16', ojtLedger: { totalHours: 10, requiredHours: 300 } };
+  assert.deepEqual(keys(remindersFor(hired)), ['ojt_hours_behind_2026-03-09', 'weekly_report_missing_2026-03-02']);
+
+  const onTrack = { ...hired, ojtLedger: { totalHours: 110, requiredHours: 300 } };
+  assert.deepEqual(remindersFor(onTrack, {}, { reports: [{ weekStartDate: '2026-03-02' }] }), []);
+  assert.deepEqual(remindersFor({ ...hired, status: 'active' }), []);
+});
@@ -0,0 +1,126 @@
+// decideApplication MOA slot reserve/release against the Auth, Firestore and Realtime
+// Database emulators.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emulatorSkip, loadFunctions, unique, idTokenFor, callHandler } = require('./emulatorTesting');
+
+const skip = emulatorSkip('auth', 'firestore', 'database');
+
+let functions;
+let db;
+let rtdb;
+if (!skip) {
+  functions = loadFunctions();
+  db = require('firebase-admin/firestore').getFirestore();
+  rtdb = require('firebase-admin/database').getDatabase();
+}
+
+const call = (handler, token, body) => callHandler(functions[handler], { token, body });
+
+// A company with `slots` MOA slots (null = untracked), a student and an admin.
+const setup = async (slots) => {
+  const companyId = `c-${unique()}`;
+  const studentUid = `stu-${unique()}`;
+  await db.collection('companies').doc(companyId).set({ companyName: 'Acme Corp' });
+  await db.collection('users').doc(studentUid).set({ name: 'Test Student', email: `${studentUid}@test.internquest`, role: 'student' });
+  if (slots !== null) await rtdb.ref(`moaAvailability/${companyId}`).set(slots);
+  return {
+    companyId,
+    studentUid,
+    student: await idTokenFor(studentUid, { role: 'student' }),
+    admin: await idTokenFor(`admin-${unique()}`, { role: 'admin' }),
+  };
+};
+
+const slotsOf = async (companyId) => (await rtdb.ref(`moaAvailability/${companyId}`).get()).val();
+const readDoc = async (collection, id) => (await db.collection(collection).doc(id).get()).data();
+
+test('approving takes one slot and hires the student', { skip }, async () => {
+  const { companyId, studentUid, student, admin } = await setup(2);
+
+  const applied = await call('applyToCompany', student, { companyId });
+  assert.equal(applied.statusCode, 200);
+
+  const decided = await call('decideApplication', admin, { applicationId: applied.body.applicationId, decision: 'approve' });
+  assert.equal(decided.statusCode, 200);
+  assert.equal(decided.body.status, 'approved');
+  assert.equal(await slotsOf(companyId), 1);
+
+  assert.equal((await readDoc('applications', applied.body.applicationId)).moaSlotTaken, true);
+  const user = await readDoc('users', studentUid);
+  assert.equal(user.status, 'hired');
+  assert.equal(user.hiredCompanyId, companyId);
+  assert.equal(user.appliedCompanyId, null);
+});
+
+test('approving with no slots left is refused and leaves the application pending', { skip }, async () => {
+  const { companyId, student, admin } = await setup(1);
+  const applied = await call('applyToCompany', student, { companyId });
+  await rtdb.ref(`moaAvailability/${companyId}`).set(0);
+
+  const decided = await call('decideApplication', admin, { applicationId: applied.body.applicationId, decision: 'approve' });
+  assert.equal(decided.statusCode, 409);
+  assert.equal(decided.body.error, 'NO_SLOTS_AVAILABLE');
+  assert.equal(await slotsOf(companyId), 0);
+  assert.equal((await readDoc('applications', applied.body.applicationId)).status, 'pending');
+});
+
+test('a failed approval gives the slot back', { skip }, async () => {
+  const { companyId, student, admin } = await setup(2);
+  const applied = await call('applyToCompany', student, { companyId });
+  await call('decideApplication', admin, { applicationId: applied.body.applicationId, decision: 'approve' });
+  assert.equal(await slotsOf(companyId), 1);
+
+  // Second approval of the same application: the slot is reserved, then returned.
+  const again = await call('decideApplication', admin, { applicationId: applied.body.applicationId, decision: 'approve' });
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.error, 'APPLICATION_NOT_PENDING');
+  assert.equal(await slotsOf(companyId), 1);
+});
+
+test('denying does not touch the slots', { skip }, async () => {
+  const { companyId, studentUid, student, admin } = await setup(2);
+  const applied = await call('applyToCompany', student, { companyId });
+
+  const decided = await call('decideApplication', admin, { applicationId: applied.body.applicationId, decision: 'deny' });
+  assert.equal(decided.statusCode, 200);
+  assert.equal(decided.body.status, 'rejected');
+  assert.equal(await slotsOf(companyId), 2);
+  const user = await readDoc('users', studentUid);
+  assert.equal(user.appliedCompanyId, null);
+  assert.notEqual(user.status, 'hired');
+});
+
+test('withdrawing an approved placement returns its slot', { skip }, async () => {
+  const { companyId, studentUid, student, admin } = await setup(1);
+  const applied = await call('applyToCompany', student, { companyId });
+  await call('decideApplication', admin, { applicationId: applied.body.applicationId, decision: 'approve' });
+  assert.equal(await slotsOf(companyId), 0);
+
+  const withdrawn = await call('withdrawApplication', student, { companyId });
+  assert.equal(withdrawn.statusCode, 200);
+  assert.equal(withdrawn.body.previousStatus, 'approved');
+  assert.equal(await slotsOf(companyId), 1);
+  const user = await readDoc('users', studentUid);
+  assert.equal(user.status, 'searching');
+  assert.equal(user.hiredCompanyId, null);
+});
+
+test('untracked companies are approved without a slot count', { skip }, async () => {
+  const { companyId, student, admin } = await setup(null);
+  const applied = await call('applyToCompany', student, { companyId });
+
+  const decided = await call('decideApplication', admin, { applicationId: applied.body.applicationId, decision: 'approve' });
+  assert.equal(decided.statusCode, 200);
+  assert.equal(await slotsOf(companyId), null);
+  assert.equal((await readDoc('applications', applied.body.applicationId)).moaSlotTaken, false);
+});
+
+test('students cannot decide applications', { skip }, async () => {
+  const { companyId, student } = await setup(1);
+  const applied = await call('applyToCompany', student, { companyId });
+
+  const decided = await call('decideApplication', student, { applicationId: applied.body.applicationId, decision: 'approve' });
+  assert.equal(decided.statusCode, 403);
+  assert.equal(await slotsOf(companyId), 1);
+});
@@ -1,15 +1,25 @@
-// Cloud Function: lookupEmailByStudentId
-// HTTP endpoint: POST { studentId }
-// Returns: { email } if found, else { email: null }
-// Secure: uses Firebase Admin SDK and checks optional admin API key header
+// InternQuest Cloud Functions (HTTP endpoints, Firestore/Storage triggers and schedules).
+// Sections below are grouped by feature; each describes its endpoints and the data it owns.
 
 const { onRequest } = require('firebase-functions/v2/https');
-const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { onDocumentCreated, onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onObjectFinalized } = require('firebase-functions/v2/storage');
 const { setGlobalOptions } = require('firebase-functions/v2');
 const { initializeApp } = require('firebase-admin/app');
 const { getFirestore, FieldValue } = require('firebase-admin/firestore');
 const { getAuth } = require('firebase-admin/auth');
+const { getDatabase } = require('firebase-admin/database');
+const { getStorage } = require('firebase-admin/storage');
 const { Expo } = require('expo-server-sdk');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { escapeHtml, weeklyReportHtml, ojtChecklistHtml } = require('./pdfTemplates');
+const { checklistPdfData, checklistVerificationSummary } = require('./requirementChecklist');
+const {
+  MANILA_UTC_OFFSET_MS, DAY_MS, DEFAULT_REQUIRED_HOURS, toMillis, manilaDayKey, buildDeadlineReminders,
+} = require('./deadlineReminders');
 
 try { initializeApp(); } catch (e) { /* already initialized */ }
 setGlobalOptions({ region: 'asia-southeast1' });
@@ -24,6 +34,10 @@ const getBearerToken = (req) => {
   return match ? match[1] : null;
 };
 
+// Client IP as seen by Google's front end, which appends it to X-Forwarded-For. Only that last
+// entry can be trusted: anything before it is whatever the client sent in its own header.
+const requestIp = (req) => firstString(String(req.get('x-forwarded-for') || '').split(',').pop().trim(), req.ip);
+
 const verifyCaller = async (req) => {
   const token = getBearerToken(req);
   if (!token) return { ok: false, status: 401, error: 'Missing Authorization bearer token' };
@@ -35,9 +49,82 @@ const verifyCaller = async (req) => {
   }
 };
 
+// Roles, also set as the `role` custom claim. Advisers see and review only the students
+// assigned to them (users/{uid}.adviserId); coordinators see and review every student.
+const USER_ROLES = ['student', 'adviser', 'coordinator', 'admin', 'super_admin'];
+
 const isAdminRole = (role) => role === 'admin' || role === 'super_admin';
+const isStaffRole = (role) => role === 'adviser' || role === 'coordinator' || isAdminRole(role);
+
+// Whether the caller (uid + user doc data) may see and review the student's records.
+const canSuperviseStudent = (callerUid, callerData, studentData) => {
+  const role = callerData && callerData.role;
+  if (isAdminRole(role) || role === 'coordinator') return true;
+  return role === 'adviser' && !!studentData && firstString(studentData.adviserId) === callerUid;
+};
+
+// ---- Applications / MOA slot helpers ----
+// Application docs are keyed `${uid}_${companyId}`; the client relies on that shape for lookups.
+const applicationDocId = (uid, companyId) => `${uid}_${companyId}`;
+// Statuses that hold the student's single placement (only one may exist at a time).
+const ACTIVE_APPLICATION_STATUSES = ['pending', 'approved'];
+
+const getCompanyName = (company) => String((company && (company.companyName || company.company)) || '');
+
+// moaAvailability/{companyId} in the Realtime Database holds the remaining slots.
+// A missing/non-numeric value means the company's slots are not tracked (unlimited).
+const readMoaSlots = async (companyId) => {
+  const snap = await getDatabase().ref(`moaAvailability/${companyId}`).get();
+  const value = Number(snap.val());
+  return snap.exists() && Number.isFinite(value) ? value : null;
+};
+
+// Atomically take one slot. Resolves { ok, tracked }; ok=false means no slots are left.
+const reserveMoaSlot = async (companyId) => {
+  let tracked = false;
+  const result = await getDatabase().ref(`moaAvailability/${companyId}`).transaction((current) => {
+    // The first attempt may run against an empty local cache (current === null); returning the
+    // value unchanged lets the SDK retry with the server value instead of aborting early.
+    const value = Number(current);
+    if (current === null || current === undefined || !Number.isFinite(value)) {
+      tracked = false;
+      return current;
+    }
+    tracked = true;
+    if (value <= 0) return undefined; // abort: never go negative
+    return value - 1;
+  });
+  if (!tracked) return { ok: true, tracked: false };
+  return { ok: result.committed, tracked: true };
+};
+
+// Give a slot back (approved placement withdrawn, or approval rolled back).
+const releaseMoaSlot = async (companyId) => {
+  await getDatabase().ref(`moaAvailability/${companyId}`).transaction((current) => {
+    const value = Number(current);
+    if (current === null || current === undefined || !Number.isFinite(value)) return current;
+    return value + 1;
+  });
+};
+
+// Notification doc in the shape NotificationsScreen reads; pushOnNotificationCreated delivers it.
+const buildApplicationNotification = ({ userId, title, message, applicationId, companyId, status, sendPush = true }) => ({
+  userId,
+  title,
+  message,
+  type: 'application',
+  timestamp: FieldValue.serverTimestamp(),
+  read: false,
+  sendPush,
+  data: { applicationId, companyId, status },
+});
+
+// Expo accepts ~600 notifications/second per project; 100-message chunks with a short pause
+// between them keep large broadcasts well under that.
+const PUSH_CHUNK_DELAY_MS = Number(process.env.PUSH_CHUNK_DELAY_MS || 250);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-const sendExpoPush = async ({ tokens, title, body, data }) => {
+const sendExpoPush = async ({ tokens, title, body, data, chunkDelayMs = 0 }) => {
   const expo = new Expo();
   const messages = [];
   for (const token of tokens) {
@@ -53,88 +140,545 @@ const sendExpoPush = async ({ tokens, title, body, data }) => {
 
   const chunks = expo.chunkPushNotifications(messages);
   const tickets = [];
-  for (const chunk of chunks) {
+  for (let i = 0; i < chunks.length; i++) {
     // eslint-disable-next-line no-await-in-loop
-    const t = await expo.sendPushNotificationsAsync(chunk);
-    tickets.push(...t);
+    if (i > 0 && chunkDelayMs > 0) await sleep(chunkDelayMs);
+    // eslint-disable-next-line no-await-in-loop
+    const t = await expo.sendPushNotificationsAsync(chunks[i]);
+    // Tickets come back in message order; keep the token so receipts can be traced to a device.
+    tickets.push(...t.map((ticket, idx) => ({ ...ticket, to: chunks[i][idx].to })));
   }
   return tickets;
 };
 
-exports.lookupEmailByStudentId = onRequest(async (req, res) => {
+// ---- Device registry ----
+// Each signed-in install registers itself at users/{uid}/devices/{deviceId}
+// ({ expoPushToken, platform, appVersion, lastSeenAt }); see services/notifications.ts.
+// Devices not seen for DEVICE_STALE_DAYS stop receiving pushes.
+const USER_DEVICES_SUBCOLLECTION = 'devices';
+const DEVICE_STALE_DAYS = Number(process.env.DEVICE_STALE_DAYS || 60);
+
+// Active push targets for one user: registered devices, else the legacy users/{uid}.expoPushToken
+// written by app versions that predate the registry.
+const getUserPushTargets = async (db, userId, userData) => {
+  const cutoffMs = Date.now() - DEVICE_STALE_DAYS * 24 * 60 * 60 * 1000;
+  const snap = await db.collection('users').doc(userId).collection(USER_DEVICES_SUBCOLLECTION).get();
+  const targets = [];
+  for (const d of snap.docs) {
+    const device = d.data();
+    const lastSeenMs = device.lastSeenAt && device.lastSeenAt.toMillis ? device.lastSeenAt.toMillis() : 0;
+    if (typeof device.expoPushToken === 'string' && device.expoPushToken && lastSeenMs >= cutoffMs) {
+      targets.push({ token: device.expoPushToken, userId, deviceId: d.id });
+    }
+  }
+  if (targets.length === 0 && userData && typeof userData.expoPushToken === 'string' && userData.expoPushToken) {
+    targets.push({ token: userData.expoPushToken, userId, deviceId: null });
+  }
+  return targets;
+};
+
+// token -> { userId, deviceId } across many users (also dedupes shared tokens).
+const getExpoPushTokenOwners = async (db, users) => {
+  const owners = new Map();
+  for (let i = 0; i < users.length; i += 20) {
+    // eslint-disable-next-line no-await-in-loop
+    const results = await Promise.all(users.slice(i, i + 20).map((u) => getUserPushTargets(db, u.id, u.data)));
+    for (const targets of results) {
+      for (const t of targets) {
+        if (!owners.has(t.token)) owners.set(t.token, { userId: t.userId, deviceId: t.deviceId });
+      }
+    }
+  }
+  return owners;
+};
+
+// ---- Push receipts ----
+// Ok tickets are stored in `pushTickets/{ticketId}` and checked later by processPushReceipts.
+// Daily aggregates live in `pushStats/{YYYY-MM-DD}` for the admin stats endpoint.
+const PUSH_TICKETS_COLLECTION = 'pushTickets';
+const PUSH_STATS_COLLECTION = 'pushStats';
+
+const todayKey = () => new Date().toISOString().slice(0, 10);
+
+// Remove a dead token from its owner, unless the device has since registered a new one.
+// Device registry entries are deleted; the legacy single-token field is nulled out.
+const clearDeadExpoPushToken = async (db, { userId, deviceId }, token) => {
+  if (!userId || !token) return false;
+  const userRef = db.collection('users').doc(userId);
+  return db.runTransaction(async (tx) => {
+    if (deviceId) {
+      const deviceRef = userRef.collection(USER_DEVICES_SUBCOLLECTION).doc(deviceId);
+      const deviceSnap = await tx.get(deviceRef);
+      if (!deviceSnap.exists || deviceSnap.data().expoPushToken !== token) return false;
+      tx.delete(deviceRef);
+      return true;
+    }
+    const snap = await tx.get(userRef);
+    if (!snap.exists || snap.data().expoPushToken !== token) return false;
+    tx.update(userRef, {
+      expoPushToken: null,
+      expoPushTokenInvalidatedAt: FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+};
+
+// Persist ticket ids for receipt checks. Send-time DeviceNotRegistered errors are cleaned up now,
+// since Expo will not issue a receipt for them.
+const recordPushTickets = async (db, tickets, { tokenOwners, notificationId = null }) => {
+  let batch = db.batch();
+  let pending = 0;
+  let tokensCleared = 0;
+
+  for (const ticket of tickets) {
+    const owner = tokenOwners.get(ticket.to) || { userId: null, deviceId: null };
+    if (ticket.status === 'ok' && ticket.id) {
+      batch.set(db.collection(PUSH_TICKETS_COLLECTION).doc(ticket.id), {
+        ticketId: ticket.id,
+        token: ticket.to,
+        userId: owner.userId,
+        deviceId: owner.deviceId,
+        notificationId,
+        status: 'pending',
+        createdAt: FieldValue.serverTimestamp(),
+      });
+      pending++;
+      if (pending === 400) {
+        // eslint-disable-next-line no-await-in-loop
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+    } else if (ticket.details && ticket.details.error === 'DeviceNotRegistered') {
+      // eslint-disable-next-line no-await-in-loop
+      if (await clearDeadExpoPushToken(db, owner, ticket.to)) tokensCleared++;
+    }
+  }
+  if (pending > 0) await batch.commit();
+
+  if (tokensCleared > 0) {
+    await db.collection(PUSH_STATS_COLLECTION).doc(todayKey()).set({
+      date: todayKey(),
+      tokensCleared: FieldValue.increment(tokensCleared),
+    }, { merge: true });
+  }
+};
+
+// ---- Notification preferences ----
+// users/{uid}.notificationPreferences, edited from SettingsScreen:
+// { categories: { requirements, reports, applications, announcements }: boolean,
+//   quietHours: { enabled, startHour, endHour } (0-23, Asia/Manila),
+//   delivery: 'immediate' | 'digest', digestHour }
+// Missing fields fall back to "everything on, immediate, no quiet hours".
+// Notifications with { critical: true } (set by admins) ignore all of it.
+const NOTIFICATION_CATEGORIES = ['requirements', 'reports', 'applications', 'announcements'];
+const DEFAULT_DIGEST_HOUR = 18;
+const DEFERRED_PUSHES_COLLECTION = 'deferredPushes';
+
+const toHour = (value, fallback) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 && n <= 23 ? n : fallback;
+};
+
+const readNotificationPreferences = (userData) => {
+  const raw = (userData && typeof userData.notificationPreferences === 'object' && userData.notificationPreferences) || {};
+  const categories = {};
+  for (const c of NOTIFICATION_CATEGORIES) {
+    categories[c] = !(raw.categories && raw.categories[c] === false);
+  }
+  const quiet = raw.quietHours || {};
+  return {
+    categories,
+    quietHours: {
+      enabled: quiet.enabled === true,
+      startHour: toHour(quiet.startHour, 22),
+      endHour: toHour(quiet.endHour, 7),
+    },
+    delivery: raw.delivery === 'digest' ? 'digest' : 'immediate',
+    digestHour: toHour(raw.digestHour, DEFAULT_DIGEST_HOUR),
+  };
+};
+
+// Explicit `category` wins; otherwise infer from the legacy `type` field.
+const getNotificationCategory = (notif) => {
+  const explicit = String(notif.category || '').toLowerCase();
+  if (NOTIFICATION_CATEGORIES.includes(explicit)) return explicit;
+  const type = String(notif.type || '').toLowerCase();
+  if (type.includes('application')) return 'applications';
+  if (type.includes('requirement')) return 'requirements';
+  if (type.includes('report')) return 'reports';
+  return 'announcements';
+};
+
+const manilaHourAt = (ms) => new Date(ms + MANILA_UTC_OFFSET_MS).getUTCHours();
+
+const isWithinQuietHours = (quietHours, ms) => {
+  if (!quietHours.enabled || quietHours.startHour === quietHours.endHour) return false;
+  const h = manilaHourAt(ms);
+  // Windows usually wrap midnight (22 -> 7).
+  return quietHours.startHour < quietHours.endHour
+    ? h >= quietHours.startHour && h < quietHours.endHour
+    : h >= quietHours.startHour || h < quietHours.endHour;
+};
+
+// Next time (ms) the Manila wall clock reads hour:00, strictly after fromMs.
+const nextManilaHourMs = (hour, fromMs) => {
+  const local = new Date(fromMs + MANILA_UTC_OFFSET_MS);
+  let candidate = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), hour) - MANILA_UTC_OFFSET_MS;
+  if (candidate <= fromMs) candidate += 24 * 60 * 60 * 1000;
+  return candidate;
+};
+
+// -> { action: 'send' } | { action: 'mute' } | { action: 'defer', reason, deliverAfterMs }
+const decidePushDelivery = (prefs, { category, critical }, nowMs) => {
+  if (critical) return { action: 'send' };
+  if (!prefs.categories[category]) return { action: 'mute' };
+
+  if (prefs.delivery === 'digest') {
+    let deliverAfterMs = nextManilaHourMs(prefs.digestHour, nowMs);
+    if (isWithinQuietHours(prefs.quietHours, deliverAfterMs)) {
+      deliverAfterMs = nextManilaHourMs(prefs.quietHours.endHour, deliverAfterMs);
+    }
+    return { action: 'defer', reason: 'digest', deliverAfterMs };
+  }
+  if (isWithinQuietHours(prefs.quietHours, nowMs)) {
+    return { action: 'defer', reason: 'quiet_hours', deliverAfterMs: nextManilaHourMs(prefs.quietHours.endHour, nowMs) };
+  }
+  return { action: 'send' };
+};
+
+const queueDeferredPush = (batch, db, { userId, notificationId, title, body, data, category, decision }) => {
+  batch.set(db.collection(DEFERRED_PUSHES_COLLECTION).doc(), {
+    userId,
+    notificationId: notificationId || null,
+    title,
+    body,
+    data: data || null,
+    category,
+    reason: decision.reason,
+    deliverAfter: new Date(decision.deliverAfterMs),
+    createdAt: FieldValue.serverTimestamp(),
+  });
+};
+
+// ---- Notification fan-out ----
+const firstString = (...values) => {
+  for (const v of values) {
+    if (typeof v === 'string' && v.trim()) return v.trim();
+  }
+  return null;
+};
+
+// Fetch user docs by id (getAll is capped, so batch it). Missing docs are dropped.
+const getUsersByIds = async (db, ids) => {
+  const users = [];
+  const unique = Array.from(new Set(ids.filter((id) => typeof id === 'string' && id)));
+  for (let i = 0; i < unique.length; i += 100) {
+    const refs = unique.slice(i, i + 100).map((id) => db.collection('users').doc(id));
+    // eslint-disable-next-line no-await-in-loop
+    const snaps = await db.getAll(...refs);
+    for (const snap of snaps) {
+      if (snap.exists) users.push({ id: snap.id, data: snap.data() });
+    }
+  }
+  return users;
+};
+
+// Page through a users query so broadcasts don't load the whole collection at once.
+const getUsersByQuery = async (db, baseQuery) => {
+  const users = [];
+  let last = null;
+  for (;;) {
+    let q = baseQuery.orderBy('__name__').limit(500);
+    if (last) q = q.startAfter(last);
+    // eslint-disable-next-line no-await-in-loop
+    const snap = await q.get();
+    for (const d of snap.docs) users.push({ id: d.id, data: d.data() });
+    if (snap.size < 500) break;
+    last = snap.docs[snap.docs.length - 1];
+  }
+  return users;
+};
+
+// Work out who a notification is for. Supported schemas:
+// - userId / userid (legacy lowercase) / targetStudentId: one recipient
+// - targetStudentIds: every id in the array
+// - targetType 'all': every student
+// - targetType 'program' | 'section' | 'adviser' | 'company' with the matching
+//   targetProgram / targetSection / targetAdviserId / targetCompanyId (or targetCompanyName)
+// Segment and broadcast audiences exclude admin accounts.
+const resolveNotificationRecipients = async (db, notif) => {
+  const singleId = firstString(notif.userId, notif.userid, notif.targetStudentId);
+  if (singleId) return { mode: 'user', users: await getUsersByIds(db, [singleId]) };
+
+  if (Array.isArray(notif.targetStudentIds) && notif.targetStudentIds.length > 0) {
+    return { mode: 'list', users: await getUsersByIds(db, notif.targetStudentIds.map(String)) };
+  }
+
+  const usersRef = db.collection('users');
+  const targetType = String(notif.targetType || '').toLowerCase();
+  let users = null;
+
+  if (targetType === 'all') {
+    users = await getUsersByQuery(db, usersRef);
+  } else if (targetType === 'program' && firstString(notif.targetProgram)) {
+    users = await getUsersByQuery(db, usersRef.where('program', '==', firstString(notif.targetProgram)));
+  } else if (targetType === 'section' && firstString(notif.targetSection)) {
+    let q = usersRef.where('section', '==', firstString(notif.targetSection));
+    if (firstString(notif.targetProgram)) q = q.where('program', '==', firstString(notif.targetProgram));
+    users = await getUsersByQuery(db, q);
+  } else if (targetType === 'adviser' && firstString(notif.targetAdviserId)) {
+    users = await getUsersByQuery(db, usersRef.where('adviserId', '==', firstString(notif.targetAdviserId)));
+  } else if (targetType === 'company' && firstString(notif.targetCompanyId, notif.targetCompanyName)) {
+    users = firstString(notif.targetCompanyId)
+      ? await getUsersByQuery(db, usersRef.where('hiredCompanyId', '==', firstString(notif.targetCompanyId)))
+      : await getUsersByQuery(db, usersRef.where('company', '==', firstString(notif.targetCompanyName)));
+  }
+
+  if (!users) return { mode: 'none', users: [] };
+  return { mode: targetType, users: users.filter((u) => !isStaffRole(u.data && u.data.role)) };
+};
+
+// Per-ticket error counts, e.g. { DeviceNotRegistered: 3 }.
+const summarizeTickets = (tickets) => {
+  const summary = { ok: 0, error: 0, errors: {} };
+  for (const t of tickets) {
+    if (t && t.status === 'ok') {
+      summary.ok++;
+    } else {
+      summary.error++;
+      const code = (t && t.details && t.details.error) || 'Unknown';
+      summary.errors[code] = (summary.errors[code] || 0) + 1;
+    }
+  }
+  return summary;
+};
+
+// ---------------------------------------------------------------------------
+// Student ID sign-in
+// ---------------------------------------------------------------------------
+// Students sign in with their student ID. signInWithStudentId checks the password on the
+// server (Identity Toolkit REST API, so it needs FIREBASE_WEB_API_KEY) and returns a custom
+// token; the account's email never leaves the server, and an unknown student ID gets the same
+// answer as a wrong password. Attempts are rate limited per IP and per student ID, repeated
+// failed sign-ins lock the student ID out for progressively longer, and every attempt is
+// recorded in loginAudit.
+const FIREBASE_WEB_API_KEY = process.env.FIREBASE_WEB_API_KEY || '';
+const LOGIN_THROTTLE_COLLECTION = 'loginThrottle';
+const LOGIN_AUDIT_COLLECTION = 'loginAudit';
+const LOGIN_WINDOW_MS = 10 * 60 * 1000;
+const LOGIN_ATTEMPT_LIMITS = {
+  ip: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || 30),
+  studentId: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_STUDENT_ID || 10),
+};
+const LOGIN_FAILURES_BEFORE_LOCKOUT = 5;
+const LOGIN_LOCKOUT_BASE_MS = 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+const LOGIN_AUDIT_RETENTION_DAYS = Number(process.env.LOGIN_AUDIT_RETENTION_DAYS || 90);
+
+// Student IDs are stored with or without hyphens ('22-12345-678' / '2212345678').
+const studentIdVariants = (studentId) => {
+  const trimmed = String(studentId || '').trim();
+  const compact = trimmed.replace(/-/g, '');
+  return compact && compact !== trimmed ? [trimmed, compact] : [trimmed];
+};
+
+const loginThrottleRef = (db, kind, value) => db.collection(LOGIN_THROTTLE_COLLECTION).doc(sha256Hex(`${kind}:${value}`));
+
+// Counts one attempt against a throttle doc. Returns { ok: true } or
+// { ok: false, reason: 'LOCKED' | 'RATE_LIMITED', retryAfterMs }.
+const takeLoginAttempt = (db, ref, limit, nowMs) => db.runTransaction(async (tx) => {
+  const snap = await tx.get(ref);
+  const data = snap.exists ? snap.data() : {};
+  if (Number(data.lockedUntil) > nowMs) return { ok: false, reason: 'LOCKED', retryAfterMs: data.lockedUntil - nowMs };
+  const windowStart = Number(data.windowStart) > nowMs - LOGIN_WINDOW_MS ? Number(data.windowStart) : nowMs;
+  const count = windowStart === Number(data.windowStart) ? Number(data.count) || 0 : 0;
+  if (count >= limit) return { ok: false, reason: 'RATE_LIMITED', retryAfterMs: windowStart + LOGIN_WINDOW_MS - nowMs };
+  tx.set(ref, { windowStart, count: count + 1, updatedAt: nowMs }, { merge: true });
+  return { ok: true };
+});
+
+// A failed sign-in. Every LOGIN_FAILURES_BEFORE_LOCKOUT failures lock the student ID out,
+// twice as long as the previous lockout (capped). Returns the lockout length in ms, or 0.
+const recordLoginFailure = (db, ref, nowMs) => db.runTransaction(async (tx) => {
+  const snap = await tx.get(ref);
+  const data = snap.exists ? snap.data() : {};
+  const failures = (Number(data.failures) || 0) + 1;
+  if (failures < LOGIN_FAILURES_BEFORE_LOCKOUT) {
+    tx.set(ref, { failures, updatedAt: nowMs }, { merge: true });
+    return 0;
+  }
+  const lockouts = (Number(data.lockouts) || 0) + 1;
+  const lockMs = Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** (lockouts - 1), LOGIN_LOCKOUT_MAX_MS);
+  tx.set(ref, { failures: 0, lockouts, lockedUntil: nowMs + lockMs, updatedAt: nowMs }, { merge: true });
+  return lockMs;
+});
+
+const auditLogin = async (db, req, entry) => {
+  try {
+    await db.collection(LOGIN_AUDIT_COLLECTION).add({
+      ...entry,
+      ip: requestIp(req),
+      userAgent: firstString(req.get('user-agent')),
+      at: FieldValue.serverTimestamp(),
+    });
+  } catch (e) {
+    console.error('auditLogin failed:', e);
+  }
+};
+
+// Account block state, written by setAccountBlocked (migration 007 moved older shapes here).
+const accountBlockInfo = (data) => {
+  const accountAccess = (data && typeof data.accountAccess === 'object' && data.accountAccess) ? data.accountAccess : {};
+  return {
+    blocked: accountAccess.isBlocked === true,
+    reason: firstString(accountAccess.blockedReason),
+    blockedBy: firstString(accountAccess.blockedBy),
+  };
+};
+
+const findUserByStudentId = async (db, studentId) => {
+  for (const value of studentIdVariants(studentId)) {
+    // eslint-disable-next-line no-await-in-loop
+    const snap = await db.collection(USERS_COLLECTION).where(STUDENT_ID_FIELD, '==', value).limit(1).get();
+    if (!snap.empty) return snap.docs[0];
+  }
+  return null;
+};
+
+// Goes to the Auth emulator when one is configured (tests).
+const IDENTITY_TOOLKIT_URL = process.env.FIREBASE_AUTH_EMULATOR_HOST
+  ? `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/identitytoolkit.googleapis.com`
+  : 'https://identitytoolkit.googleapis.com';
+
+// Checks an email/password pair. Returns { ok: true, uid } or { ok: false, code }.
+const verifyPassword = async (email, password) => {
+  const resp = await fetch(`${IDENTITY_TOOLKIT_URL}/v1/accounts:signInWithPassword?key=${encodeURIComponent(FIREBASE_WEB_API_KEY)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password, returnSecureToken: false }),
+  });
+  const json = await resp.json().catch(() => ({}));
+  if (resp.ok && json.localId) return { ok: true, uid: json.localId };
+  // e.g. INVALID_LOGIN_CREDENTIALS, INVALID_PASSWORD, USER_DISABLED, TOO_MANY_ATTEMPTS_TRY_LATER : ...
+  return { ok: false, code: String((json.error && json.error.message) || `HTTP_${resp.status}`).split(' ')[0] };
+};
+
+// HTTP endpoint: POST { studentId, password } -> { token } for signInWithCustomToken.
+// Errors: 401 INVALID_CREDENTIALS, 403 ACCOUNT_BLOCKED { reason, blockedBy } | ACCOUNT_DISABLED,
+// 429 TOO_MANY_ATTEMPTS { retryAfterSeconds }.
+exports.signInWithStudentId = onRequest(async (req, res) => {
   res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+  res.set('Access-Control-Allow-Headers', 'Content-Type');
   res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  if (req.method === 'OPTIONS') {
-    return res.status(204).send('');
+  const body = req.body || {};
+  const studentId = firstString(body.studentId);
+  const password = typeof body.password === 'string' ? body.password : '';
+  if (!studentId || studentId.length > 32) return res.status(400).json({ error: 'studentId is required' });
+  if (!password) return res.status(400).json({ error: 'password is required' });
+  if (!FIREBASE_WEB_API_KEY) {
+    console.error('signInWithStudentId: FIREBASE_WEB_API_KEY is not set');
+    return res.status(500).json({ error: 'Internal error' });
   }
 
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+  const db = getFirestore();
+  const nowMs = Date.now();
+  const studentKey = studentIdVariants(studentId).pop();
+  const studentRef = loginThrottleRef(db, 'studentId', studentKey);
+  const audit = { studentId: studentKey };
 
   try {
-    const { studentId } = req.body || {};
-    if (!studentId || typeof studentId !== 'string') {
-      return res.status(400).json({ error: 'studentId is required' });
+    const [ipAttempt, studentAttempt] = await Promise.all([
+      takeLoginAttempt(db, loginThrottleRef(db, 'ip', requestIp(req) || 'unknown'), LOGIN_ATTEMPT_LIMITS.ip, nowMs),
+      takeLoginAttempt(db, studentRef, LOGIN_ATTEMPT_LIMITS.studentId, nowMs),
+    ]);
+    const refused = !ipAttempt.ok ? ipAttempt : (!studentAttempt.ok ? studentAttempt : null);
+    if (refused) {
+      await auditLogin(db, req, { ...audit, outcome: refused.reason === 'LOCKED' ? 'locked_out' : 'rate_limited', throttledBy: !ipAttempt.ok ? 'ip' : 'studentId' });
+      const retryAfterSeconds = Math.max(1, Math.ceil(refused.retryAfterMs / 1000));
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({ error: 'TOO_MANY_ATTEMPTS', retryAfterSeconds });
     }
 
-    if (API_KEY) {
-      const headerKey = req.get('X-API-Key');
-      if (headerKey !== API_KEY) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+    const userDoc = await findUserByStudentId(db, studentId);
+    const email = userDoc ? firstString(userDoc.data().email) : null;
+    const check = email ? await verifyPassword(email, password) : { ok: false, code: 'NOT_FOUND' };
+    if (!check.ok && check.code === 'USER_DISABLED') {
+      // Auth turns disabled accounts away before looking at the password; blocking an
+      // account disables it, so say why.
+      const block = accountBlockInfo(userDoc.data());
+      await auditLogin(db, req, { ...audit, uid: userDoc.id, outcome: block.blocked ? 'blocked' : 'disabled', blockedBy: block.blockedBy });
+      return block.blocked
+        ? res.status(403).json({ error: 'ACCOUNT_BLOCKED', reason: block.reason, blockedBy: block.blockedBy })
+        : res.status(403).json({ error: 'ACCOUNT_DISABLED' });
+    }
+    if (!check.ok) {
+      const lockMs = await recordLoginFailure(db, studentRef, nowMs);
+      await auditLogin(db, req, {
+        ...audit,
+        uid: userDoc ? userDoc.id : null,
+        outcome: userDoc ? 'wrong_password' : 'unknown_student_id',
+        detail: check.code,
+        lockedOutForMs: lockMs || null,
+      });
+      return res.status(401).json({ error: 'INVALID_CREDENTIALS' });
     }
 
-    const db = getFirestore();
-    // Try exact match first
-    let snap = await db.collection(USERS_COLLECTION).where(STUDENT_ID_FIELD, '==', studentId).limit(1).get();
-    // Fallback: try normalized studentId without hyphens
-    if (snap.empty) {
-      const normalizedId = String(studentId).replace(/-/g, '');
-      snap = await db.collection(USERS_COLLECTION).where(STUDENT_ID_FIELD, '==', normalizedId).limit(1).get();
-    }
-    if (snap.empty) {
-      return res.status(200).json({ email: null });
-    }
-    const data = snap.docs[0].data();
-
-    // Account block enforcement (adviser/coordinator/admin)
-    // Support multiple possible schemas to avoid breaking older admin tools.
-    const accountAccess = (data && typeof data.accountAccess === 'object' && data.accountAccess) ? data.accountAccess : null;
-    const isBlocked =
-      (accountAccess && accountAccess.isBlocked === true) ||
-      data?.isBlocked === true ||
-      data?.is_blocked === true ||
-      data?.blocked === true ||
-      String(data?.accountStatus || '').toLowerCase() === 'blocked' ||
-      String(data?.status || '').toLowerCase() === 'blocked';
-
-    if (isBlocked) {
-      const reason =
-        (accountAccess && typeof accountAccess.blockedReason === 'string' && accountAccess.blockedReason.trim()) ? accountAccess.blockedReason.trim() :
-        (typeof data?.blockedReason === 'string' && data.blockedReason.trim()) ? data.blockedReason.trim() :
-        (typeof data?.blockReason === 'string' && data.blockReason.trim()) ? data.blockReason.trim() :
-        null;
-
-      const blockedBy =
-        (accountAccess && typeof accountAccess.blockedBy === 'string' && accountAccess.blockedBy.trim()) ? accountAccess.blockedBy.trim() :
-        (typeof data?.blockedBy === 'string' && data.blockedBy.trim()) ? data.blockedBy.trim() :
-        null;
-
-      // 403 so the client can treat it as a restricted login.
-      return res.status(403).json({ error: 'ACCOUNT_BLOCKED', reason, blockedBy });
-    }
-
-    const email = (data && typeof data.email === 'string') ? data.email : null;
-    return res.status(200).json({ email });
+    // Blocked in Firestore only (older blocks never disabled the Auth user).
+    const block = accountBlockInfo(userDoc.data());
+    if (block.blocked) {
+      await auditLogin(db, req, { ...audit, uid: check.uid, outcome: 'blocked', blockedBy: block.blockedBy });
+      return res.status(403).json({ error: 'ACCOUNT_BLOCKED', reason: block.reason, blockedBy: block.blockedBy });
+    }
+
+    await studentRef.set({ failures: 0, lockouts: 0, lockedUntil: null, updatedAt: nowMs }, { merge: true });
+    const token = await getAuth().createCustomToken(check.uid);
+    await auditLogin(db, req, { ...audit, uid: check.uid, outcome: 'success' });
+    return res.status(200).json({ token });
   } catch (err) {
-    console.error('lookupEmailByStudentId error:', err);
+    console.error('signInWithStudentId error:', err);
     return res.status(500).json({ error: 'Internal error' });
   }
 });
 
+// Replaced by signInWithStudentId: answering "which email belongs to this student ID" to
+// anyone made it an enumeration oracle. Older app builds get a clear error instead.
+exports.lookupEmailByStudentId = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Headers', 'Content-Type');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  await auditLogin(getFirestore(), req, { studentId: firstString((req.body || {}).studentId), outcome: 'legacy_lookup' });
+  return res.status(410).json({ error: 'UPDATE_REQUIRED' });
+});
+
+// Throttle docs are only useful inside their window or lockout; audit records are kept
+// for LOGIN_AUDIT_RETENTION_DAYS.
+exports.cleanupLoginRecords = onSchedule({
+  schedule: 'every day 03:30',
+  timeZone: 'Asia/Manila',
+}, async () => {
+  const db = getFirestore();
+  const nowMs = Date.now();
+  const throttleSnap = await db.collection(LOGIN_THROTTLE_COLLECTION)
+    .where('updatedAt', '<', nowMs - LOGIN_LOCKOUT_MAX_MS - LOGIN_WINDOW_MS)
+    .limit(500)
+    .get();
+  const auditSnap = await db.collection(LOGIN_AUDIT_COLLECTION)
+    .where('at', '<', new Date(nowMs - LOGIN_AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000))
+    .limit(500)
+    .get();
+  const writer = db.bulkWriter();
+  // Keep records of accounts still locked out.
+  throttleSnap.docs.filter((d) => !(Number(d.data().lockedUntil) > nowMs)).forEach((d) => writer.delete(d.ref));
+  auditSnap.docs.forEach((d) => writer.delete(d.ref));
+  await writer.close();
+  console.log(`cleanupLoginRecords: ${throttleSnap.size} throttle docs, ${auditSnap.size} audit records checked`);
+});
+
 // Admin-provisioned account creation (requires admin/super_admin auth; optional X-API-Key)
 exports.createUserAccount = onRequest(async (req, res) => {
   res.set('Access-Control-Allow-Origin', '*');
@@ -183,27 +727,32 @@ exports.createUserAccount = onRequest(async (req, res) => {
 
     const body = req.body || {};
     const { email, password, studentId, firstName, lastName, role } = body;
+    const adviserId = firstString(body.adviserId);
 
     if (!email || typeof email !== 'string') return res.status(400).json({ error: 'email is required' });
     if (!password || typeof password !== 'string') return res.status(400).json({ error: 'password is required' });
     if (!studentId || typeof studentId !== 'string') return res.status(400).json({ error: 'studentId is required' });
 
-    const allowedRoles = ['student', 'admin', 'super_admin'];
-    const useRole = allowedRoles.includes(role) ? role : 'student';
+    const useRole = USER_ROLES.includes(role) ? role : 'student';
+    if (adviserId && useRole !== 'student') return res.status(400).json({ error: 'adviserId only applies to students' });
+
+    const db = getFirestore();
+    if (adviserId) {
+      const adviserSnap = await db.collection(USERS_COLLECTION).doc(adviserId).get();
+      if (!adviserSnap.exists || !isStaffRole(adviserSnap.data().role)) return res.status(400).json({ error: 'INVALID_ADVISER' });
+    }
 
     const user = await adminAuth.createUser({ email, password, displayName: [firstName, lastName].filter(Boolean).join(' ') });
 
-    if (useRole === 'admin' || useRole === 'super_admin') {
-      await adminAuth.setCustomUserClaims(user.uid, { role: useRole });
-    }
+    await adminAuth.setCustomUserClaims(user.uid, { role: useRole });
 
-    const db = getFirestore();
     await db.collection('users').doc(user.uid).set({
       email,
       studentId,
       firstName: firstName || '',
       lastName: lastName || '',
       role: useRole,
+      ...(adviserId ? { adviserId } : {}),
       createdAt: FieldValue.serverTimestamp(),
       createdByUid: decoded.uid,
     }, { merge: true });
@@ -216,130 +765,3389 @@ exports.createUserAccount = onRequest(async (req, res) => {
   }
 });
 
-// Send a push notification to the caller's own device (any authenticated user).
-// HTTP endpoint: POST { title, body, data? }
-exports.sendPushToSelf = onRequest(async (req, res) => {
+// ---------------------------------------------------------------------------
+// Account lifecycle
+// ---------------------------------------------------------------------------
+// Blocking writes users/{uid}.accountAccess (the app signs a blocked user out and shows the
+// reason), disables the Auth user and revokes its refresh tokens. A forced password reset sets
+// a temporary password and stamps passwordResetRequiredAt, which sends the user through
+// ForceChangePasswordScreen at the next sign-in until confirmPasswordChange records the new
+// password. Deprovisioning archives a student's data to
+// Storage as JSON, then deletes their records, files and Auth user.
+const ARCHIVED_USERS_COLLECTION = 'archivedUsers';
+const MAX_BLOCK_REASON_LENGTH = 500;
+
+// Storage prefixes holding one user's files (see storage.rules).
+const userStoragePrefixes = (uid) => [
+  `users/${uid}/`,
+  `requirements/${uid}/`,
+  `avatars/${uid}/`,
+  `generatedDocuments/${uid}/`,
+  `previews/requirements/${uid}/`,
+  `exports/users/${uid}/`,
+];
+
+const displayNameOf = (data, fallback) =>
+  firstString(data && data.fullName, data && data.name, [data && data.firstName, data && data.lastName].filter(Boolean).join(' '), data && data.email) || fallback;
+
+// Loads the caller and target for an account action. Only admins may act, on anyone but
+// themselves. Returns { ok, db, callerUid, callerData, targetRef, targetData } or
+// { ok: false, status, error }.
+const loadAccountAction = async (req) => {
+  const caller = await verifyCaller(req);
+  if (!caller.ok) return caller;
+
+  const uid = firstString((req.body || {}).uid);
+  if (!uid) return { ok: false, status: 400, error: 'uid is required' };
+  if (uid === caller.decoded.uid) return { ok: false, status: 400, error: 'CANNOT_TARGET_SELF' };
+
+  const db = getFirestore();
+  const usersRef = db.collection(USERS_COLLECTION);
+  const [callerSnap, targetSnap] = await db.getAll(usersRef.doc(caller.decoded.uid), usersRef.doc(uid));
+  const callerData = callerSnap.exists ? callerSnap.data() : {};
+  if (!targetSnap.exists) return { ok: false, status: 404, error: 'NOT_FOUND' };
+  const targetData = targetSnap.data() || {};
+
+  if (!isAdminRole(callerData.role)) return { ok: false, status: 403, error: 'FORBIDDEN' };
+  // Only a super admin may act on another super admin.
+  if (targetData.role === 'super_admin' && callerData.role !== 'super_admin') return { ok: false, status: 403, error: 'FORBIDDEN' };
+
+  return { ok: true, db, callerUid: caller.decoded.uid, callerData, targetRef: targetSnap.ref, targetData };
+};
+
+const accountActionHeaders = (res) => {
   res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+};
 
+// HTTP endpoint: POST { uid, blocked: boolean, reason? } (admins). Returns { ok, uid, blocked }.
+exports.setAccountBlocked = onRequest(async (req, res) => {
+  accountActionHeaders(res);
   if (req.method === 'OPTIONS') return res.status(204).send('');
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  const verified = await verifyCaller(req);
-  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
-
-  const { uid } = verified.decoded;
-  const title = String((req.body && req.body.title) || 'InternQuest');
-  const body = String((req.body && req.body.body) || 'You have a new notification.');
-  const data = (req.body && req.body.data) || undefined;
+  const body = req.body || {};
+  if (typeof body.blocked !== 'boolean') return res.status(400).json({ error: 'blocked must be true or false' });
+  const reason = firstString(body.reason);
+  if (reason && reason.length > MAX_BLOCK_REASON_LENGTH) return res.status(400).json({ error: 'REASON_TOO_LONG' });
 
   try {
-    const db = getFirestore();
-    const snap = await db.collection('users').doc(uid).get();
-    const expoPushToken = snap.exists ? snap.data().expoPushToken : null;
-    if (!expoPushToken || typeof expoPushToken !== 'string') {
-      return res.status(400).json({ error: 'No expoPushToken saved for this user' });
+    const action = await loadAccountAction(req);
+    if (!action.ok) return res.status(action.status).json({ error: action.error });
+    const uid = action.targetRef.id;
+
+    const accountAccess = body.blocked
+      ? {
+        isBlocked: true,
+        blockedReason: reason,
+        blockedBy: displayNameOf(action.callerData, 'an administrator'),
+        blockedByUid: action.callerUid,
+        blockedAt: FieldValue.serverTimestamp(),
+      }
+      : {
+        isBlocked: false,
+        blockedReason: null,
+        blockedBy: null,
+        blockedByUid: null,
+        blockedAt: null,
+        unblockedByUid: action.callerUid,
+        unblockedAt: FieldValue.serverTimestamp(),
+      };
+    await action.targetRef.set({ accountAccess }, { merge: true });
+
+    const adminAuth = getAuth();
+    try {
+      await adminAuth.updateUser(uid, { disabled: body.blocked });
+      if (body.blocked) await adminAuth.revokeRefreshTokens(uid);
+    } catch (e) {
+      // Legacy profile docs are not keyed by an Auth uid; the Firestore block still applies.
+      if (!(e && e.code === 'auth/user-not-found')) throw e;
     }
 
-    const tickets = await sendExpoPush({ tokens: [expoPushToken], title, body, data });
-    return res.status(200).json({ ok: true, ticketsCount: tickets.length, tickets });
+    console.log(`setAccountBlocked: ${uid} ${body.blocked ? 'blocked' : 'unblocked'} by ${action.callerUid}`);
+    return res.status(200).json({ ok: true, uid, blocked: body.blocked });
   } catch (e) {
-    console.error('sendPushToSelf error:', e);
+    console.error('setAccountBlocked error:', e);
     return res.status(500).json({ error: 'Internal error' });
   }
 });
 
-// Send a push notification to any user (admin/super_admin only).
-// HTTP endpoint: POST { userId, title, body, data? }
-exports.sendPushToUser = onRequest(async (req, res) => {
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-
+// HTTP endpoint: POST { uid, temporaryPassword? } (admins). Sets a temporary password (one is
+// generated when omitted), signs the user out everywhere and requires a new password at the
+// next sign-in. Returns { ok, uid, temporaryPassword } for the admin to hand over.
+exports.forcePasswordReset = onRequest(async (req, res) => {
+  accountActionHeaders(res);
   if (req.method === 'OPTIONS') return res.status(204).send('');
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  const verified = await verifyCaller(req);
-  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+  const body = req.body || {};
+  const requested = typeof body.temporaryPassword === 'string' ? body.temporaryPassword : '';
+  if (requested && requested.length < 8) return res.status(400).json({ error: 'WEAK_PASSWORD' });
 
-  const callerRole = verified.decoded && verified.decoded.role;
-  if (!isAdminRole(callerRole)) {
-    return res.status(403).json({ error: 'Forbidden: admin role required' });
+  try {
+    const action = await loadAccountAction(req);
+    if (!action.ok) return res.status(action.status).json({ error: action.error });
+    const uid = action.targetRef.id;
+    const temporaryPassword = requested || crypto.randomBytes(9).toString('base64url');
+
+    const adminAuth = getAuth();
+    try {
+      await adminAuth.updateUser(uid, { password: temporaryPassword });
+    } catch (e) {
+      if (e && e.code === 'auth/user-not-found') return res.status(404).json({ error: 'NO_AUTH_USER' });
+      throw e;
+    }
+    await adminAuth.revokeRefreshTokens(uid);
+    await action.targetRef.set({
+      mustChangePassword: true,
+      passwordResetRequiredAt: FieldValue.serverTimestamp(),
+      passwordStatus: {
+        mustChangePassword: true,
+        resetByUid: action.callerUid,
+        resetAt: FieldValue.serverTimestamp(),
+      },
+    }, { merge: true });
+
+    console.log(`forcePasswordReset: ${uid} by ${action.callerUid}`);
+    return res.status(200).json({ ok: true, uid, temporaryPassword });
+  } catch (e) {
+    console.error('forcePasswordReset error:', e);
+    return res.status(500).json({ error: 'Internal error' });
   }
+});
 
-  const userId = String((req.body && req.body.userId) || '');
-  const title = String((req.body && req.body.title) || 'InternQuest');
-  const body = String((req.body && req.body.body) || 'You have a new notification.');
-  const data = (req.body && req.body.data) || undefined;
+// HTTP endpoint: POST {} (any signed-in user, after changing their own password). Stamps
+// passwordChangedAt, which ends a pending forced reset. Auth is the witness: a password change
+// revokes earlier sessions, so tokensValidAfterTime must be later than the reset.
+// Returns { ok }, or 409 PASSWORD_NOT_CHANGED.
+exports.confirmPasswordChange = onRequest(async (req, res) => {
+  accountActionHeaders(res);
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  if (!userId) return res.status(400).json({ error: 'userId is required' });
+  const caller = await verifyCaller(req);
+  if (!caller.ok) return res.status(caller.status).json({ error: caller.error });
+  const uid = caller.decoded.uid;
 
   try {
-    const db = getFirestore();
-    const snap = await db.collection('users').doc(userId).get();
-    if (!snap.exists) return res.status(404).json({ error: 'User not found' });
-    const expoPushToken = snap.data().expoPushToken;
-    if (!expoPushToken || typeof expoPushToken !== 'string') {
-      return res.status(400).json({ error: 'Target user has no expoPushToken saved' });
-    }
+    const userRef = getFirestore().collection(USERS_COLLECTION).doc(uid);
+    const [userSnap, userRecord] = await Promise.all([userRef.get(), getAuth().getUser(uid)]);
+    const resetAtMs = toMillis(userSnap.exists ? userSnap.data().passwordResetRequiredAt : null);
+    const validAfterMs = Date.parse(userRecord.tokensValidAfterTime || '') || 0;
+    if (resetAtMs && validAfterMs <= resetAtMs) return res.status(409).json({ error: 'PASSWORD_NOT_CHANGED' });
 
-    const tickets = await sendExpoPush({ tokens: [expoPushToken], title, body, data });
-    return res.status(200).json({ ok: true, ticketsCount: tickets.length, tickets });
+    await userRef.set({
+      mustChangePassword: false,
+      passwordChangedAt: FieldValue.serverTimestamp(),
+      passwordStatus: {
+        mustChangePassword: false,
+        changedAt: FieldValue.serverTimestamp(),
+      },
+    }, { merge: true });
+    return res.status(200).json({ ok: true });
   } catch (e) {
-    console.error('sendPushToUser error:', e);
+    console.error('confirmPasswordChange error:', e);
     return res.status(500).json({ error: 'Internal error' });
   }
 });
 
-// Auto-push when a notification document is created for a specific user.
-// This covers adviser/coordinator/admin messages that write into the `notifications` collection.
-// To opt-out per notification, set { sendPush: false } on the notification doc.
-exports.pushOnNotificationCreated = onDocumentCreated('notifications/{notificationId}', async (event) => {
-  try {
-    const snap = event.data;
-    if (!snap) return;
-    const notif = snap.data() || {};
-
-    if (notif.sendPush === false) return;
-
-    // Determine recipient userId.
-    // Supported schemas:
-    // - userId (common)
-    // - userid (legacy lowercase)
-    // - targetStudentId (your admin/web schema)
-    // - targetStudentIds[0] (array form)
-    const firstTargetId = Array.isArray(notif.targetStudentIds) && notif.targetStudentIds.length > 0
-      ? String(notif.targetStudentIds[0])
-      : null;
-    const recipientId =
-      (typeof notif.userId === 'string' && notif.userId) ? notif.userId :
-      (typeof notif.userid === 'string' && notif.userid) ? notif.userid :
-      (typeof notif.targetStudentId === 'string' && notif.targetStudentId) ? notif.targetStudentId :
-      (typeof firstTargetId === 'string' && firstTargetId) ? firstTargetId :
-      null;
-
-    // Broadcast notifications (targetType='all') are not auto-pushed to avoid spamming.
-    if (!recipientId) return;
-    if (String(notif.targetType || '').toLowerCase() === 'all') return;
+// Firestore values as plain JSON (timestamps as ISO strings, references as paths).
+const toArchiveValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (typeof value.path === 'string' && typeof value.listCollections === 'function') return value.path;
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  if (Array.isArray(value)) return value.map(toArchiveValue);
+  if (typeof value === 'object') {
+    const out = {};
+    Object.keys(value).forEach((key) => { out[key] = toArchiveValue(value[key]); });
+    return out;
+  }
+  return value;
+};
 
-    const title = String(notif.title || notif.subject || 'InternQuest');
-    const body = String(notif.description || notif.message || notif.body || 'You have a new notification.');
+// A document and, recursively, its subcollections.
+const archiveDocument = async (docSnap) => {
+  const entry = { id: docSnap.id, data: toArchiveValue(docSnap.data() || {}), subcollections: {} };
+  const collections = await docSnap.ref.listCollections();
+  for (const col of collections) {
+    // eslint-disable-next-line no-await-in-loop
+    const snap = await col.get();
+    // eslint-disable-next-line no-await-in-loop
+    entry.subcollections[col.id] = await Promise.all(snap.docs.map(archiveDocument));
+  }
+  return entry;
+};
 
-    const db = getFirestore();
-    const userSnap = await db.collection('users').doc(recipientId).get();
-    if (!userSnap.exists) return;
-    const expoPushToken = userSnap.data().expoPushToken;
-    if (!expoPushToken || typeof expoPushToken !== 'string') return;
+// A student's records outside their user doc: uploads (admin_files), applications,
+// notifications addressed to them alone (any of the single-recipient fields
+// resolveNotificationRecipients reads) and their requirement approvals. broadcasts are the
+// notifications that list them among other targetStudentIds; they are not the student's to delete.
+const loadUserRecords = async (db, uid) => {
+  const notifications = db.collection('notifications');
+  const [filesSnap, applicationsSnap, approvalsSnap, broadcastsSnap, ...notificationSnaps] = await Promise.all([
+    db.collection('admin_files').where('userId', '==', uid).get(),
+    db.collection('applications').where('userId', '==', uid).get(),
+    db.collection(REQUIREMENT_APPROVALS_COLLECTION).doc(uid).get(),
+    notifications.where('targetStudentIds', 'array-contains', uid).get(),
+    ...['userId', 'userid', 'targetStudentId'].map((field) => notifications.where(field, '==', uid).get()),
+  ]);
+  const addressed = new Map();
+  notificationSnaps.forEach((snap) => snap.docs.forEach((d) => addressed.set(d.id, d)));
+  return {
+    adminFiles: filesSnap.docs,
+    applications: applicationsSnap.docs,
+    notifications: [...addressed.values()],
+    broadcasts: broadcastsSnap.docs.filter((d) => !addressed.has(d.id)),
+    approvals: approvalsSnap.exists ? [approvalsSnap] : [],
+  };
+};
 
-    // Keep data small; include notification id for deep-linking later.
-    const data = {
-      notificationId: snap.id,
-      ...(notif.data && typeof notif.data === 'object' ? notif.data : {}),
+// Logs and bookkeeping that name a user: sign-in and file access audits, push tickets,
+// deferred pushes, document verifications (their summary carries the student's name) and
+// per-user docs keyed by uid. Sign-in attempts that never matched an account only carry the
+// student ID. Returns { docs } to delete and { clientErrors }, the shared error reports the
+// user is listed in.
+const loadUserTraces = async (db, uid, studentId) => {
+  const queries = [
+    db.collection(LOGIN_AUDIT_COLLECTION).where('uid', '==', uid),
+    db.collection(FILE_ACCESS_LOGS_COLLECTION).where('userId', '==', uid),
+    db.collection(FILE_ACCESS_LOGS_COLLECTION).where('ownerId', '==', uid),
+    db.collection(FILE_ACCESS_TICKETS_COLLECTION).where('userId', '==', uid),
+    db.collection(PUSH_TICKETS_COLLECTION).where('userId', '==', uid),
+    db.collection(DEFERRED_PUSHES_COLLECTION).where('userId', '==', uid),
+    db.collection(DOCUMENT_VERIFICATIONS_COLLECTION).where('userId', '==', uid),
+  ];
+  if (studentId) queries.push(db.collection(LOGIN_AUDIT_COLLECTION).where('studentId', '==', studentIdVariants(studentId).pop()));
+  const [clientErrorsSnap, ...snaps] = await Promise.all([
+    db.collection(CLIENT_ERRORS_COLLECTION).where('affectedUids', 'array-contains', uid).get(),
+    ...queries.map((q) => q.get()),
+  ]);
+  const docs = new Map();
+  snaps.forEach((snap) => snap.docs.forEach((d) => docs.set(d.ref.path, d.ref)));
+  [
+    db.collection(CLIENT_ERROR_THROTTLE_COLLECTION).doc(uid),
+    db.collection(DATA_EXPORTS_COLLECTION).doc(uid),
+  ].forEach((ref) => docs.set(ref.path, ref));
+  return { docs: [...docs.values()], clientErrors: clientErrorsSnap.docs };
+};
+
+// Deletes a student's records, files and Auth user. With archive set, their data is first
+// saved to Storage as JSON (nothing is deleted unless that succeeds). An approved placement
+// gives its MOA slot back, as withdrawApplication does. Logs that name the student are
+// deleted too; shared error reports and broadcasts only drop their uid. Returns { archivePath, documents,
+// storagePrefixes }.
+const deprovisionAccount = async (db, userRef, { actorUid, archive }) => {
+  const uid = userRef.id;
+  const userSnap = await userRef.get();
+  const [records, traces] = await Promise.all([
+    loadUserRecords(db, uid),
+    loadUserTraces(db, uid, userSnap.exists ? firstString(userSnap.data().studentId) : ''),
+  ]);
+  const topLevelDocs = [...records.adminFiles, ...records.applications, ...records.notifications, ...records.approvals];
+
+  let archivePath = null;
+  if (archive) {
+    const payload = {
+      uid,
+      deprovisionedByUid: actorUid,
+      createdAt: new Date().toISOString(),
+      user: await archiveDocument(userSnap),
+      records: topLevelDocs.map((d) => ({ path: d.ref.path, data: toArchiveValue(d.data() || {}) })),
     };
+    archivePath = `archives/users/${uid}/${Date.now()}.json`;
+    await getStorage().bucket().file(archivePath).save(JSON.stringify(payload), {
+      contentType: 'application/json',
+      resumable: false,
+      metadata: { metadata: { uid, deprovisionedByUid: actorUid } },
+    });
+  }
+
+  // The application is marked first, so a retry after a failure does not return the slot twice.
+  const placements = records.applications.filter((d) => {
+    const app = d.data() || {};
+    return app.status === 'approved' && app.moaSlotTaken === true && firstString(app.companyId);
+  });
+  for (const d of placements) {
+    // eslint-disable-next-line no-await-in-loop
+    await d.ref.update({ moaSlotTaken: false });
+    // eslint-disable-next-line no-await-in-loop
+    await releaseMoaSlot(d.data().companyId);
+  }
+
+  const bucket = getStorage().bucket();
+  const storagePrefixes = userStoragePrefixes(uid);
+  for (const prefix of storagePrefixes) {
+    // eslint-disable-next-line no-await-in-loop
+    await bucket.deleteFiles({ prefix, force: true });
+  }
+
+  // The user doc with all its subcollections, then the rest.
+  await db.recursiveDelete(userRef);
+  const writer = db.bulkWriter();
+  topLevelDocs.forEach((d) => writer.delete(d.ref));
+  traces.docs.forEach((ref) => writer.delete(ref));
+  records.broadcasts.forEach((d) => writer.update(d.ref, { targetStudentIds: FieldValue.arrayRemove(uid) }));
+  traces.clientErrors.forEach((d) => {
+    writer.update(d.ref, {
+      affectedUids: FieldValue.arrayRemove(uid),
+      ...(d.data().lastUid === uid ? { lastUid: null } : {}),
+    });
+  });
+  await writer.close();
 
-    await sendExpoPush({ tokens: [expoPushToken], title, body, data });
+  try {
+    await getAuth().deleteUser(uid);
   } catch (e) {
-    console.error('pushOnNotificationCreated error:', e);
+    if (!(e && e.code === 'auth/user-not-found')) throw e;
+  }
+  return { archivePath, documents: topLevelDocs.length + traces.docs.length + 1, storagePrefixes };
+};
+
+// HTTP endpoint: POST { uid, confirm } (admins), where confirm is the student's studentId
+// (or email when there is none). Only students can be deprovisioned.
+// Returns { ok, uid, archivePath, deleted: { documents, storagePrefixes } }.
+exports.deprovisionUser = onRequest({ timeoutSeconds: 540, memory: '1GiB' }, async (req, res) => {
+  accountActionHeaders(res);
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const action = await loadAccountAction(req);
+    if (!action.ok) return res.status(action.status).json({ error: action.error });
+    const { db, targetRef, targetData } = action;
+    const uid = targetRef.id;
+    if (isStaffRole(targetData.role)) return res.status(400).json({ error: 'NOT_A_STUDENT' });
+    const expected = firstString(targetData.studentId, targetData.email);
+    if (!expected || firstString((req.body || {}).confirm) !== expected) return res.status(400).json({ error: 'CONFIRMATION_MISMATCH' });
+
+    const result = await deprovisionAccount(db, targetRef, { actorUid: action.callerUid, archive: true });
+    await db.collection(ARCHIVED_USERS_COLLECTION).doc(uid).set({
+      studentId: firstString(targetData.studentId),
+      email: firstString(targetData.email),
+      name: displayNameOf(targetData, null),
+      archivePath: result.archivePath,
+      deprovisionedByUid: action.callerUid,
+      deprovisionedAt: FieldValue.serverTimestamp(),
+    });
+
+    console.log(`deprovisionUser: ${uid} archived to ${result.archivePath} by ${action.callerUid}`);
+    return res.status(200).json({
+      ok: true,
+      uid,
+      archivePath: result.archivePath,
+      deleted: { documents: result.documents, storagePrefixes: result.storagePrefixes },
+    });
+  } catch (e) {
+    console.error('deprovisionUser error:', e);
+    return res.status(500).json({ error: 'Internal error' });
   }
 });
+
+// ---------------------------------------------------------------------------
+// Personal data export and account deletion requests
+// ---------------------------------------------------------------------------
+// exportMyData zips everything the app keeps about the signed-in student (profile and its
+// subcollections such as ojtLogs, weeklyReports and requirements, applications, notifications,
+// upload records and the uploaded files themselves) into exports/users/{uid}/ in Storage and
+// returns a short-lived download link. accountDeletionRequest opens (or cancels) a deletion
+// request; admins can read the requests, and processAccountDeletions deletes the account
+// (without an archive) once the grace period is over.
+const DATA_EXPORTS_COLLECTION = 'dataExports';
+const DATA_EXPORT_COOLDOWN_MS = 15 * 60 * 1000;
+const DATA_EXPORT_URL_TTL_MS = 60 * 60 * 1000;
+const DATA_EXPORT_RETENTION_DAYS = 7;
+const ACCOUNT_DELETION_REQUESTS_COLLECTION = 'accountDeletionRequests';
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 14);
+const MAX_DELETION_REASON_LENGTH = 1000;
+
+const DATA_EXPORT_README = `InternQuest data export
+
+profile.json            your profile (users/{uid})
+<name>.json             records stored under your profile (ojtLogs, weeklyReports with their
+                        comments and versions, requirements, devices, ...)
+applications.json       your company applications
+notifications.json      notifications addressed to you, alone or with other students
+uploads.json            records of the requirement files you uploaded
+requirementApprovals.json
+files/                  the files you uploaded and documents generated for you
+`;
+
+const safeZipName = (name) => String(name || 'file').replace(/[^\w.\- ]+/g, '_');
+
+// Streams entries into a ZIP stored at `file`. addEntries(zip) appends the entries.
+const writeZip = (file, addEntries) => new Promise((resolve, reject) => {
+  const archiver = require('archiver');
+  const zip = archiver('zip', { zlib: { level: 6 } });
+  const out = file.createWriteStream({ resumable: false, contentType: 'application/zip' });
+  out.on('finish', resolve);
+  out.on('error', reject);
+  zip.on('error', reject);
+  zip.on('warning', (e) => console.warn('writeZip warning:', e));
+  zip.pipe(out);
+  addEntries(zip);
+  zip.finalize();
+});
+
+const signedExportUrl = async (storagePath) => {
+  const expiresAt = Date.now() + DATA_EXPORT_URL_TTL_MS;
+  const [url] = await getStorage().bucket().file(storagePath).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires: expiresAt,
+    responseDisposition: `attachment; filename="${path.basename(storagePath)}"`,
+  });
+  return { url, expiresAt: new Date(expiresAt).toISOString() };
+};
+
+// HTTP endpoint: POST {} (any signed-in user, for their own data).
+// Returns { ok, url, expiresAt, fileCount }; a repeat request within DATA_EXPORT_COOLDOWN_MS
+// gets a fresh link to the same archive.
+exports.exportMyData = onRequest({ timeoutSeconds: 540, memory: '1GiB' }, async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const caller = await verifyCaller(req);
+  if (!caller.ok) return res.status(caller.status).json({ error: caller.error });
+  const uid = caller.decoded.uid;
+
+  try {
+    const db = getFirestore();
+    const exportRef = db.collection(DATA_EXPORTS_COLLECTION).doc(uid);
+    const previous = await exportRef.get();
+    const prev = previous.exists ? previous.data() : null;
+    const prevAt = prev && prev.createdAt && prev.createdAt.toMillis ? prev.createdAt.toMillis() : 0;
+    if (prev && prev.path && Date.now() - prevAt < DATA_EXPORT_COOLDOWN_MS) {
+      return res.status(200).json({ ok: true, ...(await signedExportUrl(prev.path)), fileCount: prev.fileCount || 0, reused: true });
+    }
+
+    const userRef = db.collection(USERS_COLLECTION).doc(uid);
+    const [profile, records] = await Promise.all([userRef.get().then(archiveDocument), loadUserRecords(db, uid)]);
+    const bucket = getStorage().bucket();
+    const filePrefixes = userStoragePrefixes(uid).filter((prefix) => !prefix.startsWith('previews/') && !prefix.startsWith('exports/'));
+    const storageFiles = (await Promise.all(filePrefixes.map((prefix) => bucket.getFiles({ prefix }).then(([files]) => files)))).flat();
+
+    const inlineUploads = [];
+    const uploads = records.adminFiles.map((d) => {
+      const { contentBase64, ...data } = d.data() || {};
+      if (contentBase64) inlineUploads.push({ name: `files/admin_files/${d.id}_${safeZipName(data.name)}`, content: String(contentBase64) });
+      return { id: d.id, ...toArchiveValue(data) };
+    });
+    const asJson = (value) => JSON.stringify(value, null, 2);
+    const docsJson = (docs) => asJson(docs.map((d) => ({ id: d.id, ...toArchiveValue(d.data() || {}) })));
+
+    const exportPath = `exports/users/${uid}/internquest-data-${Date.now()}.zip`;
+    await writeZip(bucket.file(exportPath), (zip) => {
+      zip.append(DATA_EXPORT_README, { name: 'README.txt' });
+      zip.append(asJson({ id: profile.id, ...profile.data }), { name: 'profile.json' });
+      Object.entries(profile.subcollections).forEach(([name, docs]) => zip.append(asJson(docs), { name: `${safeZipName(name)}.json` }));
+      zip.append(docsJson(records.applications), { name: 'applications.json' });
+      zip.append(docsJson([...records.notifications, ...records.broadcasts]), { name: 'notifications.json' });
+      zip.append(asJson(uploads), { name: 'uploads.json' });
+      zip.append(docsJson(records.approvals), { name: 'requirementApprovals.json' });
+      inlineUploads.forEach((f) => zip.append(Buffer.from(f.content, 'base64'), { name: f.name }));
+      storageFiles.forEach((f) => zip.append(f.createReadStream(), { name: `files/${f.name}` }));
+    });
+
+    const fileCount = storageFiles.length + inlineUploads.length;
+    await exportRef.set({ path: exportPath, fileCount, createdAt: FieldValue.serverTimestamp() });
+    if (prev && prev.path) await bucket.file(prev.path).delete({ ignoreNotFound: true });
+
+    console.log(`exportMyData: ${uid} -> ${exportPath} (${fileCount} files)`);
+    return res.status(200).json({ ok: true, ...(await signedExportUrl(exportPath)), fileCount });
+  } catch (e) {
+    console.error('exportMyData error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+exports.cleanupDataExports = onSchedule({
+  schedule: 'every day 03:00',
+  timeZone: 'Asia/Manila',
+}, async () => {
+  const db = getFirestore();
+  const cutoff = new Date(Date.now() - DATA_EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const snap = await db.collection(DATA_EXPORTS_COLLECTION).where('createdAt', '<', cutoff).limit(200).get();
+  const bucket = getStorage().bucket();
+  for (const docSnap of snap.docs) {
+    const exportPath = firstString(docSnap.data().path);
+    // eslint-disable-next-line no-await-in-loop
+    if (exportPath) await bucket.file(exportPath).delete({ ignoreNotFound: true });
+    // eslint-disable-next-line no-await-in-loop
+    await docSnap.ref.delete();
+  }
+  console.log(`cleanupDataExports: removed ${snap.size} exports`);
+});
+
+// HTTP endpoint: POST { action: 'request', reason? } | { action: 'cancel' } (students, for
+// their own account). Returns { ok, status, scheduledFor }.
+exports.accountDeletionRequest = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const caller = await verifyCaller(req);
+  if (!caller.ok) return res.status(caller.status).json({ error: caller.error });
+  const uid = caller.decoded.uid;
+
+  const body = req.body || {};
+  const action = body.action;
+  if (action !== 'request' && action !== 'cancel') return res.status(400).json({ error: "action must be 'request' or 'cancel'" });
+  const reason = firstString(body.reason);
+  if (reason && reason.length > MAX_DELETION_REASON_LENGTH) return res.status(400).json({ error: 'REASON_TOO_LONG' });
+
+  try {
+    const db = getFirestore();
+    const requestRef = db.collection(ACCOUNT_DELETION_REQUESTS_COLLECTION).doc(uid);
+    const userSnap = await db.collection(USERS_COLLECTION).doc(uid).get();
+    const user = userSnap.exists ? userSnap.data() : {};
+    if (isStaffRole(user.role)) return res.status(400).json({ error: 'NOT_A_STUDENT' });
+
+    const result = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(requestRef);
+      const current = snap.exists ? snap.data() : null;
+      const pending = !!current && current.status === 'pending';
+
+      if (action === 'cancel') {
+        if (!pending) return { ok: false, status: 409, body: { error: 'NO_PENDING_REQUEST' } };
+        tx.update(requestRef, { status: 'cancelled', cancelledAt: FieldValue.serverTimestamp() });
+        return { ok: true, status: 'cancelled', scheduledFor: null };
+      }
+
+      if (pending) return { ok: true, status: 'pending', scheduledFor: current.scheduledFor.toDate() };
+      const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+      tx.set(requestRef, {
+        uid,
+        studentId: firstString(user.studentId),
+        email: firstString(user.email, caller.decoded.email),
+        name: displayNameOf(user, null),
+        adviserId: firstString(user.adviserId),
+        reason,
+        status: 'pending',
+        requestedAt: FieldValue.serverTimestamp(),
+        scheduledFor,
+        cancelledAt: null,
+      });
+      return { ok: true, status: 'pending', scheduledFor };
+    });
+
+    if (!result.ok) return res.status(result.status).json(result.body);
+    console.log(`accountDeletionRequest: ${uid} ${result.status}`);
+    return res.status(200).json({
+      ok: true,
+      status: result.status,
+      scheduledFor: result.scheduledFor ? result.scheduledFor.toISOString() : null,
+    });
+  } catch (e) {
+    console.error('accountDeletionRequest error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Carries out deletion requests whose grace period is over.
+exports.processAccountDeletions = onSchedule({
+  schedule: 'every day 02:00',
+  timeZone: 'Asia/Manila',
+  timeoutSeconds: 540,
+  memory: '1GiB',
+}, async () => {
+  const db = getFirestore();
+  const due = await db.collection(ACCOUNT_DELETION_REQUESTS_COLLECTION)
+    .where('status', '==', 'pending')
+    .where('scheduledFor', '<=', new Date())
+    .limit(20)
+    .get();
+
+  for (const requestSnap of due.docs) {
+    const uid = requestSnap.id;
+    try {
+      const userRef = db.collection(USERS_COLLECTION).doc(uid);
+      // eslint-disable-next-line no-await-in-loop
+      const userSnap = await userRef.get();
+      // Staff accounts are never deleted this way (their role may have changed since).
+      if (userSnap.exists && isStaffRole(userSnap.data().role)) {
+        // eslint-disable-next-line no-await-in-loop
+        await requestSnap.ref.update({ status: 'rejected', lastError: 'STAFF_ACCOUNT' });
+        continue;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const result = await deprovisionAccount(db, userRef, { actorUid: 'accountDeletionRequest', archive: false });
+      // Keep the request as the record that the deletion happened, without the personal details.
+      // eslint-disable-next-line no-await-in-loop
+      await requestSnap.ref.update({
+        status: 'completed',
+        completedAt: FieldValue.serverTimestamp(),
+        documentsDeleted: result.documents,
+        email: null,
+        name: null,
+        reason: null,
+        lastError: null,
+      });
+      console.log(`processAccountDeletions: deleted ${uid}`);
+    } catch (e) {
+      console.error(`processAccountDeletions: ${uid} failed:`, e);
+      // eslint-disable-next-line no-await-in-loop
+      await requestSnap.ref.update({ lastError: String((e && e.message) || e) }).catch(() => {});
+    }
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Role claims
+// ---------------------------------------------------------------------------
+// users/{uid}.role is the source of truth (set by createUserAccount, provisioning or an admin).
+// Security rules read the `role` custom claim instead, so this mirrors every role change into
+// the claim. ID tokens keep the old claim until they are refreshed, so the user doc also gets
+// roleClaimSyncedAt; the app refreshes its token when that is newer than the token.
+const roleOf = (data) => (data && USER_ROLES.includes(data.role) ? data.role : 'student');
+
+exports.syncRoleClaims = onDocumentWritten(`${USERS_COLLECTION}/{uid}`, async (event) => {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  const role = after ? roleOf(after) : null;
+  // Our own roleClaim write lands here again with nothing left to do.
+  if (after && before && roleOf(before) === role && after.roleClaim === role) return;
+
+  const { uid } = event.params;
+  const adminAuth = getAuth();
+  let userRecord;
+  try {
+    userRecord = await adminAuth.getUser(uid);
+  } catch (e) {
+    // Legacy profile docs are not keyed by an Auth uid.
+    if (e && e.code === 'auth/user-not-found') return;
+    throw e;
+  }
+
+  const claims = { ...(userRecord.customClaims || {}) };
+  if (role) claims.role = role;
+  else delete claims.role;
+  const changed = (userRecord.customClaims || {}).role !== claims.role;
+  if (changed) {
+    await adminAuth.setCustomUserClaims(uid, claims);
+    console.log(`syncRoleClaims: ${uid} role claim ${claims.role || '(removed)'}`);
+  }
+  if (after) {
+    await event.data.after.ref.set({
+      roleClaim: role,
+      ...(changed ? { roleClaimSyncedAt: FieldValue.serverTimestamp() } : {}),
+    }, { merge: true });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Adviser assignment
+// ---------------------------------------------------------------------------
+// A student's adviser is users/{uid}.adviserId. Records that advisers list with queries
+// (admin_files, weeklyReports) carry a copy of it, because security rules can only check
+// fields on the documents a query returns. assignAdviser keeps those copies in step.
+const MAX_ADVISER_ASSIGNMENTS = 200;
+
+// Copies the student's adviserId onto their admin_files and weekly reports.
+const restampAdviser = async (db, writer, studentId, adviserId) => {
+  const [filesSnap, reportsSnap] = await Promise.all([
+    db.collection('admin_files').where('userId', '==', studentId).get(),
+    db.collection(USERS_COLLECTION).doc(studentId).collection('weeklyReports').get(),
+  ]);
+  let changed = 0;
+  for (const docSnap of [...filesSnap.docs, ...reportsSnap.docs]) {
+    if ((docSnap.data().adviserId || null) === adviserId) continue;
+    writer.update(docSnap.ref, { adviserId });
+    changed++;
+  }
+  return changed;
+};
+
+// HTTP endpoint (admins and coordinators): POST { adviserId: string | null, studentIds: string[] }
+// adviserId null removes the assignment.
+exports.assignAdviser = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const caller = await verifyCaller(req);
+  if (!caller.ok) return res.status(caller.status).json({ error: caller.error });
+
+  const body = req.body || {};
+  const adviserId = firstString(body.adviserId);
+  const studentIds = Array.isArray(body.studentIds) ? [...new Set(body.studentIds.map((id) => firstString(id)).filter(Boolean))] : [];
+  if (!studentIds.length) return res.status(400).json({ error: 'studentIds is required' });
+  if (studentIds.length > MAX_ADVISER_ASSIGNMENTS) return res.status(400).json({ error: 'TOO_MANY_STUDENTS' });
+
+  try {
+    const db = getFirestore();
+    const usersRef = db.collection(USERS_COLLECTION);
+    const callerSnap = await usersRef.doc(caller.decoded.uid).get();
+    const callerRole = callerSnap.exists ? callerSnap.data().role : null;
+    if (!isAdminRole(callerRole) && callerRole !== 'coordinator') return res.status(403).json({ error: 'FORBIDDEN' });
+
+    if (adviserId) {
+      const adviserSnap = await usersRef.doc(adviserId).get();
+      if (!adviserSnap.exists || !isStaffRole(adviserSnap.data().role)) return res.status(400).json({ error: 'INVALID_ADVISER' });
+    }
+
+    const studentSnaps = await db.getAll(...studentIds.map((id) => usersRef.doc(id)));
+    const invalid = studentSnaps.filter((snap) => !snap.exists || isStaffRole(snap.data().role)).map((snap) => snap.id);
+    if (invalid.length) return res.status(400).json({ error: 'INVALID_STUDENTS', studentIds: invalid });
+
+    const writer = db.bulkWriter();
+    let restamped = 0;
+    for (const snap of studentSnaps) {
+      writer.set(snap.ref, {
+        adviserId: adviserId || null,
+        adviserAssignedBy: caller.decoded.uid,
+        adviserAssignedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      // eslint-disable-next-line no-await-in-loop
+      restamped += await restampAdviser(db, writer, snap.id, adviserId || null);
+    }
+    await writer.close();
+
+    return res.status(200).json({ ok: true, adviserId: adviserId || null, assigned: studentSnaps.length, restamped });
+  } catch (e) {
+    console.error('assignAdviser error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// New uploads get the student's current adviser (clients cannot write adviserId).
+exports.stampAdviserOnAdminFileCreated = onDocumentCreated('admin_files/{docId}', async (event) => {
+  const file = event.data ? event.data.data() : null;
+  const userId = file && firstString(file.userId);
+  if (!userId) return;
+  const userSnap = await getFirestore().collection(USERS_COLLECTION).doc(userId).get();
+  const adviserId = userSnap.exists ? firstString(userSnap.data().adviserId) : null;
+  if ((file.adviserId || null) === adviserId) return;
+  await event.data.ref.update({ adviserId });
+});
+
+// Send a push notification to all of the caller's devices (any authenticated user).
+// HTTP endpoint: POST { title, body, data? }
+exports.sendPushToSelf = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const verified = await verifyCaller(req);
+  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+
+  const { uid } = verified.decoded;
+  const title = String((req.body && req.body.title) || 'InternQuest');
+  const body = String((req.body && req.body.body) || 'You have a new notification.');
+  const data = (req.body && req.body.data) || undefined;
+
+  try {
+    const db = getFirestore();
+    const snap = await db.collection('users').doc(uid).get();
+    const tokenOwners = await getExpoPushTokenOwners(db, [{ id: uid, data: snap.exists ? snap.data() : null }]);
+    if (tokenOwners.size === 0) {
+      return res.status(400).json({ error: 'No registered push devices for this user' });
+    }
+
+    const tickets = await sendExpoPush({ tokens: Array.from(tokenOwners.keys()), title, body, data });
+    await recordPushTickets(db, tickets, { tokenOwners });
+    return res.status(200).json({ ok: true, devicesCount: tokenOwners.size, ticketsCount: tickets.length, tickets });
+  } catch (e) {
+    console.error('sendPushToSelf error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Send a push notification to all of a user's devices (admin/super_admin only).
+// Honors the user's notification preferences unless `critical` is true.
+// HTTP endpoint: POST { userId, title, body, data?, category?, critical? }
+exports.sendPushToUser = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const verified = await verifyCaller(req);
+  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+
+  const callerRole = verified.decoded && verified.decoded.role;
+  if (!isAdminRole(callerRole)) {
+    return res.status(403).json({ error: 'Forbidden: admin role required' });
+  }
+
+  const userId = String((req.body && req.body.userId) || '');
+  const title = String((req.body && req.body.title) || 'InternQuest');
+  const body = String((req.body && req.body.body) || 'You have a new notification.');
+  const data = (req.body && req.body.data) || undefined;
+  const critical = req.body && req.body.critical === true;
+  const category = getNotificationCategory({ category: req.body && req.body.category });
+
+  if (!userId) return res.status(400).json({ error: 'userId is required' });
+
+  try {
+    const db = getFirestore();
+    const snap = await db.collection('users').doc(userId).get();
+    if (!snap.exists) return res.status(404).json({ error: 'User not found' });
+
+    const decision = decidePushDelivery(readNotificationPreferences(snap.data()), { category, critical }, Date.now());
+    if (decision.action === 'mute') {
+      return res.status(200).json({ ok: true, skipped: 'category_disabled', category });
+    }
+    if (decision.action === 'defer') {
+      const batch = db.batch();
+      queueDeferredPush(batch, db, { userId, notificationId: null, title, body, data, category, decision });
+      await batch.commit();
+      return res.status(200).json({ ok: true, deferred: decision.reason, deliverAfter: new Date(decision.deliverAfterMs).toISOString() });
+    }
+    const tokenOwners = await getExpoPushTokenOwners(db, [{ id: userId, data: snap.data() }]);
+    if (tokenOwners.size === 0) {
+      return res.status(400).json({ error: 'Target user has no registered push devices' });
+    }
+
+    const tickets = await sendExpoPush({ tokens: Array.from(tokenOwners.keys()), title, body, data });
+    await recordPushTickets(db, tickets, { tokenOwners });
+    return res.status(200).json({ ok: true, devicesCount: tokenOwners.size, ticketsCount: tickets.length, tickets });
+  } catch (e) {
+    console.error('sendPushToUser error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Auto-push when a notification document is created.
+// This covers adviser/coordinator/admin messages that write into the `notifications` collection,
+// from single-recipient notices to broadcasts and segments (see resolveNotificationRecipients).
+// To opt-out per notification, set { sendPush: false } on the notification doc.
+// A delivery summary is written back to the doc as `pushDelivery`.
+exports.pushOnNotificationCreated = onDocumentCreated({
+  document: 'notifications/{notificationId}',
+  // Broadcasts to a whole cohort can take a while with chunk throttling.
+  timeoutSeconds: 300,
+  memory: '512MiB',
+}, async (event) => {
+  const snap = event.data;
+  if (!snap) return;
+  const notif = snap.data() || {};
+
+  if (notif.sendPush === false) return;
+
+  const writeSummary = async (summary) => {
+    try {
+      await snap.ref.set({
+        pushDelivery: { ...summary, completedAt: FieldValue.serverTimestamp() },
+      }, { merge: true });
+    } catch (e) {
+      console.error('pushOnNotificationCreated: failed to write delivery summary', e);
+    }
+  };
+
+  try {
+    const db = getFirestore();
+    const { mode, users } = await resolveNotificationRecipients(db, notif);
+
+    const title = String(notif.title || notif.subject || 'InternQuest');
+    const body = String(notif.description || notif.message || notif.body || 'You have a new notification.');
+
+    // Keep data small; include notification id for deep-linking later.
+    const data = {
+      notificationId: snap.id,
+      ...(notif.data && typeof notif.data === 'object' ? notif.data : {}),
+    };
+
+    // Apply each recipient's preferences before anything reaches Expo.
+    const category = getNotificationCategory(notif);
+    const critical = notif.critical === true;
+    const nowMs = Date.now();
+    const immediate = [];
+    let muted = 0;
+    let deferred = 0;
+    let deferBatch = db.batch();
+    for (const u of users) {
+      const decision = decidePushDelivery(readNotificationPreferences(u.data), { category, critical }, nowMs);
+      if (decision.action === 'send') {
+        immediate.push(u);
+      } else if (decision.action === 'mute') {
+        muted++;
+      } else {
+        queueDeferredPush(deferBatch, db, { userId: u.id, notificationId: snap.id, title, body, data, category, decision });
+        deferred++;
+        if (deferred % 400 === 0) {
+          // eslint-disable-next-line no-await-in-loop
+          await deferBatch.commit();
+          deferBatch = db.batch();
+        }
+      }
+    }
+    if (deferred % 400 !== 0) await deferBatch.commit();
+
+    const tokenOwners = await getExpoPushTokenOwners(db, immediate);
+    const tokens = Array.from(tokenOwners.keys());
+
+    if (tokens.length === 0) {
+      await writeSummary({ status: deferred > 0 ? 'deferred' : 'skipped', mode, category, recipients: users.length, muted, deferred, tokens: 0 });
+      return;
+    }
+
+    const tickets = await sendExpoPush({ tokens, title, body, data, chunkDelayMs: PUSH_CHUNK_DELAY_MS });
+    const ticketSummary = summarizeTickets(tickets);
+    await recordPushTickets(db, tickets, { tokenOwners, notificationId: snap.id });
+
+    await writeSummary({
+      status: ticketSummary.error === 0 ? 'sent' : (ticketSummary.ok > 0 ? 'partial' : 'failed'),
+      mode,
+      category,
+      recipients: users.length,
+      muted,
+      deferred,
+      tokens: tokens.length,
+      ticketsOk: ticketSummary.ok,
+      ticketsError: ticketSummary.error,
+      errors: ticketSummary.errors,
+    });
+  } catch (e) {
+    console.error('pushOnNotificationCreated error:', e);
+    await writeSummary({ status: 'failed', error: String((e && e.message) || e) });
+  }
+});
+
+// Student applies to a company. Enforces the one-placement lock server-side.
+// HTTP endpoint: POST { companyId }
+exports.applyToCompany = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const verified = await verifyCaller(req);
+  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+
+  const { uid } = verified.decoded;
+  const companyId = String((req.body && req.body.companyId) || '');
+  if (!companyId) return res.status(400).json({ error: 'companyId is required' });
+
+  try {
+    const db = getFirestore();
+    const companySnap = await db.collection('companies').doc(companyId).get();
+    if (!companySnap.exists) return res.status(404).json({ error: 'Company not found' });
+    const companyName = getCompanyName(companySnap.data());
+
+    // Early, non-binding check so students get a clear message; approval takes the slot atomically.
+    const slots = await readMoaSlots(companyId);
+    if (slots !== null && slots <= 0) {
+      return res.status(409).json({ error: 'NO_SLOTS_AVAILABLE' });
+    }
+
+    const applicationId = applicationDocId(uid, companyId);
+    const applicationRef = db.collection('applications').doc(applicationId);
+    const userRef = db.collection('users').doc(uid);
+
+    const result = await db.runTransaction(async (tx) => {
+      const activeSnap = await tx.get(
+        db.collection('applications')
+          .where('userId', '==', uid)
+          .where('status', 'in', ACTIVE_APPLICATION_STATUSES)
+      );
+      const active = activeSnap.docs.map((d) => d.data());
+      const elsewhere = active.find((a) => String(a.companyId || '') !== companyId);
+      if (elsewhere) {
+        return {
+          ok: false,
+          status: 409,
+          body: {
+            error: 'PLACEMENT_LOCKED',
+            companyId: String(elsewhere.companyId || ''),
+            companyName: getCompanyName(elsewhere),
+            applicationStatus: elsewhere.status,
+          },
+        };
+      }
+      if (active.length > 0) {
+        return { ok: false, status: 409, body: { error: 'ALREADY_APPLIED', applicationStatus: active[0].status } };
+      }
+
+      const userSnap = await tx.get(userRef);
+      const user = userSnap.exists ? userSnap.data() : {};
+      const userProfile = {
+        name: user.name || [user.firstName, user.lastName].filter(Boolean).join(' ') || 'Unknown',
+        email: user.email || verified.decoded.email || '',
+      };
+      if (user.course) userProfile.course = user.course;
+      if (Array.isArray(user.skills) && user.skills.length > 0) userProfile.skills = user.skills;
+
+      // set() without merge: a re-application replaces an old cancelled/rejected record.
+      tx.set(applicationRef, {
+        userId: uid,
+        companyId,
+        companyName,
+        status: 'pending',
+        appliedAt: FieldValue.serverTimestamp(),
+        userProfile,
+      });
+      tx.set(userRef, {
+        appliedCompanyId: companyId,
+        appliedCompanyName: companyName,
+        applicationUpdatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      tx.set(db.collection('notifications').doc(), buildApplicationNotification({
+        userId: uid,
+        title: 'Application submitted',
+        message: `Your application to ${companyName || 'the company'} was submitted and is awaiting review.`,
+        applicationId,
+        companyId,
+        status: 'pending',
+        sendPush: false,
+      }));
+      return { ok: true };
+    });
+
+    if (!result.ok) return res.status(result.status).json(result.body);
+    return res.status(200).json({ ok: true, applicationId, status: 'pending' });
+  } catch (e) {
+    console.error('applyToCompany error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Admin approves or denies a pending application (admin/super_admin only).
+// Approval takes one MOA slot atomically and marks the student as hired.
+// HTTP endpoint: POST { applicationId, decision: 'approve' | 'deny', note? }
+exports.decideApplication = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const verified = await verifyCaller(req);
+  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+
+  const callerRole = verified.decoded && verified.decoded.role;
+  if (!isAdminRole(callerRole)) {
+    return res.status(403).json({ error: 'Forbidden: admin role required' });
+  }
+
+  const applicationId = String((req.body && req.body.applicationId) || '');
+  const decision = String((req.body && req.body.decision) || '');
+  const note = typeof (req.body && req.body.note) === 'string' ? req.body.note.trim() : '';
+
+  if (!applicationId) return res.status(400).json({ error: 'applicationId is required' });
+  if (decision !== 'approve' && decision !== 'deny') {
+    return res.status(400).json({ error: "decision must be 'approve' or 'deny'" });
+  }
+
+  try {
+    const db = getFirestore();
+    const applicationRef = db.collection('applications').doc(applicationId);
+    const existing = await applicationRef.get();
+    if (!existing.exists) return res.status(404).json({ error: 'Application not found' });
+    const companyId = String(existing.data().companyId || '');
+    const userId = String(existing.data().userId || '');
+    if (!companyId || !userId) return res.status(400).json({ error: 'Application is missing userId/companyId' });
+
+    // Take the slot first; the Realtime Database cannot join a Firestore transaction,
+    // so a failed Firestore commit below gives the slot back.
+    let slot = { ok: true, tracked: false };
+    if (decision === 'approve') {
+      slot = await reserveMoaSlot(companyId);
+      if (!slot.ok) return res.status(409).json({ error: 'NO_SLOTS_AVAILABLE' });
+    }
+
+    let result;
+    try {
+      result = await db.runTransaction(async (tx) => {
+        const appSnap = await tx.get(applicationRef);
+        const app = appSnap.exists ? appSnap.data() : null;
+        if (!app) return { ok: false, status: 404, body: { error: 'Application not found' } };
+        if (app.status !== 'pending') {
+          return { ok: false, status: 409, body: { error: 'APPLICATION_NOT_PENDING', applicationStatus: app.status } };
+        }
+
+        const userRef = db.collection('users').doc(userId);
+        const companyName = getCompanyName(app);
+
+        if (decision === 'approve') {
+          const approvedSnap = await tx.get(
+            db.collection('applications').where('userId', '==', userId).where('status', '==', 'approved')
+          );
+          if (approvedSnap.docs.some((d) => d.id !== applicationId)) {
+            return { ok: false, status: 409, body: { error: 'PLACEMENT_LOCKED' } };
+          }
+
+          tx.update(applicationRef, {
+            status: 'approved',
+            reviewedAt: FieldValue.serverTimestamp(),
+            reviewedBy: verified.decoded.uid,
+            reviewNote: note || null,
+            moaSlotTaken: slot.tracked,
+          });
+          tx.set(userRef, {
+            status: 'hired',
+            company: companyName,
+            hiredCompanyId: companyId,
+            hiredAt: FieldValue.serverTimestamp(),
+            // once approved, clear applied fields to avoid confusion
+            appliedCompanyId: null,
+            appliedCompanyName: null,
+            applicationUpdatedAt: FieldValue.serverTimestamp(),
+          }, { merge: true });
+          tx.set(db.collection('notifications').doc(), buildApplicationNotification({
+            userId,
+            title: 'Application approved',
+            message: `Your application to ${companyName || 'the company'} was approved.${note ? ` Note: ${note}` : ''}`,
+            applicationId,
+            companyId,
+            status: 'approved',
+          }));
+          return { ok: true, status: 'approved' };
+        }
+
+        const userSnap = await tx.get(userRef);
+        tx.update(applicationRef, {
+          status: 'rejected',
+          reviewedAt: FieldValue.serverTimestamp(),
+          reviewedBy: verified.decoded.uid,
+          reviewNote: note || null,
+        });
+        if (userSnap.exists && userSnap.data().appliedCompanyId === companyId) {
+          tx.set(userRef, {
+            appliedCompanyId: null,
+            appliedCompanyName: null,
+            applicationUpdatedAt: FieldValue.serverTimestamp(),
+          }, { merge: true });
+        }
+        tx.set(db.collection('notifications').doc(), buildApplicationNotification({
+          userId,
+          title: 'Application not approved',
+          message: `Your application to ${companyName || 'the company'} was not approved.${note ? ` Note: ${note}` : ''}`,
+          applicationId,
+          companyId,
+          status: 'rejected',
+        }));
+        return { ok: true, status: 'rejected' };
+      });
+    } catch (txErr) {
+      if (slot.tracked) await releaseMoaSlot(companyId);
+      throw txErr;
+    }
+
+    if (!result.ok) {
+      if (slot.tracked) await releaseMoaSlot(companyId);
+      return res.status(result.status).json(result.body);
+    }
+    return res.status(200).json({ ok: true, applicationId, status: result.status });
+  } catch (e) {
+    console.error('decideApplication error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Student withdraws their pending or approved application. Withdrawing an approved
+// placement returns its MOA slot.
+// HTTP endpoint: POST { companyId }
+exports.withdrawApplication = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const verified = await verifyCaller(req);
+  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+
+  const { uid } = verified.decoded;
+  const companyId = String((req.body && req.body.companyId) || '');
+  if (!companyId) return res.status(400).json({ error: 'companyId is required' });
+
+  try {
+    const db = getFirestore();
+    const applicationId = applicationDocId(uid, companyId);
+    const applicationRef = db.collection('applications').doc(applicationId);
+    const userRef = db.collection('users').doc(uid);
+
+    const result = await db.runTransaction(async (tx) => {
+      const appSnap = await tx.get(applicationRef);
+      const userSnap = await tx.get(userRef);
+      const app = appSnap.exists ? appSnap.data() : null;
+      const user = userSnap.exists ? userSnap.data() : {};
+
+      // No active application: still clear a stale appliedCompanyId so the profile stops showing it.
+      if (!app || !ACTIVE_APPLICATION_STATUSES.includes(app.status)) {
+        if (user.appliedCompanyId === companyId) {
+          tx.set(userRef, {
+            appliedCompanyId: null,
+            appliedCompanyName: null,
+            applicationRemovedAt: FieldValue.serverTimestamp(),
+          }, { merge: true });
+        }
+        return { ok: true, previousStatus: app ? app.status : null, releaseSlot: false };
+      }
+
+      tx.update(applicationRef, {
+        status: 'cancelled',
+        cancelledAt: FieldValue.serverTimestamp(),
+      });
+
+      const userUpdates = {
+        appliedCompanyId: null,
+        appliedCompanyName: null,
+        applicationRemovedAt: FieldValue.serverTimestamp(),
+      };
+      if (app.status === 'approved' && user.hiredCompanyId === companyId) {
+        userUpdates.status = 'searching';
+        userUpdates.company = null;
+        userUpdates.hiredCompanyId = null;
+      }
+      tx.set(userRef, userUpdates, { merge: true });
+
+      const companyName = getCompanyName(app);
+      tx.set(db.collection('notifications').doc(), buildApplicationNotification({
+        userId: uid,
+        title: 'Application withdrawn',
+        message: `You withdrew your application to ${companyName || 'the company'}.`,
+        applicationId,
+        companyId,
+        status: 'cancelled',
+        sendPush: false,
+      }));
+
+      return { ok: true, previousStatus: app.status, releaseSlot: app.status === 'approved' && app.moaSlotTaken === true };
+    });
+
+    if (result.releaseSlot) await releaseMoaSlot(companyId);
+    return res.status(200).json({ ok: true, applicationId, status: 'cancelled', previousStatus: result.previousStatus });
+  } catch (e) {
+    console.error('withdrawApplication error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Check Expo push receipts for stored tickets. Receipts are ready ~15 minutes after sending and
+// are kept by Expo for 24 hours, so this runs every 30 minutes and expires anything older.
+// Dead tokens (DeviceNotRegistered) are cleared from user docs; per-notification results are
+// added to `pushDelivery.receipts` on the originating notification.
+// Set EXPO_BASE_URL to point the SDK at a local stub (see tools/emulators/expo_push_stub.js).
+const RECEIPT_MIN_AGE_MS = 15 * 60 * 1000;
+const RECEIPT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+exports.processPushReceipts = onSchedule({
+  schedule: 'every 30 minutes',
+  timeZone: 'Asia/Manila',
+  timeoutSeconds: 300,
+}, async () => {
+  const db = getFirestore();
+  const expo = new Expo();
+  const now = Date.now();
+
+  const snap = await db.collection(PUSH_TICKETS_COLLECTION)
+    .where('status', '==', 'pending')
+    .where('createdAt', '<=', new Date(now - RECEIPT_MIN_AGE_MS))
+    .orderBy('createdAt')
+    .limit(1000)
+    .get();
+  if (snap.empty) return;
+
+  const ticketsById = new Map(snap.docs.map((d) => [d.id, d]));
+  const stats = { receiptsOk: 0, receiptsError: 0, expired: 0, tokensCleared: 0, errors: {} };
+  const perNotification = new Map();
+  const bump = (notificationId, field, code) => {
+    if (!notificationId) return;
+    const entry = perNotification.get(notificationId) || { delivered: 0, failed: 0, errors: {} };
+    entry[field]++;
+    if (code) entry.errors[code] = (entry.errors[code] || 0) + 1;
+    perNotification.set(notificationId, entry);
+  };
+
+  for (const chunk of expo.chunkPushNotificationReceiptIds(Array.from(ticketsById.keys()))) {
+    let receipts;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      receipts = await expo.getPushNotificationReceiptsAsync(chunk);
+    } catch (e) {
+      // Leave these tickets pending; the next run retries them.
+      console.error('processPushReceipts: getReceipts failed', e);
+      continue;
+    }
+
+    const batch = db.batch();
+    for (const ticketId of chunk) {
+      const ticketDoc = ticketsById.get(ticketId);
+      const ticket = ticketDoc.data();
+      const receipt = receipts[ticketId];
+
+      if (!receipt) {
+        const createdAtMs = ticket.createdAt && ticket.createdAt.toMillis ? ticket.createdAt.toMillis() : now;
+        if (now - createdAtMs > RECEIPT_MAX_AGE_MS) {
+          stats.expired++;
+          batch.update(ticketDoc.ref, { status: 'expired', checkedAt: FieldValue.serverTimestamp() });
+        }
+        continue;
+      }
+
+      if (receipt.status === 'ok') {
+        stats.receiptsOk++;
+        bump(ticket.notificationId, 'delivered');
+        // Nothing left to learn from a delivered ticket.
+        batch.delete(ticketDoc.ref);
+        continue;
+      }
+
+      const code = (receipt.details && receipt.details.error) || 'Unknown';
+      stats.receiptsError++;
+      stats.errors[code] = (stats.errors[code] || 0) + 1;
+      bump(ticket.notificationId, 'failed', code);
+      batch.update(ticketDoc.ref, {
+        status: 'error',
+        error: code,
+        message: receipt.message || null,
+        checkedAt: FieldValue.serverTimestamp(),
+      });
+
+      if (code === 'DeviceNotRegistered') {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          if (await clearDeadExpoPushToken(db, ticket, ticket.token)) stats.tokensCleared++;
+        } catch (e) {
+          console.error('processPushReceipts: failed to clear token for', ticket.userId, e);
+        }
+      }
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await batch.commit();
+  }
+
+  for (const [notificationId, entry] of perNotification) {
+    const receiptsUpdate = {
+      delivered: FieldValue.increment(entry.delivered),
+      failed: FieldValue.increment(entry.failed),
+      checkedAt: FieldValue.serverTimestamp(),
+    };
+    if (Object.keys(entry.errors).length > 0) {
+      receiptsUpdate.errors = {};
+      for (const [code, n] of Object.entries(entry.errors)) receiptsUpdate.errors[code] = FieldValue.increment(n);
+    }
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await db.collection('notifications').doc(notificationId).set({
+        pushDelivery: { receipts: receiptsUpdate },
+      }, { merge: true });
+    } catch (e) {
+      // The notification may have been deleted by an admin in the meantime.
+      console.warn('processPushReceipts: could not update notification', notificationId, e);
+    }
+  }
+
+  const statsUpdate = {
+    date: todayKey(),
+    receiptsOk: FieldValue.increment(stats.receiptsOk),
+    receiptsError: FieldValue.increment(stats.receiptsError),
+    expired: FieldValue.increment(stats.expired),
+    tokensCleared: FieldValue.increment(stats.tokensCleared),
+    lastRunAt: FieldValue.serverTimestamp(),
+  };
+  if (Object.keys(stats.errors).length > 0) {
+    statsUpdate.errors = {};
+    for (const [code, n] of Object.entries(stats.errors)) statsUpdate.errors[code] = FieldValue.increment(n);
+  }
+  await db.collection(PUSH_STATS_COLLECTION).doc(todayKey()).set(statsUpdate, { merge: true });
+  console.log('processPushReceipts:', JSON.stringify(stats));
+});
+
+// Push delivery failure counts for the admin dashboard (admin/super_admin only).
+// HTTP endpoint: GET ?days=7 -> { days: [{ date, receiptsOk, receiptsError, errors, ... }], totals }
+exports.getPushDeliveryStats = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const verified = await verifyCaller(req);
+  if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+
+  const callerRole = verified.decoded && verified.decoded.role;
+  if (!isAdminRole(callerRole)) {
+    return res.status(403).json({ error: 'Forbidden: admin role required' });
+  }
+
+  const days = Math.min(Math.max(Number(req.query.days) || 7, 1), 90);
+
+  try {
+    const db = getFirestore();
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const snap = await db.collection(PUSH_STATS_COLLECTION).where('date', '>=', since).orderBy('date', 'desc').get();
+
+    const totals = { receiptsOk: 0, receiptsError: 0, expired: 0, tokensCleared: 0, errors: {} };
+    const rows = snap.docs.map((d) => {
+      const data = d.data();
+      const row = {
+        date: data.date || d.id,
+        receiptsOk: data.receiptsOk || 0,
+        receiptsError: data.receiptsError || 0,
+        expired: data.expired || 0,
+        tokensCleared: data.tokensCleared || 0,
+        errors: data.errors || {},
+      };
+      totals.receiptsOk += row.receiptsOk;
+      totals.receiptsError += row.receiptsError;
+      totals.expired += row.expired;
+      totals.tokensCleared += row.tokensCleared;
+      for (const [code, n] of Object.entries(row.errors)) totals.errors[code] = (totals.errors[code] || 0) + n;
+      return row;
+    });
+
+    const pendingSnap = await db.collection(PUSH_TICKETS_COLLECTION).where('status', '==', 'pending').count().get();
+
+    return res.status(200).json({ days: rows, totals, pendingTickets: pendingSnap.data().count });
+  } catch (e) {
+    console.error('getPushDeliveryStats error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Deliver pushes held back by quiet hours or digest mode once they are due.
+// Several due pushes for one user are merged into a single digest message.
+exports.flushDeferredPushes = onSchedule({
+  schedule: 'every 15 minutes',
+  timeZone: 'Asia/Manila',
+  timeoutSeconds: 300,
+}, async () => {
+  const db = getFirestore();
+  const nowMs = Date.now();
+
+  const snap = await db.collection(DEFERRED_PUSHES_COLLECTION)
+    .where('deliverAfter', '<=', new Date(nowMs))
+    .orderBy('deliverAfter')
+    .limit(1000)
+    .get();
+  if (snap.empty) return;
+
+  const byUser = new Map();
+  for (const d of snap.docs) {
+    const userId = d.data().userId;
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(d);
+  }
+
+  const users = await getUsersByIds(db, Array.from(byUser.keys()));
+  const usersById = new Map(users.map((u) => [u.id, u]));
+  let sent = 0;
+
+  for (const [userId, docs] of byUser) {
+    const user = usersById.get(userId);
+    const prefs = readNotificationPreferences(user && user.data);
+    // Quiet hours may have been switched on after the push was queued; keep waiting.
+    if (user && isWithinQuietHours(prefs.quietHours, nowMs)) continue;
+
+    try {
+      if (user) {
+        // eslint-disable-next-line no-await-in-loop
+        const tokenOwners = await getExpoPushTokenOwners(db, [user]);
+        if (tokenOwners.size > 0) {
+          const items = docs.map((d) => d.data());
+          const message = items.length === 1
+            ? { title: items[0].title, body: items[0].body, data: items[0].data || undefined }
+            : {
+              title: 'InternQuest',
+              body: `You have ${items.length} new notifications.`,
+              data: { notificationIds: items.map((i) => i.notificationId).filter(Boolean), digest: true },
+            };
+          // eslint-disable-next-line no-await-in-loop
+          const tickets = await sendExpoPush({ tokens: Array.from(tokenOwners.keys()), ...message });
+          // eslint-disable-next-line no-await-in-loop
+          await recordPushTickets(db, tickets, { tokenOwners, notificationId: items.length === 1 ? items[0].notificationId : null });
+          sent++;
+        }
+      }
+
+      const batch = db.batch();
+      docs.forEach((d) => batch.delete(d.ref));
+      // eslint-disable-next-line no-await-in-loop
+      await batch.commit();
+    } catch (e) {
+      // Leave the docs in place so the next run retries.
+      console.error('flushDeferredPushes: failed for user', userId, e);
+    }
+  }
+
+  console.log(`flushDeferredPushes: ${snap.size} queued, ${sent} users notified`);
+});
+
+// ---------------------------------------------------------------------------
+// Deadline reminders
+// ---------------------------------------------------------------------------
+// A daily job that writes reminder docs into `notifications`, so the usual push trigger
+// (and the student's notification preferences) apply. Reminder doc ids are derived from
+// the student, the kind and the period, and are written with create(): a reminder that
+// already exists is skipped, so each one is sent at most once. The reminders themselves are
+// worked out in deadlineReminders.js.
+exports.sendDeadlineReminders = onSchedule({
+  schedule: '0 8 * * *',
+  timeZone: 'Asia/Manila',
+  timeoutSeconds: 540,
+  memory: '512MiB',
+}, async () => {
+  const db = getFirestore();
+  const nowMs = Date.now();
+  const users = await getUsersByQuery(db, db.collection(USERS_COLLECTION));
+  let created = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    if (isStaffRole(user.data.role)) continue;
+    try {
+      const userRef = db.collection(USERS_COLLECTION).doc(user.id);
+      const placed = user.data.status === 'hired';
+      const hasDueDates = (Array.isArray(user.data.requirements) ? user.data.requirements : []).some((r) => r && r.dueDate);
+      // eslint-disable-next-line no-await-in-loop
+      const [approvalsSnap, reportsSnap, logsSnap] = await Promise.all([
+        hasDueDates ? db.collection(REQUIREMENT_APPROVALS_COLLECTION).doc(user.id).get() : null,
+        placed ? userRef.collection('weeklyReports').get() : null,
+        placed && !user.data.ojtLedger ? userRef.collection('ojtLogs').get() : null,
+      ]);
+      const reminders = buildDeadlineReminders({
+        userData: user.data,
+        approvals: approvalsSnap && approvalsSnap.exists ? approvalsSnap.data() : {},
+        reports: reportsSnap ? reportsSnap.docs.map((d) => d.data()) : [],
+        ojtLogs: logsSnap ? logsSnap.docs.map((d) => d.data()) : [],
+      }, nowMs);
+
+      for (const r of reminders) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await db.collection('notifications').doc(`reminder_${user.id}_${r.key}`).create({
+            userId: user.id,
+            title: r.title,
+            message: r.message,
+            timestamp: FieldValue.serverTimestamp(),
+            type: r.type,
+            category: r.category,
+            data: r.data,
+            sendPush: true,
+          });
+          created++;
+        } catch (e) {
+          // ALREADY_EXISTS: this reminder was sent on an earlier run.
+          if (e && e.code !== 6) throw e;
+        }
+      }
+    } catch (e) {
+      failed++;
+      console.error('sendDeadlineReminders: failed for user', user.id, e);
+    }
+  }
+
+  console.log(`sendDeadlineReminders: ${users.length} users scanned, ${created} reminders created, ${failed} failed`);
+});
+
+// ---------------------------------------------------------------------------
+// OJT clock-in / clock-out
+// ---------------------------------------------------------------------------
+// Live clock logs are written only by this function: times come from the server and the
+// device location is checked against the hired company's coordinates. Each ojtLogs doc
+// carries a top-level verificationStatus advisers can filter on:
+// - 'verified': clocked in and out within the company geofence
+// - 'out_of_radius': at least one punch was outside the geofence
+// - 'unverified': no usable location (company has no coordinates, or device sent none)
+// - 'manual': typed in by the student (set by the app; see firestore.rules)
+const GEOFENCE_RADIUS_METERS = Number(process.env.GEOFENCE_RADIUS_METERS || 150);
+// GPS accuracy counted in the student's favour, capped so a vague fix cannot pass.
+const GEOFENCE_MAX_ACCURACY_CREDIT_METERS = 100;
+const MAX_CLOCK_SESSION_MS = 16 * 60 * 60 * 1000;
+
+const distanceMeters = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
+
+const readCoordinates = (src) => {
+  const latitude = Number(src && src.latitude);
+  const longitude = Number(src && src.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  // Companies without a pin are stored as 0,0 by the admin tools.
+  if (latitude === 0 && longitude === 0) return null;
+  return { latitude, longitude };
+};
+
+// -> { location, check: { status: 'inside'|'outside'|'unknown', distanceMeters?, flag? } }
+const checkGeofence = (company, body) => {
+  const device = readCoordinates(body);
+  const accuracy = Number(body && body.accuracy);
+  const location = device
+    ? { ...device, accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null }
+    : null;
+  const site = readCoordinates(company);
+  if (!device) return { location, check: { status: 'unknown', flag: 'location_unavailable' } };
+  if (!site) return { location, check: { status: 'unknown', flag: 'no_company_location' } };
+
+  const radius = Number(company.geofenceRadiusMeters) > 0 ? Number(company.geofenceRadiusMeters) : GEOFENCE_RADIUS_METERS;
+  const distance = Math.round(distanceMeters(device, site));
+  const credit = Math.min(location.accuracy || 0, GEOFENCE_MAX_ACCURACY_CREDIT_METERS);
+  return {
+    location,
+    check: distance - credit <= radius
+      ? { status: 'inside', distanceMeters: distance, radiusMeters: radius }
+      : { status: 'outside', distanceMeters: distance, radiusMeters: radius },
+  };
+};
+
+const combineVerification = (checks) => {
+  if (checks.some((c) => c.status === 'outside')) return 'out_of_radius';
+  if (checks.some((c) => c.status === 'unknown')) return 'unverified';
+  return 'verified';
+};
+
+// Date/time strings in the same format as manually entered logs ('YYYY/MM/DD', 'h:mm AM').
+const manilaLogParts = (ms) => {
+  const local = new Date(ms + MANILA_UTC_OFFSET_MS);
+  const pad = (n) => String(n).padStart(2, '0');
+  const h24 = local.getUTCHours();
+  const h12 = h24 % 12 === 0 ? 12 : h24 % 12;
+  return {
+    date: `${local.getUTCFullYear()}/${pad(local.getUTCMonth() + 1)}/${pad(local.getUTCDate())}`,
+    time: `${h12}:${pad(local.getUTCMinutes())} ${h24 < 12 ? 'AM' : 'PM'}`,
+    hourOfDay: h24 + local.getUTCMinutes() / 60,
+  };
+};
+
+// Mirrors OJTTrackerScreen.calculateHours: the 12:00-13:00 lunch hour is deducted when covered.
+const computeClockHours = (inMs, outMs) => {
+  let hours = (outMs - inMs) / (60 * 60 * 1000);
+  const start = manilaLogParts(inMs);
+  const end = manilaLogParts(outMs);
+  if (start.date === end.date && start.hourOfDay <= 12 && end.hourOfDay >= 13) hours -= 1;
+  return Math.max(0, Math.round(hours * 100) / 100);
+};
+
+const resolveHiredCompany = async (db, userData) => {
+  if (userData.hiredCompanyId) {
+    const snap = await db.collection('companies').doc(String(userData.hiredCompanyId)).get();
+    if (snap.exists) return { id: snap.id, data: snap.data() };
+  }
+  // Placements made before hiredCompanyId existed only stored the company name.
+  if (userData.company) {
+    const snap = await db.collection('companies').where('companyName', '==', String(userData.company)).limit(1).get();
+    if (!snap.empty) return { id: snap.docs[0].id, data: snap.docs[0].data() };
+  }
+  return null;
+};
+
+// POST { action: 'in' | 'out', latitude?, longitude?, accuracy? }
+exports.clockOjt = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const caller = await verifyCaller(req);
+  if (!caller.ok) return res.status(caller.status).json({ error: caller.error });
+
+  const uid = caller.decoded.uid;
+  const body = req.body || {};
+  const action = body.action;
+  if (action !== 'in' && action !== 'out') return res.status(400).json({ error: 'INVALID_ACTION' });
+
+  try {
+    const db = getFirestore();
+    const userRef = db.collection(USERS_COLLECTION).doc(uid);
+    const userSnap = await userRef.get();
+    if (!userSnap.exists) return res.status(404).json({ error: 'USER_NOT_FOUND' });
+    const userData = userSnap.data() || {};
+    if (userData.status !== 'hired') return res.status(409).json({ error: 'NOT_PLACED' });
+
+    const company = await resolveHiredCompany(db, userData);
+    const { location, check } = checkGeofence(company ? company.data : null, body);
+    const nowMs = Date.now();
+    const parts = manilaLogParts(nowMs);
+
+    const result = await db.runTransaction(async (tx) => {
+      const fresh = await tx.get(userRef);
+      const activeLogId = (fresh.data() || {}).ojtActiveClockLogId || null;
+      const activeRef = activeLogId ? userRef.collection('ojtLogs').doc(activeLogId) : null;
+      const activeSnap = activeRef ? await tx.get(activeRef) : null;
+      const active = activeSnap && activeSnap.exists ? activeSnap.data() : null;
+
+      if (action === 'in') {
+        if (active && active.source === 'clock' && !active.clockOutAt) return { ok: false, status: 409, body: { error: 'ALREADY_CLOCKED_IN', logId: activeLogId } };
+        // Same id scheme as manual logs: `${date}_${clockIn}` without punctuation.
+        const logId = `${parts.date}_${parts.time}`.replace(/\W/g, '');
+        const logRef = userRef.collection('ojtLogs').doc(logId);
+        const existing = await tx.get(logRef);
+        if (existing.exists) return { ok: false, status: 409, body: { error: 'LOG_EXISTS', logId } };
+
+        const flags = check.flag ? [check.flag] : (check.status === 'outside' ? ['clock_in_out_of_radius'] : []);
+        tx.set(logRef, {
+          date: parts.date,
+          clockIn: parts.time,
+          clockOut: '',
+          hours: '',
+          source: 'clock',
+          clockInAt: new Date(nowMs),
+          clockOutAt: null,
+          clockInLocation: location,
+          clockInGeofence: check,
+          companyId: company ? company.id : null,
+          verificationStatus: combineVerification([check]),
+          verificationFlags: flags,
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+        tx.set(userRef, { ojtActiveClockLogId: logId }, { merge: true });
+        return { ok: true, body: { logId, action, date: parts.date, clockIn: parts.time, geofence: check } };
+      }
+
+      if (!active || active.source !== 'clock' || active.clockOutAt || !active.clockInAt) return { ok: false, status: 409, body: { error: 'NOT_CLOCKED_IN' } };
+      const inMs = active.clockInAt.toMillis();
+      const flags = [...(active.verificationFlags || [])];
+      if (check.flag && !flags.includes(check.flag)) flags.push(check.flag);
+      if (check.status === 'outside') flags.push('clock_out_out_of_radius');
+      if (nowMs - inMs > MAX_CLOCK_SESSION_MS) flags.push('session_too_long');
+      const hours = computeClockHours(inMs, nowMs);
+
+      tx.update(activeRef, {
+        clockOut: parts.time,
+        hours: String(hours),
+        clockOutAt: new Date(nowMs),
+        clockOutLocation: location,
+        clockOutGeofence: check,
+        verificationStatus: flags.includes('session_too_long')
+          ? 'unverified'
+          : combineVerification([active.clockInGeofence || { status: 'unknown' }, check]),
+        verificationFlags: flags,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      tx.set(userRef, { ojtActiveClockLogId: null }, { merge: true });
+      return { ok: true, body: { logId: activeLogId, action, clockOut: parts.time, hours, geofence: check } };
+    });
+
+    if (!result.ok) return res.status(result.status).json(result.body);
+    return res.status(200).json(result.body);
+  } catch (e) {
+    console.error('clockOjt error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// OJT hours ledger
+// ---------------------------------------------------------------------------
+// users/{uid}.ojtLedger is recomputed from every ojtLogs doc whenever one changes, and
+// mirrored into the legacy totalHours/requiredHours fields the app already reads. Each
+// log gets ledgerStatus ('counted' | 'rejected' | 'open'), ledgerHours and, when rejected,
+// ledgerReason ('invalid_time' | 'too_long' | 'overlap'). Students cannot write any of
+// these fields (see firestore.rules).
+//
+// Required hours are per program, managed by admins through setProgramRequiredHours:
+// ojtSettings/requiredHours = { defaultHours, programs: { [program]: hours } }.
+const OJT_SETTINGS_COLLECTION = 'ojtSettings';
+const REQUIRED_HOURS_DOC = 'requiredHours';
+const MAX_LOG_DURATION_MS = 24 * 60 * 60 * 1000;
+
+const readRequiredHoursSettings = async (db) => {
+  const snap = await db.collection(OJT_SETTINGS_COLLECTION).doc(REQUIRED_HOURS_DOC).get();
+  const data = snap.exists ? snap.data() || {} : {};
+  return {
+    defaultHours: Number(data.defaultHours) > 0 ? Number(data.defaultHours) : DEFAULT_REQUIRED_HOURS,
+    programs: data.programs && typeof data.programs === 'object' ? data.programs : {},
+  };
+};
+
+const resolveRequiredHours = (settings, userData) => {
+  const program = firstString(userData && userData.program);
+  const programHours = program ? Number(settings.programs[program]) : NaN;
+  return programHours > 0 ? programHours : settings.defaultHours;
+};
+
+// 'h:mm AM' as saved by the app. Also tolerates 24h times and a doubled AM/PM suffix.
+const parseLogTime = (value) => {
+  const m = String(value || '').match(/(\d{1,2}):(\d{2})/);
+  if (!m) return null;
+  let hours = Number(m[1]);
+  const minutes = Number(m[2]);
+  if (hours > 23 || minutes > 59) return null;
+  const suffix = String(value).toUpperCase().match(/\b(AM|PM)\b/);
+  if (suffix && hours <= 12) {
+    if (suffix[1] === 'PM' && hours !== 12) hours += 12;
+    if (suffix[1] === 'AM' && hours === 12) hours = 0;
+  }
+  return (hours * 60 + minutes) * 60 * 1000;
+};
+
+// -> { startMs, endMs } | { open: true } | null (unparseable)
+const ojtLogInterval = (log) => {
+  if (log.source === 'clock') {
+    if (!log.clockInAt) return null;
+    if (!log.clockOutAt) return { open: true };
+    return { startMs: log.clockInAt.toMillis(), endMs: log.clockOutAt.toMillis() };
+  }
+  const day = toMillis(log.date);
+  const start = parseLogTime(log.clockIn);
+  const end = parseLogTime(log.clockOut);
+  if (day === null || start === null || end === null) return null;
+  const startMs = day + start;
+  let endMs = day + end;
+  // Clock-out earlier than clock-in is an overnight shift ending the next day.
+  if (endMs <= startMs) endMs += DAY_MS;
+  return { startMs, endMs };
+};
+
+// Same rule as the app: deduct the 12:00-13:00 lunch hour when the shift covers it.
+const ledgerHoursFor = ({ startMs, endMs }) => {
+  const local = new Date(startMs + MANILA_UTC_OFFSET_MS);
+  const lunchStart = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), 12) - MANILA_UTC_OFFSET_MS;
+  const coversLunch = startMs <= lunchStart && endMs >= lunchStart + 60 * 60 * 1000;
+  const hours = (endMs - startMs) / (60 * 60 * 1000) - (coversLunch ? 1 : 0);
+  return Math.max(0, Math.round(hours * 100) / 100);
+};
+
+// -> Map logId -> { ledgerStatus, ledgerHours, ledgerReason }
+const evaluateOjtLogs = (logs) => {
+  const results = new Map();
+  const timed = [];
+  for (const { id, data } of logs) {
+    const interval = ojtLogInterval(data);
+    if (!interval) {
+      results.set(id, { ledgerStatus: 'rejected', ledgerHours: 0, ledgerReason: 'invalid_time' });
+    } else if (interval.open) {
+      results.set(id, { ledgerStatus: 'open', ledgerHours: 0, ledgerReason: null });
+    } else if (interval.endMs - interval.startMs > MAX_LOG_DURATION_MS) {
+      results.set(id, { ledgerStatus: 'rejected', ledgerHours: 0, ledgerReason: 'too_long' });
+    } else {
+      timed.push({ id, ...interval });
+    }
+  }
+
+  // Earliest start wins; anything starting before the previous counted log ends overlaps it.
+  timed.sort((a, b) => a.startMs - b.startMs || a.id.localeCompare(b.id));
+  let lastEndMs = -Infinity;
+  for (const log of timed) {
+    if (log.startMs < lastEndMs) {
+      results.set(log.id, { ledgerStatus: 'rejected', ledgerHours: 0, ledgerReason: 'overlap' });
+      continue;
+    }
+    lastEndMs = log.endMs;
+    results.set(log.id, { ledgerStatus: 'counted', ledgerHours: ledgerHoursFor(log), ledgerReason: null });
+  }
+  return results;
+};
+
+const recomputeOjtLedger = async (db, uid) => {
+  const userRef = db.collection(USERS_COLLECTION).doc(uid);
+  const [userSnap, logsSnap, settings] = await Promise.all([
+    userRef.get(),
+    userRef.collection('ojtLogs').get(),
+    readRequiredHoursSettings(db),
+  ]);
+  if (!userSnap.exists) return null;
+
+  const results = evaluateOjtLogs(logsSnap.docs.map((d) => ({ id: d.id, data: d.data() })));
+  let totalHours = 0;
+  let countedLogs = 0;
+  let rejectedLogs = 0;
+  const writer = db.bulkWriter();
+  for (const d of logsSnap.docs) {
+    const r = results.get(d.id);
+    if (r.ledgerStatus === 'counted') { totalHours += r.ledgerHours; countedLogs++; }
+    if (r.ledgerStatus === 'rejected') rejectedLogs++;
+    const cur = d.data();
+    // Only write changes, so the write-back does not retrigger this function forever.
+    if (cur.ledgerStatus !== r.ledgerStatus || cur.ledgerHours !== r.ledgerHours || (cur.ledgerReason || null) !== r.ledgerReason) {
+      writer.update(d.ref, r);
+    }
+  }
+  await writer.close();
+
+  totalHours = Math.round(totalHours * 100) / 100;
+  const requiredHours = resolveRequiredHours(settings, userSnap.data());
+  const prev = userSnap.data().ojtLedger || {};
+  if (prev.totalHours !== totalHours || prev.requiredHours !== requiredHours
+    || prev.countedLogs !== countedLogs || prev.rejectedLogs !== rejectedLogs) {
+    await userRef.set({
+      totalHours,
+      requiredHours,
+      ojtLedger: { totalHours, requiredHours, countedLogs, rejectedLogs, updatedAt: FieldValue.serverTimestamp() },
+    }, { merge: true });
+  }
+  return { totalHours, requiredHours, countedLogs, rejectedLogs };
+};
+
+exports.ojtLedgerOnLogWritten = onDocumentWritten(`${USERS_COLLECTION}/{uid}/ojtLogs/{logId}`, async (event) => {
+  try {
+    await recomputeOjtLedger(getFirestore(), event.params.uid);
+  } catch (e) {
+    console.error('ojtLedgerOnLogWritten error:', event.params.uid, e);
+    throw e;
+  }
+});
+
+// Admin-only. POST { program?, requiredHours }. Without a program, sets the default for
+// programs that have no value of their own. Affected students' ledgers are updated.
+exports.setProgramRequiredHours = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const caller = await verifyCaller(req);
+  if (!caller.ok) return res.status(caller.status).json({ error: caller.error });
+
+  const program = firstString((req.body || {}).program);
+  const requiredHours = Number((req.body || {}).requiredHours);
+  // null clears a program override so it falls back to the default.
+  const clearing = program && (req.body || {}).requiredHours === null;
+  if (!clearing && (!Number.isFinite(requiredHours) || requiredHours <= 0 || requiredHours > 5000)) {
+    return res.status(400).json({ error: 'INVALID_REQUIRED_HOURS' });
+  }
+
+  try {
+    const db = getFirestore();
+    const callerSnap = await db.collection(USERS_COLLECTION).doc(caller.decoded.uid).get();
+    if (!callerSnap.exists || !isAdminRole(callerSnap.data().role)) return res.status(403).json({ error: 'FORBIDDEN' });
+
+    const settingsRef = db.collection(OJT_SETTINGS_COLLECTION).doc(REQUIRED_HOURS_DOC);
+    if (!program) {
+      await settingsRef.set({ defaultHours: requiredHours, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    } else {
+      await settingsRef.set({
+        programs: { [program]: clearing ? FieldValue.delete() : requiredHours },
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+
+    const settings = await readRequiredHoursSettings(db);
+    const usersRef = db.collection(USERS_COLLECTION);
+    const users = await getUsersByQuery(db, program ? usersRef.where('program', '==', program) : usersRef);
+    const writer = db.bulkWriter();
+    let updated = 0;
+    for (const user of users) {
+      if (isStaffRole(user.data.role)) continue;
+      const hours = resolveRequiredHours(settings, user.data);
+      const ledger = user.data.ojtLedger || null;
+      if (user.data.requiredHours === hours && (!ledger || ledger.requiredHours === hours)) continue;
+      writer.set(usersRef.doc(user.id), {
+        requiredHours: hours,
+        ...(ledger ? { ojtLedger: { requiredHours: hours } } : {}),
+      }, { merge: true });
+      updated++;
+    }
+    await writer.close();
+
+    return res.status(200).json({ ok: true, program: program || null, requiredHours: clearing ? null : requiredHours, usersUpdated: updated });
+  } catch (e) {
+    console.error('setProgramRequiredHours error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// OJT log locking
+// ---------------------------------------------------------------------------
+// When a weekly report is approved, the ojtLogs it was built from (importedLogIds, recorded
+// by WeeklyReportScreen on submit) are approved and locked so the student can no longer
+// edit or delete them (see firestore.rules). If the report leaves 'approved' again, the
+// logs it locked are reopened.
+const reportLogIds = (report) => Array.from(new Set(
+  (Array.isArray(report.importedLogIds) ? report.importedLogIds : []).filter((id) => typeof id === 'string' && id)
+));
+
+exports.lockOjtLogsOnReportApproval = onDocumentWritten(`${USERS_COLLECTION}/{uid}/weeklyReports/{reportId}`, async (event) => {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  const wasApproved = !!before && before.status === 'approved';
+  const isApproved = !!after && after.status === 'approved';
+  if (wasApproved === isApproved) return;
+
+  const { uid, reportId } = event.params;
+  const db = getFirestore();
+  const logsRef = db.collection(USERS_COLLECTION).doc(uid).collection('ojtLogs');
+  const writer = db.bulkWriter();
+  let changed = 0;
+
+  if (isApproved) {
+    const ids = reportLogIds(after);
+    if (ids.length === 0) return;
+    const snaps = await db.getAll(...ids.map((id) => logsRef.doc(id)));
+    for (const snap of snaps) {
+      if (!snap.exists) continue;
+      writer.update(snap.ref, {
+        reviewStatus: 'approved',
+        reviewComment: null,
+        reviewedBy: after.reviewedBy || null,
+        reviewedAt: FieldValue.serverTimestamp(),
+        locked: true,
+        lockedByReportId: reportId,
+      });
+      changed++;
+    }
+  } else {
+    const snap = await logsRef.where('lockedByReportId', '==', reportId).get();
+    for (const d of snap.docs) {
+      writer.update(d.ref, { reviewStatus: 'pending', locked: false, lockedByReportId: null });
+      changed++;
+    }
+  }
+
+  await writer.close();
+  console.log(`lockOjtLogsOnReportApproval: ${isApproved ? 'locked' : 'unlocked'} ${changed} logs for report ${uid}/${reportId}`);
+});
+
+// ---------------------------------------------------------------------------
+// Weekly report review workflow
+// ---------------------------------------------------------------------------
+// Statuses: submitted -> revision_requested | rejected | approved, and back to submitted
+// when the student resubmits. On every move into 'submitted' the report content is
+// snapshotted into weeklyReports/{id}/versions/{n} (clients cannot write there), and every
+// status change notifies the student through the notifications collection.
+// Submissions are also stamped with the student's program, adviser and company so
+// coordinators can filter across all reports with collection-group queries.
+const REPORT_INDEX_FIELDS = ['program', 'adviserId', 'hiredCompanyId'];
+const REPORT_META_FIELDS = ['status', 'version', 'feedback', 'reviewedBy', 'reviewedAt', 'submittedAt', 'timestamp', 'userId', 'importedLogIds', ...REPORT_INDEX_FIELDS];
+const REPORT_STATUS_MESSAGES = {
+  submitted: { title: 'Weekly report submitted', message: 'Your weekly report was submitted for review.' },
+  revision_requested: { title: 'Revision requested', message: 'Your adviser asked for changes to your weekly report. Open it to see their comments.' },
+  approved: { title: 'Weekly report approved', message: 'Your weekly report was approved.' },
+  rejected: { title: 'Weekly report rejected', message: 'Your weekly report was rejected. Open it to see your adviser\'s comments.' },
+};
+
+const reportContent = (report) => {
+  const content = {};
+  for (const [key, value] of Object.entries(report)) {
+    if (!REPORT_META_FIELDS.includes(key)) content[key] = value;
+  }
+  return content;
+};
+
+exports.weeklyReportWorkflow = onDocumentWritten(`${USERS_COLLECTION}/{uid}/weeklyReports/{reportId}`, async (event) => {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  if (!after) return;
+  // Reports written before the workflow have no status and count as submitted.
+  const prevStatus = before ? before.status || 'submitted' : null;
+  const status = after.status || 'submitted';
+  if (prevStatus === status) return;
+
+  const { uid, reportId } = event.params;
+  const db = getFirestore();
+  const reportRef = event.data.after.ref;
+  let version = Number(after.version) || 0;
+
+  if (status === 'submitted') {
+    version += 1;
+    await reportRef.collection('versions').doc(String(version)).set({
+      version,
+      status,
+      content: reportContent(after),
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    const userSnap = await db.collection(USERS_COLLECTION).doc(uid).get();
+    const user = userSnap.exists ? userSnap.data() : {};
+    const indexFields = { userId: uid };
+    for (const field of REPORT_INDEX_FIELDS) indexFields[field] = firstString(user[field]);
+    // Older clients only wrote `timestamp`; queries order by submittedAt.
+    if (!after.submittedAt) indexFields.submittedAt = after.timestamp || FieldValue.serverTimestamp();
+    // Status is unchanged by this write, so it does not re-enter the workflow.
+    await reportRef.set({ version, ...indexFields }, { merge: true });
+  }
+
+  const notice = REPORT_STATUS_MESSAGES[status];
+  if (!notice) return;
+  await db.collection('notifications').add({
+    userId: uid,
+    title: notice.title,
+    message: after.feedback && status !== 'submitted' ? `${notice.message} "${after.feedback}"` : notice.message,
+    timestamp: FieldValue.serverTimestamp(),
+    type: 'weekly_report_status',
+    category: 'reports',
+    data: { reportId, status, previousStatus: prevStatus, version: version || null },
+    sendPush: true,
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Server-rendered PDFs
+// ---------------------------------------------------------------------------
+// expo-print renders on the phone, so the same report looks different per device and
+// nothing official is kept. generateDocumentPdf renders the shared templates
+// (pdfTemplates.js) with headless Chromium from the data stored in Firestore, archives the
+// PDF under generatedDocuments/{userId}/ and records it on the user doc with a version,
+// so advisers review the exact document the student submitted.
+const GENERATED_DOCUMENTS_PREFIX = 'generatedDocuments';
+const GENERATED_DOCUMENT_TYPES = {
+  weekly_report: { title: 'Weekly Accomplishment Report', fileName: 'weekly_report', pdf: { format: 'letter', landscape: true } },
+  ojt_checklist: { title: 'OJT Completion Checklist', fileName: 'ojt_completion_checklist', pdf: { format: 'A4' } },
+};
+// The app's assets/neu.png. Deploys get a copy in functions/assets (predeploy hook in
+// firebase.json); running from the repo (emulators, tests) reads the app's file directly.
+const NEU_LOGO_PATHS = [
+  path.join(__dirname, 'assets', 'neu.png'),
+  path.join(__dirname, '..', 'assets', 'neu.png'),
+];
+const DOCUMENT_VERIFICATIONS_COLLECTION = 'documentVerifications';
+const VERIFY_DOCUMENT_BASE_URL = process.env.VERIFY_DOCUMENT_BASE_URL ||
+  `https://asia-southeast1-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/verifyDocument`;
+// Crockford base32 (no I, L, O, U) so ids survive being read off paper and typed in.
+const VERIFICATION_ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// 'IQ-XXXX-XXXX-XXXX-XXXX': 80 random bits, so ids cannot be guessed.
+const newVerificationId = () => {
+  const bytes = crypto.randomBytes(16);
+  const chars = Array.from(bytes, (b) => VERIFICATION_ID_ALPHABET[b % 32]).join('');
+  return `IQ-${chars.match(/.{4}/g).join('-')}`;
+};
+
+const normalizeVerificationId = (value) => {
+  const raw = String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+  const chars = (raw.length === 18 && raw.startsWith('IQ') ? raw.slice(2) : raw)
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  if (chars.length !== 16 || /[^0-9A-Z]/.test(chars) || /U/.test(chars)) return null;
+  return `IQ-${chars.match(/.{4}/g).join('-')}`;
+};
+
+const qrCodeDataUri = (text) => {
+  // Loaded lazily with the other PDF-only dependencies.
+  const QRCode = require('qrcode');
+  return QRCode.toDataURL(text, { margin: 1, width: 256, errorCorrectionLevel: 'M' });
+};
+
+let neuLogoDataUri = null;
+const readNeuLogo = () => {
+  if (neuLogoDataUri === null) {
+    try {
+      const logoPath = NEU_LOGO_PATHS.find((candidate) => fs.existsSync(candidate)) || NEU_LOGO_PATHS[0];
+      neuLogoDataUri = `data:image/png;base64,${fs.readFileSync(logoPath).toString('base64')}`;
+    } catch (e) {
+      console.warn('NEU logo unavailable:', e.message);
+      neuLogoDataUri = '';
+    }
+  }
+  return neuLogoDataUri || undefined;
+};
+
+const formatManilaDate = (ms) => new Date(ms).toLocaleDateString('en-US', {
+  year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Manila',
+});
+
+// Object path of a Storage download URL for the default bucket, or null.
+const storagePathFromDownloadUrl = (url) => {
+  const m = String(url).match(/^https:\/\/firebasestorage\.googleapis\.com\/v0\/b\/([^/]+)\/o\/([^?#]+)/);
+  if (!m || m[1] !== getStorage().bucket().name) return null;
+  try {
+    return decodeURIComponent(m[2]);
+  } catch (e) {
+    return null;
+  }
+};
+
+// Signatures are stored as download URLs or Storage paths. Both are embedded as data URIs:
+// the PDF renderer has no network access (see renderPdf), and other URLs are ignored.
+const resolveSignature = async (value) => {
+  const candidate = firstString(value);
+  if (!candidate) return undefined;
+  if (/^data:image\//i.test(candidate)) return candidate;
+  const storagePath = /^https:\/\//i.test(candidate)
+    ? storagePathFromDownloadUrl(candidate)
+    : candidate.replace(/^gs:\/\/[^/]+\//, '');
+  if (!storagePath) return undefined;
+  try {
+    const file = getStorage().bucket().file(storagePath);
+    const [[bytes], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+    return `data:${metadata.contentType || 'image/png'};base64,${bytes.toString('base64')}`;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+const readSignature = async (db, uid, profile) => {
+  try {
+    const sigSnap = await db.collection('teacher_signatures').doc(uid).get();
+    if (sigSnap.exists) {
+      const sig = sigSnap.data() || {};
+      const resolved = await resolveSignature(sig.downloadUrl || sig.storagePath);
+      if (resolved) return resolved;
+    }
+  } catch (e) {
+    // Fall back to the profile fields below.
+  }
+  return resolveSignature(profile.signatureUrl || profile.signature || profile.signaturePath);
+};
+
+// The assigned adviser, or the first super_admin when none is assigned (same as the app).
+const resolveChecklistAdviser = async (db, userData) => {
+  let adviserId = firstString(userData.adviserId);
+  let adviser = null;
+  if (adviserId) {
+    const snap = await db.collection(USERS_COLLECTION).doc(adviserId).get();
+    adviser = snap.exists ? snap.data() : null;
+  } else {
+    const snap = await db.collection(USERS_COLLECTION).where('role', '==', 'super_admin').limit(1).get();
+    if (!snap.empty) {
+      adviserId = snap.docs[0].id;
+      adviser = snap.docs[0].data();
+    }
+  }
+  if (!adviser) return { name: 'OJT Adviser', signatureUrl: undefined };
+  return {
+    name: firstString(adviser.fullName, adviser.name) || 'OJT Adviser',
+    signatureUrl: await readSignature(db, adviserId, adviser),
+  };
+};
+
+const buildWeeklyReportPdfData = (report) => {
+  const logo = readNeuLogo();
+  const submittedMs = toMillis(report.submittedAt) || toMillis(report.timestamp);
+  return {
+    traineeName: report.traineeName || '',
+    departmentAssigned: report.departmentAssigned || '',
+    companyName: report.companyName || '',
+    monthCovered: report.monthCovered || '',
+    entries: Array.isArray(report.entries) ? report.entries : [],
+    preparedByName: report.traineeName || '',
+    preparedByTitle: 'Trainee',
+    notedByName: report.supervisorName || '',
+    notedByTitle: report.supervisorTitle || 'Job Title of Supervisor',
+    receivedByName: report.ojtAdvisorName || '',
+    receivedByTitle: report.ojtAdvisorTitle || 'OJT Adviser',
+    leftLogoUrl: logo,
+    rightLogoUrl: logo,
+    submittedDate: submittedMs ? formatManilaDate(submittedMs) : undefined,
+  };
+};
+
+// Template data for the OJT checklist (assembled in requirementChecklist.js).
+const buildChecklistPdfData = async (db, uid, userData) => {
+  const [adviser, catalogSnap, approvalsSnap] = await Promise.all([
+    resolveChecklistAdviser(db, userData),
+    db.collection(REQUIREMENT_CATALOG_COLLECTION).get(),
+    db.collection(REQUIREMENT_APPROVALS_COLLECTION).doc(uid).get(),
+  ]);
+  return checklistPdfData({
+    userData,
+    adviser,
+    catalog: catalogSnap.docs.map((d) => ({ ...d.data(), id: d.id })),
+    approvals: approvalsSnap.exists ? approvalsSnap.data() || {} : {},
+    formatDate: formatManilaDate,
+    nowMs: Date.now(),
+  });
+};
+
+const renderPdf = async (html, pdfOptions) => {
+  // Loaded lazily: Chromium is large and only this function needs it.
+  const chromium = require('@sparticuz/chromium');
+  const puppeteer = require('puppeteer-core');
+  const browser = await puppeteer.launch({
+    args: chromium.args,
+    executablePath: await chromium.executablePath(),
+    headless: true,
+  });
+  try {
+    const page = await browser.newPage();
+    // Templates carry student-entered text; everything they need is inline or a data: URI,
+    // so no request leaves the renderer.
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (/^(data|about):/i.test(request.url())) request.continue();
+      else request.abort('blockedbyclient');
+    });
+    await page.setJavaScriptEnabled(false);
+    await page.setContent(html, { waitUntil: 'load', timeout: 30000 });
+    return Buffer.from(await page.pdf({ ...pdfOptions, printBackground: true, preferCSSPageSize: true }));
+  } finally {
+    await browser.close();
+  }
+};
+
+// Saves with a download token so the URL works like one from the client getDownloadURL().
+const saveWithDownloadUrl = async (storagePath, buffer, contentType = 'application/pdf') => {
+  const bucket = getStorage().bucket();
+  const token = crypto.randomUUID();
+  await bucket.file(storagePath).save(buffer, {
+    contentType,
+    resumable: false,
+    metadata: { metadata: { firebaseStorageDownloadTokens: token } },
+  });
+  return `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(storagePath)}?alt=media&token=${token}`;
+};
+
+// HTTP endpoint: POST { type: 'weekly_report' | 'ojt_checklist', reportId?, userId?, sourceReviewedAtMs? }
+// Students generate their own documents; admins, coordinators and the student's adviser may pass userId.
+exports.generateDocumentPdf = onRequest({ memory: '2GiB', timeoutSeconds: 120 }, async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const caller = await verifyCaller(req);
+  if (!caller.ok) return res.status(caller.status).json({ error: caller.error });
+
+  const body = req.body || {};
+  const type = String(body.type || '');
+  const docType = GENERATED_DOCUMENT_TYPES[type];
+  if (!docType) return res.status(400).json({ error: 'INVALID_TYPE' });
+  const reportId = firstString(body.reportId);
+  if (type === 'weekly_report' && !reportId) return res.status(400).json({ error: 'reportId is required' });
+
+  try {
+    const db = getFirestore();
+    const callerUid = caller.decoded.uid;
+    const userId = firstString(body.userId) || callerUid;
+
+    const userRef = db.collection(USERS_COLLECTION).doc(userId);
+    const userSnap = await userRef.get();
+    if (userId !== callerUid) {
+      const callerSnap = await db.collection(USERS_COLLECTION).doc(callerUid).get();
+      if (!callerSnap.exists || !canSuperviseStudent(callerUid, callerSnap.data(), userSnap.exists ? userSnap.data() : null)) {
+        return res.status(403).json({ error: 'FORBIDDEN' });
+      }
+    }
+    if (!userSnap.exists) return res.status(404).json({ error: 'USER_NOT_FOUND' });
+    const userData = userSnap.data() || {};
+
+    let data;
+    let template;
+    let extra = {};
+    // What a verifier is shown to compare against the paper copy.
+    let summary = {};
+    if (type === 'weekly_report') {
+      const reportSnap = await userRef.collection('weeklyReports').doc(reportId).get();
+      if (!reportSnap.exists) return res.status(404).json({ error: 'REPORT_NOT_FOUND' });
+      const report = reportSnap.data() || {};
+      data = buildWeeklyReportPdfData(report);
+      template = weeklyReportHtml;
+      extra = { reportId, reportVersion: Number(report.version) || null, monthCovered: report.monthCovered || null };
+      summary = {
+        studentName: data.traineeName,
+        companyName: data.companyName,
+        monthCovered: data.monthCovered,
+        totalHours: Number(report.totalHours) || 0,
+        entries: data.entries.length,
+      };
+    } else {
+      data = await buildChecklistPdfData(db, userId, userData);
+      template = ojtChecklistHtml;
+      extra = {
+        sourceReviewedAtMs: Number(body.sourceReviewedAtMs) || Date.now(),
+        studentName: data.studentName,
+        companyName: data.companyName,
+      };
+      summary = checklistVerificationSummary(data);
+    }
+
+    const verificationId = newVerificationId();
+    const verificationUrl = `${VERIFY_DOCUMENT_BASE_URL}?id=${verificationId}`;
+    const html = template({ ...data, verification: { id: verificationId, url: verificationUrl, qrDataUri: await qrCodeDataUri(verificationUrl) } });
+    const pdf = await renderPdf(html, docType.pdf);
+
+    const generatedAtMs = Date.now();
+    const storagePath = `${GENERATED_DOCUMENTS_PREFIX}/${userId}/${docType.fileName}${reportId ? `_${reportId}` : ''}_${generatedAtMs}.pdf`;
+    const url = await saveWithDownloadUrl(storagePath, pdf);
+
+    // Latest copy per document (generatedDocuments.ojtCompletionChecklist keeps the shape the
+    // Resources screen reads); every copy stays listed under versions.
+    const version = await db.runTransaction(async (tx) => {
+      const fresh = (await tx.get(userRef)).data() || {};
+      const docs = fresh.generatedDocuments || {};
+      const current = type === 'weekly_report' ? ((docs.weeklyReports || {})[reportId] || {}) : (docs.ojtCompletionChecklist || {});
+      const next = (Number(current.version) || 0) + 1;
+      const entry = {
+        ...extra,
+        title: docType.title,
+        url,
+        path: storagePath,
+        version: next,
+        verificationId,
+        generatedAt: FieldValue.serverTimestamp(),
+        generatedBy: callerUid,
+        versions: FieldValue.arrayUnion({ version: next, url, path: storagePath, verificationId, generatedAt: new Date(generatedAtMs), generatedBy: callerUid }),
+      };
+      tx.set(userRef, {
+        generatedDocuments: type === 'weekly_report' ? { weeklyReports: { [reportId]: entry } } : { ojtCompletionChecklist: entry },
+      }, { merge: true });
+      tx.create(db.collection(DOCUMENT_VERIFICATIONS_COLLECTION).doc(verificationId), {
+        type,
+        title: docType.title,
+        userId,
+        reportId: reportId || null,
+        version: next,
+        path: storagePath,
+        summary,
+        pdfSha256: sha256Hex(pdf),
+        // Hash of the template input (minus the verification block) for audits.
+        contentSha256: sha256Hex(JSON.stringify(data)),
+        supersededBy: null,
+        generatedAt: FieldValue.serverTimestamp(),
+        generatedBy: callerUid,
+      });
+      // Earlier copies stay verifiable but are reported as superseded.
+      if (current.verificationId) {
+        tx.set(db.collection(DOCUMENT_VERIFICATIONS_COLLECTION).doc(current.verificationId), { supersededBy: verificationId }, { merge: true });
+      }
+      return next;
+    });
+
+    return res.status(200).json({ ok: true, url, path: storagePath, version, verificationId });
+  } catch (e) {
+    console.error('generateDocumentPdf error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+const VERIFICATION_SUMMARY_LABELS = {
+  studentName: 'Student',
+  companyName: 'Company',
+  adviserName: 'OJT Adviser',
+  monthCovered: 'Month covered',
+  totalHours: 'Total hours',
+  entries: 'Daily entries',
+  requirementsApproved: 'Requirements approved',
+  requirementsTotal: 'Requirements listed',
+};
+
+// Human-readable result for people who scan the QR code with a phone.
+const renderVerificationPage = (result) => {
+  const rows = result.valid
+    ? Object.entries(result.summary || {})
+      .filter(([key]) => VERIFICATION_SUMMARY_LABELS[key])
+      .map(([key, value]) => `<tr><th>${escapeHtml(VERIFICATION_SUMMARY_LABELS[key])}</th><td>${escapeHtml(value)}</td></tr>`)
+      .join('')
+    : '';
+  const heading = !result.valid
+    ? 'No document was issued with this verification ID.'
+    : result.superseded
+      ? 'Genuine document, but a newer version has since been issued.'
+      : 'Genuine document issued by InternQuest.';
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Document verification</title>
+<style>body{font-family:Arial,Helvetica,sans-serif;margin:24px;color:#111}h1{font-size:18px}
+.ok{color:#15803d}.warn{color:#b45309}.bad{color:#b91c1c}th{text-align:left;padding:4px 12px 4px 0;color:#555}td{padding:4px 0}</style>
+</head><body>
+<h1 class="${!result.valid ? 'bad' : result.superseded ? 'warn' : 'ok'}">${escapeHtml(heading)}</h1>
+${result.valid ? `<p>${escapeHtml(result.title)} &middot; version ${escapeHtml(result.version)} &middot; issued ${escapeHtml(result.generatedAt ? formatManilaDate(Date.parse(result.generatedAt)) : '')}</p>
+<table>${rows}</table>
+<p>Check that these details match the printed document. Verification ID: <strong>${escapeHtml(result.id)}</strong></p>` : ''}
+</body></html>`;
+};
+
+// Public HTTP endpoint (no auth) for companies checking a printed or emailed document.
+// GET ?id=IQ-XXXX-...            -> document details (HTML for browsers, JSON otherwise)
+// POST { id, sha256 }            -> also reports whether a PDF's SHA-256 matches the issued file
+// POST ?id=... with a PDF body   -> same, hashing the uploaded bytes (Content-Type: application/pdf)
+exports.verifyDocument = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const isPdfUpload = req.method === 'POST' && String(req.get('Content-Type') || '').startsWith('application/pdf');
+  const body = isPdfUpload ? {} : (req.body || {});
+  const id = normalizeVerificationId(req.query.id || body.id);
+  const wantsHtml = req.method === 'GET' && req.accepts(['json', 'html']) === 'html';
+  if (!id) {
+    return wantsHtml
+      ? res.status(400).send(renderVerificationPage({ valid: false }))
+      : res.status(400).json({ valid: false, error: 'INVALID_ID' });
+  }
+
+  let providedHash = null;
+  if (isPdfUpload) {
+    if (!req.rawBody || !req.rawBody.length) return res.status(400).json({ valid: false, error: 'EMPTY_FILE' });
+    providedHash = sha256Hex(req.rawBody);
+  } else if (typeof body.sha256 === 'string' && body.sha256.trim()) {
+    providedHash = body.sha256.trim().toLowerCase();
+  }
+
+  try {
+    const snap = await getFirestore().collection(DOCUMENT_VERIFICATIONS_COLLECTION).doc(id).get();
+    if (!snap.exists) {
+      return wantsHtml
+        ? res.status(404).send(renderVerificationPage({ valid: false }))
+        : res.status(404).json({ valid: false, error: 'NOT_FOUND' });
+    }
+    const record = snap.data() || {};
+    const generatedAtMs = toMillis(record.generatedAt);
+    // Deliberately limited to what is printed on the document.
+    const result = {
+      valid: true,
+      id,
+      type: record.type,
+      title: record.title,
+      version: record.version || 1,
+      generatedAt: generatedAtMs ? new Date(generatedAtMs).toISOString() : null,
+      summary: record.summary || {},
+      superseded: Boolean(record.supersededBy),
+      ...(providedHash ? { fileMatches: providedHash === record.pdfSha256 } : {}),
+    };
+    return wantsHtml ? res.status(200).send(renderVerificationPage(result)) : res.status(200).json(result);
+  } catch (e) {
+    console.error('verifyDocument error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Requirement file review
+// ---------------------------------------------------------------------------
+// Requirements are keyed by the stable ids in requirementCatalog/{requirementId}. Every
+// student upload has an admin_files doc (its fileId) that enters the review queue with
+// reviewStatus 'pending'. reviewRequirementFile records the decision on that doc and in
+// requirement_approvals/{uid} (by requirement id, with per-file entries), then notifies the
+// student. Decisions are not copied onto the student's own `requirements` list: the student
+// can write it, so only requirement_approvals says what was approved.
+const REQUIREMENT_CATALOG_COLLECTION = 'requirementCatalog';
+const REQUIREMENT_APPROVALS_COLLECTION = 'requirement_approvals';
+const FILE_REVIEW_DECISIONS = ['approved', 'rejected', 'needs_resubmission'];
+const REQUIREMENT_REVIEW_MESSAGES = {
+  approved: { title: 'Requirement approved', message: (title) => `${title} was approved.` },
+  rejected: { title: 'Requirement rejected', message: (title) => `${title} was rejected.` },
+  needs_resubmission: { title: 'Resubmission needed', message: (title) => `Please upload a new copy of ${title}.` },
+};
+
+// Same rule as requirementStatusFromFiles in services/requirements.ts: a rejected or
+// resubmission-requested file stops counting once a newer file is uploaded.
+const requirementStatusFromFiles = (files) => {
+  if (!files.length) return 'not_submitted';
+  const uploadedMs = (f) => Date.parse(f.uploadedAt || '') || 0;
+  const latestMs = Math.max(...files.map(uploadedMs));
+  const statuses = files
+    .map((f) => ({ status: (f.review && f.review.status) || 'pending', ms: uploadedMs(f) }))
+    .filter((f) => f.status === 'pending' || f.status === 'approved' || f.ms >= latestMs)
+    .map((f) => f.status);
+  if (statuses.includes('pending')) return 'pending_review';
+  if (statuses.includes('rejected')) return 'rejected';
+  if (statuses.includes('needs_resubmission')) return 'needs_resubmission';
+  return 'approved';
+};
+
+// HTTP endpoint (admins, coordinators and the student's adviser):
+// POST { fileId, decision: 'approved' | 'rejected' | 'needs_resubmission', reason?, notes? }
+exports.reviewRequirementFile = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const caller = await verifyCaller(req);
+  if (!caller.ok) return res.status(caller.status).json({ error: caller.error });
+
+  const body = req.body || {};
+  const fileId = firstString(body.fileId);
+  const decision = String(body.decision || '');
+  const reason = firstString(body.reason);
+  const notes = firstString(body.notes);
+  if (!fileId) return res.status(400).json({ error: 'fileId is required' });
+  if (!FILE_REVIEW_DECISIONS.includes(decision)) return res.status(400).json({ error: 'INVALID_DECISION' });
+  if (decision !== 'approved' && !reason) return res.status(400).json({ error: 'REASON_REQUIRED' });
+
+  try {
+    const db = getFirestore();
+    const callerSnap = await db.collection(USERS_COLLECTION).doc(caller.decoded.uid).get();
+    if (!callerSnap.exists || !isStaffRole(callerSnap.data().role)) return res.status(403).json({ error: 'FORBIDDEN' });
+    const reviewerName = firstString(callerSnap.data().fullName, callerSnap.data().name) || 'OJT Adviser';
+
+    const fileRef = db.collection('admin_files').doc(fileId);
+    const result = await db.runTransaction(async (tx) => {
+      const fileSnap = await tx.get(fileRef);
+      if (!fileSnap.exists) return { ok: false, status: 404, body: { error: 'FILE_NOT_FOUND' } };
+      const file = fileSnap.data() || {};
+      const userId = firstString(file.userId);
+      const requirementId = firstString(file.requirementId);
+      if (!userId || !requirementId) return { ok: false, status: 409, body: { error: 'FILE_NOT_LINKED' } };
+      // Files still being checked, or rejected by the upload check, cannot be approved.
+      if (decision === 'approved' && file.processingStatus && file.processingStatus !== 'accepted') {
+        return { ok: false, status: 409, body: { error: 'FILE_NOT_ACCEPTED' } };
+      }
+
+      const userRef = db.collection(USERS_COLLECTION).doc(userId);
+      const approvalsRef = db.collection(REQUIREMENT_APPROVALS_COLLECTION).doc(userId);
+      const catalogRef = db.collection(REQUIREMENT_CATALOG_COLLECTION).doc(requirementId);
+      const [userSnap, approvalsSnap, catalogSnap] = await Promise.all([tx.get(userRef), tx.get(approvalsRef), tx.get(catalogRef)]);
+      if (!userSnap.exists) return { ok: false, status: 404, body: { error: 'USER_NOT_FOUND' } };
+      if (!canSuperviseStudent(caller.decoded.uid, callerSnap.data(), userSnap.data())) {
+        return { ok: false, status: 403, body: { error: 'FORBIDDEN' } };
+      }
+
+      const nowIso = new Date().toISOString();
+      const review = { status: decision, reason: reason || null, reviewedBy: reviewerName, reviewedById: caller.decoded.uid, reviewedAt: nowIso };
+      const approvals = approvalsSnap.exists ? approvalsSnap.data() || {} : {};
+      const fileReviews = { ...((approvals[requirementId] || {}).files || {}), [fileId]: review };
+
+      // Only the files still attached to the requirement count towards its status.
+      const requirements = Array.isArray(userSnap.data().requirements) ? userSnap.data().requirements : [];
+      const requirement = requirements.find((r) => r && r.id === requirementId);
+      const studentFiles = ((requirement && requirement.uploadedFiles) || [])
+        .filter((f) => f && typeof f === 'object' && !f.providedByAdmin && f.adminDocId)
+        .map((f) => ({ uploadedAt: f.uploadedAt, review: fileReviews[f.adminDocId] || null }));
+      const requirementStatus = requirementStatusFromFiles(studentFiles.length ? studentFiles : [{ uploadedAt: file.uploadedAt, review }]);
+
+      tx.update(fileRef, {
+        reviewStatus: decision,
+        reviewReason: reason || null,
+        reviewedBy: reviewerName,
+        reviewedById: caller.decoded.uid,
+        reviewedAt: FieldValue.serverTimestamp(),
+      });
+      tx.set(approvalsRef, {
+        [requirementId]: {
+          status: requirementStatus,
+          reason: decision === 'approved' ? null : reason,
+          notes: notes || null,
+          reviewedBy: reviewerName,
+          reviewedAt: nowIso,
+          files: { [fileId]: review },
+        },
+      }, { merge: true });
+
+      const requirementTitle = firstString(catalogSnap.exists ? catalogSnap.data().title : null, file.requirementTitle, requirement && requirement.title) || 'Your requirement';
+      const notice = REQUIREMENT_REVIEW_MESSAGES[decision];
+      tx.create(db.collection('notifications').doc(), {
+        userId,
+        title: notice.title,
+        message: reason ? `${notice.message(requirementTitle)} "${reason}"` : notice.message(requirementTitle),
+        timestamp: FieldValue.serverTimestamp(),
+        type: 'requirement_review',
+        category: 'requirements',
+        data: { requirementId, fileId, decision, requirementStatus },
+        sendPush: true,
+      });
+
+      return { ok: true, requirementStatus };
+    });
+
+    if (!result.ok) return res.status(result.status).json(result.body);
+    return res.status(200).json({ ok: true, requirementStatus: result.requirementStatus });
+  } catch (e) {
+    console.error('reviewRequirementFile error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Upload checks
+// ---------------------------------------------------------------------------
+// Every object finalized under requirements/ or helpDeskFiles/ is checked before anyone
+// relies on it: the real type is sniffed from its magic bytes (the client-declared
+// contentType is not trusted), size and PDF page limits are enforced, and a JPEG preview
+// is written to previews/<original path>.jpg. Files that fail a limit are deleted;
+// files that look dangerous (executables, PDFs with scripts or launch actions, Office
+// files with macros, or a file disguised as another type) are moved to quarantine/,
+// which no client can read. The result is kept in uploadScans/{sha256(path)} and copied
+// to the owning record (admin_files or helpDeskFiles, matched by path) as
+// processingStatus 'processing' | 'accepted' | 'rejected' plus a `processing` summary.
+// Requirement files stored inline in Firestore (contentBase64) get the same checks when
+// their admin_files doc is written.
+const UPLOAD_SCANS_COLLECTION = 'uploadScans';
+const QUARANTINE_PREFIX = 'quarantine/';
+const PREVIEW_PREFIX = 'previews/';
+const PREVIEW_MAX_PX = 480;
+const UPLOAD_POLICIES = [
+  {
+    prefix: 'requirements/',
+    collection: 'admin_files',
+    maxBytes: Number(process.env.REQUIREMENT_UPLOAD_MAX_BYTES) || 10 * 1024 * 1024,
+    maxPdfPages: Number(process.env.REQUIREMENT_UPLOAD_MAX_PAGES) || 30,
+    types: ['pdf', 'png', 'jpeg', 'webp', 'heic'],
+  },
+  {
+    prefix: 'helpDeskFiles/',
+    collection: 'helpDeskFiles',
+    maxBytes: Number(process.env.HELPDESK_UPLOAD_MAX_BYTES) || 25 * 1024 * 1024,
+    maxPdfPages: Number(process.env.HELPDESK_UPLOAD_MAX_PAGES) || 200,
+    types: ['pdf', 'png', 'jpeg', 'webp', 'heic', 'doc', 'docx'],
+  },
+];
+const UPLOAD_TYPE_MIME = {
+  pdf: ['application/pdf'],
+  png: ['image/png'],
+  jpeg: ['image/jpeg', 'image/jpg', 'image/pjpeg'],
+  webp: ['image/webp'],
+  heic: ['image/heic', 'image/heif'],
+  doc: ['application/msword'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+};
+const UPLOAD_CHECK_MESSAGES = {
+  TOO_LARGE: (policy) => `The file is larger than ${Math.round(policy.maxBytes / (1024 * 1024))} MB.`,
+  TOO_MANY_PAGES: (policy) => `The PDF has more than ${policy.maxPdfPages} pages.`,
+  UNSUPPORTED_TYPE: () => 'This file type is not accepted. Upload a PDF or an image.',
+  UNREADABLE_PDF: () => 'The PDF could not be opened. It may be damaged.',
+  ENCRYPTED_PDF: () => 'The PDF is password-protected. Upload an unprotected copy.',
+  TYPE_MISMATCH: () => 'The file content does not match its type and was held for review.',
+  EXECUTABLE: () => 'The file looks like a program and was held for review.',
+  ACTIVE_CONTENT: () => 'The file contains scripts or macros and was held for review.',
+};
+
+const uploadPolicyForPath = (objectPath) => UPLOAD_POLICIES.find((p) => objectPath.startsWith(p.prefix)) || null;
+const uploadScanId = (objectPath) => sha256Hex(objectPath);
+
+// File type from its leading bytes: one of the UPLOAD_TYPE_MIME keys, 'executable', or null.
+const sniffUploadType = (buffer) => {
+  const head = buffer.subarray(0, 16);
+  const ascii = head.toString('latin1');
+  if (ascii.startsWith('MZ') || ascii.startsWith('\x7fELF') || ascii.startsWith('#!')) return 'executable';
+  if (ascii.startsWith('\xfe\xed\xfa') || ascii.startsWith('\xcf\xfa\xed\xfe') || ascii.startsWith('\xca\xfe\xba\xbe')) return 'executable';
+  // PDF readers accept the header anywhere in the first 1 KB.
+  if (buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) return 'pdf';
+  if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'jpeg';
+  if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') return 'webp';
+  if (ascii.slice(4, 8) === 'ftyp' && /^(heic|heix|hevc|heim|heis|mif1|msf1)$/.test(ascii.slice(8, 12))) return 'heic';
+  if (head.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) return 'doc';
+  // Zip entry names are stored uncompressed, so the Word part list is visible as plain text.
+  if (ascii.startsWith('PK\x03\x04') && buffer.includes('word/document.xml')) return 'docx';
+  return null;
+};
+
+// Markers of content that runs when the file is opened. PDFs that hide these inside
+// compressed object streams are not caught; the quarantine is a first line, not a scanner.
+const hasActiveContent = (type, buffer) => {
+  if (type === 'pdf') return /\/(JavaScript|JS|Launch|EmbeddedFile|RichMedia)\b/.test(buffer.toString('latin1'));
+  if (type === 'docx') return buffer.includes('vbaProject.bin');
+  if (type === 'doc') return buffer.includes('_VBA_PROJECT') || buffer.includes(Buffer.from('_VBA_PROJECT', 'utf16le'));
+  return false;
+};
+
+// Client types that say nothing about the content.
+const isGenericContentType = (contentType) => !contentType || contentType === 'application/octet-stream' || contentType === 'binary/octet-stream';
+
+const pdfPageCount = async (buffer) => {
+  const { PDFDocument } = require('pdf-lib');
+  const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  return { pages: pdf.getPageCount(), encrypted: pdf.isEncrypted };
+};
+
+// Checks a file against its policy. Returns { status: 'accepted' | 'rejected' | 'quarantined', reason?, detectedType, pageCount }.
+const checkUpload = async (policy, buffer, contentType) => {
+  const detectedType = sniffUploadType(buffer);
+  const verdict = (status, reason, extra = {}) => ({ status, reason: reason || null, detectedType, pageCount: null, ...extra });
+
+  if (detectedType === 'executable') return verdict('quarantined', 'EXECUTABLE');
+  const declared = String(contentType || '').toLowerCase().split(';')[0].trim();
+  if (detectedType && !isGenericContentType(declared) && !(UPLOAD_TYPE_MIME[detectedType] || []).includes(declared)) {
+    return verdict('quarantined', 'TYPE_MISMATCH');
+  }
+  if (!detectedType || !policy.types.includes(detectedType)) return verdict('rejected', 'UNSUPPORTED_TYPE');
+  if (buffer.length > policy.maxBytes) return verdict('rejected', 'TOO_LARGE');
+  if (hasActiveContent(detectedType, buffer)) return verdict('quarantined', 'ACTIVE_CONTENT');
+
+  if (detectedType === 'pdf') {
+    let info;
+    try {
+      info = await pdfPageCount(buffer);
+    } catch (e) {
+      return verdict('rejected', 'UNREADABLE_PDF');
+    }
+    if (info.encrypted) return verdict('rejected', 'ENCRYPTED_PDF', { pageCount: info.pages });
+    if (info.pages > policy.maxPdfPages) return verdict('rejected', 'TOO_MANY_PAGES', { pageCount: info.pages });
+    return verdict('accepted', null, { pageCount: info.pages });
+  }
+  return verdict('accepted');
+};
+
+// JPEG thumbnail of an image or of a PDF's first page; null when it cannot be rendered.
+const renderUploadPreview = async (type, buffer) => {
+  try {
+    const sharp = require('sharp');
+    let source = buffer;
+    if (type === 'pdf') {
+      const { pdfToPng } = require('pdf-to-png-converter');
+      const [page] = await pdfToPng(buffer, { pagesToProcess: [1], viewportScale: 1.5 });
+      if (!page || !page.content) return null;
+      source = page.content;
+    } else if (!['png', 'jpeg', 'webp', 'heic'].includes(type)) {
+      return null;
+    }
+    return await sharp(source)
+      .rotate()
+      .resize(PREVIEW_MAX_PX, PREVIEW_MAX_PX, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+  } catch (e) {
+    console.warn('renderUploadPreview failed:', e && e.message ? e.message : e);
+    return null;
+  }
+};
+
+// The `processing` summary copied onto owning records.
+const processingSummary = (policy, scan) => ({
+  status: scan.processingStatus,
+  reason: scan.reason,
+  message: scan.reason ? UPLOAD_CHECK_MESSAGES[scan.reason](policy) : null,
+  quarantined: scan.quarantined,
+  detectedType: scan.detectedType,
+  size: scan.size,
+  pageCount: scan.pageCount,
+  previewUrl: scan.previewUrl,
+  processedAt: scan.processedAt,
+});
+
+const processingStatusFor = (status) => (status === 'accepted' ? 'accepted' : 'rejected');
+
+// Copies a scan onto every record pointing at the scanned path.
+const applyUploadScan = async (db, policy, scan) => {
+  const snap = await db.collection(policy.collection).where('path', '==', scan.path).get();
+  if (snap.empty) return 0;
+  const batch = db.batch();
+  snap.docs.forEach((d) => batch.update(d.ref, {
+    processingStatus: scan.processingStatus,
+    processing: processingSummary(policy, scan),
+  }));
+  await batch.commit();
+  return snap.size;
+};
+
+exports.processUploadedFile = onObjectFinalized({ memory: '1GiB', timeoutSeconds: 120 }, async (event) => {
+  const object = event.data || {};
+  const objectPath = String(object.name || '');
+  const policy = uploadPolicyForPath(objectPath);
+  if (!policy) return;
+
+  const db = getFirestore();
+  const bucket = getStorage().bucket(object.bucket);
+  const file = bucket.file(objectPath);
+  const size = Number(object.size) || 0;
+
+  try {
+    // Oversized files are rejected without downloading them.
+    let verdict;
+    let buffer = null;
+    if (size > policy.maxBytes) {
+      verdict = { status: 'rejected', reason: 'TOO_LARGE', detectedType: null, pageCount: null };
+    } else {
+      [buffer] = await file.download();
+      verdict = await checkUpload(policy, buffer, object.contentType);
+    }
+
+    let previewPath = null;
+    let previewUrl = null;
+    let quarantinePath = null;
+    if (verdict.status === 'accepted') {
+      const preview = await renderUploadPreview(verdict.detectedType, buffer);
+      if (preview) {
+        previewPath = `${PREVIEW_PREFIX}${objectPath}.jpg`;
+        previewUrl = await saveWithDownloadUrl(previewPath, preview, 'image/jpeg');
+      }
+    } else if (verdict.status === 'quarantined') {
+      quarantinePath = `${QUARANTINE_PREFIX}${objectPath}`;
+      await file.move(quarantinePath);
+    } else {
+      await file.delete({ ignoreNotFound: true });
+    }
+
+    const scan = {
+      path: objectPath,
+      ownerId: objectPath.split('/')[1] || null,
+      processingStatus: processingStatusFor(verdict.status),
+      reason: verdict.reason,
+      quarantined: verdict.status === 'quarantined',
+      quarantinePath,
+      detectedType: verdict.detectedType,
+      contentType: object.contentType || null,
+      size,
+      pageCount: verdict.pageCount,
+      previewPath,
+      previewUrl,
+      processedAt: new Date().toISOString(),
+    };
+    // Written before the owning records are looked up: a record created (or given this path)
+    // after this point picks the scan up in applyUploadScanToFileRecord instead.
+    await db.collection(UPLOAD_SCANS_COLLECTION).doc(uploadScanId(objectPath)).set(scan);
+    const updated = await applyUploadScan(db, policy, scan);
+    if (verdict.status !== 'accepted') {
+      console.warn(`processUploadedFile: ${objectPath} ${verdict.status} (${verdict.reason})`);
+    }
+    if (!updated) console.log(`processUploadedFile: no ${policy.collection} record yet for ${objectPath}`);
+  } catch (e) {
+    console.error('processUploadedFile error:', objectPath, e);
+  }
+});
+
+// Checks a requirement file stored inline (contentBase64) on its admin_files doc. Rejected
+// content is removed from the doc; quarantined content moves to uploadQuarantine/{docId}.
+const checkInlineRequirementFile = async (db, snap, policy) => {
+  const data = snap.data() || {};
+  const buffer = Buffer.from(String(data.contentBase64), 'base64');
+  const verdict = await checkUpload(policy, buffer, data.contentType);
+  const scan = {
+    processingStatus: processingStatusFor(verdict.status),
+    reason: verdict.reason,
+    quarantined: verdict.status === 'quarantined',
+    detectedType: verdict.detectedType,
+    size: buffer.length,
+    pageCount: verdict.pageCount,
+    previewUrl: null,
+    processedAt: new Date().toISOString(),
+  };
+
+  const batch = db.batch();
+  const update = { processingStatus: scan.processingStatus, processing: processingSummary(policy, scan) };
+  if (verdict.status !== 'accepted') update.contentBase64 = FieldValue.delete();
+  if (verdict.status === 'quarantined') {
+    batch.set(db.collection('uploadQuarantine').doc(snap.id), {
+      source: `admin_files/${snap.id}`,
+      userId: data.userId || null,
+      name: data.name || null,
+      contentType: data.contentType || null,
+      contentBase64: data.contentBase64,
+      reason: verdict.reason,
+      quarantinedAt: FieldValue.serverTimestamp(),
+    });
+  }
+  batch.update(snap.ref, update);
+  await batch.commit();
+};
+
+// Records created (or re-pointed at a new path, e.g. by a migration) after their upload
+// finished processing copy the stored scan.
+const applyUploadScanToFileRecord = (policy) => async (event) => {
+  const after = event.data && event.data.after;
+  if (!after || !after.exists) return;
+  const data = after.data() || {};
+  const before = event.data.before && event.data.before.exists ? event.data.before.data() || {} : null;
+  const db = getFirestore();
+
+  try {
+    if (policy.collection === 'admin_files' && data.storedInFirestore && data.contentBase64) {
+      if (before && before.contentBase64 === data.contentBase64) return;
+      await checkInlineRequirementFile(db, after, policy);
+      return;
+    }
+    const objectPath = firstString(data.path);
+    if (!objectPath || !objectPath.startsWith(policy.prefix)) return;
+    if (before && before.path === objectPath) return;
+    const scanSnap = await db.collection(UPLOAD_SCANS_COLLECTION).doc(uploadScanId(objectPath)).get();
+    if (!scanSnap.exists) return;
+    const scan = scanSnap.data();
+    await after.ref.update({ processingStatus: scan.processingStatus, processing: processingSummary(policy, scan) });
+  } catch (e) {
+    console.error(`applyUploadScanToFileRecord error (${policy.collection}/${after.id}):`, e);
+  }
+};
+
+exports.uploadScanOnAdminFileWritten = onDocumentWritten('admin_files/{docId}', applyUploadScanToFileRecord(UPLOAD_POLICIES[0]));
+exports.uploadScanOnHelpDeskFileWritten = onDocumentWritten('helpDeskFiles/{docId}', applyUploadScanToFileRecord(UPLOAD_POLICIES[1]));
+
+// ---------------------------------------------------------------------------
+// File access
+// ---------------------------------------------------------------------------
+// getFile replaces the unauthenticated getAdminFile function. Callers send their ID token;
+// students may open their own admin_files uploads (and their adviser and coordinators may
+// open them too), any signed-in user may open help desk templates, and admins may open
+// everything (including quarantined uploads). Storage
+// objects are served as short-lived signed URLs (the function's service account needs
+// iam.serviceAccounts.signBlob). Files stored inline in Firestore get a short-lived ticket
+// URL back to this function, which streams them with HTTP range support. Every attempt,
+// allowed or not, is written to fileAccessLogs.
+const FILE_ACCESS_LOGS_COLLECTION = 'fileAccessLogs';
+const FILE_ACCESS_TICKETS_COLLECTION = 'fileAccessTickets';
+const FILE_ACCESS_TTL_MS = Number(process.env.FILE_ACCESS_TTL_SECONDS || 300) * 1000;
+const FILE_ACCESS_BASE_URL = process.env.FILE_ACCESS_BASE_URL ||
+  (process.env.GCLOUD_PROJECT ? `https://asia-southeast1-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/getFile` : '');
+const FILE_ACCESS_COLLECTIONS = ['admin_files', 'helpDeskFiles'];
+
+// Parses a single-range Range header. Returns null when absent, 'invalid' when unsatisfiable.
+const parseByteRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match) return header ? 'invalid' : null;
+  let start;
+  let end;
+  if (match[1] === '') {
+    const suffix = Number(match[2]);
+    if (!suffix) return 'invalid';
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start > end || start >= size) return 'invalid';
+  return { start, end };
+};
+
+const contentDisposition = (name) => {
+  const fallback = String(name || 'file').replace(/[^\w.\- ]+/g, '_');
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(String(name || 'file'))}`;
+};
+
+const logFileAccess = async (db, req, entry) => {
+  try {
+    await db.collection(FILE_ACCESS_LOGS_COLLECTION).add({
+      ...entry,
+      ip: requestIp(req),
+      userAgent: firstString(req.get('user-agent')),
+      at: FieldValue.serverTimestamp(),
+    });
+  } catch (e) {
+    console.error('logFileAccess failed:', e);
+  }
+};
+
+// Resolves the record, checks the caller may open it and where its bytes live.
+// Returns { ok: true, record, storagePath, inline } or { ok: false, status, error }.
+const resolveFileAccess = async (db, collectionName, docId, uid) => {
+  const [recordSnap, callerSnap] = await Promise.all([
+    db.collection(collectionName).doc(docId).get(),
+    db.collection(USERS_COLLECTION).doc(uid).get(),
+  ]);
+  if (!recordSnap.exists) return { ok: false, status: 404, error: 'FILE_NOT_FOUND' };
+  const record = recordSnap.data() || {};
+  const admin = callerSnap.exists && isAdminRole(callerSnap.data().role);
+  const ownerId = collectionName === 'admin_files' ? firstString(record.userId) : firstString(record.uploadedBy);
+
+  if (collectionName === 'admin_files' && !admin && ownerId !== uid) {
+    const callerData = callerSnap.exists ? callerSnap.data() : null;
+    const ownerSnap = ownerId && callerData && isStaffRole(callerData.role) ? await db.collection(USERS_COLLECTION).doc(ownerId).get() : null;
+    if (!ownerSnap || !ownerSnap.exists || !canSuperviseStudent(uid, callerData, ownerSnap.data())) {
+      return { ok: false, status: 403, error: 'FORBIDDEN', ownerId, admin };
+    }
+  }
+
+  let storagePath = firstString(record.path, record.storagePath, record.filePath);
+  const processing = record.processing || {};
+  if (record.processingStatus === 'rejected') {
+    // Quarantined bytes are kept for admins; rejected-and-deleted files are gone for everyone.
+    if (!admin || !processing.quarantined) return { ok: false, status: 410, error: 'FILE_REJECTED', ownerId, admin };
+    const scanSnap = storagePath ? await db.collection(UPLOAD_SCANS_COLLECTION).doc(uploadScanId(storagePath)).get() : null;
+    storagePath = scanSnap && scanSnap.exists ? firstString(scanSnap.data().quarantinePath) : null;
+  }
+
+  const inline = !storagePath && (record.contentBase64 || record.fileData) ? true : false;
+  if (!storagePath && !inline) return { ok: false, status: 404, error: 'NO_CONTENT', ownerId, admin };
+  return { ok: true, record, storagePath, inline, ownerId, admin };
+};
+
+// Inline content as { buffer, contentType } (contentBase64, or the older fileData data URL)
+const inlineFileContent = (record) => {
+  if (record.contentBase64) {
+    return { buffer: Buffer.from(String(record.contentBase64), 'base64'), contentType: firstString(record.contentType, record.fileType) || 'application/octet-stream' };
+  }
+  const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(String(record.fileData || ''));
+  if (!match) return null;
+  return { buffer: Buffer.from(match[2], 'base64'), contentType: match[1] || 'application/octet-stream' };
+};
+
+// Streams the file (or the requested byte range) into the response.
+const streamFile = async (req, res, access) => {
+  const name = firstString(access.record.name, access.record.fileName) || 'file';
+  res.set('Accept-Ranges', 'bytes');
+  res.set('Content-Disposition', contentDisposition(name));
+  res.set('Cache-Control', 'private, no-store');
+
+  if (access.inline) {
+    const content = inlineFileContent(access.record);
+    if (!content) return res.status(404).json({ error: 'NO_CONTENT' });
+    const size = content.buffer.length;
+    const range = parseByteRange(req.get('range'), size);
+    res.set('Content-Type', content.contentType);
+    if (range === 'invalid') return res.status(416).set('Content-Range', `bytes */${size}`).end();
+    if (!range) return res.status(200).set('Content-Length', String(size)).send(content.buffer);
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    return res.status(206).send(content.buffer.subarray(range.start, range.end + 1));
+  }
+
+  const file = getStorage().bucket().file(access.storagePath);
+  const [meta] = await file.getMetadata();
+  const size = Number(meta.size) || 0;
+  const range = parseByteRange(req.get('range'), size);
+  res.set('Content-Type', meta.contentType || 'application/octet-stream');
+  if (range === 'invalid') return res.status(416).set('Content-Range', `bytes */${size}`).end();
+  if (range) {
+    res.status(206);
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.set('Content-Length', String(range.end - range.start + 1));
+  } else {
+    res.status(200);
+    res.set('Content-Length', String(size));
+  }
+  await new Promise((resolve, reject) => {
+    file.createReadStream(range || {})
+      .on('error', reject)
+      .on('end', resolve)
+      .pipe(res);
+  });
+};
+
+// HTTP endpoint:
+// - GET/POST ?collection=admin_files|helpDeskFiles&docId=... with a bearer token returns
+//   { url, expiresAt, name, contentType } (add mode=stream to receive the bytes directly)
+// - GET ?ticket=... streams an inline file for the ticket's holder; no token needed, so
+//   viewers that cannot send headers can open it. Tickets expire after FILE_ACCESS_TTL_MS.
+exports.getFile = onRequest({ memory: '512MiB', timeoutSeconds: 300 }, async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range');
+  res.set('Access-Control-Expose-Headers', 'Content-Range, Content-Length, Accept-Ranges');
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const db = getFirestore();
+  const params = { ...(req.query || {}), ...(req.method === 'POST' ? req.body || {} : {}) };
+
+  try {
+    const ticketId = firstString(params.ticket);
+    if (ticketId) {
+      const ticketSnap = await db.collection(FILE_ACCESS_TICKETS_COLLECTION).doc(ticketId).get();
+      const ticket = ticketSnap.exists ? ticketSnap.data() : null;
+      if (!ticket || Number(ticket.expiresAt) < Date.now()) return res.status(403).json({ error: 'TICKET_EXPIRED' });
+      const access = await resolveFileAccess(db, ticket.collection, ticket.docId, ticket.userId);
+      await logFileAccess(db, req, {
+        collection: ticket.collection,
+        docId: ticket.docId,
+        userId: ticket.userId,
+        ownerId: access.ownerId || null,
+        action: access.ok ? 'stream' : 'denied',
+        via: 'ticket',
+        range: firstString(req.get('range')),
+        error: access.ok ? null : access.error,
+      });
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+      return await streamFile(req, res, access);
+    }
+
+    const caller = await verifyCaller(req);
+    if (!caller.ok) return res.status(caller.status).json({ error: caller.error });
+    const uid = caller.decoded.uid;
+
+    const collectionName = firstString(params.collection) || 'admin_files';
+    const docId = firstString(params.docId);
+    if (!FILE_ACCESS_COLLECTIONS.includes(collectionName)) return res.status(400).json({ error: 'INVALID_COLLECTION' });
+    if (!docId) return res.status(400).json({ error: 'docId is required' });
+    const mode = params.mode === 'stream' ? 'stream' : 'url';
+
+    const access = await resolveFileAccess(db, collectionName, docId, uid);
+    const logEntry = {
+      collection: collectionName,
+      docId,
+      userId: uid,
+      ownerId: access.ownerId || null,
+      admin: Boolean(access.admin),
+      via: 'token',
+      range: firstString(req.get('range')),
+    };
+    if (!access.ok) {
+      await logFileAccess(db, req, { ...logEntry, action: 'denied', error: access.error });
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const name = firstString(access.record.name, access.record.fileName) || 'file';
+    const contentType = firstString(access.record.contentType, access.record.fileType) || 'application/octet-stream';
+    if (mode === 'stream') {
+      await logFileAccess(db, req, { ...logEntry, action: 'stream', path: access.storagePath || null });
+      return await streamFile(req, res, access);
+    }
+
+    const expiresAt = Date.now() + FILE_ACCESS_TTL_MS;
+    let url;
+    if (access.inline) {
+      const ticketRef = db.collection(FILE_ACCESS_TICKETS_COLLECTION).doc(crypto.randomBytes(24).toString('hex'));
+      await ticketRef.set({ collection: collectionName, docId, userId: uid, expiresAt, createdAt: FieldValue.serverTimestamp() });
+      url = `${FILE_ACCESS_BASE_URL}?ticket=${ticketRef.id}`;
+    } else {
+      [url] = await getStorage().bucket().file(access.storagePath).getSignedUrl({
+        version: 'v4',
+        action: 'read',
+        expires: expiresAt,
+        responseDisposition: contentDisposition(name),
+      });
+    }
+    await logFileAccess(db, req, { ...logEntry, action: access.inline ? 'ticket' : 'signed_url', path: access.storagePath || null });
+    return res.status(200).json({ ok: true, url, expiresAt, name, contentType });
+  } catch (e) {
+    console.error('getFile error:', e);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Removes expired file access tickets.
+exports.cleanupFileAccessTickets = onSchedule({
+  schedule: 'every 6 hours',
+  timeZone: 'Asia/Manila',
+}, async () => {
+  const db = getFirestore();
+  const snap = await db.collection(FILE_ACCESS_TICKETS_COLLECTION).where('expiresAt', '<', Date.now()).limit(500).get();
+  if (snap.empty) return;
+  const batch = db.batch();
+  snap.docs.forEach((d) => batch.delete(d.ref));
+  await batch.commit();
+  console.log(`cleanupFileAccessTickets: deleted ${snap.size} expired tickets`);
+});
+
+// ---------------------------------------------------------------------------
+// Client error reports
+// ---------------------------------------------------------------------------
+// The app batches the failures it used to leave on the user doc as lastXxxError fields and
+// sends them to reportClientErrors (services/errorReporting.ts). Reports are grouped by a
+// fingerprint of screen, operation, error code and the message with ids and numbers masked:
+// one clientErrors doc per fingerprint per (Manila) day, counting occurrences and collecting
+// the app versions, platforms and users affected, so admins can follow failure trends across
+// the cohort. Docs are removed CLIENT_ERROR_RETENTION_DAYS after the last occurrence.
+// Each user may send CLIENT_ERROR_REPORT_LIMIT reports per window (clientErrorThrottle/{uid});
+// the app keeps refused reports queued and sends them later.
+const CLIENT_ERRORS_COLLECTION = 'clientErrors';
+const CLIENT_ERROR_THROTTLE_COLLECTION = 'clientErrorThrottle';
+const CLIENT_ERROR_RETENTION_DAYS = Number(process.env.CLIENT_ERROR_RETENTION_DAYS || 30);
+const CLIENT_ERROR_WINDOW_MS = 60 * 60 * 1000;
+const CLIENT_ERROR_REPORT_LIMIT = Number(process.env.CLIENT_ERROR_REPORTS_PER_HOUR || 20);
+const MAX_CLIENT_ERRORS_PER_REQUEST = 25;
+// Repeats are counted on the device; cap what one report can add.
+const MAX_CLIENT_ERROR_COUNT = 100;
+const MAX_CLIENT_ERROR_CONTEXT_KEYS = 10;
+const CLIENT_ERROR_NAME_RE = /^[A-Za-z0-9_.:/-]{1,64}$/;
+
+const clientErrorText = (value, maxLength) => {
+  const text = firstString(value);
+  return text ? text.slice(0, maxLength) : null;
+};
+
+const clientErrorName = (value) => {
+  const name = firstString(value);
+  return name && CLIENT_ERROR_NAME_RE.test(name) ? name : null;
+};
+
+// Message with the parts that differ between occurrences (ids, paths, numbers) masked.
+const clientErrorPattern = (message) => String(message || '')
+  .replace(/https?:\/\/\S+/g, '<url>')
+  .replace(/[A-Za-z0-9_-]{20,}/g, '<id>')
+  .replace(/\d+/g, '<n>')
+  .slice(0, 300);
+
+// Flat map of short values only; anything else is dropped.
+const clientErrorContext = (context) => {
+  if (!context || typeof context !== 'object' || Array.isArray(context)) return {};
+  const out = {};
+  Object.keys(context).filter((key) => CLIENT_ERROR_NAME_RE.test(key)).slice(0, MAX_CLIENT_ERROR_CONTEXT_KEYS).forEach((key) => {
+    const value = context[key];
+    if (typeof value === 'string') out[key] = value.slice(0, 200);
+    else if (typeof value === 'number' && Number.isFinite(value)) out[key] = value;
+    else if (typeof value === 'boolean' || value === null) out[key] = value;
+  });
+  return out;
+};
+
+// Counts one report against the user's window. Returns { ok: true } or { ok: false, retryAfterMs }.
+const takeClientErrorReport = (db, uid, nowMs) => db.runTransaction(async (tx) => {
+  const ref = db.collection(CLIENT_ERROR_THROTTLE_COLLECTION).doc(uid);
+  const snap = await tx.get(ref);
+  const data = snap.exists ? snap.data() : {};
+  const windowStart = Number(data.windowStart) > nowMs - CLIENT_ERROR_WINDOW_MS ? Number(data.windowStart) : nowMs;
+  const count = windowStart === Number(data.windowStart) ? Number(data.count) || 0 : 0;
+  if (count >= CLIENT_ERROR_REPORT_LIMIT) return { ok: false, retryAfterMs: windowStart + CLIENT_ERROR_WINDOW_MS - nowMs };
+  tx.set(ref, { windowStart, count: count + 1, updatedAt: nowMs });
+  return { ok: true };
+});
+
+// HTTP endpoint: POST { appVersion, platform, osVersion, errors: [{ screen, operation, message,
+// code?, context?, count?, at? }] } (any signed-in user). Returns { ok, accepted }, or 429
+// { error: 'TOO_MANY_REPORTS', retryAfterSeconds } once the user's limit is reached.
+exports.reportClientErrors = onRequest(async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).send('');
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const caller = await verifyCaller(req);
+  if (!caller.ok) return res.status(caller.status).json({ error: caller.error });
+  const uid = caller.decoded.uid;
+
+  const body = req.body || {};
+  if (!Array.isArray(body.errors)) return res.status(400).json({ error: 'errors must be an array' });
+  const appVersion = clientErrorText(body.appVersion, 32) || 'unknown';
+  const platform = clientErrorName(body.platform) || 'unknown';
+  const osVersion = clientErrorText(body.osVersion, 32);
+
+  try {
+    const db = getFirestore();
+    const nowMs = Date.now();
+    const allowed = await takeClientErrorReport(db, uid, nowMs);
+    if (!allowed.ok) {
+      const retryAfterSeconds = Math.max(1, Math.ceil(allowed.retryAfterMs / 1000));
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({ error: 'TOO_MANY_REPORTS', retryAfterSeconds });
+    }
+    const batch = db.batch();
+    let accepted = 0;
+    body.errors.slice(0, MAX_CLIENT_ERRORS_PER_REQUEST).forEach((entry) => {
+      const screen = clientErrorName(entry && entry.screen);
+      const operation = clientErrorName(entry && entry.operation);
+      const message = clientErrorText(entry && entry.message, 500);
+      if (!screen || !operation || !message) return;
+      const code = clientErrorName(entry.code);
+      const pattern = clientErrorPattern(message);
+      const fingerprint = sha256Hex([screen, operation, code || '', pattern].join('|')).slice(0, 32);
+      // Reports queued while offline count toward the day they happened (within retention).
+      const atMs = Number(entry.at) > nowMs - CLIENT_ERROR_RETENTION_DAYS * 24 * 60 * 60 * 1000 && Number(entry.at) <= nowMs
+        ? Number(entry.at)
+        : nowMs;
+      const day = manilaDayKey(atMs);
+      const count = Math.min(Math.max(Math.floor(Number(entry.count) || 1), 1), MAX_CLIENT_ERROR_COUNT);
+
+      batch.set(db.collection(CLIENT_ERRORS_COLLECTION).doc(`${day}_${fingerprint}`), {
+        fingerprint,
+        day,
+        screen,
+        operation,
+        code,
+        pattern,
+        lastMessage: message,
+        lastContext: clientErrorContext(entry.context),
+        lastUid: uid,
+        count: FieldValue.increment(count),
+        // Bounded by the size of the cohort.
+        affectedUids: FieldValue.arrayUnion(uid),
+        appVersions: FieldValue.arrayUnion(appVersion),
+        platforms: FieldValue.arrayUnion(osVersion ? `${platform} ${osVersion}` : platform),
+        lastAt: FieldValue.serverTimestamp(),
+        expiresAt: new Date(nowMs + CLIENT_ERROR_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+      }, { merge: true });
+      accepted += 1;
+    });
+    if (accepted) await batch.commit();
+    return res.status(200).json({ ok: true, accepted });
+  } catch (e) {
+    console.error('reportClientErrors error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Removes error reports past CLIENT_ERROR_RETENTION_DAYS, and throttle docs whose window has ended.
+exports.cleanupClientErrors = onSchedule({
+  schedule: 'every day 04:00',
+  timeZone: 'Asia/Manila',
+}, async () => {
+  const db = getFirestore();
+  const nowMs = Date.now();
+  const [snap, throttleSnap] = await Promise.all([
+    db.collection(CLIENT_ERRORS_COLLECTION).where('expiresAt', '<', new Date(nowMs)).limit(500).get(),
+    db.collection(CLIENT_ERROR_THROTTLE_COLLECTION).where('updatedAt', '<', nowMs - CLIENT_ERROR_WINDOW_MS).limit(500).get(),
+  ]);
+  if (snap.empty && throttleSnap.empty) return;
+  const writer = db.bulkWriter();
+  snap.docs.forEach((d) => writer.delete(d.ref));
+  throttleSnap.docs.forEach((d) => writer.delete(d.ref));
+  await writer.close();
+  console.log(`cleanupClientErrors: deleted ${snap.size} expired error reports, ${throttleSnap.size} throttle docs`);
+});
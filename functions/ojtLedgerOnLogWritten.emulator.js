@@ -0,0 +1,125 @@
+// OJT hours ledger recompute (ojtLedgerOnLogWritten) against the Firestore emulator. The
+// trigger is run directly after each write, as the Functions emulator would.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emulatorSkip, loadFunctions, unique } = require('./emulatorTesting');
+
+const skip = emulatorSkip('firestore');
+
+let functions;
+let db;
+let Timestamp;
+if (!skip) {
+  functions = loadFunctions();
+  const firestore = require('firebase-admin/firestore');
+  db = firestore.getFirestore();
+  ({ Timestamp } = firestore);
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const createStudent = async (fields = {}) => {
+  const uid = `stu-${unique()}`;
+  await db.collection('users').doc(uid).set({ role: 'student', ...fields });
+  return uid;
+};
+
+// Writes the log, then runs the trigger for that write.
+const writeLog = async (uid, logId, data) => {
+  const ref = db.collection('users').doc(uid).collection('ojtLogs').doc(logId);
+  if (data === null) await ref.delete();
+  else await ref.set(data);
+  await functions.ojtLedgerOnLogWritten.run({ params: { uid, logId } });
+};
+
+const readUser = async (uid) => (await db.collection('users').doc(uid).get()).data();
+const readLog = async (uid, logId) => (await db.collection('users').doc(uid).collection('ojtLogs').doc(logId).get()).data();
+
+test('manual logs count their hours less the lunch hour', { skip }, async () => {
+  const uid = await createStudent();
+  await writeLog(uid, 'mon', { date: '2025/06/02', clockIn: '8:00 AM', clockOut: '5:00 PM' });
+  await writeLog(uid, 'tue', { date: '2025/06/03', clockIn: '1:00 PM', clockOut: '5:30 PM' });
+
+  const mon = await readLog(uid, 'mon');
+  assert.equal(mon.ledgerStatus, 'counted');
+  assert.equal(mon.ledgerHours, 8);
+  const user = await readUser(uid);
+  assert.equal(user.ojtLedger.totalHours, 12.5);
+  assert.equal(user.ojtLedger.countedLogs, 2);
+  assert.equal(user.ojtLedger.rejectedLogs, 0);
+  // Mirrored into the legacy fields the app reads.
+  assert.equal(user.totalHours, 12.5);
+  assert.equal(user.requiredHours, user.ojtLedger.requiredHours);
+});
+
+test('overlapping, overlong and unparseable logs are rejected', { skip }, async () => {
+  const uid = await createStudent();
+  await writeLog(uid, 'a', { date: '2025/06/02', clockIn: '8:00 AM', clockOut: '12:00 PM' });
+  // Same morning entered twice: the later start overlaps the first log.
+  await writeLog(uid, 'b', { date: '2025/06/02', clockIn: '9:00 AM', clockOut: '11:00 AM' });
+  const start = Date.UTC(2025, 5, 3, 0);
+  await writeLog(uid, 'c', {
+    source: 'clock',
+    clockInAt: Timestamp.fromMillis(start),
+    clockOutAt: Timestamp.fromMillis(start + 30 * HOUR_MS),
+  });
+  await writeLog(uid, 'd', { date: 'someday', clockIn: '8:00 AM', clockOut: '5:00 PM' });
+
+  assert.equal((await readLog(uid, 'a')).ledgerStatus, 'counted');
+  assert.equal((await readLog(uid, 'b')).ledgerReason, 'overlap');
+  assert.equal((await readLog(uid, 'c')).ledgerReason, 'too_long');
+  assert.equal((await readLog(uid, 'd')).ledgerReason, 'invalid_time');
+  const user = await readUser(uid);
+  assert.equal(user.ojtLedger.totalHours, 4);
+  assert.equal(user.ojtLedger.countedLogs, 1);
+  assert.equal(user.ojtLedger.rejectedLogs, 3);
+});
+
+test('an open clock session counts nothing until it is closed', { skip }, async () => {
+  const uid = await createStudent();
+  const start = Date.UTC(2025, 5, 4, 1); // 09:00 Manila
+  await writeLog(uid, 'open', { source: 'clock', clockInAt: Timestamp.fromMillis(start), clockOutAt: null });
+  assert.equal((await readLog(uid, 'open')).ledgerStatus, 'open');
+  assert.equal((await readUser(uid)).ojtLedger.totalHours, 0);
+
+  await writeLog(uid, 'open', { source: 'clock', clockInAt: Timestamp.fromMillis(start), clockOutAt: Timestamp.fromMillis(start + 2 * HOUR_MS) });
+  assert.equal((await readLog(uid, 'open')).ledgerStatus, 'counted');
+  assert.equal((await readUser(uid)).ojtLedger.totalHours, 2);
+});
+
+test('removing a log takes its hours off and un-rejects what it overlapped', { skip }, async () => {
+  const uid = await createStudent();
+  await writeLog(uid, 'a', { date: '2025/06/02', clockIn: '8:00 AM', clockOut: '10:00 AM' });
+  await writeLog(uid, 'b', { date: '2025/06/02', clockIn: '9:00 AM', clockOut: '11:00 AM' });
+  assert.equal((await readUser(uid)).ojtLedger.totalHours, 2);
+
+  await writeLog(uid, 'a', null);
+  assert.equal((await readLog(uid, 'b')).ledgerStatus, 'counted');
+  const user = await readUser(uid);
+  assert.equal(user.ojtLedger.totalHours, 2);
+  assert.equal(user.ojtLedger.rejectedLogs, 0);
+});
+
+test('required hours come from the student\'s program', { skip }, async () => {
+  const program = `BS Test ${unique()}`;
+  await db.collection('ojtSettings').doc('requiredHours').set({ programs: { [program]: 486 } }, { merge: true });
+  const uid = await createStudent({ program });
+  await writeLog(uid, 'a', { date: '2025/06/02', clockIn: '8:00 AM', clockOut: '10:00 AM' });
+
+  const user = await readUser(uid);
+  assert.equal(user.ojtLedger.requiredHours, 486);
+  assert.equal(user.requiredHours, 486);
+});
+
+test('a recompute with nothing changed writes nothing back', { skip }, async () => {
+  const uid = await createStudent();
+  await writeLog(uid, 'a', { date: '2025/06/02', clockIn: '8:00 AM', clockOut: '10:00 AM' });
+  const before = await db.collection('users').doc(uid).collection('ojtLogs').doc('a').get();
+  const userBefore = await readUser(uid);
+
+  // The trigger fires again for its own ledger write-back; that run must be a no-op.
+  await functions.ojtLedgerOnLogWritten.run({ params: { uid, logId: 'a' } });
+  const after = await db.collection('users').doc(uid).collection('ojtLogs').doc('a').get();
+  assert.ok(after.updateTime.isEqual(before.updateTime));
+  assert.ok((await readUser(uid)).ojtLedger.updatedAt.isEqual(userBefore.ojtLedger.updatedAt));
+});
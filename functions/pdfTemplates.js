@@ -0,0 +1,747 @@
+// HTML templates for the generated PDFs, shared by the app (expo-print previews) and the
+// generateDocumentPdf Cloud Function (archived copies), so both render the same document.
+// Plain CommonJS so it can be deployed with the functions and bundled by Metro.
+
+// Every value interpolated into a template goes through escapeHtml: most of them come from
+// student-editable documents, and the function renders these pages in headless Chromium.
+const escapeHtml = (unsafe) =>
+  String(unsafe ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+
+// Verification footer (QR code + id) on documents archived by generateDocumentPdf; the
+// verifyDocument function looks the id up. Device previews pass no verification and get none.
+function verificationBlock(verification) {
+  if (!verification || !verification.id) return '';
+  return `
+    <div style="display: flex; align-items: center; gap: 10px; margin-top: 10px; font-family: Arial, Helvetica, sans-serif; font-size: 10px; page-break-inside: avoid;">
+      ${verification.qrDataUri ? `<img src="${escapeHtml(verification.qrDataUri)}" alt="Verification QR" style="width: 64px; height: 64px;" />` : ''}
+      <div>
+        <div>Verification ID: <strong>${escapeHtml(verification.id)}</strong></div>
+        ${verification.url ? `<div>Scan the code or visit ${escapeHtml(verification.url)} to confirm this document is genuine and unchanged.</div>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// Weekly Accomplishment Report (letter, landscape). See WeeklyReportData in services/pdfGenerator.ts.
+function weeklyReportHtml(reportData) {
+  const normalizeTime = (t) => String(t ?? '').trim().replace(/\s+/g, ' ');
+
+  // Accepts "7:57 AM", "7:57AM", "12:38 PM", "12:38PM"
+  const parseTimeToMinutes = (timeStr) => {
+    const s = normalizeTime(timeStr).toUpperCase();
+    const m = s.match(/^(\d{1,2})\s*:\s*(\d{2})\s*(AM|PM)$/i);
+    if (!m) return null;
+    let h = Number(m[1]);
+    const min = Number(m[2]);
+    const ampm = m[3].toUpperCase();
+    if (Number.isNaN(h) || Number.isNaN(min)) return null;
+    if (h < 1 || h > 12 || min < 0 || min > 59) return null;
+    if (ampm === 'AM') {
+      if (h === 12) h = 0;
+    } else {
+      if (h !== 12) h += 12;
+    }
+    return h * 60 + min;
+  };
+
+  const formatHMM = (totalMinutes) => {
+    const mins = Math.max(0, Math.round(totalMinutes));
+    const h = Math.floor(mins / 60);
+    const m = mins % 60;
+    return `${h}:${String(m).padStart(2, '0')}`;
+  };
+
+  const calcDurationMinutes = (timeIn, timeOut) => {
+    const start = parseTimeToMinutes(timeIn);
+    const end = parseTimeToMinutes(timeOut);
+    if (start == null || end == null) return null;
+    let diff = end - start;
+    if (diff < 0) diff += 24 * 60; // overnight safeguard
+    return diff;
+  };
+
+  const currentDate = reportData.submittedDate
+    ? reportData.submittedDate
+    : new Date().toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+      });
+  const preparedByName = reportData.preparedByName || reportData.traineeName || '';
+  const preparedByTitle = reportData.preparedByTitle || 'Trainee';
+  const notedByName = reportData.notedByName || '';
+  const notedByTitle = reportData.notedByTitle || 'Job Title of Supervisor';
+  const receivedByName = reportData.receivedByName || '';
+  const receivedByTitle = reportData.receivedByTitle || 'OJT Adviser';
+
+  let totalMinutes = 0;
+  const entryRows = reportData.entries
+    .map((entry) => {
+      const safeDate = escapeHtml(entry.date || '');
+      const safeTimeIn = escapeHtml(normalizeTime(entry.timeIn || ''));
+      const safeTimeOut = escapeHtml(normalizeTime(entry.timeOut || ''));
+      const safeTask = escapeHtml(entry.taskCompleted || '').replace(/\n/g, '<br/>');
+      const safeRemarks = escapeHtml(entry.remarks || '');
+
+      const duration = calcDurationMinutes(entry.timeIn || '', entry.timeOut || '');
+      if (duration != null) totalMinutes += duration;
+
+      const hoursCell =
+        duration != null
+          ? formatHMM(duration)
+          : typeof entry.hours === 'number' && Number.isFinite(entry.hours)
+            ? formatHMM(entry.hours * 60)
+            : '';
+
+      return `
+      <tr>
+        <td class="center">${safeDate}</td>
+        <td class="center">${safeTimeIn}</td>
+        <td class="center">${safeTimeOut}</td>
+        <td class="center">${escapeHtml(hoursCell)}</td>
+        <td class="task">${safeTask}</td>
+        <td class="center">${safeRemarks}</td>
+      </tr>`;
+    })
+    .join('');
+
+  const totalHMM = formatHMM(totalMinutes);
+
+  const headerLogos = `
+    <div class="header-row">
+      <div class="logo-slot">
+        ${
+          reportData.leftLogoUrl
+            ? `<img class="logo-img" src="${escapeHtml(reportData.leftLogoUrl)}" alt="Left Logo" />`
+            : `<div class="logo-placeholder">LOGO</div>`
+        }
+      </div>
+      <div class="header-center">
+        <div class="uni-script">New Era University</div>
+        <div class="uni-sub">College of Computer Studies</div>
+        <div class="uni-sub">Department of Information Technology</div>
+      </div>
+      <div class="logo-slot">
+        ${
+          reportData.rightLogoUrl
+            ? `<img class="logo-img" src="${escapeHtml(reportData.rightLogoUrl)}" alt="Right Logo" />`
+            : `<div class="logo-placeholder">LOGO</div>`
+        }
+      </div>
+    </div>
+  `;
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Weekly Accomplishment Report</title>
+        <style>
+          @page {
+            margin: 0.5in;
+            size: letter landscape;
+          }
+          body {
+            font-family: Arial, Helvetica, sans-serif;
+            margin: 0;
+            padding: 0;
+            background: #fff;
+            color: #000;
+          }
+          .page {
+            width: 100%;
+            min-height: 100vh;
+            display: flex;
+            flex-direction: column;
+          }
+          .content-wrapper {
+            flex: 1;
+          }
+          .header-row {
+            display: flex;
+            justify-content: center;
+            align-items: flex-start;
+            margin-bottom: 6px;
+            gap: 20px;
+          }
+          .logo-slot {
+            width: 95px;
+            height: 95px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            overflow: hidden;
+            flex-shrink: 0;
+          }
+          .logo-img {
+            width: 95px;
+            height: 95px;
+            object-fit: contain;
+          }
+          .logo-placeholder {
+            font-size: 12px;
+            color: #777;
+          }
+          .header-center {
+            text-align: center;
+            padding-top: 6px;
+            flex-shrink: 0;
+          }
+          .uni-script {
+            font-family: "Brush Script MT", "Segoe Script", cursive;
+            font-size: 34px;
+            line-height: 1;
+            margin: 0;
+            font-weight: 500;
+          }
+          .uni-sub {
+            font-size: 14px;
+            line-height: 1.2;
+            margin: 0;
+          }
+          .report-title {
+            text-align: center;
+            font-size: 20px;
+            font-weight: 700;
+            margin: 10px 0 2px;
+            letter-spacing: 0.2px;
+          }
+          .report-subtitle {
+            text-align: center;
+            font-size: 16px;
+            margin: 0 0 12px;
+          }
+          table {
+            width: 100%;
+            border-collapse: collapse;
+          }
+          .meta-table td {
+            border: 1px solid #000;
+            padding: 7px 8px;
+            font-size: 13px;
+          }
+          .meta-label {
+            font-weight: 700;
+            width: 18%;
+          }
+          .meta-value {
+            text-align: center;
+          }
+          .entries-table {
+            margin-top: 14px;
+            font-size: 12px;
+          }
+          .entries-table th,
+          .entries-table td {
+            border: 1px solid #000;
+            padding: 7px 6px;
+            vertical-align: top;
+          }
+          .entries-table th {
+            text-align: center;
+            font-weight: 700;
+          }
+          .center {
+            text-align: center;
+            vertical-align: middle;
+            white-space: nowrap;
+          }
+          .task {
+            text-align: center;
+            font-size: 11.5px;
+          }
+          .total-row td {
+            font-weight: 700;
+          }
+          .total-label {
+            text-align: center;
+          }
+          .signatures {
+            margin-top: auto;
+            margin-bottom: 20px;
+            display: grid;
+            grid-template-columns: 1fr 1fr 1.4fr 1fr;
+            column-gap: 18px;
+            align-items: end;
+          }
+          .sig-col {
+            width: 100%;
+          }
+          .sig-label {
+            font-size: 13px;
+            font-weight: 700;
+            text-align: left;
+            margin-bottom: 22px;
+          }
+          .sig-name {
+            border-bottom: 1px solid #000;
+            text-align: center;
+            font-size: 12px;
+            padding-bottom: 2px;
+            min-height: 16px;
+          }
+          .sig-title {
+            text-align: center;
+            font-size: 12px;
+            margin-top: 4px;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="page">
+          <div class="content-wrapper">
+            ${headerLogos}
+
+            <div class="report-title">WEEKLY ACCOMPLISHMENT REPORT</div>
+            <div class="report-subtitle">On the Job Training</div>
+
+            <table class="meta-table">
+              <tr>
+                <td class="meta-label">Trainee:</td>
+                <td class="meta-value">${escapeHtml(reportData.traineeName || '')}</td>
+                <td class="meta-label">Department Assigned:</td>
+                <td class="meta-value">${escapeHtml(reportData.departmentAssigned || '')}</td>
+              </tr>
+              <tr>
+                <td class="meta-label">Company:</td>
+                <td class="meta-value">${escapeHtml(reportData.companyName || '')}</td>
+                <td class="meta-label">Month Covered:</td>
+                <td class="meta-value">${escapeHtml(reportData.monthCovered || '')}</td>
+              </tr>
+            </table>
+
+            <table class="entries-table">
+              <colgroup>
+                <col style="width: 12%;" />
+                <col style="width: 11%;" />
+                <col style="width: 11%;" />
+                <col style="width: 8%;" />
+                <col style="width: 46%;" />
+                <col style="width: 12%;" />
+              </colgroup>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Time IN</th>
+                  <th>Time OUT</th>
+                  <th>Number<br/>of Hours</th>
+                  <th>TASK COMPLETED</th>
+                  <th>REMARKS</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${entryRows}
+                <tr class="total-row">
+                  <td colspan="3" class="total-label">Total Number of Hours</td>
+                  <td class="center">${escapeHtml(totalHMM)}</td>
+                  <td></td>
+                  <td></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <div class="signatures">
+            <div class="sig-col">
+              <div class="sig-label">Prepared by:</div>
+              <div class="sig-name">${escapeHtml(preparedByName)}</div>
+              <div class="sig-title">${escapeHtml(preparedByTitle)}</div>
+            </div>
+            <div class="sig-col">
+              <div class="sig-label">Noted by:</div>
+              <div class="sig-name">${escapeHtml(notedByName)}</div>
+              <div class="sig-title">${escapeHtml(notedByTitle)}</div>
+            </div>
+            <div class="sig-col">
+              <div class="sig-label">Date Submitted:</div>
+              <div class="sig-name">${escapeHtml(currentDate)}</div>
+              <div class="sig-title">&nbsp;</div>
+            </div>
+            <div class="sig-col">
+              <div class="sig-label">Received by:</div>
+              <div class="sig-name">${escapeHtml(receivedByName)}</div>
+              <div class="sig-title">${escapeHtml(receivedByTitle)}</div>
+            </div>
+          </div>
+          ${verificationBlock(reportData.verification)}
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+// Student Internship Program checklist (A4). See OJTChecklistData in services/ojtChecklistGenerator.ts.
+function ojtChecklistHtml(data) {
+  const leftLogo = data.leftLogoUrl
+    ? `<img src="${escapeHtml(data.leftLogoUrl)}" style="width: 100%; height: 100%; object-fit: contain;" />`
+    : `<div style="font-size: 10px; color: #666;">LOGO</div>`;
+
+  const rightLogo = data.rightLogoUrl
+    ? `<img src="${escapeHtml(data.rightLogoUrl)}" style="width: 100%; height: 100%; object-fit: contain;" />`
+    : `<div style="font-size: 10px; color: #666;">LOGO</div>`;
+
+  const adviserSignatureImg = data.adviserSignatureUrl
+    ? `<img src="${escapeHtml(data.adviserSignatureUrl)}" alt="Adviser Signature" style="max-width: 90px; max-height: 34px; display: block; margin: 0 auto;" />`
+    : '';
+
+  const statusText = (s) => {
+    if (s === 'approved') return 'APPROVED';
+    if (s === 'rejected') return 'REJECTED';
+    return '';
+  };
+
+  const buildRows = (rows) =>
+    rows
+      .map(
+        (r) => {
+          const hasSigned = r.status === 'approved' && Boolean(adviserSignatureImg);
+          return `
+            <tr>
+              <td class="cell req">${escapeHtml(r.title)}</td>
+              <td class="cell date">${escapeHtml(r.dateCompleted)}</td>
+              <td class="cell remarks">${escapeHtml(r.remarks || (r.status ? statusText(r.status) : ''))}</td>
+              <td class="cell sig">${hasSigned ? adviserSignatureImg : ''}</td>
+            </tr>
+          `;
+        }
+      )
+      .join('');
+
+  // Map the app-tracked requirements into Section A rows.
+  const sectionARows = data.requirements.map((r) => ({
+    title: r.title,
+    status: r.status,
+    dateCompleted: r.dateCompleted,
+    remarks: r.remarks,
+  }));
+
+  // The screenshot shows additional sections that may not be tracked in-app.
+  // We include them as blank rows so the PDF matches the form layout.
+  const sectionBRows = [
+    { title: 'Internship Contract' },
+    { title: 'Site Visit (by the OJT Adviser)' },
+  ];
+
+  const sectionCRows = [
+    { title: 'A. HTE Evaluation of the Student' },
+    { title: 'B. Student Performance Evaluation of the HTE' },
+    { title: 'C. Student Outcomes Evaluation of the HTE' },
+    { title: 'D. SIP Evaluation of the Student' },
+    { title: 'E. Certificate of Completion' },
+    { title: 'F. Internship Journal' },
+    { title: 'G. LINKDIN Account and Link' },
+  ];
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Student Internship Program - Internship Checklist</title>
+        <style>
+          @page { size: A4; margin: 16mm; }
+          * { box-sizing: border-box; }
+          body {
+            font-family: 'Times New Roman', Times, serif;
+            margin: 0;
+            padding: 0;
+            color: #000;
+            background: #fff;
+          }
+          .page { width: 100%; }
+          .pageBreak { page-break-after: always; }
+
+          .topHeader {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 10px;
+            margin-bottom: 6px;
+          }
+          .logoCircle {
+            width: 54px;
+            height: 54px;
+            border-radius: 999px;
+            border: 1px solid #000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            overflow: hidden;
+            flex: 0 0 auto;
+          }
+          .headerText {
+            flex: 1;
+            text-align: center;
+            line-height: 1.1;
+          }
+          .headerText .u { font-size: 18px; font-style: italic; font-weight: 600; }
+          .headerText .c { font-size: 11px; font-weight: 700; }
+          .headerText .a { font-size: 10px; }
+          .headerText .t { margin-top: 6px; font-size: 12px; font-weight: 700; }
+          .headerText .tt { font-size: 12px; font-weight: 700; }
+
+          .formTitle {
+            margin-top: 6px;
+            text-align: center;
+            font-weight: 700;
+            font-size: 12px;
+          }
+
+          table.form {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 11px;
+            margin-top: 10px;
+          }
+          table.form td, table.form th {
+            border: 1px solid #000;
+            padding: 4px 6px;
+            vertical-align: middle;
+          }
+          .label { width: 26%; }
+          .value { width: 74%; }
+
+          .sectionTitle {
+            margin: 12px 0 6px;
+            text-align: center;
+            font-size: 11px;
+            font-style: italic;
+            font-weight: 700;
+          }
+
+          table.checklist {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 11px;
+            margin-top: 6px;
+          }
+          table.checklist th, table.checklist td {
+            border: 1px solid #000;
+            padding: 6px 6px;
+            vertical-align: top;
+          }
+          table.checklist th {
+            background: #000;
+            color: #fff;
+            text-align: center;
+            font-weight: 700;
+            padding: 5px 4px;
+          }
+          .cell.req { width: 40%; }
+          .cell.date { width: 18%; text-align: center; }
+          .cell.remarks { width: 22%; }
+          .cell.sig { width: 20%; text-align: center; }
+          .subSection {
+            margin-top: 10px;
+            font-weight: 700;
+            font-size: 11px;
+            text-align: center;
+          }
+
+          .blackBar {
+            background: #000;
+            color: #fff;
+            text-align: center;
+            font-weight: 700;
+            font-size: 11px;
+            padding: 6px 8px;
+            margin-top: 12px;
+          }
+
+          .notesBox {
+            width: 100%;
+            height: 160px;
+            border: 1px solid #000;
+            margin-top: 0;
+          }
+        </style>
+      </head>
+      <body>
+        <!-- PAGE 1 -->
+        <div class="page pageBreak">
+          <div class="topHeader">
+            <div class="logoCircle">${leftLogo}</div>
+            <div class="headerText">
+              <div class="u">New Era University</div>
+              <div class="c">COLLEGE OF INFORMATICS AND COMPUTING STUDIES</div>
+              <div class="a">No. 9 Central Avenue, New Era University</div>
+              <div class="a">(02) 8981 4221 local 3285 • computstudies@neu.edu.ph</div>
+            </div>
+            <div class="logoCircle">${rightLogo}</div>
+          </div>
+
+          <div class="formTitle">STUDENT INTERNSHIP PROGRAM</div>
+          <div class="formTitle">INTERNSHIP CHECKLIST</div>
+
+          <table class="form">
+            <tr>
+              <td class="label"><b>Program:</b></td>
+              <td class="value">${escapeHtml(data.program)}</td>
+              <td class="label"><b>Section:</b></td>
+              <td class="value">${escapeHtml(data.section)}</td>
+            </tr>
+            <tr>
+              <td class="label"><b>Student Name (LN, FN, MI):</b></td>
+              <td class="value" colspan="3">${escapeHtml(data.studentName)}</td>
+            </tr>
+            <tr>
+              <td class="label"><b>E-mail Address:</b></td>
+              <td class="value" colspan="3">${escapeHtml(data.studentEmail)}</td>
+            </tr>
+            <tr>
+              <td class="label"><b>Contact Number:</b></td>
+              <td class="value" colspan="3">${escapeHtml(data.contactNumber)}</td>
+            </tr>
+            <tr>
+              <td class="label"><b>Adviser:</b></td>
+              <td class="value" colspan="3">${escapeHtml(data.adviserName)}</td>
+            </tr>
+          </table>
+
+          <table class="form" style="margin-top: 10px;">
+            <tr>
+              <td class="label"><b>Company Name:</b></td>
+              <td class="value" colspan="3">${escapeHtml(data.companyName)}</td>
+            </tr>
+            <tr>
+              <td class="label"><b>Contact Person:</b></td>
+              <td class="value" colspan="3">${escapeHtml(data.companyContactPerson)}</td>
+            </tr>
+            <tr>
+              <td class="label"><b>Job Title:</b></td>
+              <td class="value" colspan="3">${escapeHtml(data.companyJobTitle)}</td>
+            </tr>
+            <tr>
+              <td class="label"><b>E-mail Address:</b></td>
+              <td class="value" colspan="3">${escapeHtml(data.companyEmail)}</td>
+            </tr>
+            <tr>
+              <td class="label"><b>Company Address:</b></td>
+              <td class="value" colspan="3">${escapeHtml(data.companyAddress)}</td>
+            </tr>
+          </table>
+
+          <div class="sectionTitle">A. Pre-deployment Requirements</div>
+          <table class="checklist">
+            <thead>
+              <tr>
+                <th>Requirement/s:</th>
+                <th>Date Completed/Submitted:</th>
+                <th>Remarks:</th>
+                <th>Adviser's Signature:</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${buildRows(sectionARows)}
+            </tbody>
+          </table>
+
+          <div class="blackBar">OJT Endorsement Letter<br><span style="font-weight: 400; font-size: 10px;">(To be filled-up by the Receiving Staff at the Dean's Office)</span></div>
+          <table class="checklist" style="margin-top: 0;">
+            <thead>
+              <tr>
+                <th>Issued by:</th>
+                <th>Remarks:</th>
+                <th>Date Received:</th>
+                <th>Received by:</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td class="cell" style="height: 34px;"></td>
+                <td class="cell"></td>
+                <td class="cell"></td>
+                <td class="cell"></td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <!-- PAGE 2 -->
+        <div class="page">
+          <div class="sectionTitle">B. Training Requirements</div>
+          <table class="checklist">
+            <thead>
+              <tr>
+                <th>Requirement/s:</th>
+                <th>Date Completed/Submitted:</th>
+                <th>Remarks:</th>
+                <th>Adviser's Signature:</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${buildRows(sectionBRows)}
+            </tbody>
+          </table>
+
+          <div class="sectionTitle">C. Post/ Final Requirements</div>
+          <table class="checklist">
+            <thead>
+              <tr>
+                <th>Requirement/s:</th>
+                <th>Date Completed/Submitted:</th>
+                <th>Remarks:</th>
+                <th>Adviser's Signature:</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${buildRows(sectionCRows)}
+            </tbody>
+          </table>
+
+          <div class="blackBar">COMPILATION OF WEEKLY ACCOMPLISHMENT REPORT<br><span style="font-weight: 400; font-size: 10px;">(To be filled-up by the OJT Adviser)</span></div>
+          <table class="checklist" style="margin-top: 0;">
+            <thead>
+              <tr>
+                <th>Date of Deployment:</th>
+                <th>Date of Completion:</th>
+                <th>Duration:</th>
+                <th>Signature:</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td style="height: 30px;"></td>
+                <td></td>
+                <td></td>
+                <td>${adviserSignatureImg}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <div class="blackBar">OTHER REMARKS/ COMMENTS:</div>
+          <div class="notesBox"></div>
+
+          <div class="blackBar">FINAL SUBMISSION<br><span style="font-weight: 400; font-size: 10px;">(To be filled-up by the OJT Adviser)</span></div>
+          <table class="checklist" style="margin-top: 0;">
+            <thead>
+              <tr>
+                <th>Submitted by:</th>
+                <th>Date of Submission:</th>
+                <th>Remarks:</th>
+                <th>Signature:</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td style="height: 30px;"></td>
+                <td></td>
+                <td></td>
+                <td>${adviserSignatureImg}</td>
+              </tr>
+            </tbody>
+          </table>
+          ${verificationBlock(data.verification)}
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+module.exports = { escapeHtml, weeklyReportHtml, ojtChecklistHtml };
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, weeklyReportHtml, ojtChecklistHtml } = require('./pdfTemplates');
+
+const PAYLOAD = '<img src="http://169.254.169.254/computeMetadata/v1/" onerror="x">';
+
+const checklistData = (overrides = {}) => ({
+  studentName: PAYLOAD,
+  studentId: '21-00001-000',
+  program: PAYLOAD,
+  section: PAYLOAD,
+  studentEmail: 'student@neu.edu.ph',
+  contactNumber: PAYLOAD,
+  adviserName: 'OJT Adviser',
+  companyName: PAYLOAD,
+  companyContactPerson: PAYLOAD,
+  companyJobTitle: PAYLOAD,
+  companyEmail: PAYLOAD,
+  companyAddress: PAYLOAD,
+  completedDate: 'January 1, 2026',
+  requirements: [{ title: PAYLOAD, status: 'pending', dateCompleted: PAYLOAD, remarks: PAYLOAD }],
+  ...overrides,
+});
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#039;y&#039;&gt;&amp;&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(0), '0');
+});
+
+test('ojtChecklistHtml escapes student and company fields', () => {
+  const html = ojtChecklistHtml(checklistData());
+  assert.ok(!html.includes(PAYLOAD));
+  assert.ok(!html.includes('169.254.169.254/computeMetadata/v1/" onerror'));
+  assert.ok(html.includes(escapeHtml(PAYLOAD)));
+});
+
+test('ojtChecklistHtml keeps image sources inside their attribute', () => {
+  const html = ojtChecklistHtml(checklistData({ leftLogoUrl: 'data:image/png;base64,AAAA" onerror="x' }));
+  assert.ok(html.includes('src="data:image/png;base64,AAAA&quot; onerror=&quot;x"'));
+});
+
+test('weeklyReportHtml escapes report fields', () => {
+  const html = weeklyReportHtml({
+    traineeName: PAYLOAD,
+    departmentAssigned: PAYLOAD,
+    companyName: PAYLOAD,
+    monthCovered: PAYLOAD,
+    entries: [{ date: PAYLOAD, timeIn: '8:00 AM', timeOut: '5:00 PM', taskCompleted: PAYLOAD, remarks: PAYLOAD }],
+    preparedByName: PAYLOAD,
+    notedByName: PAYLOAD,
+    receivedByName: PAYLOAD,
+  });
+  assert.ok(!html.includes(PAYLOAD));
+});
@@ -0,0 +1,93 @@
+// Personal data endpoints (exportMyData, processAccountDeletions) against the Auth, Firestore,
+// Realtime Database and Storage emulators.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { emulatorSkip, loadFunctions, unique, idTokenFor, callHandler } = require('./emulatorTesting');
+
+const skip = emulatorSkip('auth', 'firestore', 'database', 'storage');
+
+let functions;
+let db;
+let bucket;
+if (!skip) {
+  functions = loadFunctions();
+  db = require('firebase-admin/firestore').getFirestore();
+  bucket = require('firebase-admin/storage').getStorage().bucket();
+}
+
+// Entries of a ZIP archive by name, read through its central directory.
+const readZip = (buffer) => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const entries = {};
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = buffer.readUInt16LE(end + 10); i > 0; i--) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const skipLength = nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    entries[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    offset += 46 + skipLength;
+  }
+  return entries;
+};
+
+// A student with an Auth user and their compact student ID (as loginAudit stores it).
+const setupStudent = async () => {
+  const uid = `stu-${unique()}`;
+  const compactId = `S${unique()}`;
+  await db.collection('users').doc(uid).set({
+    name: 'Test Student',
+    email: `${uid}@test.internquest`,
+    studentId: `${compactId.slice(0, 3)}-${compactId.slice(3)}`,
+    role: 'student',
+  });
+  return { uid, compactId, token: await idTokenFor(uid, { role: 'student' }) };
+};
+
+test('the data export includes notifications sent to several students', { skip }, async () => {
+  const { uid, token } = await setupStudent();
+  const direct = await db.collection('notifications').add({ userId: uid, title: 'Direct' });
+  const legacy = await db.collection('notifications').add({ userid: uid, title: 'Legacy' });
+  const broadcast = await db.collection('notifications').add({ targetStudentIds: [uid, `other-${unique()}`], title: 'Broadcast' });
+  await db.collection('notifications').add({ targetStudentIds: [`other-${unique()}`], title: 'Someone else' });
+
+  // The emulator cannot sign download links, so the archive is read from Storage directly.
+  await callHandler(functions.exportMyData, { token });
+  const { path } = (await db.collection('dataExports').doc(uid).get()).data();
+  const [zip] = await bucket.file(path).download();
+  const notifications = JSON.parse(readZip(zip)['notifications.json']);
+  assert.deepEqual(notifications.map((n) => n.id).sort(), [direct.id, legacy.id, broadcast.id].sort());
+});
+
+test('deleting an account removes the logs that name the student and their uid from shared records', { skip }, async () => {
+  const { uid, compactId } = await setupStudent();
+  const otherUid = `other-${unique()}`;
+  const named = await Promise.all([
+    db.collection('loginAudit').add({ uid, studentId: compactId, outcome: 'success' }),
+    db.collection('loginAudit').add({ studentId: compactId, outcome: 'bad_password' }),
+    db.collection('fileAccessLogs').add({ userId: uid, ownerId: uid, action: 'stream' }),
+    db.collection('fileAccessLogs').add({ userId: otherUid, ownerId: uid, action: 'signed_url' }),
+    db.collection('pushTickets').add({ userId: uid, status: 'pending' }),
+    db.collection('deferredPushes').add({ userId: uid, title: 'Reminder' }),
+    db.collection('documentVerifications').add({ userId: uid, summary: { studentName: 'Test Student' } }),
+    db.collection('notifications').add({ targetStudentId: uid, title: 'Direct' }),
+  ]);
+  const report = db.collection('clientErrors').doc(`test_${unique()}`);
+  await report.set({ affectedUids: [uid, otherUid], lastUid: uid, count: 2 });
+  const broadcast = await db.collection('notifications').add({ targetStudentIds: [uid, otherUid], title: 'Broadcast' });
+  const request = db.collection('accountDeletionRequests').doc(uid);
+  await request.set({ uid, status: 'pending', scheduledFor: new Date(Date.now() - 1000), email: `${uid}@test.internquest` });
+
+  await functions.processAccountDeletions.run({});
+
+  assert.equal((await request.get()).data().status, 'completed');
+  const remaining = await Promise.all(named.map((ref) => ref.get()));
+  assert.deepEqual(remaining.filter((snap) => snap.exists).map((snap) => snap.ref.path), []);
+  assert.deepEqual((await report.get()).data(), { affectedUids: [otherUid], lastUid: null, count: 2 });
+  assert.deepEqual((await broadcast.get()).data().targetStudentIds, [otherUid]);
+});
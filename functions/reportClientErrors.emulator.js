@@ -0,0 +1,105 @@
+// reportClientErrors and cleanupClientErrors against the Auth and Firestore emulators.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emulatorSkip, loadFunctions, unique, idTokenFor, callHandler } = require('./emulatorTesting');
+
+const skip = emulatorSkip('auth', 'firestore');
+const REPORT_LIMIT = 3;
+const HOUR_MS = 60 * 60 * 1000;
+
+let functions;
+let db;
+if (!skip) {
+  functions = loadFunctions({ CLIENT_ERROR_REPORTS_PER_HOUR: String(REPORT_LIMIT) });
+  db = require('firebase-admin/firestore').getFirestore();
+}
+
+const report = (token, errors) => callHandler(functions.reportClientErrors, {
+  token,
+  body: { appVersion: '1.0.0', platform: 'android', osVersion: '14', errors },
+});
+
+const anError = (operation, message = 'Failed to save log 12345') => ({ screen: 'OJTTracker', operation, message, code: 'unavailable' });
+
+test('repeats of an error are counted on one report per day', { skip }, async () => {
+  const first = `stu-${unique()}`;
+  const second = `stu-${unique()}`;
+  const operation = `save-${unique()}`;
+
+  const res = await report(await idTokenFor(first, { role: 'student' }), [
+    { ...anError(operation), count: 2 },
+    anError(operation, 'Failed to save log 67890'),
+    { screen: 'OJTTracker', message: 'no operation' },
+  ]);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.accepted, 2);
+  await report(await idTokenFor(second, { role: 'student' }), [anError(operation)]);
+
+  const docs = await db.collection('clientErrors').where('operation', '==', operation).get();
+  assert.equal(docs.size, 1);
+  const doc = docs.docs[0].data();
+  assert.equal(doc.count, 4);
+  assert.equal(doc.pattern, 'Failed to save log <n>');
+  assert.deepEqual([...doc.affectedUids].sort(), [first, second].sort());
+  assert.deepEqual(doc.platforms, ['android 14']);
+});
+
+test('reports need a signed-in user', { skip }, async () => {
+  const res = await report(null, [anError(`save-${unique()}`)]);
+  assert.equal(res.statusCode, 401);
+});
+
+test('each user may send a limited number of reports per hour', { skip }, async () => {
+  const token = await idTokenFor(`stu-${unique()}`, { role: 'student' });
+  const operation = `save-${unique()}`;
+
+  const responses = [];
+  for (let i = 0; i <= REPORT_LIMIT; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    responses.push(await report(token, [anError(operation)]));
+  }
+  assert.deepEqual(responses.map((r) => r.statusCode), [...Array(REPORT_LIMIT).fill(200), 429]);
+  const refused = responses[REPORT_LIMIT];
+  assert.equal(refused.body.error, 'TOO_MANY_REPORTS');
+  assert.ok(refused.body.retryAfterSeconds > 0 && refused.body.retryAfterSeconds <= 3600);
+  assert.equal(refused.headers['Retry-After'], String(refused.body.retryAfterSeconds));
+
+  // Only the accepted reports were counted.
+  const docs = await db.collection('clientErrors').where('operation', '==', operation).get();
+  assert.equal(docs.docs[0].data().count, REPORT_LIMIT);
+
+  // Other users are limited separately.
+  const other = await idTokenFor(`stu-${unique()}`, { role: 'student' });
+  assert.equal((await report(other, [anError(operation)])).statusCode, 200);
+});
+
+test('the limit resets once the window has passed', { skip }, async () => {
+  const uid = `stu-${unique()}`;
+  const startedAt = Date.now() - 2 * HOUR_MS;
+  await db.collection('clientErrorThrottle').doc(uid).set({ windowStart: startedAt, count: REPORT_LIMIT, updatedAt: startedAt });
+
+  const res = await report(await idTokenFor(uid, { role: 'student' }), [anError(`save-${unique()}`)]);
+  assert.equal(res.statusCode, 200);
+  const throttle = (await db.collection('clientErrorThrottle').doc(uid).get()).data();
+  assert.equal(throttle.count, 1);
+  assert.ok(throttle.windowStart > startedAt);
+});
+
+test('cleanup removes expired reports and finished throttle windows only', { skip }, async () => {
+  const nowMs = Date.now();
+  const id = unique();
+  await Promise.all([
+    db.collection('clientErrors').doc(`old_${id}`).set({ count: 1, expiresAt: new Date(nowMs - 1000) }),
+    db.collection('clientErrors').doc(`new_${id}`).set({ count: 1, expiresAt: new Date(nowMs + HOUR_MS) }),
+    db.collection('clientErrorThrottle').doc(`old_${id}`).set({ windowStart: nowMs - 3 * HOUR_MS, count: 1, updatedAt: nowMs - 2 * HOUR_MS }),
+    db.collection('clientErrorThrottle').doc(`new_${id}`).set({ windowStart: nowMs - 1000, count: 1, updatedAt: nowMs - 1000 }),
+  ]);
+
+  await functions.cleanupClientErrors.run({});
+
+  const exists = async (collection, docId) => (await db.collection(collection).doc(docId).get()).exists;
+  assert.equal(await exists('clientErrors', `old_${id}`), false);
+  assert.equal(await exists('clientErrors', `new_${id}`), true);
+  assert.equal(await exists('clientErrorThrottle', `old_${id}`), false);
+  assert.equal(await exists('clientErrorThrottle', `new_${id}`), true);
+});
@@ -0,0 +1,93 @@
+// Section A rows of the generated OJT checklist. Rows come from the requirement catalog and
+// the review decisions in requirement_approvals/{uid} only: the student's own `requirements`
+// list on users/{uid} is writable by the student, so nothing on it can mark a row approved.
+// A requirement without a decision is pending.
+
+// Used when the catalog collection is empty; keep in sync with DEFAULT_REQUIREMENT_CATALOG in
+// services/requirements.ts.
+const DEFAULT_REQUIREMENT_CATALOG = [
+  { id: 'proof_of_enrollment', title: 'Proof of Enrollment (COM)', order: 1 },
+  { id: 'parental_consent', title: 'Notarized Parental Consent', order: 2 },
+  { id: 'medical_certificate', title: 'Medical Certificate', order: 3 },
+  { id: 'psychological_test', title: 'Psychological Test Certification', order: 4 },
+  { id: 'proof_of_insurance', title: 'Proof of Insurance', order: 5 },
+  { id: 'memorandum_of_agreement', title: 'Memorandum of Agreement', order: 6 },
+  { id: 'curriculum_vitae', title: 'Curriculum Vitae', order: 7 },
+];
+
+// requirement_approvals status -> checklist status
+const checklistStatus = (approvalStatus) => {
+  if (approvalStatus === 'approved') return 'approved';
+  if (approvalStatus === 'rejected' || approvalStatus === 'needs_resubmission') return 'rejected';
+  return 'pending';
+};
+
+// reviewedAt is an ISO string; entries carried over by migration 004 may hold a Timestamp.
+const reviewedMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const parsed = Date.parse(String(value));
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+// catalog: [{ id, title, order?, active? }]; approvals: requirement_approvals/{uid} data.
+// formatDate turns the review time (ms) into the printed date.
+const checklistRequirements = (catalog, approvals, formatDate) => {
+  const items = (Array.isArray(catalog) && catalog.length ? catalog : DEFAULT_REQUIREMENT_CATALOG)
+    .filter((item) => item && item.id && item.active !== false)
+    .sort((a, b) => (Number(a.order) || 0) - (Number(b.order) || 0));
+  const decisions = approvals && typeof approvals === 'object' ? approvals : {};
+
+  return items.map((item) => {
+    const approval = decisions[item.id] && typeof decisions[item.id] === 'object' ? decisions[item.id] : {};
+    const status = checklistStatus(approval.status);
+    const reviewedMs = status !== 'pending' ? reviewedMillis(approval.reviewedAt) : null;
+    return {
+      id: item.id,
+      title: String(item.title || item.id),
+      status,
+      dateCompleted: reviewedMs ? formatDate(reviewedMs) : '',
+      remarks: status === 'rejected' && approval.reason ? String(approval.reason) : (status !== 'pending' && approval.notes ? String(approval.notes) : ''),
+    };
+  });
+};
+
+const firstString = (...values) => {
+  for (const v of values) {
+    if (typeof v === 'string' && v.trim()) return v.trim();
+  }
+  return null;
+};
+
+// ojtChecklistHtml data. Mirrors the data the app assembled in RequirementsChecklistScreen before
+// this moved server-side; userData only supplies the profile and company details.
+const checklistPdfData = ({ userData, adviser, catalog, approvals, formatDate, nowMs }) => ({
+  studentName: firstString(userData.fullName, userData.name) || 'Student',
+  studentId: userData.studentId || '',
+  program: firstString(userData.program, userData.course, userData.department) || '',
+  section: userData.section || '',
+  studentEmail: userData.email || '',
+  contactNumber: firstString(userData.contact, userData.contactNumber, userData.phone) || '',
+  adviserName: adviser.name,
+  adviserSignatureUrl: adviser.signatureUrl,
+  companyName: firstString(userData.company, userData.appliedCompanyName) || '',
+  companyContactPerson: userData.companyContactPerson || '',
+  companyJobTitle: firstString(userData.companyJobTitle, userData.jobTitle) || '',
+  companyEmail: userData.companyEmail || '',
+  companyAddress: userData.companyAddress || '',
+  startDate: (userData.ojt && userData.ojt.startDate) || '',
+  endDate: (userData.ojt && userData.ojt.endDate) || '',
+  completedDate: formatDate(nowMs),
+  requirements: checklistRequirements(catalog, approvals, formatDate),
+});
+
+// What verifyDocument shows for an issued checklist.
+const checklistVerificationSummary = (data) => ({
+  studentName: data.studentName,
+  companyName: data.companyName,
+  adviserName: data.adviserName,
+  requirementsApproved: data.requirements.filter((r) => r.status === 'approved').length,
+  requirementsTotal: data.requirements.length,
+});
+
+module.exports = { DEFAULT_REQUIREMENT_CATALOG, checklistRequirements, checklistPdfData, checklistVerificationSummary };
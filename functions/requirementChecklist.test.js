@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_REQUIREMENT_CATALOG, checklistRequirements, checklistPdfData, checklistVerificationSummary } = require('./requirementChecklist');
+const { ojtChecklistHtml } = require('./pdfTemplates');
+
+const formatDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const catalog = [
+  { id: 'medical_certificate', title: 'Medical Certificate', order: 2 },
+  { id: 'proof_of_enrollment', title: 'Proof of Enrollment (COM)', order: 1 },
+  { id: 'retired', title: 'Retired requirement', order: 3, active: false },
+];
+
+test('rows follow the catalog order and skip retired items', () => {
+  const rows = checklistRequirements(catalog, {}, formatDate);
+  assert.deepEqual(rows.map((r) => r.id), ['proof_of_enrollment', 'medical_certificate']);
+});
+
+test('a requirement without a review decision is pending', () => {
+  const rows = checklistRequirements(catalog, {}, formatDate);
+  for (const row of rows) {
+    assert.equal(row.status, 'pending');
+    assert.equal(row.dateCompleted, '');
+    assert.equal(row.remarks, '');
+  }
+});
+
+test('review decisions set the status, date and remarks', () => {
+  const rows = checklistRequirements(catalog, {
+    proof_of_enrollment: { status: 'approved', notes: 'Clear copy', reviewedAt: '2026-03-02T01:00:00.000Z' },
+    medical_certificate: { status: 'needs_resubmission', reason: 'Unsigned', reviewedAt: { toMillis: () => Date.UTC(2026, 2, 3) } },
+  }, formatDate);
+  assert.deepEqual(rows[0], { id: 'proof_of_enrollment', title: 'Proof of Enrollment (COM)', status: 'approved', dateCompleted: '2026-03-02', remarks: 'Clear copy' });
+  assert.deepEqual(rows[1], { id: 'medical_certificate', title: 'Medical Certificate', status: 'rejected', dateCompleted: '2026-03-03', remarks: 'Unsigned' });
+});
+
+test('a file still waiting for review stays pending', () => {
+  const rows = checklistRequirements(catalog, {
+    proof_of_enrollment: { status: 'pending_review', notes: 'Earlier note', reviewedAt: '2026-03-02T01:00:00.000Z' },
+  }, formatDate);
+  assert.equal(rows[0].status, 'pending');
+  assert.equal(rows[0].dateCompleted, '');
+});
+
+test('the default catalog is used when the collection is empty', () => {
+  const rows = checklistRequirements([], {}, formatDate);
+  assert.deepEqual(rows.map((r) => r.id), DEFAULT_REQUIREMENT_CATALOG.map((item) => item.id));
+});
+
+test('approvals forged on the student\'s own requirements list are not certified', () => {
+  // Everything a student can write to users/{uid}.requirements, claiming every requirement approved.
+  const userData = {
+    fullName: 'Juan Dela Cruz',
+    company: 'Acme Corp',
+    requirements: DEFAULT_REQUIREMENT_CATALOG.map((item) => ({
+      id: item.id,
+      title: item.title,
+      status: 'approved',
+      approvalStatus: 'approved',
+      reviewedAt: '2026-03-02T01:00:00.000Z',
+      reviewedBy: 'OJT Adviser',
+      adviserNotes: 'Approved',
+    })),
+  };
+  const data = checklistPdfData({
+    userData,
+    adviser: { name: 'OJT Adviser', signatureUrl: 'data:image/png;base64,U0lHTkFUVVJF' },
+    catalog: [],
+    approvals: {},
+    formatDate,
+    nowMs: Date.UTC(2026, 3, 1),
+  });
+
+  assert.ok(data.requirements.every((r) => r.status === 'pending' && !r.dateCompleted && !r.remarks));
+  assert.equal(checklistVerificationSummary(data).requirementsApproved, 0);
+
+  const html = ojtChecklistHtml(data);
+  assert.ok(!html.includes('APPROVED'));
+  // The adviser signature only appears in the sign-off block, never against a requirement row.
+  assert.ok(!/class="cell sig"><img/.test(html));
+});
+
+test('only recorded review decisions are certified', () => {
+  const data = checklistPdfData({
+    userData: { fullName: 'Juan Dela Cruz', requirements: [] },
+    adviser: { name: 'OJT Adviser', signatureUrl: 'data:image/png;base64,U0lHTkFUVVJF' },
+    catalog: [],
+    approvals: { medical_certificate: { status: 'approved', reviewedAt: '2026-03-02T01:00:00.000Z' } },
+    formatDate,
+    nowMs: Date.UTC(2026, 3, 1),
+  });
+  const summary = checklistVerificationSummary(data);
+  assert.equal(summary.requirementsApproved, 1);
+  assert.equal(summary.requirementsTotal, DEFAULT_REQUIREMENT_CATALOG.length);
+  assert.equal((ojtChecklistHtml(data).match(/class="cell sig"><img/g) || []).length, 1);
+});
@@ -0,0 +1,84 @@
+// reviewRequirementFile against the Auth and Firestore emulators.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emulatorSkip, loadFunctions, unique, idTokenFor, callHandler } = require('./emulatorTesting');
+
+const skip = emulatorSkip('auth', 'firestore');
+
+let functions;
+let db;
+if (!skip) {
+  functions = loadFunctions();
+  db = require('firebase-admin/firestore').getFirestore();
+}
+
+const call = (token, body) => callHandler(functions.reviewRequirementFile, { token, body });
+
+// A student with one uploaded medical certificate (listed on their requirements and
+// queued in admin_files), their adviser and another adviser.
+const setup = async () => {
+  const studentUid = `stu-${unique()}`;
+  const adviserUid = `adv-${unique()}`;
+  const otherAdviserUid = `adv-${unique()}`;
+  const fileId = `file-${unique()}`;
+  const uploadedAt = new Date().toISOString();
+  const requirements = [{
+    id: 'medical_certificate',
+    title: 'Medical Certificate',
+    uploadedFiles: [{ name: 'medcert.pdf', adminDocId: fileId, uploadedAt }],
+  }];
+  await Promise.all([
+    db.collection('users').doc(adviserUid).set({ name: 'Ada Viser', role: 'adviser' }),
+    db.collection('users').doc(otherAdviserUid).set({ name: 'Other Adviser', role: 'adviser' }),
+    db.collection('users').doc(studentUid).set({ name: 'Test Student', role: 'student', adviserId: adviserUid, requirements }),
+    db.collection('admin_files').doc(fileId).set({
+      userId: studentUid,
+      requirementId: 'medical_certificate',
+      name: 'medcert.pdf',
+      uploadedAt,
+      reviewStatus: 'pending',
+    }),
+  ]);
+  return {
+    studentUid,
+    fileId,
+    requirements,
+    student: await idTokenFor(studentUid, { role: 'student' }),
+    adviser: await idTokenFor(adviserUid, { role: 'adviser' }),
+    otherAdviser: await idTokenFor(otherAdviserUid, { role: 'adviser' }),
+  };
+};
+
+const readDoc = async (collection, id) => (await db.collection(collection).doc(id).get()).data();
+
+test('the adviser\'s decision is recorded in requirement_approvals and the student is notified', { skip }, async () => {
+  const { studentUid, fileId, requirements, adviser } = await setup();
+
+  const rejected = await call(adviser, { fileId, decision: 'rejected', reason: 'Unreadable scan' });
+  assert.equal(rejected.statusCode, 200);
+  assert.equal(rejected.body.requirementStatus, 'rejected');
+  const approvals = await readDoc('requirement_approvals', studentUid);
+  assert.equal(approvals.medical_certificate.status, 'rejected');
+  assert.equal(approvals.medical_certificate.reason, 'Unreadable scan');
+  assert.equal(approvals.medical_certificate.files[fileId].status, 'rejected');
+  assert.equal((await readDoc('admin_files', fileId)).reviewStatus, 'rejected');
+
+  const approved = await call(adviser, { fileId, decision: 'approved' });
+  assert.equal(approved.body.requirementStatus, 'approved');
+  assert.equal((await readDoc('requirement_approvals', studentUid)).medical_certificate.status, 'approved');
+
+  // The student's own list is left as they saved it.
+  assert.deepEqual((await readDoc('users', studentUid)).requirements, requirements);
+  const notices = await db.collection('notifications').where('userId', '==', studentUid).get();
+  assert.deepEqual(notices.docs.map((d) => d.data().data.decision).sort(), ['approved', 'rejected']);
+});
+
+test('only staff supervising the student can review, and refusals need a reason', { skip }, async () => {
+  const { studentUid, fileId, student, adviser, otherAdviser } = await setup();
+
+  assert.equal((await call(student, { fileId, decision: 'approved' })).statusCode, 403);
+  assert.equal((await call(otherAdviser, { fileId, decision: 'approved' })).statusCode, 403);
+  assert.equal((await call(adviser, { fileId, decision: 'needs_resubmission' })).body.error, 'REASON_REQUIRED');
+  assert.equal((await call(adviser, { fileId: 'missing', decision: 'approved' })).statusCode, 404);
+  assert.equal(await readDoc('requirement_approvals', studentUid), undefined);
+});
@@ -0,0 +1,85 @@
+// signInWithStudentId throttling and lockout against the Auth and Firestore emulators.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emulatorSkip, loadFunctions, unique, callHandler } = require('./emulatorTesting');
+
+const skip = emulatorSkip('auth', 'firestore');
+const IP_LIMIT = 3;
+
+let functions;
+let db;
+let auth;
+if (!skip) {
+  functions = loadFunctions({ FIREBASE_WEB_API_KEY: 'fake-api-key', LOGIN_MAX_ATTEMPTS_PER_IP: String(IP_LIMIT) });
+  db = require('firebase-admin/firestore').getFirestore();
+  auth = require('firebase-admin/auth').getAuth();
+}
+
+const signIn = ({ studentId, password, forwardedFor }) => callHandler(functions.signInWithStudentId, {
+  body: { studentId, password },
+  headers: { 'x-forwarded-for': forwardedFor },
+});
+
+const createStudent = async (password) => {
+  const studentId = `T-${unique()}`;
+  const user = await auth.createUser({ email: `${studentId.toLowerCase()}@test.internquest`, password });
+  await db.collection('users').doc(user.uid).set({ studentId, email: user.email, role: 'student' });
+  return { studentId, uid: user.uid };
+};
+
+test('each address gets a limited number of attempts', { skip }, async () => {
+  const forwardedFor = `203.0.113.${Math.floor(Math.random() * 250) + 1}`;
+  const statuses = [];
+  for (let i = 0; i <= IP_LIMIT; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const res = await signIn({ studentId: `X-${unique()}`, password: 'wrong', forwardedFor });
+    statuses.push(res.statusCode);
+  }
+  assert.deepEqual(statuses, [...Array(IP_LIMIT).fill(401), 429]);
+});
+
+test('a spoofed X-Forwarded-For does not reset the per-IP limit', { skip }, async () => {
+  const clientIp = `203.0.113.${Math.floor(Math.random() * 250) + 1}`;
+  const statuses = [];
+  for (let i = 0; i <= IP_LIMIT; i += 1) {
+    // A different leftmost entry each time, as a client rotating a forged header would send;
+    // Google's front end appends the real address last.
+    // eslint-disable-next-line no-await-in-loop
+    const res = await signIn({ studentId: `X-${unique()}`, password: 'wrong', forwardedFor: `198.51.100.${i}, ${clientIp}` });
+    statuses.push(res.statusCode);
+  }
+  assert.deepEqual(statuses, [...Array(IP_LIMIT).fill(401), 429]);
+});
+
+test('requests from different addresses are limited separately', { skip }, async () => {
+  const res = await signIn({ studentId: `X-${unique()}`, password: 'wrong', forwardedFor: `203.0.113.${unique()}` });
+  assert.equal(res.statusCode, 401);
+});
+
+test('repeated wrong passwords lock the student ID out', { skip }, async () => {
+  const { studentId } = await createStudent('correct-horse');
+  const forwardedFor = `192.0.2.${unique()}`;
+
+  const ok = await signIn({ studentId, password: 'correct-horse', forwardedFor });
+  assert.equal(ok.statusCode, 200);
+  assert.ok(ok.body.token);
+
+  for (let i = 0; i < 5; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const res = await signIn({ studentId, password: 'wrong', forwardedFor });
+    assert.equal(res.statusCode, 401);
+  }
+
+  // Locked: even the right password is refused until the lockout ends.
+  const locked = await signIn({ studentId, password: 'correct-horse', forwardedFor });
+  assert.equal(locked.statusCode, 429);
+  assert.equal(locked.body.error, 'TOO_MANY_ATTEMPTS');
+  assert.ok(locked.body.retryAfterSeconds > 0 && locked.body.retryAfterSeconds <= 60);
+
+  // The hyphenless form of the ID is the same student.
+  const compact = await signIn({ studentId: studentId.replace(/-/g, ''), password: 'correct-horse', forwardedFor });
+  assert.equal(compact.statusCode, 429);
+
+  const audit = await db.collection('loginAudit').where('studentId', '==', studentId.replace(/-/g, '')).get();
+  assert.ok(audit.docs.some((d) => d.data().outcome === 'locked_out'));
+});
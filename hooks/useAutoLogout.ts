@@ -2,6 +2,7 @@ import { useCallback, useEffect, useMemo, useRef } from 'react';
 import { AppState, type AppStateStatus } from 'react-native';
 import { signOut } from 'firebase/auth';
 import { auth } from '../firebase/config';
+import { clearExpoPushTokenForCurrentUser } from '../services/notifications';
 
 type LogoutReason = 'inactivity' | 'background';
 
@@ -42,6 +43,8 @@ export function useAutoLogout(options: UseAutoLogoutOptions) {
 
       isLoggingOutRef.current = true;
       try {
+        // Stop pushes to this device once the session ends (must run before signOut).
+        await clearExpoPushTokenForCurrentUser();
         await signOut(auth);
         options.onLogout?.(reason);
       } catch (e) {
@@ -16,11 +16,13 @@ import { useNavigation, useRoute, RouteProp } from '@react-navigation/native';
 import { StackNavigationProp } from '@react-navigation/stack';
 import { RootStackParamList, Post } from '../App';
 import { auth, firestore, storage } from '../firebase/config';
-import { doc, getDoc, setDoc, updateDoc, collection, addDoc, query, where, getDocs } from 'firebase/firestore';
+import { doc, getDoc, collection, addDoc, query, where, getDocs } from 'firebase/firestore';
 import { getDownloadURL, ref as storageRef } from 'firebase/storage';
 import { colors, radii, shadows, spacing } from '../ui/theme';
 import { Screen } from '../ui/components/Screen';
 import { useSavedInternships } from '../context/SavedInternshipsContext';
+import { applyToCompany, withdrawApplication } from '../services/applications';
+import { reportError } from '../services/errorReporting';
 
 type CompanyProfileRouteProp = RouteProp<RootStackParamList, 'CompanyProfile'>;
 type CompanyProfileNavigationProp = StackNavigationProp<RootStackParamList, 'CompanyProfile'>;
@@ -190,7 +192,10 @@ const CompanyProfileScreen: React.FC = () => {
                 try {
                     const snap = await getDocs(query(collection(firestore, 'helpDeskFiles')));
                     const docs: any[] = [];
-                    snap.forEach((d: any) => docs.push({ id: d.id, ...(d.data() as any) }));
+                    snap.forEach((d: any) => {
+                        // Skip templates rejected by the upload check (the file is gone)
+                        if (d.data()?.processingStatus !== 'rejected') docs.push({ id: d.id, ...(d.data() as any) });
+                    });
 
                     const isMoaTemplate = (t: any) => {
                         const name = String(t?.fileName || t?.name || '').toLowerCase();
@@ -278,13 +283,7 @@ const CompanyProfileScreen: React.FC = () => {
             }
         } catch (error) {
             console.error('Error checking application status:', error);
-            try {
-                if (auth.currentUser) {
-                    await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastApplicationStatusFetchError: { time: new Date().toISOString(), message: String(error), companyId } }, { merge: true });
-                }
-            } catch (diagErr) {
-                console.warn('CompanyProfile: failed to write lastApplicationStatusFetchError', diagErr);
-            }
+            reportError(error, { screen: 'CompanyProfile', operation: 'fetchApplicationStatus', context: { companyId } });
         }
     };
 
@@ -306,38 +305,21 @@ const CompanyProfileScreen: React.FC = () => {
 
         setIsLoading(true);
         try {
-            const userProfileData: any = {
-                name: userProfile.name || (userProfile.firstName && userProfile.lastName ? userProfile.firstName + ' ' + userProfile.lastName : 'Unknown'),
-                email: userProfile.email || '',
-            };
-            // Only add course if it exists (avoid undefined values)
-            if (userProfile.course) {
-                userProfileData.course = userProfile.course;
-            }
-            // Only add skills if they exist
-            if (userProfile.skills && userProfile.skills.length > 0) {
-                userProfileData.skills = userProfile.skills;
+            const result = await applyToCompany(company!.id);
+            if (!result.ok) {
+                if (result.reason === 'PLACEMENT_LOCKED') {
+                    setPlacementLocked(true);
+                    setPlacementCompanyName(result.companyName || 'your assigned company');
+                    setPlacementLockStatus(result.applicationStatus === 'pending' ? 'pending' : 'approved');
+                    setShowPlacementLockedModal(true);
+                } else if (result.reason === 'NO_SLOTS_AVAILABLE') {
+                    Alert.alert('No slots available', 'This company has no remaining MOA slots. Please choose another company.');
+                } else {
+                    Alert.alert('Error', 'Failed to submit application. Please try again.');
+                }
+                return;
             }
 
-            const applicationData = {
-                userId: auth.currentUser.uid,
-                companyId: company!.id,
-                companyName: company!.company,
-                status: 'pending',
-                appliedAt: new Date(),
-                userProfile: userProfileData,
-            };
-
-            const applicationRef = doc(firestore, 'applications', `${auth.currentUser.uid}_${company!.id}`);
-            await setDoc(applicationRef, applicationData);
-
-            // Also update user's profile to track the applied company (optional, for reference)
-            await setDoc(doc(firestore, 'users', auth.currentUser.uid), { 
-                appliedCompanyId: company!.id,
-                appliedCompanyName: company!.company,
-                applicationUpdatedAt: new Date().toISOString()
-            }, { merge: true });
-
             setApplicationStatus('pending');
             setShowApplySuccess(true);
         } catch (error) {
@@ -357,11 +339,8 @@ const CompanyProfileScreen: React.FC = () => {
         if (!auth.currentUser || !company) return;
         setCancelingApplication(true);
         try {
-            const applicationRef = doc(firestore, 'applications', `${auth.currentUser.uid}_${company.id}`);
-            await updateDoc(applicationRef, {
-                status: 'cancelled',
-                cancelledAt: new Date(),
-            });
+            const result = await withdrawApplication(company.id);
+            if (!result.ok) throw new Error(result.reason);
             await checkApplicationStatus();
             setShowWithdrawConfirm(false);
         } catch (error) {
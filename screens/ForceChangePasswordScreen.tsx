@@ -10,9 +10,9 @@ import {
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { EmailAuthProvider, reauthenticateWithCredential, updatePassword } from 'firebase/auth';
-import { doc, serverTimestamp, setDoc } from 'firebase/firestore';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { auth, firestore } from '../firebase/config';
+import { auth } from '../firebase/config';
+import { confirmPasswordChange } from '../services/accounts';
 import { colors, radii, shadows, spacing } from '../ui/theme';
 import { Screen } from '../ui/components/Screen';
 import { AppHeader } from '../ui/components/AppHeader';
@@ -75,23 +75,12 @@ const ForceChangePasswordScreen: React.FC<Props> = ({ navigation, onPasswordChan
       await reauthenticateWithCredential(auth.currentUser, credential);
       await updatePassword(auth.currentUser, newPassword);
 
-      // Clear the flag so the user can proceed.
-      try {
-        await setDoc(
-          doc(firestore, 'users', auth.currentUser.uid),
-          {
-            mustChangePassword: false,
-            passwordChangedAt: serverTimestamp(),
-            passwordStatus: {
-              mustChangePassword: false,
-              changedAt: serverTimestamp(),
-            },
-          },
-          { merge: true }
-        );
-      } catch (e) {
-        // Best-effort; even if Firestore fails, we still try to proceed.
-        console.warn('ForceChangePasswordScreen: failed to update user flag in Firestore', e);
+      // Clear the flag so the user can proceed. The server records the change (passwordChangedAt)
+      // after checking it with Auth; that is what ends a reset forced by an admin.
+      const confirmed = await confirmPasswordChange();
+      if (!confirmed.ok) {
+        // Best-effort; even if this fails, we still try to proceed.
+        console.warn('ForceChangePasswordScreen: failed to record the password change', confirmed.reason);
       }
 
       setCurrentPassword('');
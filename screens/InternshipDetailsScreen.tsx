@@ -15,12 +15,13 @@ import { RouteProp, useNavigation } from '@react-navigation/native';
 import { RootStackParamList } from '../App';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useSavedInternships } from '../context/SavedInternshipsContext';
-import { doc, setDoc, getDoc, serverTimestamp, collection, query, where, getDocs } from 'firebase/firestore';
-import { auth, firestore } from '../firebase/config';
+import { doc, getDoc, collection, query, where, getDocs } from 'firebase/firestore';
+import { firestore } from '../firebase/config';
 import { colors, radii, shadows } from '../ui/theme';
 import { IconButton } from 'react-native-paper';
 import { Screen } from '../ui/components/Screen';
 import { AppHeader } from '../ui/components/AppHeader';
+import { reportError } from '../services/errorReporting';
 import MapPreview from '../components/MapPreview';
 
 // Types
@@ -64,8 +65,6 @@ const InternshipDetailsScreen: React.FC<Props> = ({ route }) => {
 
   // State
   const [coordinates, setCoordinates] = useState<{ latitude: number; longitude: number } | null>(null);
-  const [isHired, setIsHired] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
   const [workMode, setWorkMode] = useState<WorkMode>({
     type: 'Loading...',
     description: 'Loading work mode...',
@@ -93,48 +92,13 @@ const InternshipDetailsScreen: React.FC<Props> = ({ route }) => {
         }
       } catch (error) {
         console.error('Geocoding Error:', error);
-        // Persist a short diagnostic so we can inspect server-side
-        try {
-          if (auth.currentUser) {
-            await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastGeocodeError: { time: new Date().toISOString(), message: String(error) } }, { merge: true });
-            console.log('InternshipDetails: wrote lastGeocodeError to user doc');
-          }
-        } catch (diagErr) {
-          console.warn('InternshipDetails: failed to write lastGeocodeError', diagErr);
-        }
+        reportError(error, { screen: 'InternshipDetails', operation: 'geocodeLocation' });
         Alert.alert('Geocoding Error', 'There was an issue with retrieving the location.');
       }
     };
     geocodeLocation();
   }, [post.location]);
 
-  // Check if user is already hired
-  useEffect(() => {
-    const checkHiredStatus = async () => {
-      if (!auth.currentUser) return;
-      try {
-        const userDocRef = doc(firestore, 'users', auth.currentUser.uid);
-        const userDoc = await getDoc(userDocRef);
-        if (userDoc.exists()) {
-          const userData = userDoc.data();
-          const status = typeof userData.status === 'string' ? userData.status.toLowerCase() : '';
-          setIsHired(status === 'hired');
-        }
-      } catch (error) {
-        console.error('Error checking hired status:', error);
-        try {
-          if (auth.currentUser) {
-            await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastHiredStatusFetchError: { time: new Date().toISOString(), message: String(error) } }, { merge: true });
-            console.log('InternshipDetails: wrote lastHiredStatusFetchError to user doc');
-          }
-        } catch (diagErr) {
-          console.warn('InternshipDetails: failed to write lastHiredStatusFetchError', diagErr);
-        }
-      }
-    };
-    checkHiredStatus();
-  }, []);
-
   // Fetch work mode (company info)
   const fetchWorkMode = useCallback(async () => {
     try {
@@ -151,14 +115,7 @@ const InternshipDetailsScreen: React.FC<Props> = ({ route }) => {
       }
     } catch (error) {
       console.error('Error fetching work mode:', error);
-      try {
-        if (auth.currentUser) {
-          await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastWorkModeFetchError: { time: new Date().toISOString(), message: String(error), companyId: post.id } }, { merge: true });
-          console.log('InternshipDetails: wrote lastWorkModeFetchError to user doc');
-        }
-      } catch (diagErr) {
-        console.warn('InternshipDetails: failed to write lastWorkModeFetchError', diagErr);
-      }
+      reportError(error, { screen: 'InternshipDetails', operation: 'fetchWorkMode', context: { companyId: post.id } });
       Alert.alert('Error', 'Failed to load work mode information');
     }
   }, [post.id]);
@@ -188,96 +145,6 @@ const InternshipDetailsScreen: React.FC<Props> = ({ route }) => {
     Linking.openURL(`https://www.google.com/maps/search/?api=1&query=${query}`);
   };
 
-  const handleGotHiredPress = async () => {
-    if (!auth.currentUser) {
-      Alert.alert('Error', 'You must be logged in to update your status');
-      return;
-    }
-
-    if (isHired) {
-      Alert.alert(
-        'Already Hired',
-        'You have already been hired by another company. Please update your status in your profile if you want to change companies.',
-        [
-          {
-            text: 'Go to Profile',
-            onPress: () => navigation.navigate('Profile')
-          },
-          {
-            text: 'Cancel',
-            style: 'cancel'
-          }
-        ]
-      );
-      return;
-    }
-
-    setIsLoading(true);
-    try {
-      // First show confirmation dialog
-      Alert.alert(
-        'Confirm Status Update',
-        'Are you sure you want to update your status to "Hired" for ' + post.company + '? This can only be changed from your profile.',
-        [
-          {
-            text: 'Cancel',
-            style: 'cancel',
-            onPress: () => setIsLoading(false)
-          },
-          {
-            text: 'Yes, Update Status',
-            onPress: async () => {
-              try {
-                const userId = auth.currentUser!.uid;
-                const userDocRef = doc(firestore, "users", userId);
-
-                // Update status in Firestore
-                await setDoc(userDocRef, {
-                  status: 'hired',
-                  company: post.company,
-                  hiredAt: serverTimestamp(),
-                  lastUpdated: serverTimestamp()
-                }, { merge: true });
-
-                setIsHired(true);
-
-                // Show success message
-                Alert.alert(
-                  'Success!',
-                  'Your status has been updated to "Hired". You can now track your OJT hours.',
-                  [
-                    {
-                      text: 'Go to OJT Tracker',
-                        onPress: () => navigation.navigate('OJTTracker', {})
-                    }
-                  ]
-                );
-              } catch (error) {
-                console.error('Error updating status:', error);
-                // Persist diagnostic info to the user's document
-                try {
-                  if (auth.currentUser) {
-                    await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastStatusUpdateError: { time: new Date().toISOString(), message: String(error), companyId: post.id } }, { merge: true });
-                    console.log('InternshipDetails: wrote lastStatusUpdateError to user doc');
-                  }
-                } catch (diagErr) {
-                  console.warn('InternshipDetails: failed to write lastStatusUpdateError', diagErr);
-                }
-                Alert.alert('Error', 'Failed to update status. Please try again.');
-              } finally {
-                setIsLoading(false);
-              }
-            }
-          }
-        ]
-      );
-    } catch (error) {
-      console.error('Error in handleGotHiredPress:', error);
-      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
-      setIsLoading(false);
-    }
-  };
-
   const handleSaveInternship = () => {
     Alert.alert(
       isSaved ? 'Remove from Saved?' : 'Save Internship?',
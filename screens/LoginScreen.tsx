@@ -10,8 +10,8 @@ import {
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useNavigation } from '@react-navigation/native';
-import { auth, LOOKUP_EMAIL_FUNCTION_BASE_URL } from '../firebase/config';
-import { signInWithEmailAndPassword, onAuthStateChanged } from 'firebase/auth';
+import { auth, STUDENT_SIGN_IN_FUNCTION_BASE_URL } from '../firebase/config';
+import { signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
 import { SecurityUtils } from '../services/security';
 import { authenticate } from '../services/biometric';
 import { colors, radii, spacing } from '../ui/theme';
@@ -120,79 +120,58 @@ const LoginScreen: React.FC<LoginProps> = ({ setIsLoggedIn, gateMode, onBiometri
 
     setLoading(true);
     try {
-      if (!LOOKUP_EMAIL_FUNCTION_BASE_URL) {
+      if (!STUDENT_SIGN_IN_FUNCTION_BASE_URL) {
         setLoginError({ type: 'other', message: 'Sign-in is not configured. Please contact support.' });
         return;
       }
 
-      const BLOCKED_SENTINEL = '__ACCOUNT_BLOCKED__';
-
-      const lookupEmail = async (studentIdValue: string): Promise<string | null> => {
-        const res = await fetch(LOOKUP_EMAIL_FUNCTION_BASE_URL, {
+      // The server checks the Student ID and password and hands back a custom token;
+      // an unknown Student ID and a wrong password get the same answer.
+      let res: Response;
+      try {
+        res = await fetch(STUDENT_SIGN_IN_FUNCTION_BASE_URL, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ studentId: studentIdValue }),
+          body: JSON.stringify({ studentId: identifier, password }),
         });
-        if (!res.ok) {
-          if (res.status === 403) {
-            // Try to parse structured payloads (e.g. ACCOUNT_BLOCKED)
-            try {
-              const body = await res.json();
-              if (body && body.error === 'ACCOUNT_BLOCKED') {
-                const reason = (typeof body.reason === 'string' && body.reason.trim()) ? body.reason.trim() : '';
-                const blockedBy = (typeof body.blockedBy === 'string' && body.blockedBy.trim()) ? body.blockedBy.trim() : '';
-                const who = blockedBy ? ` by ${blockedBy}` : '';
-                const suffix = reason ? `\n\nReason: ${reason}` : '';
-                const msg = `Your account has been blocked${who}. Please contact your adviser/coordinator.${suffix}`;
-                setBlockedMessage(msg);
-                setLoginError(null);
-                return BLOCKED_SENTINEL;
-              }
-            } catch (e) {
-              // ignore JSON parse errors
-            }
-
-            setLoginError({ type: 'other', message: 'Sign-in is currently restricted. Please contact your adviser.' });
-            return null;
-          }
-          setLoginError({ type: 'network', message: 'We could not verify your Student ID right now. Please try again later.' });
-          return null;
-        }
-        const data = await res.json();
-        return (data?.email && typeof data.email === 'string') ? data.email : null;
-      };
-
-      let emailToUse: string | null = null;
-      try {
-        emailToUse = await lookupEmail(identifier);
-
-        if (emailToUse === BLOCKED_SENTINEL) return;
-
-        // Some databases store studentId without hyphens. Retry once with a normalized value.
-        if (!emailToUse && identifier.includes('-')) {
-          const normalized = identifier.replace(/-/g, '');
-          emailToUse = await lookupEmail(normalized);
-
-          if (emailToUse === BLOCKED_SENTINEL) return;
-        }
       } catch (fetchErr) {
         setLoginError({ type: 'network', message: 'Please check your internet connection and try again.' });
         return;
-      } finally {
-        setLoading(false);
       }
-
-      if (!emailToUse) {
-        setLoginError({
-          type: 'student_id',
-          message: "No account found for this Student ID. Please check the number or contact your adviser to create an account.",
-        });
+      const body = await res.json().catch(() => ({} as any));
+
+      if (!res.ok) {
+        if (res.status === 403 && body?.error === 'ACCOUNT_BLOCKED') {
+          const reason = (typeof body.reason === 'string' && body.reason.trim()) ? body.reason.trim() : '';
+          const blockedBy = (typeof body.blockedBy === 'string' && body.blockedBy.trim()) ? body.blockedBy.trim() : '';
+          const who = blockedBy ? ` by ${blockedBy}` : '';
+          const suffix = reason ? `\n\nReason: ${reason}` : '';
+          setBlockedMessage(`Your account has been blocked${who}. Please contact your adviser/coordinator.${suffix}`);
+          setLoginError(null);
+        } else if (res.status === 403) {
+          setLoginError({ type: 'other', message: 'Your account is disabled. Please contact your adviser/coordinator.' });
+        } else if (res.status === 401) {
+          setLoginError({
+            type: 'password',
+            message: 'Incorrect Student ID or password. Please try again or use Forgot password to reset it.',
+          });
+        } else if (res.status === 429) {
+          const minutes = Math.max(1, Math.ceil((Number(body?.retryAfterSeconds) || 60) / 60));
+          setLoginError({
+            type: 'other',
+            message: `Too many sign-in attempts. Please wait ${minutes} minute${minutes === 1 ? '' : 's'} and try again.`,
+          });
+        } else {
+          setLoginError({ type: 'network', message: 'We could not sign you in right now. Please try again later.' });
+        }
+        return;
+      }
+      if (typeof body?.token !== 'string' || !body.token) {
+        setLoginError({ type: 'network', message: 'We could not sign you in right now. Please try again later.' });
         return;
       }
 
-      setLoading(true);
-
-      await signInWithEmailAndPassword(auth, emailToUse.trim(), password);
+      await signInWithCustomToken(auth, body.token);
 
       // Successful login clears any prior blocked banner.
       setBlockedMessage(null);
@@ -205,15 +184,9 @@ const LoginScreen: React.FC<LoginProps> = ({ setIsLoggedIn, gateMode, onBiometri
       let type: LoginErrorType = 'other';
       let message = 'Something went wrong. Please try again.';
 
-      if (code === 'auth/user-not-found') {
-        type = 'student_id';
-        message = "No account found for this Student ID. Please contact your adviser to create an account.";
-      } else if (code === 'auth/user-disabled') {
+      if (code === 'auth/user-disabled') {
         type = 'other';
         message = 'Your account is disabled. Please contact your adviser/coordinator.';
-      } else if (code === 'auth/wrong-password' || code === 'auth/invalid-login-credentials' || code === 'auth/invalid-credential') {
-        type = 'password';
-        message = "Incorrect password. Please try again or use Forgot password to reset it.";
       } else if (code === 'auth/network-request-failed') {
         type = 'network';
         message = 'Please check your internet connection and try again.';
@@ -18,10 +18,12 @@ import { StackNavigationProp } from '@react-navigation/stack';
 import { RootStackParamList } from '../App';
 import { Swipeable } from 'react-native-gesture-handler';
 import { auth, firestore } from '../firebase/config';
-import { doc, getDoc, collection, getDocs, query, orderBy, setDoc, updateDoc, where, onSnapshot } from 'firebase/firestore';
+import { doc, getDoc, collection, getDocs, query, orderBy, setDoc, where, onSnapshot } from 'firebase/firestore';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { SecurityUtils } from '../services/security';
+import { decideApplication } from '../services/applications';
+import { reportError } from '../services/errorReporting';
 import { colors, radii, shadows } from '../ui/theme';
 import { Screen } from '../ui/components/Screen';
 import { useNotificationCount } from '../context/NotificationCountContext';
@@ -322,42 +324,31 @@ const NotificationsScreen: React.FC<Props> = ({ navigation }) => {
       });
       setPendingApplications(items);
     } catch (error) {
-      try {
-        if (auth.currentUser) {
-          await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastPendingApplicationsFetchError: { time: new Date().toISOString(), message: String(error) } }, { merge: true });
-        }
-      } catch (diagErr) {
-        // Silent error handling
-      }
+      reportError(error, { screen: 'Notifications', operation: 'fetchPendingApplications' });
     }
   };
 
   const handleApproveApplication = async (applicationId: string) => {
-    try {
-      const applicationRef = doc(firestore, 'applications', applicationId);
-      await updateDoc(applicationRef, {
-        status: 'approved',
-        reviewedAt: new Date(),
-        reviewedBy: auth.currentUser?.uid || null,
-      });
-      await fetchPendingApplications();
-    } catch (err) {
-      Alert.alert('Error', 'Could not approve application. Please try again.');
+    const result = await decideApplication(applicationId, 'approve');
+    if (!result.ok) {
+      Alert.alert(
+        'Error',
+        result.reason === 'NO_SLOTS_AVAILABLE'
+          ? 'This company has no remaining MOA slots.'
+          : result.reason === 'PLACEMENT_LOCKED'
+            ? 'This student already has an approved placement.'
+            : 'Could not approve application. Please try again.'
+      );
     }
+    await fetchPendingApplications();
   };
 
   const handleDenyApplication = async (applicationId: string) => {
-    try {
-      const applicationRef = doc(firestore, 'applications', applicationId);
-      await updateDoc(applicationRef, {
-        status: 'rejected',
-        reviewedAt: new Date(),
-        reviewedBy: auth.currentUser?.uid || null,
-      });
-      await fetchPendingApplications();
-    } catch (err) {
+    const result = await decideApplication(applicationId, 'deny');
+    if (!result.ok) {
       Alert.alert('Error', 'Could not deny application. Please try again.');
     }
+    await fetchPendingApplications();
   };
 
   useEffect(() => {
@@ -593,26 +584,13 @@ const NotificationsScreen: React.FC<Props> = ({ navigation }) => {
         setInitialLoading(false);
       } catch (e) {
         // If fetching hidden notifications fails, fall back to showing all notifications
-        try {
-          if (auth.currentUser) {
-            // Persist a short diagnostic on the user doc so server-side logs can be correlated
-            await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastHiddenNotificationsFetchError: { time: new Date().toISOString(), message: String(e) } }, { merge: true });
-          }
-        } catch (diagErr) {
-          // Silent error handling
-        }
+        reportError(e, { screen: 'Notifications', operation: 'fetchHiddenNotifications' });
         setNotifications(items);
         setNotificationCount(items.length);
         setInitialLoading(false);
       }
     } catch (error) {
-      try {
-        if (auth.currentUser) {
-          await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastNotificationsFetchError: { time: new Date().toISOString(), message: String(error) } }, { merge: true });
-        }
-      } catch (diagErr) {
-        // Silent error handling
-      }
+      reportError(error, { screen: 'Notifications', operation: 'fetchNotifications' });
       setInitialLoading(false);
     }
   }, []);
@@ -691,14 +669,7 @@ const NotificationsScreen: React.FC<Props> = ({ navigation }) => {
         setNotifications((prev) => prev.filter((item) => item.id !== id));
         setNotificationCount((prev: number) => Math.max(0, prev - 1));
       } catch (err) {
-        // Persist a diagnostic marker to the user's doc so we can inspect server-side
-        try {
-          if (auth.currentUser) {
-            await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastNotificationsHideError: { time: new Date().toISOString(), message: String(err) } }, { merge: true });
-          }
-        } catch (diagErr) {
-          // Silent error handling
-        }
+        reportError(err, { screen: 'Notifications', operation: 'hideNotification' });
         // still remove locally so the user experience is responsive
         setNotifications((prev) => prev.filter((item) => item.id !== id));
         setNotificationCount((prev: number) => Math.max(0, prev - 1));
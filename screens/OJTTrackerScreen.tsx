@@ -10,7 +10,7 @@ import { useNavigation, useFocusEffect } from '@react-navigation/native';
 import type { StackNavigationProp } from '@react-navigation/stack';
 import type { RootStackParamList } from '../App';
 import { auth, firestore } from '../firebase/config';
-import { doc, setDoc, deleteDoc, collection, getDocs, getDoc, onSnapshot } from 'firebase/firestore';
+import { doc, setDoc, collection, getDocs, getDoc, onSnapshot } from 'firebase/firestore';
 import { Picker } from '@react-native-picker/picker';
 // NOTE: Avoid importing native-only modules at file scope in Expo bridgeless / Expo Go.
 // They can be null and crash during module initialization.
@@ -21,6 +21,12 @@ import * as Sharing from 'expo-sharing';
 import { colors, radii, shadows } from '../ui/theme';
 import { Screen } from '../ui/components/Screen';
 import Svg, { Circle } from 'react-native-svg';
+import { withdrawApplication } from '../services/applications';
+import { clockOjt, OjtVerificationStatus } from '../services/ojtClock';
+import type { OjtLogReviewStatus } from '../services/ojtLogs';
+import { ojtLogIdOf, queueOjtLogSave, queueOjtLogDelete, withPendingOjtLogs, subscribeOutbox, getOutboxState } from '../services/outbox';
+import { reportError } from '../services/errorReporting';
+import PendingSyncBanner from '../components/PendingSyncBanner';
 
 // Types
 type TimeLog = {
@@ -28,8 +34,25 @@ type TimeLog = {
   clockIn: string;
   clockOut: string;
   hours: string;
+  // Set on clock-in/out logs by the server; manual entries are saved as 'manual'.
+  source?: 'clock';
+  verificationStatus?: OjtVerificationStatus;
+  // Set by the hours ledger; rejected logs do not count toward total hours.
+  ledgerStatus?: 'counted' | 'rejected' | 'open';
+  ledgerHours?: number;
+  ledgerReason?: 'invalid_time' | 'too_long' | 'overlap' | null;
+  // Adviser review. Locked logs (approved via a weekly report) cannot be edited or deleted.
+  reviewStatus?: OjtLogReviewStatus;
+  reviewComment?: string | null;
+  locked?: boolean;
+  // When the log was last edited in the app (used to resolve edits from two devices).
+  clientUpdatedAt?: number;
+  // Saved on this device, not yet on the server (see services/outbox.ts).
+  pendingSync?: boolean;
 };
 
+type OjtLedger = { totalHours: number; requiredHours: number };
+
 type FormData = TimeLog;
 
 type AmPm = 'AM' | 'PM';
@@ -38,6 +61,28 @@ type AmPm = 'AM' | 'PM';
 const DEFAULT_REQUIRED_HOURS = 300;
 const MAX_HOURS = 24;
 const OJT_CSV_DOWNLOAD_DIR_URI_KEY = 'OJT_CSV_DOWNLOAD_DIR_URI';
+// Last logs loaded from the server, shown when the device is offline.
+const ojtLogsCacheKeyForUser = (uid: string) => `@InternQuest_ojtLogs_${uid}`;
+const VERIFICATION_BADGES: Record<OjtVerificationStatus, { icon: string; color: string; label: string }> = {
+  verified: { icon: 'shield-checkmark', color: colors.success, label: 'Verified' },
+  out_of_radius: { icon: 'warning', color: colors.warning, label: 'Outside company area' },
+  unverified: { icon: 'help-circle', color: colors.textMuted, label: 'Location not verified' },
+  manual: { icon: 'create', color: colors.textSubtle, label: 'Manual entry' },
+};
+const LEDGER_REJECTION_LABELS: Record<string, string> = {
+  invalid_time: 'Not counted: invalid time',
+  too_long: 'Not counted: over 24 hours',
+  overlap: 'Not counted: overlaps another log',
+};
+
+const readLedger = (data: any): OjtLedger | null => {
+  const l = data?.ojtLedger;
+  if (!l || typeof l.totalHours !== 'number') return null;
+  return {
+    totalHours: l.totalHours,
+    requiredHours: Number(l.requiredHours) > 0 ? Number(l.requiredHours) : DEFAULT_REQUIRED_HOURS,
+  };
+};
 
 const OJTTrackerScreen: React.FC = () => {
   // Navigation
@@ -51,10 +96,8 @@ const OJTTrackerScreen: React.FC = () => {
   const [isDropdownVisible, setIsDropdownVisible] = useState(false);
   const [clockInAmPm, setClockInAmPm] = useState<AmPm>('AM');
   const [clockOutAmPm, setClockOutAmPm] = useState<AmPm>('PM');
-  const [requiredHours, setRequiredHours] = useState(DEFAULT_REQUIRED_HOURS);
-  const [goalModalVisible, setGoalModalVisible] = useState(false);
-  const [goalInput, setGoalInput] = useState('300');
-  const [totalHours, setTotalHours] = useState(0);
+  // Server-maintained ledger (users/{uid}.ojtLedger); see functions/index.js recomputeOjtLedger.
+  const [ledger, setLedger] = useState<OjtLedger | null>(null);
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [tempDate, setTempDate] = useState({
     year: new Date().getFullYear(),
@@ -66,6 +109,8 @@ const OJTTrackerScreen: React.FC = () => {
   const [userStatus, setUserStatus] = useState<string | null>(null);
   const [userCompany, setUserCompany] = useState<string | null>(null);
   const [appliedCompanyName, setAppliedCompanyName] = useState<string | null>(null);
+  const [activeClockLogId, setActiveClockLogId] = useState<string | null>(null);
+  const [clocking, setClocking] = useState(false);
 
   // Load initial data
   useEffect(() => {
@@ -73,6 +118,15 @@ const OJTTrackerScreen: React.FC = () => {
     fetchUserStatusAndCompany();
   }, []);
 
+  // Reload once queued log changes have been sent.
+  useEffect(() => {
+    let lastPending = getOutboxState().pending;
+    return subscribeOutbox((state) => {
+      if (state.pending < lastPending) void loadLogsFromFirestore();
+      lastPending = state.pending;
+    });
+  }, []);
+
   // Listen for live updates to the user's profile while this screen is focused
   useFocusEffect(
     useCallback(() => {
@@ -85,6 +139,8 @@ const OJTTrackerScreen: React.FC = () => {
           setUserStatus(data.status || null);
           setUserCompany(data.company || null);
           setAppliedCompanyName(data.appliedCompanyName || null);
+          setActiveClockLogId(data.ojtActiveClockLogId || null);
+          setLedger(readLedger(data));
         }
       });
 
@@ -94,10 +150,7 @@ const OJTTrackerScreen: React.FC = () => {
   );
 
   const loadInitialData = async () => {
-    await Promise.all([
-      loadRequiredHours(),
-      loadLogsFromFirestore()
-    ]);
+    await loadLogsFromFirestore();
   };
 
   const fetchUserStatusAndCompany = async () => {
@@ -109,6 +162,8 @@ const OJTTrackerScreen: React.FC = () => {
         setUserStatus(data.status || null);
         setUserCompany(data.company || null);
         setAppliedCompanyName(data.appliedCompanyName || null);
+        setActiveClockLogId(data.ojtActiveClockLogId || null);
+        setLedger(readLedger(data));
       }
     } catch (error: any) {
       setUserStatus(null);
@@ -130,28 +185,22 @@ const OJTTrackerScreen: React.FC = () => {
           onPress: async () => {
             try {
               const uid = auth.currentUser!.uid;
-              // Read current appliedCompanyId from user doc so we can delete the application record too
+              // Read current appliedCompanyId from user doc so the server can cancel the application record too
+              let appliedId: string | null = null;
               try {
                 const userSnap = await getDoc(doc(firestore, 'users', uid));
-                const appliedId = userSnap.exists() ? (userSnap.data() as any).appliedCompanyId : null;
-                if (appliedId) {
-                  try {
-                    await deleteDoc(doc(firestore, 'applications', `${uid}_${appliedId}`));
-                  } catch (delErr) { }
-                }
+                appliedId = userSnap.exists() ? (userSnap.data() as any).appliedCompanyId || null : null;
               } catch (readErr) { }
 
-              await setDoc(doc(firestore, 'users', uid), {
-                appliedCompanyId: null,
-                appliedCompanyName: null,
-                applicationRemovedAt: new Date().toISOString()
-              }, { merge: true });
+              // The server owns the applied-company fields and clears them when it cancels.
+              if (appliedId) {
+                const result = await withdrawApplication(appliedId);
+                if (!result.ok) throw new Error(result.reason);
+              }
               setAppliedCompanyName(null);
             } catch (error: any) {
               Alert.alert('Error', 'Could not remove applied company. Please try again.');
-              if (auth.currentUser) {
-                await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastOjtSyncError: { time: new Date().toISOString(), message: String(error) } }, { merge: true });
-              }
+              reportError(error, { screen: 'OJTTracker', operation: 'removeAppliedCompany' });
             }
           }
         }
@@ -160,11 +209,6 @@ const OJTTrackerScreen: React.FC = () => {
   };
 
   // Data loading functions
-  const loadRequiredHours = async () => {
-    const savedGoal = await AsyncStorage.getItem('OJT_REQUIRED_HOURS');
-    if (savedGoal) setRequiredHours(Number(savedGoal));
-  };
-
   const loadLogsFromFirestore = async () => {
     if (!auth.currentUser) return;
     try {
@@ -173,9 +217,19 @@ const OJTTrackerScreen: React.FC = () => {
       const logsSnap = await getDocs(logsCol);
       const logs: TimeLog[] = [];
       logsSnap.forEach((doc: any) => logs.push(doc.data() as TimeLog));
-      setTimeLogs(logs.sort((a, b) => b.date.localeCompare(a.date)));
+      AsyncStorage.setItem(ojtLogsCacheKeyForUser(userId), JSON.stringify(logs)).catch(() => { });
+      setTimeLogs(withPendingOjtLogs(logs).sort((a, b) => b.date.localeCompare(a.date)));
     } catch (error: any) {
       console.error('OJT Tracker: load time logs failed', error?.message || error);
+      // Offline: show the last logs loaded on this device, with unsent changes applied.
+      try {
+        const cached = await AsyncStorage.getItem(ojtLogsCacheKeyForUser(auth.currentUser.uid));
+        if (cached) {
+          const logs: TimeLog[] = JSON.parse(cached);
+          setTimeLogs(withPendingOjtLogs(logs).sort((a, b) => b.date.localeCompare(a.date)));
+          return;
+        }
+      } catch (cacheErr) { }
       Alert.alert('Error', 'Failed to load time logs: ' + (error?.message || String(error)));
     }
   };
@@ -195,41 +249,6 @@ const OJTTrackerScreen: React.FC = () => {
       dateObj.getDate() === day;
   };
 
-  // Firestore operations
-  const syncLogToFirestore = async (log: TimeLog) => {
-    if (!auth.currentUser) {
-      throw new Error('Not authenticated');
-    }
-
-    try {
-      const userId = auth.currentUser.uid;
-      const logId = `${log.date}_${log.clockIn}`.replace(/\W/g, '');
-      const path = `users/${userId}/ojtLogs/${logId}`;
-      const logRef = doc(firestore, path);
-      await setDoc(logRef, log);
-    } catch (error: any) {
-      console.error('OJT Tracker: sync log failed', error?.message || error);
-      throw error;
-    }
-  };
-
-  const deleteLogFromFirestore = async (log: TimeLog) => {
-    if (!auth.currentUser) return;
-    try {
-      const userId = auth.currentUser.uid;
-      const logId = `${log.date}_${log.clockIn}`.replace(/\W/g, '');
-      const path = `users/${userId}/ojtLogs/${logId}`;
-      const logRef = doc(firestore, path);
-      await deleteDoc(logRef);
-    } catch (error) {
-      console.error('OJT Tracker: delete log failed', error);
-      try {
-        if (auth.currentUser) await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastOjtSyncError: { time: new Date().toISOString(), message: String(error) } }, { merge: true });
-      } catch (dbgErr) { }
-      throw error;
-    }
-  };
-
   // Event handlers
   const calculateHours = (clockIn: string, clockOut: string, clockInAmPm: AmPm, clockOutAmPm: AmPm) => {
     if (!clockIn || !clockOut) return '';
@@ -327,95 +346,105 @@ const OJTTrackerScreen: React.FC = () => {
         return;
       }
 
-      // Save log
+      // Save log. Typed-in (or edited) logs are always manual; clock data is server-only.
       const logToSave: TimeLog = {
-        ...formData,
+        date: formData.date,
         clockIn: `${formData.clockIn} ${clockInAmPm}`,
         clockOut: `${formData.clockOut} ${clockOutAmPm}`,
         hours: hoursToUse,
+        verificationStatus: 'manual',
       };
 
-      if (editIndex !== null) {
-        const updatedLogs = [...timeLogs];
-        updatedLogs[editIndex] = logToSave;
-        setTimeLogs(updatedLogs);
-        try {
-          await syncLogToFirestore(logToSave);
-        } catch (error: any) {
-          console.error('OJT Tracker: save edited log failed', error?.message || error);
-          Alert.alert('Error', `Failed saving edited log: ${error?.message || String(error)}`);
-          return; // stop, keep modal open for retry
-        }
-      } else {
-        const newLogs = [...timeLogs, logToSave];
-        setTimeLogs(newLogs);
-        try {
-          await syncLogToFirestore(logToSave);
-        } catch (error: any) {
-          console.error('OJT Tracker: save new log failed', error?.message || error);
-          Alert.alert('Error', `Failed saving new log: ${error?.message || String(error)}`);
-          setTimeLogs(timeLogs);
-          return;
-        }
+      // Changes go through the outbox, so they are kept on the device when there is no signal.
+      const original = editIndex !== null ? timeLogs[editIndex] : null;
+      const sameLog = !!original && ojtLogIdOf(original) === ojtLogIdOf(logToSave);
+      const result = await queueOjtLogSave(logToSave, sameLog ? original : null);
+      // A new date or clock-in time is a new log id; remove the log it replaces.
+      const removed = original && !sameLog && result.ok ? await queueOjtLogDelete(original) : null;
+      if (!result.ok) {
+        Alert.alert(
+          'Error',
+          result.reason === 'conflict'
+            ? `${getOutboxState().conflicts[0]?.message || 'This log was changed elsewhere.'} Your time logs have been reloaded.`
+            : `Failed to save time log: ${result.reason}`
+        );
+        await loadLogsFromFirestore();
+        if (result.reason === 'conflict') setModalVisible(false);
+        return;
       }
 
       // Update UI
       await loadLogsFromFirestore();
       setModalVisible(false);
       setFormData({ date: '', clockIn: '', clockOut: '', hours: '' });
-      Alert.alert('Success', 'Time log saved successfully!');
+      if (result.queued || (removed?.ok && removed.queued)) {
+        Alert.alert('Saved on this device', 'You appear to be offline. Your time log will be synced automatically once you are back online.');
+      } else {
+        Alert.alert('Success', 'Time log saved successfully!');
+      }
     } catch (error: any) {
       console.error('OJT Tracker: save time log failed', error?.message || error);
       Alert.alert('Error', `Failed to save time log: ${error?.message || String(error)}. Please try again.`);
+    }
+  };
 
-      // Diagnostic: attempt to write a small debug object to the user's root document
-      // so we can inspect error details server-side (this write usually allowed by rules).
-      try {
-        if (auth.currentUser) {
-          const uid = auth.currentUser.uid;
-          await setDoc(doc(firestore, 'users', uid), {
-            lastOjtSyncError: {
-              time: new Date().toISOString(),
-              message: error?.message || String(error),
-            }
-          }, { merge: true });
-        }
-      } catch (dbgErr) { }
+  const handleClock = async () => {
+    const action = activeClockLogId ? 'out' : 'in';
+    setClocking(true);
+    const result = await clockOjt(action);
+    setClocking(false);
+
+    if (!result.ok) {
+      const messages: Record<string, string> = {
+        NOT_PLACED: 'You can clock in once you have been placed with a company.',
+        ALREADY_CLOCKED_IN: 'You are already clocked in.',
+        NOT_CLOCKED_IN: 'You are not clocked in.',
+        LOG_EXISTS: 'A log for this date and time already exists.',
+        network_error: 'Could not reach the server. Check your connection and try again.',
+      };
+      Alert.alert('Error', messages[result.reason] || `Failed to clock ${action}: ${result.reason}`);
+      return;
     }
+
+    await loadLogsFromFirestore();
+    const where = result.geofence.status === 'outside'
+      ? `\n\nYou appear to be about ${result.geofence.distanceMeters} m from your company. This log will be flagged for your adviser.`
+      : result.geofence.status === 'unknown'
+        ? '\n\nYour location could not be verified. This log will be flagged for your adviser.'
+        : '';
+    Alert.alert(
+      action === 'in' ? 'Clocked in' : 'Clocked out',
+      (action === 'in' ? `Clocked in at ${result.time}.` : `Clocked out at ${result.time} (${result.hours ?? 0} hrs).`) + where
+    );
   };
 
   const handleDelete = async (index: number) => {
+    if (timeLogs[index]?.locked) {
+      Alert.alert('Log locked', 'This log was approved by your adviser and can no longer be deleted.');
+      return;
+    }
     Alert.alert("Confirm", "Delete this time log?", [
       { text: "Cancel" },
       {
         text: "Delete",
         onPress: async () => {
-          try {
-            const logToDelete = timeLogs[index];
-            await deleteLogFromFirestore(logToDelete);
-            const filtered = timeLogs.filter((_, i) => i !== index);
-            setTimeLogs(filtered);
-            await loadLogsFromFirestore();
-          } catch (error: any) {
-            console.error('OJT Tracker: delete time log failed', error?.message || error);
-            Alert.alert('Error', `Failed to delete time log: ${error?.message || String(error)}`);
+          const result = await queueOjtLogDelete(timeLogs[index]);
+          await loadLogsFromFirestore();
+          if (!result.ok) {
+            Alert.alert(
+              'Error',
+              result.reason === 'conflict'
+                ? getOutboxState().conflicts[0]?.message || 'This log was changed elsewhere and was not deleted.'
+                : `Failed to delete time log: ${result.reason}`
+            );
+          } else if (result.queued) {
+            Alert.alert('Saved on this device', 'You appear to be offline. The log will be deleted from your account once you are back online.');
           }
         }
       }
     ]);
   };
 
-  const saveGoal = useCallback(async () => {
-    const num = Number(goalInput);
-    if (isNaN(num) || num <= 0) {
-      Alert.alert('Error', 'Please enter a valid number of hours.');
-      return;
-    }
-    setRequiredHours(num);
-    await AsyncStorage.setItem('OJT_REQUIRED_HOURS', String(num));
-    setGoalModalVisible(false);
-  }, [goalInput]);
-
   const requestStoragePermission = async () => {
     try {
       const granted = await PermissionsAndroid.request(
@@ -619,6 +648,14 @@ const OJTTrackerScreen: React.FC = () => {
 
   // UI handlers
   const openModal = (log?: TimeLog, index?: number) => {
+    if (log?.locked) {
+      Alert.alert('Log locked', 'This log was approved by your adviser and can no longer be edited.');
+      return;
+    }
+    if (log?.source === 'clock') {
+      Alert.alert('Clock-in log', 'This log was recorded by clock-in/out and cannot be edited. Ask your adviser if it needs a correction.');
+      return;
+    }
     if (log && index !== undefined) {
       setFormData(log);
       setEditIndex(index);
@@ -631,27 +668,12 @@ const OJTTrackerScreen: React.FC = () => {
 
   const toggleDropdown = () => setIsDropdownVisible(!isDropdownVisible);
 
-  // Calculate total hours
-  useEffect(() => {
-    const sum = timeLogs.reduce((acc, log) => acc + Number(log.hours), 0);
-    setTotalHours(sum);
-    (async () => {
-      await updateTotalHoursInFirestore(sum);
-    })();
-  }, [timeLogs]);
-
-  const updateTotalHoursInFirestore = async (totalHours: number) => {
-    if (!auth.currentUser) return;
-    try {
-      const userDocRef = doc(firestore, "users", auth.currentUser.uid);
-      await setDoc(userDocRef, { totalHours }, { merge: true });
-    } catch (error) {
-      console.error('OJT Tracker: update totalHours failed', error);
-      try {
-        if (auth.currentUser) await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastOjtSyncError: { time: new Date().toISOString(), message: String(error) } }, { merge: true });
-      } catch (dbgErr) { }
-    }
-  };
+  // Totals come from the server ledger. Until it has been built for this student, fall back
+  // to summing the logs locally (display only; nothing is written back).
+  const totalHours = ledger
+    ? ledger.totalHours
+    : timeLogs.reduce((acc, log) => acc + (Number(log.hours) || 0), 0);
+  const requiredHours = ledger ? ledger.requiredHours : DEFAULT_REQUIRED_HOURS;
 
   // Add this new function to format time display
   const formatTimeDisplay = (time: string, amPm: AmPm) => {
@@ -843,6 +865,8 @@ const OJTTrackerScreen: React.FC = () => {
           </View>
         </LinearGradient>
 
+        <PendingSyncBanner style={styles.pendingSyncBanner} />
+
         {/* Section: Your progress */}
         <Text style={styles.sectionTitle}>Your progress</Text>
         <View style={styles.infoRow}>
@@ -851,11 +875,7 @@ const OJTTrackerScreen: React.FC = () => {
               <Icon name="time-outline" size={16} color={colors.textMuted} />
               <Text style={styles.infoLabel}>Total hours</Text>
             </View>
-            <TouchableOpacity
-              onPress={() => setGoalModalVisible(true)}
-              activeOpacity={0.9}
-              style={styles.progressTapArea}
-            >
+            <View style={styles.progressTapArea}>
               <View style={styles.progressRingWrapper}>
                 <Svg width={120} height={120} viewBox="0 0 100 100">
                   {/* Background track */}
@@ -888,10 +908,10 @@ const OJTTrackerScreen: React.FC = () => {
                 </View>
               </View>
               <Text style={styles.progressRemainingText}>
-                {Math.max(0, requiredHours - totalHours)} hours remaining
+                {Math.max(0, Math.round((requiredHours - totalHours) * 100) / 100)} hours remaining
               </Text>
-              <Text style={styles.progressTapHint}>Tap to set your goal</Text>
-            </TouchableOpacity>
+              <Text style={styles.progressTapHint}>Required hours are set for your program</Text>
+            </View>
           </View>
           <View style={styles.infoBox}>
             <View style={styles.infoLabelRow}>
@@ -906,13 +926,36 @@ const OJTTrackerScreen: React.FC = () => {
           </View>
         </View>
 
+        {/* Live clock-in / clock-out */}
+        {userStatus === 'hired' && (
+          <View style={styles.clockCard}>
+            <View style={styles.clockInfo}>
+              <Text style={styles.clockTitle}>{activeClockLogId ? 'You are clocked in' : 'Not clocked in'}</Text>
+              <Text style={styles.clockSubtitle}>
+                Clocking in records the time and your location so your adviser can verify your hours.
+              </Text>
+            </View>
+            <TouchableOpacity
+              style={[styles.clockButton, activeClockLogId && styles.clockButtonOut, clocking && { opacity: 0.7 }]}
+              onPress={handleClock}
+              disabled={clocking}
+              activeOpacity={0.85}
+            >
+              <Icon name={activeClockLogId ? 'log-out-outline' : 'log-in-outline'} size={18} color={colors.onPrimary} />
+              <Text style={styles.clockButtonText}>
+                {clocking ? 'Please wait…' : activeClockLogId ? 'Clock out' : 'Clock in'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
         {/* Reminder */}
         <View style={styles.noteBox}>
           <Icon name="information-circle-outline" size={20} color={colors.info} />
           <View style={styles.noteContent}>
             <Text style={styles.noteTitle}>For your reference</Text>
             <Text style={styles.noteText}>
-              Use this tracker to log hours for your own records. Lunch (12–1 PM) is auto-deducted.
+              Clock in and out at your company for verified hours, or add logs manually. Lunch (12–1 PM) is auto-deducted.
             </Text>
           </View>
         </View>
@@ -963,31 +1006,83 @@ const OJTTrackerScreen: React.FC = () => {
                   isEven && styles.tableRowAlt,
                 ]}
               >
-                <Text style={[styles.tableCell, styles.tableCellDate]}>{item.date}</Text>
+                <View style={styles.dateCell}>
+                  <Text style={[styles.tableCellText, styles.tableCellDate]}>{item.date}</Text>
+                  {(() => {
+                    const badge = VERIFICATION_BADGES[item.verificationStatus || 'manual'];
+                    return (
+                      <View style={styles.verificationBadge}>
+                        <Icon name={badge.icon as any} size={12} color={badge.color} />
+                        <Text style={[styles.verificationBadgeText, { color: badge.color }]}>{badge.label}</Text>
+                      </View>
+                    );
+                  })()}
+                  {item.pendingSync && (
+                    <View style={styles.verificationBadge}>
+                      <Icon name="cloud-upload-outline" size={12} color={colors.warning} />
+                      <Text style={[styles.verificationBadgeText, { color: colors.warning }]}>Waiting to sync</Text>
+                    </View>
+                  )}
+                  {item.reviewStatus === 'approved' && (
+                    <View style={styles.verificationBadge}>
+                      <Icon name={item.locked ? 'lock-closed' : 'checkmark-circle'} size={12} color={colors.success} />
+                      <Text style={[styles.verificationBadgeText, { color: colors.success }]}>Approved by adviser</Text>
+                    </View>
+                  )}
+                  {item.reviewStatus === 'disputed' && (
+                    <TouchableOpacity
+                      style={styles.verificationBadge}
+                      onPress={() => Alert.alert('Disputed by adviser', item.reviewComment || 'Please review this log and correct it.')}
+                    >
+                      <Icon name="chatbubble-ellipses" size={12} color={colors.danger} />
+                      <Text style={[styles.verificationBadgeText, { color: colors.danger }]}>Disputed — tap to view</Text>
+                    </TouchableOpacity>
+                  )}
+                  {item.ledgerStatus === 'rejected' && (
+                    <View style={styles.verificationBadge}>
+                      <Icon name="close-circle" size={12} color={colors.danger} />
+                      <Text style={[styles.verificationBadgeText, { color: colors.danger }]}>
+                        {LEDGER_REJECTION_LABELS[item.ledgerReason || ''] || 'Not counted'}
+                      </Text>
+                    </View>
+                  )}
+                </View>
                 <Text style={styles.tableCell}>{item.clockIn}</Text>
-                <Text style={styles.tableCell}>{item.clockOut}</Text>
+                <Text style={styles.tableCell}>{item.clockOut || (item.source === 'clock' ? 'In progress' : '')}</Text>
                 <View style={styles.hoursPillCell}>
                   <View style={styles.hoursPill}>
-                    <Text style={styles.hoursPillText}>{item.hours}h</Text>
+                    <Text style={styles.hoursPillText}>
+                      {item.ledgerStatus === 'counted' && item.ledgerHours != null
+                        ? `${item.ledgerHours}h`
+                        : item.hours ? `${item.hours}h` : '—'}
+                    </Text>
                   </View>
                 </View>
                 <View style={styles.rowActions}>
-                  <TouchableOpacity
-                    onPress={() => openModal(item, actualIndex)}
-                    style={styles.rowIconBtn}
-                    hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
-                    activeOpacity={0.7}
-                  >
-                    <Icon name="create-outline" size={20} color={colors.primary} />
-                  </TouchableOpacity>
-                  <TouchableOpacity
-                    onPress={() => handleDelete(actualIndex)}
-                    style={styles.rowIconBtn}
-                    hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
-                    activeOpacity={0.7}
-                  >
-                    <Icon name="trash-outline" size={20} color="#DC2626" />
-                  </TouchableOpacity>
+                  {item.locked ? (
+                    <View style={styles.rowIconBtn}>
+                      <Icon name="lock-closed-outline" size={20} color={colors.textSubtle} />
+                    </View>
+                  ) : (
+                    <>
+                      <TouchableOpacity
+                        onPress={() => openModal(item, actualIndex)}
+                        style={styles.rowIconBtn}
+                        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                        activeOpacity={0.7}
+                      >
+                        <Icon name="create-outline" size={20} color={colors.primary} />
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        onPress={() => handleDelete(actualIndex)}
+                        style={styles.rowIconBtn}
+                        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                        activeOpacity={0.7}
+                      >
+                        <Icon name="trash-outline" size={20} color="#DC2626" />
+                      </TouchableOpacity>
+                    </>
+                  )}
                 </View>
               </View>
             );
@@ -1288,35 +1383,6 @@ const OJTTrackerScreen: React.FC = () => {
         </View>
       </Modal>
 
-      {/* Goal Edit Modal */}
-      <Modal visible={goalModalVisible} animationType="slide" transparent>
-        <View style={styles.modalOverlay}>
-          <View style={styles.modalContent}>
-            <Text style={styles.modalTitle}>Set required hours</Text>
-            <Text style={styles.modalSubtitle}>Your OJT goal in total hours (e.g. 300).</Text>
-            <View style={styles.goalInputWrap}>
-              <TextInput
-                placeholder="e.g. 300"
-                placeholderTextColor={colors.textSubtle}
-                style={styles.goalInput}
-                value={goalInput}
-                onChangeText={setGoalInput}
-                keyboardType="number-pad"
-                maxLength={4}
-              />
-              <Text style={styles.goalInputSuffix}>hours</Text>
-            </View>
-            <View style={styles.modalButtons}>
-              <TouchableOpacity onPress={() => setGoalModalVisible(false)} style={styles.cancelBtn}>
-                <Text style={styles.cancelBtnText}>Cancel</Text>
-              </TouchableOpacity>
-              <TouchableOpacity onPress={saveGoal} style={styles.saveBtn}>
-                <Text style={styles.saveBtnText}>Save goal</Text>
-              </TouchableOpacity>
-            </View>
-          </View>
-        </View>
-      </Modal>
     </Screen>
   );
 };
@@ -1436,6 +1502,9 @@ const styles = StyleSheet.create({
   },
   removeButton: { marginLeft: 8, padding: 6, borderRadius: 6, backgroundColor: 'transparent' },
   subText: { fontSize: 12, color: colors.textMuted },
+  pendingSyncBanner: {
+    marginTop: 12,
+  },
   noteBox: {
     marginTop: 16,
     marginBottom: 20,
@@ -1540,6 +1609,13 @@ const styles = StyleSheet.create({
   tableCellDate: {
     fontWeight: '500',
   },
+  dateCell: {
+    flex: 1,
+  },
+  tableCellText: {
+    fontSize: 12,
+    color: colors.text,
+  },
   hoursPillCell: {
     flex: 1,
     alignItems: 'flex-start',
@@ -1686,28 +1762,6 @@ const styles = StyleSheet.create({
   input: {
     borderBottomWidth: 1, borderBottomColor: colors.border, marginBottom: 10, paddingVertical: 4, color: colors.text,
   },
-  goalInputWrap: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    borderWidth: 1,
-    borderColor: colors.border,
-    borderRadius: radii.md,
-    paddingHorizontal: 14,
-    marginBottom: 20,
-    backgroundColor: colors.surface,
-  },
-  goalInput: {
-    flex: 1,
-    paddingVertical: 14,
-    fontSize: 18,
-    color: colors.text,
-  },
-  goalInputSuffix: {
-    fontSize: 15,
-    color: colors.textMuted,
-    marginLeft: 6,
-    fontWeight: '500',
-  },
   modalButtons: {
     flexDirection: 'row',
     justifyContent: 'flex-end',
@@ -1963,6 +2017,57 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginLeft: 8,
   },
+  clockCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+    padding: 14,
+    backgroundColor: colors.surface,
+    borderRadius: radii.lg,
+    borderColor: colors.border,
+    borderWidth: 1,
+    ...shadows.card,
+  },
+  clockInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  clockTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  clockSubtitle: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  clockButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.success,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+  },
+  clockButtonOut: {
+    backgroundColor: colors.danger,
+  },
+  clockButtonText: {
+    color: colors.onPrimary,
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  verificationBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+  },
+  verificationBadgeText: {
+    fontSize: 10,
+    marginLeft: 3,
+  },
 });
 
 export default OJTTrackerScreen;
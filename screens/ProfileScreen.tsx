@@ -2,7 +2,6 @@ import React, { useEffect, useState } from 'react';
 import {
   View,
   Text,
-  TextInput,
   Image,
   StyleSheet,
   ScrollView,
@@ -16,16 +15,17 @@ import {
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { auth, firestore } from '../firebase/config';
-import { doc, setDoc, collection, getDoc, getDocs, deleteDoc, query, where, getDocsFromServer, serverTimestamp } from "firebase/firestore";
+import { doc, setDoc, collection, getDoc, getDocs } from "firebase/firestore";
 import * as ImagePicker from 'expo-image-picker';
 import * as FileSystem from 'expo-file-system';
 // removed `react-native-progress` dependency and use a simple native progress bar instead
 import { getStorage, ref as storageRef, uploadBytes, getDownloadURL } from "firebase/storage";
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useFocusEffect } from '@react-navigation/native';
 import { colors, radii, shadows } from '../ui/theme';
 import { Screen } from '../ui/components/Screen';
 import { AppHeader } from '../ui/components/AppHeader';
+import { withdrawApplication } from '../services/applications';
+import { reportError } from '../services/errorReporting';
 
 // Add type for userData
 type UserData = {
@@ -38,10 +38,7 @@ const ProfileScreen = ({ navigation }: { navigation: any }) => {
   const [userData, setUserData] = useState<UserData>({});
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
-  const [showUndoCompany, setShowUndoCompany] = useState(false);
-  const [companyModalVisible, setCompanyModalVisible] = useState(false);
   const [companyInfoModalVisible, setCompanyInfoModalVisible] = useState(false);
-  const [companyName, setCompanyName] = useState('');
   const [avatarChanged, setAvatarChanged] = useState(false);
   const [totalHours, setTotalHours] = useState(0);
   const [progress, setProgress] = useState(0);
@@ -69,25 +66,15 @@ const ProfileScreen = ({ navigation }: { navigation: any }) => {
               console.warn('ProfileScreen: failed to read user doc before deleting application', readErr);
             }
 
+            // Server cancels the application and clears the applied fields on the user doc.
             if (appliedId) {
-              try {
-                await deleteDoc(doc(firestore, 'applications', `${uid}_${appliedId}`));
-              } catch (delErr) {
-                console.warn('ProfileScreen: failed to delete application doc', delErr);
-              }
+              const result = await withdrawApplication(appliedId);
+              if (!result.ok) throw new Error(result.reason);
             }
-
-            await setDoc(doc(firestore, 'users', uid), {
-              appliedCompanyId: null,
-              appliedCompanyName: null,
-              applicationRemovedAt: new Date().toISOString()
-            }, { merge: true });
             setUserData(prev => ({ ...prev, appliedCompanyId: null, appliedCompanyName: null }));
           } catch (err: any) {
             Alert.alert('Error', 'Could not remove applied company. Please try again.');
-            if (auth.currentUser) {
-              await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastProfileError: { time: new Date().toISOString(), message: String(err) } }, { merge: true });
-            }
+            reportError(err, { screen: 'Profile', operation: 'removeAppliedCompany' });
           }
         }}
       ]
@@ -176,7 +163,7 @@ const ProfileScreen = ({ navigation }: { navigation: any }) => {
           await uploadBytes(avatarRef, blob);
           storageUrl = await getDownloadURL(avatarRef);
         } catch (err: any) {
-          await setDoc(userDocRef, { lastAvatarUploadError: { time: new Date().toISOString(), message: String(err) } }, { merge: true });
+          reportError(err, { screen: 'Profile', operation: 'uploadAvatar' });
         }
 
         // Persist only the Storage URL to user doc
@@ -191,14 +178,7 @@ const ProfileScreen = ({ navigation }: { navigation: any }) => {
       } catch (error) {
         Alert.alert('Error', 'Failed to upload profile picture.');
         console.error('ProfileScreen avatar upload error:', error);
-        try {
-          if (auth.currentUser) {
-            await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastAvatarUploadError: { time: new Date().toISOString(), message: String(error) } }, { merge: true });
-            console.log('ProfileScreen: wrote lastAvatarUploadError to user doc');
-          }
-        } catch (diagErr) {
-          console.warn('ProfileScreen: failed to write lastAvatarUploadError for user:', diagErr);
-        }
+        reportError(error, { screen: 'Profile', operation: 'uploadAvatar' });
       } finally {
         setAvatarUploading(false);
       }
@@ -217,133 +197,64 @@ const ProfileScreen = ({ navigation }: { navigation: any }) => {
         // If user has an applied company, verify both:
         // 1) The application status is not denied/cancelled
         // 2) The company still exists in the companies collection
-        // Use getDocFromServer to avoid cache so we see real server state.
+        // Otherwise stop showing it; withdrawApplication clears the stale fields server-side
+        // (and cancels an orphaned application). Approvals set the hired fields server-side.
         if (appliedId && typeof appliedId === 'string') {
           try {
             const applicationRef = doc(firestore, 'applications', `${auth.currentUser!.uid}_${appliedId}`);
             const applicationSnap = await getDoc(applicationRef);
             const appStatus = applicationSnap.exists() ? (applicationSnap.data() as any).status : null;
+            const stale = appStatus === 'denied' || appStatus === 'cancelled' ||
+              !(await getDoc(doc(firestore, 'companies', appliedId))).exists();
 
-            // If the application was denied or cancelled, don't show this company in profile anymore.
-            if (appStatus === 'denied' || appStatus === 'cancelled') {
+            if (stale) {
               const appliedName = (data as any).appliedCompanyName;
               data.appliedCompanyId = null;
               (data as any).appliedCompanyName = null;
-              const updates: any = {
-                appliedCompanyId: null,
-                appliedCompanyName: null,
-                applicationRemovedAt: new Date().toISOString(),
-              };
               if ((data as any).company === appliedName && data.status !== 'hired') {
                 (data as any).company = null;
-                updates.company = null;
-              }
-              await setDoc(userDocRef, updates, { merge: true });
-            } else {
-              // Only if application is not explicitly denied/cancelled, verify the company document still exists.
-              const companyRef = doc(firestore, 'companies', appliedId);
-              const companySnap = await getDoc(companyRef);
-              if (!companySnap.exists()) {
-                const appliedName = (data as any).appliedCompanyName;
-                data.appliedCompanyId = null;
-                (data as any).appliedCompanyName = null;
-                const updates: any = {
-                  appliedCompanyId: null,
-                  appliedCompanyName: null,
-                  applicationRemovedAt: new Date().toISOString(),
-                };
-                if ((data as any).company === appliedName && data.status !== 'hired') {
-                  (data as any).company = null;
-                  updates.company = null;
-                }
-                await setDoc(userDocRef, updates, { merge: true });
-                try {
-                  await deleteDoc(doc(firestore, 'applications', `${auth.currentUser!.uid}_${appliedId}`));
-                } catch (_) {
-                  // ignore if application doc missing
-                }
               }
+              await withdrawApplication(appliedId);
             }
           } catch (checkErr) {
             console.warn('ProfileScreen: could not verify applied company/application', checkErr);
           }
         }
 
-        // If admin already approved/accepted the application but the user doc wasn't updated yet,
-        // sync the approved company into the profile so the user sees it as assigned.
-        try {
-          const approvedQ = query(
-            collection(firestore, 'applications'),
-            where('userId', '==', auth.currentUser!.uid),
-            where('status', '==', 'approved')
-          );
-          const approvedSnap = await getDocsFromServer(approvedQ);
-          if (!approvedSnap.empty) {
-            const approved = approvedSnap.docs[0].data() as any;
-            const approvedCompanyName = String(approved.companyName || approved.company || '');
-            const approvedCompanyId = String(approved.companyId || '');
-
-            if ((data.status !== 'hired' || !data.company) && approvedCompanyName) {
-              data.status = 'hired';
-              (data as any).company = approvedCompanyName;
-              (data as any).hiredCompanyId = approvedCompanyId || null;
-
-              await setDoc(doc(firestore, 'users', auth.currentUser!.uid), {
-                status: 'hired',
-                company: approvedCompanyName,
-                hiredCompanyId: approvedCompanyId || null,
-                hiredAt: serverTimestamp(),
-                // once approved, clear applied fields to avoid confusion
-                appliedCompanyId: null,
-                appliedCompanyName: null,
-              }, { merge: true });
-            }
-          }
-        } catch (e) {
-          console.warn('ProfileScreen: failed to sync approved company into user profile', e);
-        }
-
         setUserData(data);
       }
     } catch (error) {
       console.error('Failed to fetch user data:', error);
-      try {
-        if (auth.currentUser) {
-          await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastProfileFetchError: { time: new Date().toISOString(), message: String(error) } }, { merge: true });
-          console.log('ProfileScreen: wrote lastProfileFetchError to user doc');
-        }
-      } catch (diagErr) {
-        console.warn('ProfileScreen: failed to write lastProfileFetchError for user:', diagErr);
-      }
+      reportError(error, { screen: 'Profile', operation: 'fetchProfile' });
     }
     setLoading(false);
   };
 
-  // Fetch OJT logs from Firestore and calculate total hours
+  // Read OJT progress from the server-maintained hours ledger (users/{uid}.ojtLedger).
+  // Students whose ledger has not been built yet fall back to summing their logs.
   const fetchOJTLogsAndProgress = async () => {
     if (!auth.currentUser) return;
     try {
-      const logsCol = collection(firestore, `users/${auth.currentUser.uid}/ojtLogs`);
-      const logsSnap = await getDocs(logsCol);
+      const userSnap = await getDoc(doc(firestore, 'users', auth.currentUser.uid));
+      const ledger: any = userSnap.exists() ? (userSnap.data() as any).ojtLedger : null;
       let sum = 0;
-      logsSnap.forEach((doc: any) => {
-        const log: any = doc.data();
-        console.log('Fetched log:', log);
-        const hours = parseFloat(log.hours);
-        if (!isNaN(hours)) sum += hours;
-      });
+      let required = 300;
+      if (ledger && typeof ledger.totalHours === 'number') {
+        sum = ledger.totalHours;
+        if (Number(ledger.requiredHours) > 0) required = Number(ledger.requiredHours);
+      } else {
+        const logsSnap = await getDocs(collection(firestore, `users/${auth.currentUser.uid}/ojtLogs`));
+        logsSnap.forEach((doc: any) => {
+          const hours = parseFloat(doc.data().hours);
+          if (!isNaN(hours)) sum += hours;
+        });
+      }
       setTotalHours(sum);
-      setProgress(Math.min(sum / requiredHours, 1));
+      setRequiredHours(required);
+      setProgress(Math.min(sum / required, 1));
     } catch (error) {
       console.error('Failed to fetch OJT logs:', error);
-      try {
-        if (auth.currentUser) {
-          await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastOjtLogsFetchError: { time: new Date().toISOString(), message: String(error) } }, { merge: true });
-          console.log('ProfileScreen: wrote lastOjtLogsFetchError to user doc');
-        }
-      } catch (diagErr) {
-        console.warn('ProfileScreen: failed to write lastOjtLogsFetchError for user:', diagErr);
-      }
+      reportError(error, { screen: 'Profile', operation: 'fetchOjtLogs' });
     }
   };
 
@@ -352,19 +263,12 @@ const ProfileScreen = ({ navigation }: { navigation: any }) => {
     React.useCallback(() => {
       const loadData = async () => {
         await fetchUserData();
-        await loadRequiredHours();
         await fetchOJTLogsAndProgress();
       };
       loadData();
     }, [])
   );
 
-  // Update loadRequiredHours to be reusable
-  const loadRequiredHours = async () => {
-    const savedGoal = await AsyncStorage.getItem('OJT_REQUIRED_HOURS');
-    if (savedGoal) setRequiredHours(Number(savedGoal));
-  };
-
   // no persisted avatar upload mode — always upload to Storage and optionally save small base64 preview
 
   const onRefresh = async () => {
@@ -373,67 +277,6 @@ const ProfileScreen = ({ navigation }: { navigation: any }) => {
     setRefreshing(false);
   };
 
-  // Update company status and details
-  const handleCompanyUpdate = async () => {
-    if (!auth.currentUser) return;
-    try {
-      const userDocRef = doc(firestore, "users", auth.currentUser.uid);
-      await setDoc(userDocRef, {
-        status: 'hired',
-        company: companyName
-      }, { merge: true });
-
-      setUserData((prev: UserData) => ({
-        ...prev,
-        status: 'hired',
-        company: companyName
-      }));
-      setShowUndoCompany(true);
-      setTimeout(() => setShowUndoCompany(false), 5000);
-      setCompanyModalVisible(false);
-    } catch (error) {
-      Alert.alert('Error', 'Failed to update company details');
-      console.error('handleCompanyUpdate failed:', error);
-      try {
-        if (auth.currentUser) {
-          await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastCompanyUpdateError: { time: new Date().toISOString(), message: String(error) } }, { merge: true });
-          console.log('ProfileScreen: wrote lastCompanyUpdateError to user doc');
-        }
-      } catch (diagErr) {
-        console.warn('ProfileScreen: failed to write lastCompanyUpdateError for user:', diagErr);
-      }
-    }
-  };
-
-  // Handle undo company status
-  const handleUndoCompany = async () => {
-    if (!auth.currentUser) return;
-    try {
-      const userDocRef = doc(firestore, "users", auth.currentUser.uid);
-      await setDoc(userDocRef, {
-        status: 'searching',
-        company: null
-      }, { merge: true });
-      setUserData((prev: UserData) => ({
-        ...prev,
-        status: 'searching',
-        company: null
-      }));
-      setShowUndoCompany(false);
-    } catch (error) {
-      Alert.alert('Error', 'Failed to undo status');
-      console.error('handleUndoCompany failed:', error);
-      try {
-        if (auth.currentUser) {
-          await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastCompanyUndoError: { time: new Date().toISOString(), message: String(error) } }, { merge: true });
-          console.log('ProfileScreen: wrote lastCompanyUndoError to user doc');
-        }
-      } catch (diagErr) {
-        console.warn('ProfileScreen: failed to write lastCompanyUndoError for user:', diagErr);
-      }
-    }
-  };
-
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
@@ -783,100 +626,6 @@ const ProfileScreen = ({ navigation }: { navigation: any }) => {
         </View>
       </ScrollView>
 
-      {/* Company Details Modal */}
-      <Modal
-        visible={companyModalVisible}
-        animationType="fade"
-        transparent={true}
-        onRequestClose={() => setCompanyModalVisible(false)}
-      >
-        <TouchableOpacity
-          style={styles.modalContainer}
-          activeOpacity={1}
-          onPress={() => setCompanyModalVisible(false)}
-        >
-          <TouchableOpacity
-            style={styles.modalContent}
-            activeOpacity={1}
-            onPress={(e) => e.stopPropagation()}
-          >
-            {/* Modal Header */}
-            <View style={styles.modalHeaderContainer}>
-              <View style={styles.modalHeaderIconWrapper}>
-                <Ionicons name="business" size={24} color={colors.primary} />
-              </View>
-              <View style={styles.modalHeaderTextWrapper}>
-                <Text style={styles.modalHeader}>
-                  {userData.status === 'hired' ? 'Update Company' : 'Add Company'}
-                </Text>
-                <Text style={styles.modalSubtitle}>
-                  {userData.status === 'hired' 
-                    ? 'Update your current company information' 
-                    : 'Add the company where you are interning'}
-                </Text>
-              </View>
-              <TouchableOpacity
-                style={styles.modalCloseButton}
-                onPress={() => setCompanyModalVisible(false)}
-                activeOpacity={0.7}
-              >
-                <Ionicons name="close" size={24} color={colors.textMuted} />
-              </TouchableOpacity>
-            </View>
-
-            {/* Input Section */}
-            <View style={styles.modalInputSection}>
-              <Text style={styles.modalLabel}>Company Name</Text>
-              <View style={styles.modalInputWrapper}>
-                <Ionicons name="business-outline" size={20} color={colors.textMuted} style={styles.modalInputIcon} />
-                <TextInput
-                  style={styles.modalInput}
-                  value={companyName}
-                  onChangeText={setCompanyName}
-                  placeholder="Enter company name"
-                  placeholderTextColor={colors.textMuted}
-                  autoFocus={true}
-                />
-              </View>
-            </View>
-
-            {/* Modal Buttons */}
-            <View style={styles.modalButtons}>
-              <TouchableOpacity
-                style={[styles.modalButton, styles.modalCancelButton]}
-                onPress={() => setCompanyModalVisible(false)}
-                activeOpacity={0.7}
-              >
-                <Text style={styles.modalCancelButtonText}>Cancel</Text>
-              </TouchableOpacity>
-              <TouchableOpacity
-                style={[
-                  styles.modalButton, 
-                  styles.modalSaveButton,
-                  !companyName.trim() && styles.modalSaveButtonDisabled
-                ]}
-                onPress={handleCompanyUpdate}
-                activeOpacity={0.8}
-                disabled={!companyName.trim()}
-              >
-                <Ionicons 
-                  name="checkmark" 
-                  size={18} 
-                  color={!companyName.trim() ? colors.textMuted : colors.onPrimary} 
-                  style={{ marginRight: 6 }} 
-                />
-                <Text style={[
-                  styles.modalSaveButtonText,
-                  !companyName.trim() && styles.modalSaveButtonTextDisabled
-                ]}>
-                  Save
-                </Text>
-              </TouchableOpacity>
-            </View>
-          </TouchableOpacity>
-        </TouchableOpacity>
-      </Modal>
-
       {/* Company Information Display Modal */}
       <Modal
         visible={companyInfoModalVisible}
@@ -935,15 +684,6 @@ const ProfileScreen = ({ navigation }: { navigation: any }) => {
         </TouchableOpacity>
       </Modal>
 
-      {/* Undo Company Snackbar */}
-      {showUndoCompany && (
-        <View style={styles.undoSnackbar}>
-          <Text style={styles.undoSnackbarText}>Company status updated</Text>
-          <TouchableOpacity onPress={handleUndoCompany}>
-            <Text style={styles.undoSnackbarButton}>UNDO</Text>
-          </TouchableOpacity>
-        </View>
-      )}
     </Screen>
   );
 };
@@ -1332,52 +1072,6 @@ const styles = StyleSheet.create({
     backgroundColor: 'rgba(0, 0, 0, 0.5)',
     paddingHorizontal: 20,
   },
-  modalContent: {
-    width: '100%',
-    maxWidth: 400,
-    backgroundColor: colors.surface,
-    borderRadius: radii.xl,
-    padding: 0,
-    overflow: 'hidden',
-    shadowColor: '#000',
-    shadowOpacity: 0.25,
-    shadowRadius: 20,
-    shadowOffset: { width: 0, height: 10 },
-    elevation: 10,
-  },
-  modalHeaderContainer: {
-    flexDirection: 'row',
-    alignItems: 'flex-start',
-    padding: 24,
-    paddingBottom: 20,
-    borderBottomWidth: 1,
-    borderBottomColor: '#F3F4F6',
-  },
-  modalHeaderIconWrapper: {
-    width: 48,
-    height: 48,
-    borderRadius: 24,
-    backgroundColor: `${colors.primary}15`,
-    justifyContent: 'center',
-    alignItems: 'center',
-    marginRight: 12,
-  },
-  modalHeaderTextWrapper: {
-    flex: 1,
-    paddingRight: 8,
-  },
-  modalHeader: {
-    fontSize: 20,
-    fontWeight: '700',
-    color: colors.text,
-    marginBottom: 4,
-    lineHeight: 26,
-  },
-  modalSubtitle: {
-    fontSize: 13,
-    color: colors.textMuted,
-    lineHeight: 18,
-  },
   modalCloseButton: {
     width: 32,
     height: 32,
@@ -1386,81 +1080,6 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     backgroundColor: '#F3F4F6',
   },
-  modalInputSection: {
-    padding: 24,
-    paddingTop: 20,
-  },
-  modalLabel: {
-    fontSize: 14,
-    fontWeight: '600',
-    color: colors.text,
-    marginBottom: 10,
-  },
-  modalInputWrapper: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    backgroundColor: colors.surfaceAlt,
-    borderRadius: radii.lg,
-    borderWidth: 1.5,
-    borderColor: '#E5E7EB',
-    paddingHorizontal: 16,
-    minHeight: 52,
-  },
-  modalInputIcon: {
-    marginRight: 12,
-  },
-  modalInput: {
-    flex: 1,
-    fontSize: 16,
-    color: colors.text,
-    paddingVertical: 0,
-    includeFontPadding: false,
-  },
-  modalButtons: {
-    flexDirection: 'row',
-    gap: 12,
-    padding: 24,
-    paddingTop: 20,
-    borderTopWidth: 1,
-    borderTopColor: '#F3F4F6',
-  },
-  modalButton: {
-    flex: 1,
-    paddingVertical: 14,
-    borderRadius: radii.lg,
-    alignItems: 'center',
-    justifyContent: 'center',
-    flexDirection: 'row',
-  },
-  modalCancelButton: {
-    backgroundColor: '#F3F4F6',
-  },
-  modalSaveButton: {
-    backgroundColor: colors.primary,
-    shadowColor: colors.primary,
-    shadowOpacity: 0.3,
-    shadowRadius: 8,
-    shadowOffset: { width: 0, height: 4 },
-    elevation: 4,
-  },
-  modalCancelButtonText: {
-    color: colors.text,
-    fontSize: 16,
-    fontWeight: '600',
-  },
-  modalSaveButtonText: {
-    color: colors.onPrimary,
-    fontSize: 16,
-    fontWeight: '600',
-  },
-  modalSaveButtonDisabled: {
-    backgroundColor: '#E5E7EB',
-    shadowOpacity: 0,
-    elevation: 0,
-  },
-  modalSaveButtonTextDisabled: {
-    color: colors.textMuted,
-  },
   companyInfoModalContent: {
     width: '100%',
     maxWidth: 400,
@@ -1587,26 +1206,6 @@ const styles = StyleSheet.create({
     fontSize: 13,
     marginLeft: 6,
   },
-  undoSnackbar: {
-    position: 'absolute',
-    bottom: 80,
-    left: 20,
-    right: 20,
-    backgroundColor: colors.black,
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    padding: 15,
-    borderRadius: 8,
-    elevation: 5,
-  },
-  undoSnackbarText: {
-    color: colors.onPrimary,
-  },
-  undoSnackbarButton: {
-    color: colors.onPrimary,
-    fontWeight: 'bold',
-  },
   companyText: {
     color: colors.primary,
     textDecorationLine: 'underline',
@@ -9,20 +9,33 @@ import {
     Alert,
     Modal,
     RefreshControl,
+    Image,
 } from 'react-native';
 import { Card, Chip, Button, ProgressBar } from 'react-native-paper';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
 import { StackNavigationProp } from '@react-navigation/stack';
 import { RootStackParamList } from '../App';
-import { auth, firestore, storage, ADMIN_FILE_FUNCTION_BASE_URL } from '../firebase/config';
-import { doc, getDoc, updateDoc, setDoc, collection, addDoc, deleteDoc, query, where, getDocs, serverTimestamp } from 'firebase/firestore';
+import { auth, firestore, storage } from '../firebase/config';
+import { doc, getDoc, updateDoc, setDoc, collection, addDoc, deleteDoc, query, where, getDocs } from 'firebase/firestore';
 import * as DocumentPicker from 'expo-document-picker';
 import { Linking } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as FileSystem from 'expo-file-system';
 import { ref as storageRef, uploadBytes, getDownloadURL } from 'firebase/storage';
-import OJTChecklistGenerator from '../services/ojtChecklistGenerator';
+import { generateDocumentPdf } from '../services/generatedDocuments';
+import {
+    DEFAULT_REQUIREMENT_CATALOG,
+    LEGACY_REQUIREMENT_IDS,
+    FileReview,
+    RequirementApprovalStatus,
+    RequirementCatalogItem,
+    getRequirementCatalog,
+    requirementStatusFromFiles,
+} from '../services/requirements';
+import { FileProcessingState, getUploadProcessing } from '../services/uploads';
+import { getFileAccessUrl } from '../services/fileAccess';
+import { reportError } from '../services/errorReporting';
 import { colors, radii, shadows, spacing } from '../ui/theme';
 import { Screen } from '../ui/components/Screen';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
@@ -35,7 +48,7 @@ interface Requirement {
     description: string;
     category: 'documents' | 'forms' | 'certifications' | 'other';
     status: 'pending' | 'completed' | 'overdue';
-    approvalStatus?: 'pending_review' | 'approved' | 'rejected' | 'not_submitted';
+    approvalStatus?: RequirementApprovalStatus;
     rejectionReason?: string;
     adviserNotes?: string;
     reviewedBy?: string;
@@ -43,8 +56,8 @@ interface Requirement {
     dueDate?: Date;
     uploadedFiles: Array<
         | string
-        | { name: string; url?: string; path?: string; contentType?: string; uploadedAt?: string; providedByAdmin?: boolean }
-        | { name: string; adminDocId: string; storedInFirestore: boolean; downloadUrl?: string; uploadedAt?: string }
+        | ({ name: string; url?: string; path?: string; contentType?: string; uploadedAt?: string; providedByAdmin?: boolean; adminDocId?: string; review?: FileReview } & Partial<FileProcessingState>)
+        | ({ name: string; adminDocId: string; storedInFirestore: boolean; downloadUrl?: string; uploadedAt?: string; review?: FileReview } & Partial<FileProcessingState>)
     >;
     notes?: string;
     isRequired: boolean;
@@ -83,7 +96,21 @@ const RequirementsChecklistScreen: React.FC = () => {
         return value;
     };
 
-    // ADMIN_FILE_FUNCTION_BASE_URL is read from firebase/config (useful when you deploy the getAdminFile function)
+    // Uploaded files are opened through the getFile Cloud Function (short-lived URL, access is
+    // logged). Admin-provided templates and files without an admin_files record use their URL.
+    const openUploadedFile = async (fileAny: any, url: string | null) => {
+        if (fileAny?.adminDocId && !fileAny.providedByAdmin) {
+            const access = await getFileAccessUrl('admin_files', fileAny.adminDocId);
+            if (access.ok) return Linking.openURL(access.url);
+            if (access.reason === 'FILE_REJECTED') {
+                return Alert.alert('File unavailable', 'This file did not pass the upload check. Please upload a new copy.');
+            }
+            if (access.reason !== 'missing_function_url') {
+                return Alert.alert('Error', 'Could not open the file. Please try again.');
+            }
+        }
+        if (url) return Linking.openURL(url);
+    };
 
     useEffect(() => {
         loadRequirements();
@@ -133,107 +160,29 @@ const RequirementsChecklistScreen: React.FC = () => {
                 const data = userDoc.data();
                 const savedRequirements = (data.requirements || []) as any[];
 
-                const normalizeKey = (value: string) => String(value || '')
-                    .toLowerCase()
-                    .replace(/\([^)]*\)/g, '')
-                    .replace(/[^a-z0-9]+/g, ' ')
-                    .trim();
-
-                const defaultReqs = getDefaultRequirements();
+                const catalog = await getRequirementCatalog();
 
-                const findMatch = (target: Requirement, existing: any[]): any | null => {
-                    const t = normalizeKey(target.title);
-                    const aliases: string[] = [];
-
-                    // known legacy titles -> new titles (exact mappings only)
-                    if (t.includes('notarized parental consent')) {
-                        aliases.push(normalizeKey('Parent/Guardian Consent Form'));
-                    }
-                    if (t.includes('proof of insurance') && !t.includes('enrollment')) {
-                        // Explicitly exclude "proof of enrollment" from matching "proof of insurance"
-                        aliases.push(normalizeKey('Insurance Certificate'));
-                    }
-                    if (t.includes('curriculum vitae')) {
-                        aliases.push(normalizeKey('Resume/CV'));
-                    }
-                    if (t.includes('memorandum of agreement') || t === 'moa') {
-                        aliases.push(normalizeKey('MOA (Memorandum of Agreement)'));
-                    }
-                    if (t.includes('proof of enrollment') && !t.includes('insurance')) {
-                        // Explicitly exclude "proof of insurance" from matching "proof of enrollment"
-                        aliases.push(normalizeKey('Academic Records'));
-                    }
-
-                    const candidates = [t, ...aliases];
-                    
-                    // First pass: exact matches only
-                    for (const r of existing) {
-                        const rt = normalizeKey(String(r?.title || ''));
-                        if (!rt) continue;
-                        // Exact match or known alias match
-                        if (candidates.includes(rt)) {
-                            return r;
-                        }
-                    }
-                    
-                    // Second pass: strict partial matching (only if both contain significant unique words)
-                    // This prevents "COM" from matching "Insurance" incorrectly
-                    const targetWords = t.split(' ').filter(w => w.length > 3); // Only words > 3 chars
-                    const targetUniqueWords = targetWords.filter(w => 
-                        !['proof', 'of', 'certificate', 'certification', 'form', 'document'].includes(w)
-                    );
-                    
-                    for (const r of existing) {
-                        const rt = normalizeKey(String(r?.title || ''));
-                        if (!rt) continue;
-                        
-                        // Skip if already tried exact match
-                        if (candidates.includes(rt)) continue;
-                        
-                        const existingWords = rt.split(' ').filter(w => w.length > 3);
-                        const existingUniqueWords = existingWords.filter(w => 
-                            !['proof', 'of', 'certificate', 'certification', 'form', 'document'].includes(w)
-                        );
-                        
-                        // Require at least 2 unique matching words (not common words like "proof", "of")
-                        const matchingUniqueWords = targetUniqueWords.filter(w => existingUniqueWords.includes(w));
-                        
-                        // Special case: prevent "COM" from matching "Insurance"
-                        const hasCom = t.includes('com') || rt.includes('com');
-                        const hasInsurance = t.includes('insurance') || rt.includes('insurance');
-                        if (hasCom && hasInsurance) {
-                            // Both mention COM and Insurance - likely different requirements
-                            continue;
-                        }
-                        
-                        // Only match if we have significant unique word overlap (at least 2 words)
-                        if (matchingUniqueWords.length >= 2) {
-                            return r;
-                        }
-                    }
-                    
-                    return null;
-                };
+                // Saved entries are matched to the catalog by id; lists saved before the catalog
+                // existed still carry the old numeric ids.
+                const savedById = new Map<string, any>();
+                for (const r of savedRequirements) {
+                    const id = LEGACY_REQUIREMENT_IDS[String(r?.id)] || String(r?.id || '');
+                    if (id && !savedById.has(id)) savedById.set(id, r);
+                }
 
-                // Migrate: replace the requirement list with the new one, carrying over existing uploads/status where possible.
-                const mergedFromDefaults: Requirement[] = defaultReqs.map((d) => {
-                    const match = findMatch(d, savedRequirements);
+                const mergedFromCatalog: Requirement[] = catalog.map((item) => {
+                    const base = catalogToRequirement(item);
+                    const match = savedById.get(item.id);
                     if (!match) {
-                        return d;
+                        return base;
                     }
-                    
+
                     const uploadedFiles = Array.isArray(match.uploadedFiles) ? match.uploadedFiles : [];
-                    const status = match.status || (uploadedFiles.length > 0 ? 'completed' : 'pending');
-                    
                     return {
-                        ...d,
+                        ...base,
                         uploadedFiles,
-                        status,
-                        approvalStatus: match.approvalStatus,
-                        rejectionReason: match.rejectionReason,
-                        adviserNotes: match.adviserNotes,
-                        reviewedBy: match.reviewedBy,
-                        reviewedAt: match.reviewedAt,
+                        status: match.status || (uploadedFiles.length > 0 ? 'completed' : 'pending'),
+                        notes: match.notes,
                     } as Requirement;
                 });
 
@@ -255,15 +204,18 @@ const RequirementsChecklistScreen: React.FC = () => {
                 const helpDeskDocs: any[] = [];
                 try {
                     const snap = await getDocs(query(collection(firestore, 'helpDeskFiles')));
-                    snap.forEach((d: any) => helpDeskDocs.push({ id: d.id, ...(d.data() as any) }));
+                    snap.forEach((d: any) => {
+                        // Skip templates rejected by the upload check (the file is gone)
+                        if (d.data()?.processingStatus !== 'rejected') helpDeskDocs.push({ id: d.id, ...(d.data() as any) });
+                    });
                 } catch (e) {
                     // Silent error handling
                 }
 
-                const pickTemplateForRequirement = (reqTitle: string): any | null => {
-                    const titleKey = normalizeKey(reqTitle);
-                    const keys: string[] = [];
-                    if (titleKey.includes('memorandum of agreement')) keys.push('memorandum of agreement', 'moa');
+                const pickTemplateForRequirement = (requirementId: string): any | null => {
+                    const keys = (catalog.find((item) => item.id === requirementId)?.templateKeywords || [])
+                        .map((k) => k.toLowerCase());
+                    if (!keys.length) return null;
 
                     for (const t of helpDeskDocs) {
                         const name = String(t?.fileName || t?.name || '').toLowerCase();
@@ -275,13 +227,13 @@ const RequirementsChecklistScreen: React.FC = () => {
                 };
 
                 const mergedWithAdminFiles: Requirement[] = [];
-                for (const req of mergedFromDefaults) {
+                for (const req of mergedFromCatalog) {
                     if (!req.adminProvided) {
                         mergedWithAdminFiles.push(req);
                         continue;
                     }
 
-                    const template = pickTemplateForRequirement(req.title);
+                    const template = pickTemplateForRequirement(req.id);
                     const url = template ? await resolveTemplateUrl(template) : null;
 
                     const existingUploads = Array.isArray(req.uploadedFiles) ? req.uploadedFiles : [];
@@ -320,86 +272,63 @@ const RequirementsChecklistScreen: React.FC = () => {
                     // Silent error handling
                 }
 
-                // Merge approval statuses with requirements
+                // Merge review decisions (keyed by requirement id, with one entry per uploaded file)
                 const mergedWithApprovals = mergedWithAdminFiles.map(req => {
-                    const titleKey = normalizeKey(req.title);
-                    const titleLower = req.title.toLowerCase();
-                    
-                    let approval: any = null;
-                    let matchedKey = '';
-                    
-                    // Check various matching strategies
-                    for (const [key, value] of Object.entries(approvalData)) {
-                        const normalizedKey = normalizeKey(key);
-                        const keyLower = key.toLowerCase();
-                        
-                        // Strategy 1: Exact match
-                        if (normalizedKey === titleKey || key === req.title) {
-                            approval = value;
-                            matchedKey = key;
-                            break;
-                        }
-                        
-                        // Strategy 2: Check if original approval key appears in title (case-insensitive)
-                        // e.g., "COM" is in "Proof of Enrollment (COM)"
-                        if (titleLower.includes(keyLower)) {
-                            approval = value;
-                            matchedKey = key;
-                            break;
-                        }
-                        
-                        // Strategy 3: Check normalized contains
-                        if (titleKey.includes(normalizedKey)) {
-                            approval = value;
-                            matchedKey = key;
-                            break;
-                        }
-                        
-                        // Strategy 4: Check if requirement title contains approval key words
-                        // e.g., "Notarized Parental Consent" matches "Parent/Guardian Consent Form"
-                        const keyWords = normalizedKey.split(' ').filter(w => w.length > 3);
-                        const titleWords = titleKey.split(' ').filter(w => w.length > 3);
-                        const commonWords = keyWords.filter(w => titleWords.includes(w));
-                        
-                        if (commonWords.length >= 2) {
-                            approval = value;
-                            matchedKey = key;
-                            break;
-                        }
+                    const approval = approvalData[req.id];
+                    if (!approval) {
+                        return req;
                     }
-                    
-                    if (approval) {
-                        const status = approval.status as string;
-                        let approvalStatus: 'pending_review' | 'approved' | 'rejected' | 'not_submitted' = 'pending_review';
-                        
-                        if (status === 'accepted' || status === 'approved') {
-                            approvalStatus = 'approved';
-                        } else if (status === 'denied' || status === 'rejected') {
-                            approvalStatus = 'rejected';
+
+                    const fileReviews: Record<string, FileReview> = approval.files || {};
+                    // Reviews only ever come from requirement_approvals, never from the saved list.
+                    const uploadedFiles = req.uploadedFiles.map((f: any) => (
+                        f && typeof f === 'object' && !f.providedByAdmin
+                            ? { ...f, review: (f.adminDocId && fileReviews[f.adminDocId]) || undefined }
+                            : f
+                    ));
+                    const studentFiles = uploadedFiles.filter((f: any) => f && typeof f === 'object' && !f.providedByAdmin);
+                    const approvalStatus = approval.files
+                        ? requirementStatusFromFiles(studentFiles as any[])
+                        : legacyApprovalStatus(approval.status);
+
+                    return {
+                        ...req,
+                        uploadedFiles,
+                        approvalStatus: studentFiles.length || !approval.files ? approvalStatus : undefined,
+                        rejectionReason: (approval.reason as string) || undefined,
+                        adviserNotes: (approval.notes as string) || undefined,
+                        reviewedBy: (approval.reviewedBy as string) || undefined,
+                        reviewedAt: (approval.reviewedAt as string) || undefined,
+                    } as Requirement;
+                });
+
+                // Upload check results live on each file's admin_files record. A file the check
+                // rejected counts as rejected so the student is asked for a new copy.
+                const processingById = await getUploadProcessing(
+                    'admin_files',
+                    mergedWithApprovals.flatMap(r => r.uploadedFiles.map((f: any) => f?.adminDocId).filter(Boolean))
+                );
+                const mergedWithChecks = mergedWithApprovals.map(req => {
+                    let rejectedByCheck = false;
+                    const uploadedFiles = req.uploadedFiles.map((f: any) => {
+                        const state = f && typeof f === 'object' && f.adminDocId ? processingById[f.adminDocId] : undefined;
+                        if (!state) return f;
+                        if (state.processingStatus === 'rejected' && !f.review) {
+                            rejectedByCheck = true;
+                            return { ...f, ...state, review: { status: 'rejected', reason: state.processing?.message || null } };
                         }
-                        
-                        // If requirement is rejected, clear uploaded files so student can re-upload
-                        const shouldClearFiles = approvalStatus === 'rejected';
-                        const uploadedFiles = shouldClearFiles ? [] : req.uploadedFiles;
-                        const requirementStatus = shouldClearFiles ? 'pending' : req.status;
-                        
-                        return {
-                            ...req,
-                            approvalStatus,
-                            uploadedFiles,
-                            status: requirementStatus,
-                            rejectionReason: (approval.reason as string) || req.rejectionReason,
-                            adviserNotes: (approval.notes as string) || req.adviserNotes,
-                            reviewedBy: (approval.reviewedBy as string) || req.reviewedBy,
-                            reviewedAt: (approval.reviewedAt as string) || req.reviewedAt,
-                        };
+                        return { ...f, ...state };
+                    });
+                    if (!rejectedByCheck) {
+                        return { ...req, uploadedFiles } as Requirement;
                     }
-                    
-                    return req;
+
+                    const studentFiles = uploadedFiles.filter((f: any) => f && typeof f === 'object' && !f.providedByAdmin);
+                    return { ...req, uploadedFiles, approvalStatus: requirementStatusFromFiles(studentFiles as any[]) } as Requirement;
                 });
 
                 // Normalize statuses: if there are no uploadedFiles, ensure status is 'pending'
-                let normalized = mergedWithApprovals.map(r => {
+                const normalized = mergedWithChecks.map(r => {
                     const uploadedFiles = Array.isArray(r.uploadedFiles) ? r.uploadedFiles : [];
                     let status = r.status || (uploadedFiles.length > 0 ? 'completed' : 'pending');
                     if (!uploadedFiles || uploadedFiles.length === 0) status = 'pending';
@@ -413,76 +342,26 @@ const RequirementsChecklistScreen: React.FC = () => {
                     return { ...r, uploadedFiles, status };
                 });
                 
-                // Cleanup: Detect and fix cases where different requirements incorrectly share the same files
-                // This can happen if findMatch incorrectly matched requirements
-                const fileGroups = new Map<string, Requirement[]>();
-                normalized.forEach(req => {
-                    if (req.uploadedFiles && req.uploadedFiles.length > 0) {
-                        // Create a signature from file URLs/names to detect duplicates
-                        const fileSig = JSON.stringify(req.uploadedFiles.map((f: any) => f.url || f.name || f.downloadUrl).sort());
-                        if (!fileGroups.has(fileSig)) {
-                            fileGroups.set(fileSig, []);
-                        }
-                        fileGroups.get(fileSig)!.push(req);
-                    }
-                });
-                
-                // If multiple different requirements share identical files, clear files from requirements that shouldn't have them
-                fileGroups.forEach((reqs, fileSig) => {
-                    if (reqs.length > 1) {
-                        const titles = reqs.map(r => normalizeKey(r.title));
-                        // Check if these are actually different requirements (not just duplicates)
-                        const uniqueTitles = new Set(titles);
-                        if (uniqueTitles.size > 1) {
-                            // Keep files only for the requirement that best matches based on file path/name
-                            // For now, we'll keep files for the first requirement and clear others
-                            // This is a safety measure - ideally findMatch should prevent this
-                            const keepReq = reqs[0];
-                            const clearReqs = reqs.slice(1);
-                            
-                            normalized = normalized.map(req => {
-                                if (clearReqs.some(r => r.id === req.id)) {
-                                    return { ...req, uploadedFiles: [], status: 'pending' };
-                                }
-                                return req;
-                            });
-                        }
-                    }
-                });
-                
                 setRequirements(normalized as any);
                 calculateProgress(normalized as any);
 
-                // Persist migrated list back to the user doc (best-effort)
-                // Always save if files were cleared due to rejection or if there's a title mismatch
+                // Persist the catalog-keyed list back to the user doc (best-effort) when the saved
+                // list still has legacy ids or the catalog changed.
                 try {
-                    const currentTitles = (savedRequirements || []).map((r: any) => String(r?.title || '')).filter(Boolean);
-                    const desiredTitles = getDefaultRequirements().map(r => r.title);
-                    const titleMismatch = currentTitles.length !== desiredTitles.length || currentTitles.some((t: string) => !desiredTitles.includes(t));
-                    
-                    // Check if any requirements had files cleared due to rejection
-                    const hasRejectedWithClearedFiles = normalized.some((req: any) => {
-                        const originalReq = savedRequirements.find((r: any) => {
-                            const rt = normalizeKey(String(r?.title || ''));
-                            const reqt = normalizeKey(req.title);
-                            return rt === reqt || rt.includes(reqt) || reqt.includes(rt);
-                        });
-                        return req.approvalStatus === 'rejected' && 
-                               originalReq && 
-                               Array.isArray(originalReq.uploadedFiles) && 
-                               originalReq.uploadedFiles.length > 0 &&
-                               (!req.uploadedFiles || req.uploadedFiles.length === 0);
-                    });
-                    
-                    if (titleMismatch || hasRejectedWithClearedFiles) {
+                    const savedIds = (savedRequirements || []).map((r: any) => String(r?.id || ''));
+                    const catalogIds = catalog.map((item) => item.id);
+                    const idMismatch = savedIds.length !== catalogIds.length || savedIds.some((id: string) => !catalogIds.includes(id));
+
+                    if (idMismatch) {
                         await setDoc(doc(firestore, 'users', auth.currentUser.uid), { requirements: sanitizeForFirestore(normalized) }, { merge: true });
                     }
                 } catch (e) {
                     // Silent error handling
                 }
 
-                // Auto-transition to hired when all REQUIRED requirements are approved.
-                // Minimal rule: if user has appliedCompanyName (and no finalized company yet), mark hired.
+                // Generate the OJT Completion Checklist once all REQUIRED requirements are approved.
+                // Hiring is not decided here: decideApplication places the student when the
+                // application is approved.
                 try {
                     const required = (normalized as any[]).filter((r: any) => r.isRequired !== false);
                     const allRequiredApproved = required.length > 0 && required.every((req: any) =>
@@ -490,8 +369,6 @@ const RequirementsChecklistScreen: React.FC = () => {
                         Array.isArray(req.uploadedFiles) && req.uploadedFiles.length > 0
                     );
 
-                    // Auto-generate OJT Completion Checklist once all required requirements are approved.
-                    // This is independent of the "hired" transition.
                     try {
                         const latestReviewedAtMs = Math.max(
                             0,
@@ -510,122 +387,48 @@ const RequirementsChecklistScreen: React.FC = () => {
                             (!existing?.url || !existing?.path || !existingSourceMs || (latestReviewedAtMs && latestReviewedAtMs > existingSourceMs));
 
                         if (shouldGenerateChecklist) {
-                            await generateOJTChecklistOnApproval(data, normalized as any, {
+                            await generateOJTChecklistOnApproval({
                                 sourceReviewedAtMs: latestReviewedAtMs || Date.now(),
                             });
                         }
                     } catch (checklistErr) {
                         // Silent error handling
                     }
-
-                    const alreadyHired = data.status === 'hired';
-                    const hasFinalCompany = Boolean(data.company);
-                    const appliedCompanyName = data.appliedCompanyName;
-
-                    if (allRequiredApproved && !alreadyHired && !hasFinalCompany && appliedCompanyName) {
-                        await setDoc(doc(firestore, 'users', auth.currentUser.uid), {
-                            status: 'hired',
-                            company: appliedCompanyName,
-                            hiredAt: serverTimestamp(),
-                            lastUpdated: serverTimestamp(),
-                            appliedCompanyId: null,
-                            appliedCompanyName: null,
-                        }, { merge: true });
-
-                        // Best-effort: mark their application doc as approved (if it exists)
-                        try {
-                            if (data.appliedCompanyId) {
-                                await setDoc(doc(firestore, 'applications', `${auth.currentUser.uid}_${data.appliedCompanyId}`), {
-                                    status: 'approved',
-                                    approvedAt: serverTimestamp(),
-                                }, { merge: true });
-                            }
-                        } catch (appErr) {
-                            // Silent error handling
-                        }
-
-                    }
                 } catch (e) {
                     // Silent error handling
                 }
             } else {
-                const defaultRequirements = getDefaultRequirements();
+                const defaultRequirements = (await getRequirementCatalog()).map(catalogToRequirement);
                 setRequirements(defaultRequirements);
                 calculateProgress(defaultRequirements);
             }
         } catch (error) {
-            const defaultRequirements = getDefaultRequirements();
+            const defaultRequirements = DEFAULT_REQUIREMENT_CATALOG.map(catalogToRequirement);
             setRequirements(defaultRequirements);
             calculateProgress(defaultRequirements);
         }
     };
 
-    const getDefaultRequirements = (): Requirement[] => [
-        {
-            id: '1',
-            title: 'Proof of Enrollment (COM)',
-            description: 'Certificate of Matriculation / proof of enrollment',
-            category: 'documents',
-            status: 'pending',
-            uploadedFiles: [],
-            isRequired: true,
-        },
-        {
-            id: '2',
-            title: 'Notarized Parental Consent',
-            description: 'Notarized consent from parent or guardian',
-            category: 'forms',
-            status: 'pending',
-            uploadedFiles: [],
-            isRequired: true,
-        },
-        {
-            id: '3',
-            title: 'Medical Certificate',
-            description: 'Medical clearance from a licensed physician',
-            category: 'certifications',
-            status: 'pending',
-            uploadedFiles: [],
-            isRequired: true,
-        },
-        {
-            id: '4',
-            title: 'Psychological Test Certification',
-            description: 'Psychological test certification (if required)',
-            category: 'certifications',
-            status: 'pending',
-            uploadedFiles: [],
-            isRequired: true,
-        },
-        {
-            id: '5',
-            title: 'Proof of Insurance',
-            description: 'Student insurance coverage proof/certificate',
-            category: 'certifications',
-            status: 'pending',
-            uploadedFiles: [],
-            isRequired: true,
-        },
-        {
-            id: '7',
-            title: 'Memorandum of Agreement',
-            description: 'MOA document provided by the school/administrator',
-            category: 'documents',
-            status: 'pending',
-            uploadedFiles: [],
-            isRequired: true,
-            adminProvided: true,
-        },
-        {
-            id: '8',
-            title: 'Curriculum Vitae',
-            description: 'Updated resume / CV',
-            category: 'documents',
-            status: 'pending',
-            uploadedFiles: [],
-            isRequired: true,
-        },
-    ];
+    const catalogToRequirement = (item: RequirementCatalogItem): Requirement => ({
+        id: item.id,
+        title: item.title,
+        description: item.description,
+        category: item.category,
+        status: 'pending',
+        uploadedFiles: [],
+        isRequired: item.isRequired,
+        adminProvided: item.adminProvided,
+        dueDate: item.dueDate || undefined,
+    });
+
+    // Approvals recorded before per-file reviews only have a requirement-level status.
+    const legacyApprovalStatus = (status: any): RequirementApprovalStatus => {
+        const value = String(status || '').toLowerCase();
+        if (value === 'accepted' || value === 'approved') return 'approved';
+        if (value === 'denied' || value === 'rejected') return 'rejected';
+        if (value === 'needs_resubmission') return 'needs_resubmission';
+        return 'pending_review';
+    };
 
     const calculateProgress = (reqs: Requirement[]) => {
         const completed = reqs.filter(req => req.status === 'completed').length;
@@ -656,14 +459,7 @@ const RequirementsChecklistScreen: React.FC = () => {
                 });
             } catch (error: any) {
                 Alert.alert('Save error', `Failed to save requirements: ${error?.message || String(error)}`);
-                // Diagnostic: write the error to the user's document so you can inspect it in the console / server side.
-                try {
-                    await setDoc(doc(firestore, 'users', auth.currentUser.uid), {
-                        lastRequirementsSyncError: { time: new Date().toISOString(), message: error?.message || String(error) }
-                    }, { merge: true });
-                } catch (dbgErr) {
-                    // Silent error handling
-                }
+                reportError(error, { screen: 'RequirementsChecklist', operation: 'saveRequirements' });
             }
         }
     };
@@ -688,12 +484,9 @@ const RequirementsChecklistScreen: React.FC = () => {
     const uploadToStorage = async (uri: string, name: string, fileAny: any, requirementId: string) => {
         try {
             const blob = await uriToBlob(uri);
-            // Find the requirement title and create a folder from it
+            // Files are grouped by the stable requirement id so renaming a requirement keeps its folder
             const requirement = requirements.find(r => r.id === requirementId);
-            const folderName = requirement?.title
-                ? requirement.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '')
-                : 'unknown';
-            const remotePath = `requirements/${auth.currentUser?.uid}/${folderName}/${name}`;
+            const remotePath = `requirements/${auth.currentUser?.uid}/${requirementId}/${name}`;
             const sRef = storageRef(storage, remotePath);
             await uploadBytes(sRef, blob, { contentType: fileAny.mimeType || fileAny.type || 'application/octet-stream' });
             const downloadURL = await getDownloadURL(sRef);
@@ -711,6 +504,8 @@ const RequirementsChecklistScreen: React.FC = () => {
                     path: fileMeta.path,
                     contentType: fileMeta.contentType,
                     uploadedAt: fileMeta.uploadedAt,
+                    reviewStatus: 'pending',
+                    processingStatus: 'processing',
                 });
                 fileMeta.adminDocId = adminDocRef.id;
             } catch (adminErr) {
@@ -754,6 +549,7 @@ const RequirementsChecklistScreen: React.FC = () => {
                         return;
                     }
 
+                    const uploadedAt = new Date().toISOString();
                     const adminDocRef = await addDoc(collection(firestore, 'admin_files'), {
                         userId: auth.currentUser?.uid,
                         requirementId: selectedRequirement.id,
@@ -761,13 +557,15 @@ const RequirementsChecklistScreen: React.FC = () => {
                         name,
                         contentBase64: base64,
                         contentType: fileAny.mimeType || fileAny.type || 'application/octet-stream',
-                        uploadedAt: new Date().toISOString(),
+                        uploadedAt,
                         storedInFirestore: true,
+                        reviewStatus: 'pending',
+                        processingStatus: 'processing',
                     });
 
                     const dataUrl = `data:${fileAny.mimeType || fileAny.type || 'application/octet-stream'};base64,${base64}`;
 
-                    const uploadedEntry = { name, adminDocId: adminDocRef.id, storedInFirestore: true, downloadUrl: dataUrl } as any;
+                    const uploadedEntry = { name, adminDocId: adminDocRef.id, storedInFirestore: true, downloadUrl: dataUrl, uploadedAt, processingStatus: 'processing' } as any;
 
                     const updatedRequirements = requirements.map(req =>
                         req.id === selectedRequirement.id
@@ -788,11 +586,7 @@ const RequirementsChecklistScreen: React.FC = () => {
                             });
                         } catch (error: any) {
                             Alert.alert('Save error', `Failed to update your requirements in Firestore: ${error?.message || String(error)}`);
-                            try {
-                                await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastRequirementsSyncError: { time: new Date().toISOString(), message: error?.message || String(error) } }, { merge: true });
-                            } catch (dbgErr) {
-                                // Silent error handling
-                            }
+                            reportError(error, { screen: 'RequirementsChecklist', operation: 'saveRequirements' });
                         }
                     }
 
@@ -822,6 +616,7 @@ const RequirementsChecklistScreen: React.FC = () => {
                         uploadedAt: fileMeta.uploadedAt,
                         adminDocId: fileMeta.adminDocId,
                         storedInFirestore: false,
+                        processingStatus: 'processing',
                     };
 
                     const updatedRequirements = requirements.map(req =>
@@ -844,11 +639,7 @@ const RequirementsChecklistScreen: React.FC = () => {
                             });
                         } catch (error: any) {
                             Alert.alert('Save error', `Failed to update your requirements in Firestore: ${error?.message || String(error)}`);
-                            try {
-                                await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastRequirementsSyncError: { time: new Date().toISOString(), message: error?.message || String(error) } }, { merge: true });
-                            } catch (dbgErr) {
-                                // Silent error handling
-                            }
+                            reportError(error, { screen: 'RequirementsChecklist', operation: 'saveRequirements' });
                         }
                     }
 
@@ -870,6 +661,23 @@ const RequirementsChecklistScreen: React.FC = () => {
         }
     };
 
+    // Label for one uploaded file's review. A rejected file that has since been replaced by a
+    // newer upload is shown as replaced rather than rejected.
+    const getFileReviewDisplay = (file: any, files: any[]): { label: string; color: string; reason?: string | null } | null => {
+        if (!file || typeof file !== 'object' || file.providedByAdmin) return null;
+        if (file.processingStatus === 'processing') return { label: 'Checking file…', color: colors.textMuted };
+        const status = file.review?.status || 'pending';
+        if (status === 'rejected' || status === 'needs_resubmission') {
+            const uploadedMs = Date.parse(file.uploadedAt || '') || 0;
+            const replaced = files.some((f: any) => f && typeof f === 'object' && !f.providedByAdmin && (Date.parse(f.uploadedAt || '') || 0) > uploadedMs);
+            if (replaced) return { label: 'Replaced', color: colors.textSubtle };
+        }
+        if (status === 'approved') return { label: 'Approved', color: colors.success };
+        if (status === 'rejected') return { label: 'Rejected', color: colors.danger, reason: file.review?.reason };
+        if (status === 'needs_resubmission') return { label: 'Resubmit', color: colors.warning, reason: file.review?.reason };
+        return { label: 'Pending review', color: colors.textMuted };
+    };
+
     const getStatusColor = (status: string) => {
         switch (status) {
             case 'completed': return colors.success;
@@ -911,228 +719,14 @@ const RequirementsChecklistScreen: React.FC = () => {
         }
     };
 
-    const generateOJTChecklistOnApproval = async (
-        userData: any,
-        reqs: Requirement[],
-        options?: { sourceReviewedAtMs?: number }
-    ) => {
-        try {
-            const resolveSignatureUrl = async (value: any): Promise<string | undefined> => {
-                const candidate = typeof value === 'string' ? value.trim() : '';
-                if (!candidate) return undefined;
-
-                // Already a usable URL/data URI
-                if (/^(https?:\/\/|data:)/i.test(candidate)) return candidate;
-
-                // Treat as Firebase Storage path or gs:// URL
-                try {
-                    return await getDownloadURL(storageRef(storage, candidate));
-                } catch (e) {
-                    return undefined;
-                }
-            };
-
-            const embedImageAsDataUriIfNeeded = async (url?: string): Promise<string | undefined> => {
-                if (!url) return undefined;
-                const candidate = String(url).trim();
-                if (!candidate) return undefined;
-
-                // Already embedded
-                if (/^data:/i.test(candidate)) return candidate;
-
-                // For expo-print reliability, embed remote images as base64
-                if (/^https?:\/\//i.test(candidate)) {
-                    try {
-                        const lower = candidate.toLowerCase();
-                        const extMatch = lower.match(/\.(png|jpe?g|webp)(?:\?|$)/);
-                        const ext = extMatch ? extMatch[1] : 'png';
-                        const mime = ext === 'jpg' || ext === 'jpeg' ? 'image/jpeg' : ext === 'webp' ? 'image/webp' : 'image/png';
-
-                        const localPath = `${FileSystem.cacheDirectory}sig_${Date.now()}.${ext}`;
-                        const dl = await FileSystem.downloadAsync(candidate, localPath);
-                        if ((dl as any)?.status && (dl as any).status !== 200) {
-                            return candidate;
-                        }
-
-                        const base64 = await FileSystem.readAsStringAsync(dl.uri, { encoding: FileSystem.EncodingType.Base64 });
-                        return `data:${mime};base64,${base64}`;
-                    } catch (e) {
-                        return candidate;
-                    }
-                }
-
-                return candidate;
-            };
-
-            // Fetch coordinator and adviser profiles for signatures
-            let coordinatorName = 'OJT Coordinator';
-            let coordinatorSignatureUrl: string | undefined;
-            let adviserName = 'OJT Adviser';
-            let adviserSignatureUrl: string | undefined;
-
-            try {
-                // Look for coordinator (admin)
-                const adminSnap = await getDocs(query(collection(firestore, 'users'), where('role', '==', 'admin')));
-                for (const adminDocSnap of adminSnap.docs) {
-                    const admin = adminDocSnap.data();
-                    if (admin.role === 'admin') {
-                        coordinatorName = admin.fullName || admin.name || 'OJT Coordinator';
-                        
-                        // Try to fetch signature from teacher_signatures collection first
-                        try {
-                            const sigDoc = await getDoc(doc(firestore, 'teacher_signatures', adminDocSnap.id));
-                            if (sigDoc.exists()) {
-                                const sigData: any = sigDoc.data();
-                                coordinatorSignatureUrl = await resolveSignatureUrl(sigData.downloadUrl || sigData.storagePath);
-                            }
-                        } catch (e) {
-                            // Silent error handling
-                        }
-                        
-                        // Fallback to user document signature
-                        if (!coordinatorSignatureUrl) {
-                            coordinatorSignatureUrl = await resolveSignatureUrl(admin.signatureUrl || admin.signature || admin.signaturePath);
-                        }
-                        break;
-                    }
-                }
-
-                // Check if student has a specific adviser assigned
-                if (userData.adviserId) {
-                    try {
-                        const adviserDoc = await getDoc(doc(firestore, 'users', userData.adviserId));
-                        if (adviserDoc.exists()) {
-                            const adviser = adviserDoc.data();
-                            adviserName = adviser.fullName || adviser.name || 'OJT Adviser';
-                            
-                            // Try to fetch signature from teacher_signatures collection first
-                            try {
-                                const sigDoc = await getDoc(doc(firestore, 'teacher_signatures', userData.adviserId));
-                                if (sigDoc.exists()) {
-                                    const sigData: any = sigDoc.data();
-                                    adviserSignatureUrl = await resolveSignatureUrl(sigData.downloadUrl || sigData.storagePath);
-                                }
-                            } catch (e) {
-                                // Silent error handling
-                            }
-                            
-                            // Fallback to user document signature
-                            if (!adviserSignatureUrl) {
-                                adviserSignatureUrl = await resolveSignatureUrl(adviser.signatureUrl || adviser.signature || adviser.signaturePath);
-                            }
-
-                            // Ensure the signature is embeddable in the generated PDF
-                            adviserSignatureUrl = await embedImageAsDataUriIfNeeded(adviserSignatureUrl);
-                        }
-                    } catch (e) {
-                        // Silent error handling
-                    }
-                } else {
-                    // Fall back to finding any super_admin
-                    const adviserSnap = await getDocs(query(collection(firestore, 'users'), where('role', '==', 'super_admin')));
-                    for (const docSnap of adviserSnap.docs) {
-                        const adviser = docSnap.data();
-                        if (adviser.role === 'super_admin') {
-                            adviserName = adviser.fullName || adviser.name || 'OJT Adviser';
-                            
-                            // Try to fetch signature from teacher_signatures collection first
-                            try {
-                                const sigDoc = await getDoc(doc(firestore, 'teacher_signatures', docSnap.id));
-                                if (sigDoc.exists()) {
-                                    const sigData: any = sigDoc.data();
-                                    adviserSignatureUrl = await resolveSignatureUrl(sigData.downloadUrl || sigData.storagePath);
-                                }
-                            } catch (e) {
-                                // Silent error handling
-                            }
-                            
-                            // Fallback to user document signature
-                            if (!adviserSignatureUrl) {
-                                adviserSignatureUrl = await resolveSignatureUrl(adviser.signatureUrl || adviser.signature || adviser.signaturePath);
-                            }
-
-                            // Ensure the signature is embeddable in the generated PDF
-                            adviserSignatureUrl = await embedImageAsDataUriIfNeeded(adviserSignatureUrl);
-                            break;
-                        }
-                    }
-                }
-            } catch (e) {
-                // Silent error handling
-            }
-
-            // Prepare checklist data
-            const checklistData = {
-                studentName: userData.fullName || userData.name || 'Student',
-                studentId: userData.studentId || '',
-                program: userData.program || userData.course || userData.department || '',
-                section: userData.section || '',
-                studentEmail: userData.email || auth.currentUser?.email || '',
-                contactNumber: userData.contact || userData.contactNumber || userData.phone || '',
-                adviserName,
-                adviserSignatureUrl,
-                companyName: userData.company || userData.appliedCompanyName || '',
-                companyContactPerson: userData.companyContactPerson || '',
-                companyJobTitle: userData.companyJobTitle || userData.jobTitle || '',
-                companyEmail: userData.companyEmail || '',
-                companyAddress: userData.companyAddress || '',
-                startDate: userData.ojt?.startDate || '',
-                endDate: userData.ojt?.endDate || '',
-                completedDate: new Date().toLocaleDateString('en-US', {
-                    year: 'numeric',
-                    month: 'long',
-                    day: 'numeric',
-                }),
-                requirements: reqs.map(r => {
-                    const status = (r.approvalStatus === 'approved' ? 'approved' : r.approvalStatus === 'rejected' ? 'rejected' : 'pending') as 'pending' | 'approved' | 'rejected';
-                    const dateCompleted = r.reviewedAt ? new Date(r.reviewedAt).toLocaleDateString() : '';
-                    const remarks = (r.approvalStatus === 'rejected' && r.rejectionReason) ? r.rejectionReason : (r.adviserNotes || '');
-                    return {
-                        title: r.title,
-                        status,
-                        dateCompleted,
-                        remarks,
-                    };
-                }),
-            };
-
-            // Generate PDF
-            const pdfUri = await OJTChecklistGenerator.generateOJTChecklistPDF(checklistData);
-
-            // Upload the generated PDF to Cloud Storage so it can be downloaded later (Resources screen)
-            let uploadedUrl: string | undefined;
-            let uploadedPath: string | undefined;
-            try {
-                if (!auth.currentUser) throw new Error('No authenticated user');
-                const blob = await uriToBlob(pdfUri);
-                const filename = `ojt_completion_checklist_${Date.now()}.pdf`;
-                const remotePath = `generatedDocuments/${auth.currentUser.uid}/${filename}`;
-                const sRef = storageRef(storage, remotePath);
-                await uploadBytes(sRef, blob, { contentType: 'application/pdf' });
-                uploadedUrl = await getDownloadURL(sRef);
-                uploadedPath = remotePath;
-            } catch (uploadErr) {
-                // Silent error handling
-            }
-
-            // Store in Firestore
-            if (auth.currentUser) {
-                await setDoc(doc(firestore, 'users', auth.currentUser.uid), {
-                    generatedDocuments: {
-                        ojtCompletionChecklist: {
-                            title: 'OJT Completion Checklist',
-                            url: uploadedUrl || null,
-                            path: uploadedPath || null,
-                            generatedAt: serverTimestamp(),
-                            sourceReviewedAtMs: options?.sourceReviewedAtMs || Date.now(),
-                            studentName: checklistData.studentName,
-                            companyName: checklistData.companyName,
-                        }
-                    }
-                }, { merge: true });
-            }
-        } catch (error) {
-            // Silent error handling
+    const generateOJTChecklistOnApproval = async (options?: { sourceReviewedAtMs?: number }) => {
+        // Rendered and archived server-side from the saved requirements, so the copy advisers
+        // see does not depend on this device.
+        const result = await generateDocumentPdf('ojt_checklist', {
+            sourceReviewedAtMs: options?.sourceReviewedAtMs || Date.now(),
+        });
+        if (!result.ok) {
+            console.warn('OJT checklist generation failed:', result.reason);
         }
     };
 
@@ -1158,16 +752,10 @@ const RequirementsChecklistScreen: React.FC = () => {
                                     await deleteObjectFn(sRef);
                                 }
                             } catch (e) {
-                                // Write diagnostic to user doc if permission error
+                                // Report permission errors; a file that is already gone is fine
                                 const errCode = typeof e === 'object' && e && 'code' in e ? (e as any).code : undefined;
                                 if (errCode === 'storage/unauthorized' || errCode === 'storage/unknown') {
-                                    try {
-                                        if (auth.currentUser) {
-                                            await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastStorageDeleteError: { time: new Date().toISOString(), message: String(e) } }, { merge: true });
-                                        }
-                                    } catch (dbg) {
-                                        // Silent error handling
-                                    }
+                                    reportError(e, { screen: 'RequirementsChecklist', operation: 'deleteStorageFile' });
                                 }
                             }
                         }
@@ -1179,13 +767,7 @@ const RequirementsChecklistScreen: React.FC = () => {
                             } catch (e) {
                                 const errCode = typeof e === 'object' && e && 'code' in e ? (e as any).code : undefined;
                                 if (errCode === 'permission-denied') {
-                                    try {
-                                        if (auth.currentUser) {
-                                            await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastAdminFilesDeleteError: { time: new Date().toISOString(), message: String(e) } }, { merge: true });
-                                        }
-                                    } catch (dbg) {
-                                        // Silent error handling
-                                    }
+                                    reportError(e, { screen: 'RequirementsChecklist', operation: 'deleteAdminFile' });
                                 }
                             }
                         } else if (fileAny && fileAny.path) {
@@ -1196,26 +778,14 @@ const RequirementsChecklistScreen: React.FC = () => {
                                     try { await deleteDoc(d.ref); } catch (ee) {
                                         const errCode = typeof ee === 'object' && ee && 'code' in ee ? (ee as any).code : undefined;
                                         if (errCode === 'permission-denied') {
-                                            try {
-                                                if (auth.currentUser) {
-                                                    await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastAdminFilesDeleteError: { time: new Date().toISOString(), message: String(ee) } }, { merge: true });
-                                                }
-                                            } catch (dbg) {
-                                                // Silent error handling
-                                            }
+                                            reportError(ee, { screen: 'RequirementsChecklist', operation: 'deleteAdminFile' });
                                         }
                                     }
                                 }
                             } catch (e) {
                                 const errCode = typeof e === 'object' && e && 'code' in e ? (e as any).code : undefined;
                                 if (errCode === 'permission-denied') {
-                                    try {
-                                        if (auth.currentUser) {
-                                            await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastAdminFilesDeleteError: { time: new Date().toISOString(), message: String(e) } }, { merge: true });
-                                        }
-                                    } catch (dbg) {
-                                        // Silent error handling
-                                    }
+                                    reportError(e, { screen: 'RequirementsChecklist', operation: 'deleteAdminFile' });
                                 }
                             }
                         }
@@ -1241,11 +811,7 @@ const RequirementsChecklistScreen: React.FC = () => {
                                 });
                             } catch (e: any) {
                                 Alert.alert('Save error', `Failed to update your requirements in Firestore: ${e?.message || String(e)}`);
-                                try {
-                                    await setDoc(doc(firestore, 'users', auth.currentUser.uid), { lastRequirementsSyncError: { time: new Date().toISOString(), message: e?.message || String(e) } }, { merge: true });
-                                } catch (dbgErr) {
-                                    // Silent error handling
-                                }
+                                reportError(e, { screen: 'RequirementsChecklist', operation: 'saveRequirements' });
                             }
                         }
 
@@ -1399,28 +965,33 @@ const RequirementsChecklistScreen: React.FC = () => {
                                             const fileAny: any = file;
                                             const displayName = typeof file === 'string' ? file : (fileAny.name || 'file');
                                             const url = typeof file === 'string' ? null : (fileAny.downloadUrl || fileAny.url);
+                                            const review = getFileReviewDisplay(fileAny, requirement.uploadedFiles);
                                             return (
-                                                <View key={index} style={styles.fileRow}>
-                                                    <TouchableOpacity
-                                                        style={{ flexDirection: 'row', alignItems: 'center', flex: 1 }}
-                                                        onPress={() => {
-                                                            if (url) return Linking.openURL(url);
-                                                            // If file was saved as an admin doc in Firestore, prefer the getAdminFile cloud function
-                                                            if ((fileAny && fileAny.adminDocId) && ADMIN_FILE_FUNCTION_BASE_URL.includes('cloudfunctions')) {
-                                                                const fnUrl = `${ADMIN_FILE_FUNCTION_BASE_URL}?docId=${fileAny.adminDocId}`;
-                                                                return Linking.openURL(fnUrl);
-                                                            }
-                                                        }}
-                                                        disabled={!url && !(fileAny && fileAny.adminDocId)}
-                                                    >
-                                                        <Ionicons name="document" size={16} color={colors.primary} />
-                                                        <Text style={styles.fileName}>{displayName}</Text>
-                                                    </TouchableOpacity>
-                                                    {!fileAny?.providedByAdmin ? (
-                                                        <TouchableOpacity onPress={() => removeUploadedFile(requirement.id, fileAny, index)} style={styles.deleteButton}>
-                                                            <Ionicons name="trash-outline" size={18} color="#DC2626" />
+                                                <View key={index}>
+                                                    <View style={styles.fileRow}>
+                                                        <TouchableOpacity
+                                                            style={{ flexDirection: 'row', alignItems: 'center', flex: 1 }}
+                                                            onPress={() => openUploadedFile(fileAny, url)}
+                                                            disabled={!url && !(fileAny && fileAny.adminDocId)}
+                                                        >
+                                                            {fileAny?.processing?.previewUrl ? (
+                                                                <Image source={{ uri: fileAny.processing.previewUrl }} style={styles.filePreview} />
+                                                            ) : (
+                                                                <Ionicons name="document" size={16} color={colors.primary} />
+                                                            )}
+                                                            <Text style={styles.fileName}>{displayName}</Text>
                                                         </TouchableOpacity>
-                                                    ) : null}
+                                                        {!fileAny?.providedByAdmin ? (
+                                                            <TouchableOpacity onPress={() => removeUploadedFile(requirement.id, fileAny, index)} style={styles.deleteButton}>
+                                                                <Ionicons name="trash-outline" size={18} color="#DC2626" />
+                                                            </TouchableOpacity>
+                                                        ) : null}
+                                                    </View>
+                                                    {review && (
+                                                        <Text style={[styles.fileReviewText, { color: review.color }]}>
+                                                            {review.reason ? `${review.label}: ${review.reason}` : review.label}
+                                                        </Text>
+                                                    )}
                                                 </View>
                                             );
                                         })}
@@ -1448,13 +1019,21 @@ const RequirementsChecklistScreen: React.FC = () => {
                                                 <Text style={styles.approvalBadgeText}>Rejected</Text>
                                             </View>
                                         )}
+                                        {requirement.approvalStatus === 'needs_resubmission' && (
+                                            <View style={[styles.approvalBadge, { backgroundColor: colors.warning }]}>
+                                                <Ionicons name="refresh-circle" size={16} color={colors.onPrimary} />
+                                                <Text style={styles.approvalBadgeText}>Resubmission Needed</Text>
+                                            </View>
+                                        )}
                                     </View>
                                 )}
 
                                 {/* Rejection Reason */}
-                                {requirement.approvalStatus === 'rejected' && requirement.rejectionReason && (
+                                {(requirement.approvalStatus === 'rejected' || requirement.approvalStatus === 'needs_resubmission') && requirement.rejectionReason && (
                                     <View style={styles.rejectionReasonContainer}>
-                                        <Text style={styles.rejectionReasonLabel}>Reason for rejection:</Text>
+                                        <Text style={styles.rejectionReasonLabel}>
+                                            {requirement.approvalStatus === 'rejected' ? 'Reason for rejection:' : 'Please resubmit:'}
+                                        </Text>
                                         <Text style={styles.rejectionReasonText}>{requirement.rejectionReason}</Text>
                                     </View>
                                 )}
@@ -1478,7 +1057,10 @@ const RequirementsChecklistScreen: React.FC = () => {
                                 )}
 
                                 <View style={styles.actionButtons}>
-                                    {requirement.uploadedFiles.length > 0 && (!requirement.adminProvided || requirement.uploadedFiles.some((f: any) => !f?.providedByAdmin)) ? (
+                                    {requirement.uploadedFiles.length > 0 &&
+                                        (!requirement.adminProvided || requirement.uploadedFiles.some((f: any) => !f?.providedByAdmin)) &&
+                                        requirement.approvalStatus !== 'rejected' &&
+                                        requirement.approvalStatus !== 'needs_resubmission' ? (
                                         <View style={styles.doneIndicator}>
                                             <Ionicons name="checkmark-circle" size={20} color={colors.success} />
                                             <Text style={styles.doneText}>
@@ -1495,7 +1077,9 @@ const RequirementsChecklistScreen: React.FC = () => {
                                         >
                                             <Ionicons name="cloud-upload" size={16} color={colors.primary} />
                                             <Text style={styles.uploadButtonText}>
-                                                {requirement.adminProvided && requirement.uploadedFiles.some((f: any) => f?.providedByAdmin) 
+                                                {requirement.approvalStatus === 'rejected' || requirement.approvalStatus === 'needs_resubmission'
+                                                    ? 'Upload New File'
+                                                    : requirement.adminProvided && requirement.uploadedFiles.some((f: any) => f?.providedByAdmin) 
                                                     ? 'Upload Your Copy' 
                                                     : requirement.adminProvided 
                                                     ? 'Upload File (Ask Coordinator)' 
@@ -1848,6 +1432,17 @@ const styles = StyleSheet.create({
         color: colors.primary,
         marginLeft: 6,
     },
+    filePreview: {
+        width: 32,
+        height: 32,
+        borderRadius: 4,
+        backgroundColor: colors.surfaceAlt,
+    },
+    fileReviewText: {
+        fontSize: 12,
+        marginLeft: 22,
+        marginBottom: 4,
+    },
     actionButtons: {
         flexDirection: 'row',
         gap: 12,
@@ -5,13 +5,16 @@ import { Card, Button, ActivityIndicator, IconButton, TextInput } from 'react-na
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
-import { auth, firestore, storage, ADMIN_FILE_FUNCTION_BASE_URL } from '../firebase/config';
-import { collection, addDoc, query, orderBy, getDocs, doc, deleteDoc, updateDoc, getDoc, deleteField, where, setDoc } from 'firebase/firestore';
+import { auth, firestore, storage } from '../firebase/config';
+import { collection, addDoc, query, orderBy, getDocs, doc, deleteDoc, updateDoc, getDoc, where, setDoc } from 'firebase/firestore';
 import * as DocumentPicker from 'expo-document-picker';
 import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 import { ref as storageRef, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { SecurityUtils } from '../services/security';
+import { generateDocumentPdf } from '../services/generatedDocuments';
+import { FileProcessingStatus } from '../services/uploads';
+import { getFileAccessUrl } from '../services/fileAccess';
 import { colors, radii, shadows, spacing } from '../ui/theme';
 import { Screen } from '../ui/components/Screen';
 import { AppHeader } from '../ui/components/AppHeader';
@@ -40,6 +43,8 @@ type TemplateDoc = {
   fileSize?: number;
   path?: string;
   url?: string;
+  // set by the processUploadedFile Cloud Function once the upload is checked
+  processingStatus?: FileProcessingStatus;
   // Accept legacy / alternate field names used in older documents
   fileUrl?: string;
   downloadUrl?: string;
@@ -161,7 +166,9 @@ const ResourceManagementScreen: React.FC = () => {
             id: 'generated_ojt_completion_checklist',
             name: checklist.title || 'OJT Completion Checklist',
             fileName: checklist.title || 'OJT Completion Checklist',
-            description: 'Auto-generated after all requirements are approved.',
+            description: checklist.verificationId
+              ? `Auto-generated after all requirements are approved. Verification ID: ${checklist.verificationId}`
+              : 'Auto-generated after all requirements are approved.',
             uploadedAt: checklist.generatedAt?.toDate ? checklist.generatedAt.toDate().toISOString() : undefined,
             url: checklist.url,
             path: checklist.path,
@@ -181,51 +188,19 @@ const ResourceManagementScreen: React.FC = () => {
 
     Alert.alert(
       'Regenerate checklist?',
-      'This will remove the current generated checklist from Guides. The app will generate a fresh one the next time you open Requirements Checklist.',
+      'A fresh checklist will be generated from your latest approved requirements. Earlier copies stay on record.',
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Regenerate',
-          style: 'destructive',
           onPress: async () => {
-            try {
-              const userRef = doc(firestore, 'users', auth.currentUser!.uid);
-              const userSnap = await getDoc(userRef);
-              const data: any = userSnap.exists() ? userSnap.data() : {};
-              const checklist = data?.generatedDocuments?.ojtCompletionChecklist;
-
-              // Best-effort: delete the old PDF from Storage (optional)
-              const oldPath = checklist?.path;
-              if (oldPath) {
-                try {
-                  const sRef = storageRef(storage, oldPath);
-                  const storageModule: any = await import('firebase/storage');
-                  if (storageModule.deleteObject) {
-                    await storageModule.deleteObject(sRef);
-                  }
-                } catch (e) {
-                  // Failed to delete old checklist from storage
-                }
-              }
-
-              // Remove Firestore pointer so next visit regenerates
-              await updateDoc(userRef, {
-                'generatedDocuments.ojtCompletionChecklist': deleteField(),
-              } as any);
-
-              await loadMyDocuments();
-
-              Alert.alert(
-                'Ready to regenerate',
-                'Now open Requirements Checklist to generate a fresh PDF.',
-                [
-                  { text: 'Later', style: 'cancel' },
-                  { text: 'Go to Checklist', onPress: () => navigation.navigate('RequirementsChecklist') },
-                ]
-              );
-            } catch (e) {
-              Alert.alert('Error', 'Failed to reset the generated checklist.');
+            const result = await generateDocumentPdf('ojt_checklist');
+            if (!result.ok) {
+              Alert.alert('Error', 'Failed to regenerate the checklist. Please try again later.');
+              return;
             }
+            await loadMyDocuments();
+            Alert.alert('Checklist updated', `Version ${result.version} of your checklist is ready.`);
           },
         },
       ]
@@ -238,7 +213,10 @@ const ResourceManagementScreen: React.FC = () => {
       // read from the `helpDeskFiles` collection (matches workspace screenshot)
       const q = query(collection(firestore, 'helpDeskFiles'), orderBy('uploadedAt', 'desc'));
       const snap = await getDocs(q);
-      const docs: TemplateDoc[] = snap.docs.map((d: any) => ({ id: d.id, ...(d.data() as any) }));
+      // Templates rejected by the upload check (processUploadedFile) were deleted or quarantined
+      const docs: TemplateDoc[] = snap.docs
+        .map((d: any) => ({ id: d.id, ...(d.data() as any) }))
+        .filter((d: any) => d.processingStatus !== 'rejected');
 
       // Resolve any storage paths to download URLs so the UI can preview and download images/PDFs
       const resolvedDocs = await Promise.all(docs.map(async (docItem) => {
@@ -486,10 +464,11 @@ const ResourceManagementScreen: React.FC = () => {
           url: fileMeta.url,
           fileType: fileMeta.contentType,
           fileSize: undefined,
+          processingStatus: 'processing',
         });
 
         setTitle(''); setDescription('');
-        Alert.alert('Success', 'Template uploaded to Storage.');
+        Alert.alert('Success', 'Template uploaded to Storage. It is checked before students can open it.');
         await loadTemplates();
       } catch (storageErr) {
         Alert.alert('Error', 'Failed to upload template to storage.');
@@ -521,6 +500,24 @@ const ResourceManagementScreen: React.FC = () => {
         }
       };
 
+      // Prefer the getFile Cloud Function: it checks access, logs it and also serves files
+      // stored inline in Firestore. Older deployments without it fall back to the fields below.
+      if (t.id) {
+        const access = await getFileAccessUrl('helpDeskFiles', t.id);
+        if (access.ok) {
+          const fileName = (access.name || t.fileName || t.name || `download_${Date.now()}`).replace(/[^a-z0-9_.-]/gi, '_');
+          const subtype = access.contentType.split('/')[1];
+          const ext = /\.\w+$/.test(fileName) || !subtype ? '' : `.${subtype.split('+')[0]}`;
+          const localPath = `${FileSystem.cacheDirectory}${Date.now()}_${fileName}${ext}`;
+          const { uri } = await FileSystem.downloadAsync(access.url, localPath);
+          await Sharing.shareAsync(uri);
+          return;
+        }
+        if (access.reason === 'FILE_REJECTED') {
+          return Alert.alert('Unavailable', 'This file did not pass the upload check.');
+        }
+      }
+
       // Resolve canonical URL / path fields
       const possibleUrl = t.url || t.fileUrl || t.downloadUrl || t.downloadURL || t.fileDownloadUrl;
       const possiblePath = t.path || t.filePath || t.storagePath || t.file_path || t.file_pathname;
@@ -553,25 +550,6 @@ const ResourceManagementScreen: React.FC = () => {
         }
       }
 
-      // If Firestore-stored file is present, prefer streaming via cloud function if configured
-      // only use cloud function URL when it looks like a real URL (not the
-      // placeholder https://<region>-<project>.cloudfunctions.net/... used in config)
-      const isCloudFnConfigured = typeof ADMIN_FILE_FUNCTION_BASE_URL === 'string' &&
-        ADMIN_FILE_FUNCTION_BASE_URL.length > 0 &&
-        !ADMIN_FILE_FUNCTION_BASE_URL.includes('<') &&
-        ADMIN_FILE_FUNCTION_BASE_URL.includes('cloudfunctions.net');
-
-      if (t.id && isCloudFnConfigured) {
-        const openUrl = `${ADMIN_FILE_FUNCTION_BASE_URL}?docId=${t.id}`;
-        const fileName = t.fileName || t.name || `download_${Date.now()}`;
-        const extMatch = (openUrl.match(/\.(\w+)(?:\?|$)/) || [])[1];
-        const ext = extMatch ? `.${extMatch}` : '.pdf';
-        const localPath = `${FileSystem.cacheDirectory}${fileName}_${Date.now()}${ext}`;
-        const { uri } = await FileSystem.downloadAsync(openUrl, localPath);
-        await Sharing.shareAsync(uri);
-        return;
-      }
-
       // The client no longer reads embedded file data (base64) in Firestore documents.
       // Prefer Cloud Storage `path` or `url` instead.
       // Firestore-embedded base64 is no longer supported by the client — we fetch files only from Cloud Storage.
@@ -624,6 +602,7 @@ const ResourceManagementScreen: React.FC = () => {
               // remove embedded content (set to null so doc no longer stores raw base64)
               fileData: null,
               contentBase64: null,
+              processingStatus: 'processing',
             } as any);
 
             Alert.alert('Success', 'Template migrated to Cloud Storage.');
@@ -639,17 +618,15 @@ const ResourceManagementScreen: React.FC = () => {
   };
 
   const handlePreview = async (t: TemplateDoc) => {
-    const isCloudFnConfigured = typeof ADMIN_FILE_FUNCTION_BASE_URL === 'string' &&
-      ADMIN_FILE_FUNCTION_BASE_URL.length > 0 &&
-      !ADMIN_FILE_FUNCTION_BASE_URL.includes('<') &&
-      ADMIN_FILE_FUNCTION_BASE_URL.includes('cloudfunctions.net');
     try {
-      // Use cloud function or storage/url/dataUrl and open the in-app preview modal
-      if (t.id && isCloudFnConfigured) {
-        const openUrl = `${ADMIN_FILE_FUNCTION_BASE_URL}?docId=${t.id}`;
-        setPreviewUrl(openUrl);
-        setShowPreviewModal(true);
-        return;
+      // Use the getFile cloud function or storage/url and open the in-app preview modal
+      if (t.id) {
+        const access = await getFileAccessUrl('helpDeskFiles', t.id);
+        if (access.ok) {
+          setPreviewUrl(access.url);
+          setShowPreviewModal(true);
+          return;
+        }
       }
 
       // Accept several canonical URL fields set on the document
@@ -675,7 +652,7 @@ const ResourceManagementScreen: React.FC = () => {
 
       // For preview: do not attempt to preview PDFs — they should be downloaded instead
       // Preview from Firestore-embedded base64 is not supported.
-      // We only preview files that have a storage URL or are served via the admin cloud function.
+      // We only preview files that have a storage URL or are served via the getFile cloud function.
       Alert.alert('Preview unavailable', 'This template cannot be previewed because it does not have a Cloud Storage URL or path. Please ask an administrator to upload the file to Cloud Storage and set the Firestore document `path` or `url`.');
     } catch (err) {
       Alert.alert('Error', 'Failed to preview template.');
@@ -1000,6 +977,7 @@ const ResourceManagementScreen: React.FC = () => {
                       url: meta.url,
                       fileType: meta.contentType,
                       fileSize: undefined,
+                      processingStatus: 'processing',
                     });
 
                     Alert.alert('Success', 'Resource uploaded successfully.');
@@ -26,6 +26,23 @@ import { colors, radii, shadows, spacing } from '../ui/theme';
 import { Screen } from '../ui/components/Screen';
 import { AppHeader } from '../ui/components/AppHeader';
 import { useBiometric } from '../context/BiometricContext';
+import {
+  clearExpoPushTokenForCurrentUser,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  NOTIFICATION_CATEGORY_LABELS,
+  NotificationCategory,
+  NotificationPreferences,
+  formatHour,
+  loadNotificationPreferences,
+  saveNotificationPreferences,
+} from '../services/notifications';
+import {
+  AccountDeletionRequest,
+  cancelAccountDeletion,
+  exportMyData,
+  getAccountDeletionRequest,
+  requestAccountDeletion,
+} from '../services/privacy';
 
 type NavigationProp = StackNavigationProp<RootStackParamList, 'Settings'>;
 
@@ -40,11 +57,120 @@ const SettingsScreen: React.FC = () => {
   const [showAboutModal, setShowAboutModal] = useState(false);
   const [showSecurityModal, setShowSecurityModal] = useState(false);
   const [biometricToggling, setBiometricToggling] = useState(false);
+  const [showNotificationPrefsModal, setShowNotificationPrefsModal] = useState(false);
+  const [notificationPrefs, setNotificationPrefs] = useState<NotificationPreferences>(DEFAULT_NOTIFICATION_PREFERENCES);
+  const [notificationPrefsLoading, setNotificationPrefsLoading] = useState(false);
+  const [notificationPrefsSaving, setNotificationPrefsSaving] = useState(false);
 
   useEffect(() => {
     if (showSecurityModal) refreshSupport();
   }, [showSecurityModal, refreshSupport]);
 
+  const [dataExporting, setDataExporting] = useState(false);
+  const [showDeletionModal, setShowDeletionModal] = useState(false);
+  const [deletionRequest, setDeletionRequest] = useState<AccountDeletionRequest | null>(null);
+  const [deletionReason, setDeletionReason] = useState('');
+  const [deletionLoading, setDeletionLoading] = useState(false);
+  const [deletionSubmitting, setDeletionSubmitting] = useState(false);
+
+  const handleExportData = async () => {
+    setDataExporting(true);
+    const result = await exportMyData();
+    setDataExporting(false);
+    if (!result.ok) {
+      Alert.alert('Error', 'Could not prepare your data right now. Please try again later.');
+      return;
+    }
+    Alert.alert(
+      'Your data is ready',
+      'A ZIP file with your profile, OJT logs, weekly reports, requirements, applications, notifications and uploaded files. The download link works for one hour.',
+      [
+        { text: 'Later', style: 'cancel' },
+        { text: 'Download', onPress: () => { Linking.openURL(result.url).catch(() => Alert.alert('Error', 'Could not open the download link.')); } },
+      ]
+    );
+  };
+
+  const openDeletionModal = async () => {
+    setDeletionLoading(true);
+    try {
+      setDeletionRequest(await getAccountDeletionRequest());
+      setDeletionReason('');
+      setShowDeletionModal(true);
+    } catch (e) {
+      console.warn('SettingsScreen: load deletion request failed', e);
+      Alert.alert('Error', 'Could not load your account deletion status.');
+    } finally {
+      setDeletionLoading(false);
+    }
+  };
+
+  const submitDeletionRequest = async () => {
+    setDeletionSubmitting(true);
+    const result = await requestAccountDeletion(deletionReason.trim());
+    setDeletionSubmitting(false);
+    if (!result.ok) {
+      Alert.alert('Error', result.reason === 'NOT_A_STUDENT'
+        ? 'Staff accounts are removed by an administrator.'
+        : 'Could not send your deletion request. Please try again later.');
+      return;
+    }
+    setDeletionRequest({ status: result.status, requestedAt: new Date(), scheduledFor: result.scheduledFor });
+  };
+
+  const handleRequestDeletion = () => {
+    Alert.alert(
+      'Delete your account?',
+      'Your account, OJT records and uploaded files will be permanently deleted after the waiting period. You can cancel until then. Consider downloading your data first.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Request deletion', style: 'destructive', onPress: submitDeletionRequest },
+      ]
+    );
+  };
+
+  const handleCancelDeletion = async () => {
+    setDeletionSubmitting(true);
+    const result = await cancelAccountDeletion();
+    setDeletionSubmitting(false);
+    if (!result.ok) {
+      Alert.alert('Error', 'Could not cancel your deletion request. Please try again.');
+      return;
+    }
+    setDeletionRequest((prev) => (prev ? { ...prev, status: 'cancelled', scheduledFor: null } : prev));
+  };
+
+  const openNotificationPrefs = async () => {
+    setNotificationPrefsLoading(true);
+    try {
+      setNotificationPrefs(await loadNotificationPreferences());
+      setShowNotificationPrefsModal(true);
+    } catch (e) {
+      console.warn('SettingsScreen: load notification preferences failed', e);
+      Alert.alert('Error', 'Could not load your notification settings.');
+    } finally {
+      setNotificationPrefsLoading(false);
+    }
+  };
+
+  const handleSaveNotificationPrefs = async () => {
+    setNotificationPrefsSaving(true);
+    const result = await saveNotificationPreferences(notificationPrefs);
+    setNotificationPrefsSaving(false);
+    if (!result.ok) {
+      Alert.alert('Error', 'Could not save your notification settings.');
+      return;
+    }
+    setShowNotificationPrefsModal(false);
+  };
+
+  const shiftQuietHour = (key: 'startHour' | 'endHour', delta: number) => {
+    setNotificationPrefs((prev) => ({
+      ...prev,
+      quietHours: { ...prev.quietHours, [key]: (prev.quietHours[key] + delta + 24) % 24 },
+    }));
+  };
+
   const loadAdviserAndCoordinatorEmails = async () => {
     const user = auth.currentUser;
     if (!user) return;
@@ -62,12 +188,20 @@ const SettingsScreen: React.FC = () => {
       let foundAdviser: string | null = null;
       const adminUsersSnap = await getDocs(collection(firestore, 'adminusers'));
       const emailsNoRole: string[] = [];
+      const assignedAdviserId = typeof userData.adviserId === 'string' ? userData.adviserId : '';
       for (const d of adminUsersSnap.docs) {
         const data = d.data() as any;
         const email = (data && typeof data.email === 'string') ? data.email : null;
         if (!email) continue;
         const role = (data && data.role) ? String(data.role) : '';
-        if (role === 'super_admin') {
+        if (assignedAdviserId && (d.id === assignedAdviserId || data.uid === assignedAdviserId)) {
+          // The adviser assigned to this student wins over any other adviser
+          foundAdviser = email;
+        } else if (role === 'adviser') {
+          if (!foundAdviser) foundAdviser = email;
+        } else if (role === 'coordinator') {
+          if (!foundCoordinator) foundCoordinator = email;
+        } else if (role === 'super_admin') {
           if (!foundAdviser) foundAdviser = email;
         } else if (role === 'admin') {
           if (!foundCoordinator) foundCoordinator = email;
@@ -258,6 +392,8 @@ const SettingsScreen: React.FC = () => {
 
   const handleLogout = async () => {
     try {
+      // Unregister this device while still authenticated; other devices keep their pushes.
+      await clearExpoPushTokenForCurrentUser();
       await signOut(auth);
     } catch (error: any) {
       Alert.alert('Error', error.message);
@@ -327,12 +463,44 @@ const SettingsScreen: React.FC = () => {
         )}
       </View>
 
+      {/* NOTIFICATIONS */}
+      <View style={styles.sectionCard}>
+        <Text style={styles.sectionHeader}>Notifications</Text>
+        {renderSettingRow(
+          'bell-cog-outline',
+          colors.primary,
+          'Notification Preferences',
+          openNotificationPrefs,
+          notificationPrefsLoading ? <ActivityIndicator size="small" color={colors.primary} /> : undefined
+        )}
+      </View>
+
       {/* SECURITY */}
       <View style={styles.sectionCard}>
         <Text style={styles.sectionHeader}>Security</Text>
         {renderSettingRow('shield-lock-outline', colors.success, 'Biometric Security', () => setShowSecurityModal(true))}
       </View>
 
+      {/* YOUR DATA */}
+      <View style={styles.sectionCard}>
+        <Text style={styles.sectionHeader}>Your Data</Text>
+        {renderSettingRow(
+          'download-outline',
+          colors.primary,
+          'Download My Data',
+          handleExportData,
+          dataExporting ? <ActivityIndicator size="small" color={colors.primary} /> : undefined
+        )}
+        <View style={styles.rowDivider} />
+        {renderSettingRow(
+          'account-remove-outline',
+          colors.danger,
+          'Delete My Account',
+          openDeletionModal,
+          deletionLoading ? <ActivityIndicator size="small" color={colors.danger} /> : undefined
+        )}
+      </View>
+
       {/* CONTACT ADVISER */}
       <View style={styles.sectionCard}>
         <Text style={styles.sectionHeader}>Contact Adviser</Text>
@@ -396,6 +564,107 @@ const SettingsScreen: React.FC = () => {
         </View>
       </Modal>
 
+      {/* Notification Preferences Modal */}
+      <Modal visible={showNotificationPrefsModal} animationType="fade" transparent onRequestClose={() => setShowNotificationPrefsModal(false)}>
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, styles.modalContentStretch]}>
+            <TouchableOpacity style={styles.closeIcon} onPress={() => setShowNotificationPrefsModal(false)}>
+              <Icon name="close" size={24} color={colors.textMuted} />
+            </TouchableOpacity>
+            <Text style={styles.modalTitle}>Notification Preferences</Text>
+            <ScrollView style={styles.modalScroll} showsVerticalScrollIndicator={false}>
+              <Text style={styles.modalBodyText}>Choose which push notifications you receive. Urgent notices from your coordinator always come through.</Text>
+
+              <Text style={[styles.editProfileSectionLabel, styles.editProfileSectionLabelTop]}>Categories</Text>
+              {(Object.keys(NOTIFICATION_CATEGORY_LABELS) as NotificationCategory[]).map((category) => (
+                <View key={category} style={styles.prefToggleRow}>
+                  <Text style={styles.biometricToggleLabel}>{NOTIFICATION_CATEGORY_LABELS[category]}</Text>
+                  <Switch
+                    value={notificationPrefs.categories[category]}
+                    onValueChange={(value) => setNotificationPrefs((prev) => ({
+                      ...prev,
+                      categories: { ...prev.categories, [category]: value },
+                    }))}
+                    trackColor={{ false: colors.border, true: colors.primarySoft }}
+                    thumbColor={notificationPrefs.categories[category] ? colors.primary : colors.textSubtle}
+                  />
+                </View>
+              ))}
+
+              <Text style={[styles.editProfileSectionLabel, styles.editProfileSectionLabelTop]}>Quiet hours (Philippine time)</Text>
+              <View style={styles.prefToggleRow}>
+                <Text style={styles.biometricToggleLabel}>Hold pushes during quiet hours</Text>
+                <Switch
+                  value={notificationPrefs.quietHours.enabled}
+                  onValueChange={(value) => setNotificationPrefs((prev) => ({
+                    ...prev,
+                    quietHours: { ...prev.quietHours, enabled: value },
+                  }))}
+                  trackColor={{ false: colors.border, true: colors.primarySoft }}
+                  thumbColor={notificationPrefs.quietHours.enabled ? colors.primary : colors.textSubtle}
+                />
+              </View>
+              {notificationPrefs.quietHours.enabled && (
+                <>
+                  {(['startHour', 'endHour'] as const).map((key) => (
+                    <View key={key} style={styles.prefToggleRow}>
+                      <Text style={styles.biometricToggleLabel}>{key === 'startHour' ? 'From' : 'Until'}</Text>
+                      <View style={styles.hourStepper}>
+                        <TouchableOpacity onPress={() => shiftQuietHour(key, -1)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                          <Icon name="chevron-left" size={24} color={colors.primary} />
+                        </TouchableOpacity>
+                        <Text style={styles.hourStepperValue}>{formatHour(notificationPrefs.quietHours[key])}</Text>
+                        <TouchableOpacity onPress={() => shiftQuietHour(key, 1)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                          <Icon name="chevron-right" size={24} color={colors.primary} />
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  ))}
+                </>
+              )}
+
+              <Text style={[styles.editProfileSectionLabel, styles.editProfileSectionLabelTop]}>Delivery</Text>
+              <View style={styles.deliveryOptionsRow}>
+                {(['immediate', 'digest'] as const).map((mode) => {
+                  const selected = notificationPrefs.delivery === mode;
+                  return (
+                    <TouchableOpacity
+                      key={mode}
+                      style={[styles.deliveryOption, selected && styles.deliveryOptionSelected]}
+                      onPress={() => setNotificationPrefs((prev) => ({ ...prev, delivery: mode }))}
+                      activeOpacity={0.8}
+                    >
+                      <Text style={[styles.deliveryOptionText, selected && styles.deliveryOptionTextSelected]}>
+                        {mode === 'immediate' ? 'Immediately' : `Daily digest (${formatHour(notificationPrefs.digestHour)})`}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </ScrollView>
+
+            <View style={styles.modalButtonRow}>
+              <TouchableOpacity
+                style={[styles.cancelButton, styles.modalButtonLeft]}
+                onPress={() => setShowNotificationPrefsModal(false)}
+                disabled={notificationPrefsSaving}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.saveButton, styles.modalButtonRight, notificationPrefsSaving && { opacity: 0.7 }]}
+                onPress={handleSaveNotificationPrefs}
+                disabled={notificationPrefsSaving}
+              >
+                {notificationPrefsSaving
+                  ? <ActivityIndicator size="small" color={colors.onPrimary} />
+                  : <Text style={styles.saveButtonText}>Save</Text>}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
       {/* Contact Adviser Modal */}
       <Modal visible={showSupportModal} animationType="fade" transparent onRequestClose={() => setShowSupportModal(false)}>
         <View style={styles.modalOverlay}>
@@ -745,6 +1014,72 @@ const SettingsScreen: React.FC = () => {
         </KeyboardAvoidingView>
       </Modal>
 
+      {/* Account Deletion Modal */}
+      <Modal visible={showDeletionModal} animationType="fade" transparent onRequestClose={() => setShowDeletionModal(false)}>
+        <KeyboardAvoidingView
+          style={styles.modalOverlay}
+          behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+          keyboardVerticalOffset={20}
+        >
+          <View style={[styles.modalContent, styles.modalContentStretch]}>
+            <TouchableOpacity
+              style={styles.closeIcon}
+              onPress={() => {
+                if (deletionSubmitting) return;
+                setShowDeletionModal(false);
+              }}
+            >
+              <Icon name="close" size={24} color={colors.textMuted} />
+            </TouchableOpacity>
+            <Text style={styles.modalTitle}>Delete My Account</Text>
+            {deletionRequest?.status === 'pending' ? (
+              <>
+                <Text style={styles.modalBodyText}>
+                  Your account is scheduled for deletion
+                  {deletionRequest.scheduledFor ? ` on ${deletionRequest.scheduledFor.toLocaleDateString()}` : ''}.
+                  Until then you can keep using the app and cancel the request.
+                </Text>
+                <TouchableOpacity
+                  style={[styles.saveButton, deletionSubmitting && { opacity: 0.7 }]}
+                  onPress={handleCancelDeletion}
+                  disabled={deletionSubmitting}
+                >
+                  {deletionSubmitting
+                    ? <ActivityIndicator size="small" color={colors.onPrimary} />
+                    : <Text style={styles.saveButtonText}>Keep My Account</Text>}
+                </TouchableOpacity>
+              </>
+            ) : (
+              <>
+                <Text style={styles.modalBodyText}>
+                  Your profile, OJT logs, weekly reports, requirements and uploaded files will be permanently deleted after a
+                  waiting period. School administrators can see the request. Download your data first if you want a copy.
+                </Text>
+                <Text style={styles.fieldLabel}>Reason (optional)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={deletionReason}
+                  onChangeText={setDeletionReason}
+                  placeholder="Why are you leaving?"
+                  placeholderTextColor={colors.textSubtle}
+                  maxLength={1000}
+                  multiline
+                />
+                <TouchableOpacity
+                  style={[styles.deleteAccountButton, deletionSubmitting && { opacity: 0.7 }]}
+                  onPress={handleRequestDeletion}
+                  disabled={deletionSubmitting}
+                >
+                  {deletionSubmitting
+                    ? <ActivityIndicator size="small" color={colors.onPrimary} />
+                    : <Text style={styles.saveButtonText}>Request Deletion</Text>}
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
+
       {/* Change Password Modal */}
       <Modal
         visible={changePasswordModalVisible}
@@ -1053,6 +1388,15 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '700',
   },
+  deleteAccountButton: {
+    backgroundColor: colors.danger,
+    minHeight: 50,
+    paddingVertical: 14,
+    borderRadius: radii.md,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 10,
+  },
   cancelButton: {
     backgroundColor: colors.surfaceAlt,
     minHeight: 50,
@@ -1193,6 +1537,51 @@ const styles = StyleSheet.create({
     flex: 1,
     marginRight: 12,
   },
+  prefToggleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+    minHeight: 52,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    backgroundColor: colors.surfaceAlt,
+    borderRadius: radii.md,
+  },
+  hourStepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  hourStepperValue: {
+    minWidth: 84,
+    textAlign: 'center',
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  deliveryOptionsRow: {
+    gap: 8,
+  },
+  deliveryOption: {
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    borderRadius: radii.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surfaceAlt,
+  },
+  deliveryOptionSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primarySoft,
+  },
+  deliveryOptionText: {
+    fontSize: 15,
+    color: colors.text,
+  },
+  deliveryOptionTextSelected: {
+    fontWeight: '700',
+    color: colors.primary,
+  },
   languageOption: { paddingVertical: 12, alignItems: 'center', width: '100%' },
   languageText: { fontSize: 16, color: colors.text },
   closeIcon: {
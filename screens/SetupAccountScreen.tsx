@@ -483,18 +483,11 @@ export const SetupAccountScreen: React.FC<SetupAccountScreenProps> = ({
         updatedAt: serverTimestamp(),
 
         // Account Status
-        status: 'active',
         accountType: 'student',
 
-        // Account Access
-        // If an adviser/coordinator blocks the account, set accountAccess.isBlocked=true and provide a reason.
-        // Keep separate from the existing top-level `status` field (which is also used for OJT state like 'hired').
-        accountAccess: {
-          isBlocked: false,
-          blockedReason: null,
-          blockedBy: null,
-          blockedAt: null,
-        },
+        // Account access (accountAccess.isBlocked etc.) is written only by the setAccountBlocked
+        // Cloud Function. `status` (the OJT state, 'active' then 'hired') is set by provisioning
+        // and the application Cloud Functions.
 
         // Security
         // Require users to change the admin-provided default password once.
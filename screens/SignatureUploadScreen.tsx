@@ -25,16 +25,16 @@ const SignatureUploadScreen: React.FC = () => {
     const [loading, setLoading] = useState(false);
     const [uploading, setUploading] = useState(false);
     const [userRole, setUserRole] = useState<string>('');
-    const [isAdmin, setIsAdmin] = useState(false);
+    const [isStaff, setIsStaff] = useState(false);
 
     useEffect(() => {
         loadUserSignature();
-        checkAdminStatus();
+        checkStaffStatus();
     }, []);
 
-    const checkAdminStatus = async () => {
-        const admin = await SecurityUtils.isAdmin();
-        setIsAdmin(admin);
+    const checkStaffStatus = async () => {
+        const staff = await SecurityUtils.isStaff();
+        setIsStaff(staff);
     };
 
     const loadUserSignature = async () => {
@@ -61,9 +61,9 @@ const SignatureUploadScreen: React.FC = () => {
             return;
         }
 
-        // Check if user is admin or super_admin
-        const admin = await SecurityUtils.isAdmin();
-        if (!admin) {
+        // Check if user is an adviser, coordinator or admin
+        const staff = await SecurityUtils.isStaff();
+        if (!staff) {
             Alert.alert('Unauthorized', 'Only coordinators and advisers can upload signatures.');
             return;
         }
@@ -189,7 +189,7 @@ const SignatureUploadScreen: React.FC = () => {
                             <Text style={styles.title}>Digital Signature</Text>
                         </View>
 
-                        {!isAdmin && (
+                        {!isStaff && (
                             <View style={styles.warningBox}>
                                 <Ionicons name="warning" size={24} color={colors.warning} />
                                 <Text style={styles.warningText}>
@@ -198,7 +198,7 @@ const SignatureUploadScreen: React.FC = () => {
                             </View>
                         )}
 
-                        {isAdmin && (
+                        {isStaff && (
                             <>
                                 <Text style={styles.description}>
                                     Upload your digital signature. This will be automatically added to official documents like the OJT Completion Checklist when students complete their requirements.
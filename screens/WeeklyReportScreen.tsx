@@ -18,7 +18,7 @@ import { useFocusEffect } from '@react-navigation/native';
 import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 import { Asset } from 'expo-asset';
-import { collection, addDoc, Timestamp, getDocs } from 'firebase/firestore';
+import { collection, getDocs, onSnapshot } from 'firebase/firestore';
 import { firestore } from '../firebase/config';
 import { getAuth } from 'firebase/auth';
 import { LinearGradient } from 'expo-linear-gradient';
@@ -27,6 +27,10 @@ import PDFGenerator, { WeeklyReportEntry, WeeklyReportData } from '../services/p
 import { colors, radii, shadows } from '../ui/theme';
 import { Screen } from '../ui/components/Screen';
 import { AppHeader } from '../ui/components/AppHeader';
+import WeeklyReportReviewModal, { REPORT_STATUS_COLORS } from '../components/WeeklyReportReviewModal';
+import { WeeklyReport, REPORT_STATUS_LABELS } from '../services/weeklyReports';
+import { queueWeeklyReportSubmit, queueWeeklyReportResubmit, getOutboxState } from '../services/outbox';
+import PendingSyncBanner from '../components/PendingSyncBanner';
 
 type AmPm = 'AM' | 'PM';
 
@@ -34,9 +38,12 @@ type WeeklyReportEntryForm = Omit<WeeklyReportEntry, 'hours'> & {
     hours: string;
     timeInAmPm: AmPm;
     timeOutAmPm: AmPm;
+    // ojtLogs doc this entry was imported from; those logs are locked once the report is approved.
+    sourceLogId?: string;
 };
 
 type OjtTimeLog = {
+    id: string;
     date: string;
     clockIn: string;
     clockOut: string;
@@ -54,7 +61,9 @@ const emptyEntry: WeeklyReportEntryForm = {
     timeOutAmPm: 'PM',
 };
 
-const WEEKLY_REPORT_DRAFT_KEY = 'WEEKLY_REPORT_DRAFT';
+// Drafts are kept per user so a shared device never shows one student's draft to another.
+const LEGACY_WEEKLY_REPORT_DRAFT_KEY = 'WEEKLY_REPORT_DRAFT';
+const weeklyReportDraftKeyForUser = (uid: string) => `@InternQuest_weeklyReportDraft_${uid}`;
 
 const buildWeeklyReportFilename = () => {
     const date = new Date();
@@ -90,6 +99,10 @@ const WeeklyReportScreen: React.FC = () => {
     const [pdfLoading, setPdfLoading] = useState(false);
     const [pdfError, setPdfError] = useState<string | null>(null);
     const [pdfFileUri, setPdfFileUri] = useState<string | null>(null);
+    const [myReports, setMyReports] = useState<Array<WeeklyReport & { id: string }>>([]);
+    const [reviewReport, setReviewReport] = useState<(WeeklyReport & { id: string }) | null>(null);
+    // Report being revised after a revision request; submitting updates it as a new version.
+    const [revisingReport, setRevisingReport] = useState<(WeeklyReport & { id: string }) | null>(null);
 
     const totalHours = useMemo(
         () => entries.reduce((sum, entry) => sum + (Number(entry.hours) || 0), 0),
@@ -99,11 +112,13 @@ const WeeklyReportScreen: React.FC = () => {
     // Auto-save functions
     const saveDraft = useCallback(async () => {
         try {
+            const uid = getAuth().currentUser?.uid;
+            if (!uid) return;
             const draftData = {
                 formInfo,
                 entries,
             };
-            await AsyncStorage.setItem(WEEKLY_REPORT_DRAFT_KEY, JSON.stringify(draftData));
+            await AsyncStorage.setItem(weeklyReportDraftKeyForUser(uid), JSON.stringify(draftData));
         } catch (error) {
             // Silently fail - auto-save shouldn't interrupt user flow
             console.warn('Failed to save draft:', error);
@@ -112,7 +127,14 @@ const WeeklyReportScreen: React.FC = () => {
 
     const loadDraft = useCallback(async () => {
         try {
-            const savedData = await AsyncStorage.getItem(WEEKLY_REPORT_DRAFT_KEY);
+            const uid = getAuth().currentUser?.uid;
+            if (!uid) return;
+            let savedData = await AsyncStorage.getItem(weeklyReportDraftKeyForUser(uid));
+            if (!savedData) {
+                // Adopt a draft saved before drafts were per user.
+                savedData = await AsyncStorage.getItem(LEGACY_WEEKLY_REPORT_DRAFT_KEY);
+                if (savedData) await AsyncStorage.removeItem(LEGACY_WEEKLY_REPORT_DRAFT_KEY);
+            }
             if (savedData) {
                 const draft = JSON.parse(savedData);
                 if (draft.formInfo) {
@@ -129,14 +151,14 @@ const WeeklyReportScreen: React.FC = () => {
 
     const clearDraft = useCallback(async () => {
         try {
-            await AsyncStorage.removeItem(WEEKLY_REPORT_DRAFT_KEY);
+            const uid = getAuth().currentUser?.uid;
+            if (uid) await AsyncStorage.removeItem(weeklyReportDraftKeyForUser(uid));
         } catch (error) {
             console.warn('Failed to clear draft:', error);
         }
     }, []);
 
-    const makeLogId = (log: OjtTimeLog) =>
-        `${log.date}_${log.clockIn}`.replace(/\W/g, '');
+    const makeLogId = (log: OjtTimeLog) => log.id;
 
     const loadOjtLogsForImport = useCallback(async () => {
         try {
@@ -154,8 +176,11 @@ const WeeklyReportScreen: React.FC = () => {
             const logs: OjtTimeLog[] = [];
             snap.forEach((docSnap: any) => {
                 const data = docSnap.data() as any;
+                // Logs already locked by an approved report cannot be reported again.
+                if (data.locked) return;
                 if (data.date && data.clockIn && data.clockOut && data.hours != null) {
                     logs.push({
+                        id: docSnap.id,
                         date: data.date,
                         clockIn: String(data.clockIn),
                         clockOut: String(data.clockOut),
@@ -175,6 +200,55 @@ const WeeklyReportScreen: React.FC = () => {
         }
     }, []);
 
+    // Live list of this student's submitted reports and their review status
+    useEffect(() => {
+        const user = getAuth().currentUser;
+        if (!user) return undefined;
+        const unsub = onSnapshot(collection(firestore, `users/${user.uid}/weeklyReports`), (snap: any) => {
+            const reports: Array<WeeklyReport & { id: string }> = [];
+            snap.forEach((d: any) => reports.push({ id: d.id, ...d.data() }));
+            const submittedMs = (r: any) => {
+                const v = r.submittedAt || r.timestamp;
+                return v?.toMillis ? v.toMillis() : new Date(v || 0).getTime();
+            };
+            reports.sort((a, b) => submittedMs(b) - submittedMs(a));
+            setMyReports(reports);
+            setReviewReport((current) => (current ? reports.find((r) => r.id === current.id) || null : null));
+        });
+        return () => unsub();
+    }, []);
+
+    const handleReviseReport = (report: WeeklyReport & { id: string }) => {
+        setFormInfo((prev) => {
+            const next = { ...prev };
+            (Object.keys(prev) as Array<keyof typeof prev>).forEach((key) => {
+                next[key] = String((report as any)[key] ?? '');
+            });
+            return next;
+        });
+        const reportEntries = Array.isArray(report.entries) ? report.entries : [];
+        setEntries(reportEntries.length
+            ? reportEntries.map((e: any) => {
+                const [timeIn, timeInPeriod] = String(e.timeIn || '').split(' ');
+                const [timeOut, timeOutPeriod] = String(e.timeOut || '').split(' ');
+                return {
+                    ...emptyEntry,
+                    date: e.date || '',
+                    timeIn: timeIn || '',
+                    timeOut: timeOut || '',
+                    hours: e.hours != null ? String(e.hours) : '',
+                    taskCompleted: e.taskCompleted || '',
+                    remarks: e.remarks || '',
+                    timeInAmPm: timeInPeriod === 'PM' ? 'PM' : 'AM',
+                    timeOutAmPm: timeOutPeriod === 'AM' ? 'AM' : 'PM',
+                    ...(e.sourceLogId ? { sourceLogId: e.sourceLogId } : {}),
+                };
+            })
+            : [{ ...emptyEntry }]);
+        setRevisingReport(report);
+        setReviewReport(null);
+    };
+
     // Load draft on mount
     useEffect(() => {
         if (isInitialLoad.current) {
@@ -360,6 +434,7 @@ const WeeklyReportScreen: React.FC = () => {
                 hours: String(log.hours || ''),
                 timeInAmPm: inAmPm,
                 timeOutAmPm: outAmPm,
+                sourceLogId: log.id,
             };
         });
 
@@ -440,6 +515,7 @@ const WeeklyReportScreen: React.FC = () => {
                 hours: Number(entry.hours) || 0,
                 taskCompleted: entry.taskCompleted,
                 remarks: entry.remarks,
+                ...(entry.sourceLogId ? { sourceLogId: entry.sourceLogId } : {}),
             }));
     };
 
@@ -477,14 +553,27 @@ const WeeklyReportScreen: React.FC = () => {
                 throw new Error('User not authenticated');
             }
 
-            // Write to user's subcollection: users/{userId}/weeklyReports
-            await addDoc(collection(firestore, `users/${user.uid}/weeklyReports`), {
-                userId: user.uid,
+            const importedLogIds = Array.from(new Set(
+                validEntries.map((entry: any) => entry.sourceLogId).filter(Boolean)
+            ));
+
+            // Sent through the outbox: without signal the report is kept on this device and
+            // submitted automatically later (the official PDF is archived once it is sent).
+            const report = {
                 ...formInfo,
                 totalHours,
                 entries: validEntries,
-                timestamp: Timestamp.now(),
-            });
+                importedLogIds,
+            };
+            const result = revisingReport
+                ? await queueWeeklyReportResubmit(revisingReport.id, report)
+                : await queueWeeklyReportSubmit(report);
+            if (!result.ok) {
+                throw new Error(result.reason === 'conflict'
+                    ? getOutboxState().conflicts[0]?.message || 'The report was changed elsewhere.'
+                    : `Failed to submit report (${result.reason}).`);
+            }
+            setRevisingReport(null);
 
             setFormInfo({
                 traineeName: '',
@@ -498,7 +587,11 @@ const WeeklyReportScreen: React.FC = () => {
             });
             setEntries([{ ...emptyEntry }]);
             await clearDraft(); // Clear saved draft after successful submission
-            Alert.alert('Success', 'Weekly report submitted and saved!');
+            if (result.queued) {
+                Alert.alert('Saved on this device', 'You appear to be offline. Your weekly report will be submitted automatically once you are back online.');
+            } else {
+                Alert.alert('Success', 'Weekly report submitted and saved!');
+            }
         } catch (error: any) {
             Alert.alert('Error', error.message || 'Failed to submit report.');
         } finally {
@@ -598,6 +691,53 @@ const WeeklyReportScreen: React.FC = () => {
                 </View>
             </LinearGradient>
 
+            <PendingSyncBanner style={styles.pendingSyncBanner} />
+
+            {myReports.length > 0 && (
+                <View style={styles.section}>
+                    <View style={styles.sectionHeader}>
+                        <Text style={styles.sectionTitle}>Your Reports</Text>
+                        <Text style={styles.sectionSubtitle}>Tap a report to see adviser comments and past versions.</Text>
+                    </View>
+                    {myReports.map((report) => {
+                        const status = report.status || 'submitted';
+                        const statusColor = REPORT_STATUS_COLORS[status] || colors.textMuted;
+                        return (
+                            <TouchableOpacity
+                                key={report.id}
+                                style={styles.reportRow}
+                                activeOpacity={0.85}
+                                onPress={() => setReviewReport(report)}
+                            >
+                                <View style={styles.reportRowText}>
+                                    <Text style={styles.reportRowTitle}>{report.monthCovered || report.weekStartDate || 'Weekly report'}</Text>
+                                    <Text style={styles.reportRowMeta}>
+                                        {report.totalHours != null ? `${report.totalHours} hrs` : ''}{report.version ? ` · v${report.version}` : ''}
+                                    </Text>
+                                </View>
+                                <View style={[styles.reportStatusPill, { backgroundColor: statusColor + '22' }]}>
+                                    <Text style={[styles.reportStatusText, { color: statusColor }]}>
+                                        {REPORT_STATUS_LABELS[status] || status}
+                                    </Text>
+                                </View>
+                            </TouchableOpacity>
+                        );
+                    })}
+                </View>
+            )}
+
+            {revisingReport && (
+                <View style={styles.revisingBanner}>
+                    <Icon name="create-outline" size={18} color={colors.warning} />
+                    <Text style={styles.revisingText}>
+                        Revising {revisingReport.monthCovered || 'your report'}. Submitting sends it back for review as a new version.
+                    </Text>
+                    <TouchableOpacity onPress={() => setRevisingReport(null)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                        <Icon name="close" size={18} color={colors.textMuted} />
+                    </TouchableOpacity>
+                </View>
+            )}
+
             <View style={styles.section}>
                 <View style={styles.sectionHeader}>
                     <View>
@@ -1120,6 +1260,14 @@ const WeeklyReportScreen: React.FC = () => {
                 </View>
             </Modal>
 
+            <WeeklyReportReviewModal
+                visible={!!reviewReport}
+                userId={getAuth().currentUser?.uid || ''}
+                report={reviewReport}
+                onClose={() => setReviewReport(null)}
+                onRevise={handleReviseReport}
+            />
+
             {/* Report Preview Modal - PDF Preview */}
             <Modal
                 visible={previewModalVisible}
@@ -1356,6 +1504,9 @@ const styles = StyleSheet.create({
         paddingVertical: 20,
         paddingHorizontal: 20,
     },
+    pendingSyncBanner: {
+        marginBottom: 20,
+    },
     heroContent: {
         flexDirection: 'row',
         alignItems: 'flex-start',
@@ -1681,6 +1832,53 @@ const styles = StyleSheet.create({
         fontSize: 16,
         fontWeight: '600',
     },
+    reportRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        paddingHorizontal: 12,
+        borderRadius: radii.md,
+        borderWidth: 1,
+        borderColor: colors.border,
+        marginBottom: 8,
+        backgroundColor: colors.surfaceAlt,
+    },
+    reportRowText: {
+        flex: 1,
+        marginRight: 8,
+    },
+    reportRowTitle: {
+        fontWeight: '600',
+        color: colors.text,
+        marginBottom: 2,
+    },
+    reportRowMeta: {
+        fontSize: 12,
+        color: colors.textMuted,
+    },
+    reportStatusPill: {
+        paddingVertical: 3,
+        paddingHorizontal: 10,
+        borderRadius: 999,
+    },
+    reportStatusText: {
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    revisingBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        padding: 12,
+        marginBottom: 16,
+        borderRadius: radii.md,
+        backgroundColor: colors.warningSoft,
+    },
+    revisingText: {
+        flex: 1,
+        fontSize: 13,
+        color: colors.text,
+    },
     importModalBackdrop: {
         flex: 1,
         backgroundColor: 'rgba(0,0,0,0.3)',
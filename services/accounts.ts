@@ -0,0 +1,73 @@
+import {
+  auth,
+  SET_ACCOUNT_BLOCKED_FUNCTION_BASE_URL,
+  FORCE_PASSWORD_RESET_FUNCTION_BASE_URL,
+  CONFIRM_PASSWORD_CHANGE_FUNCTION_BASE_URL,
+  DEPROVISION_USER_FUNCTION_BASE_URL,
+} from '../firebase/config';
+
+// Account lifecycle actions (Cloud Functions). All are admin-only except confirmPasswordChange,
+// which users call for themselves.
+type AccountActionResult<T> = ({ ok: true } & T) | { ok: false; reason: string };
+
+async function postAccountAction<T>(url: string, name: string, body: Record<string, unknown>): Promise<AccountActionResult<T>> {
+  const user = auth.currentUser;
+  if (!user) return { ok: false, reason: 'not_authenticated' };
+  if (!url) return { ok: false, reason: 'missing_function_url' };
+
+  try {
+    const idToken = await user.getIdToken();
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${idToken}`,
+      },
+      body: JSON.stringify(body),
+    });
+
+    const json = await resp.json().catch(() => ({} as any));
+    if (!resp.ok) {
+      console.warn(`${name} failed:`, resp.status, json);
+      return { ok: false, reason: typeof json?.error === 'string' ? json.error : `http_${resp.status}` };
+    }
+    return { ...json, ok: true };
+  } catch (e) {
+    console.warn(`${name} error:`, e);
+    return { ok: false, reason: 'network_error' };
+  }
+}
+
+// Block (with an optional reason shown to the user) or unblock an account. Blocking also
+// disables sign-in and signs the user out on every device.
+export const setAccountBlocked = (uid: string, blocked: boolean, reason?: string) =>
+  postAccountAction<{ uid: string; blocked: boolean }>(
+    SET_ACCOUNT_BLOCKED_FUNCTION_BASE_URL,
+    'setAccountBlocked',
+    { uid, blocked, reason: reason || null }
+  );
+
+// Set a temporary password (generated when omitted) for the admin to hand over; the user
+// must choose a new one at the next sign-in.
+export const forcePasswordReset = (uid: string, temporaryPassword?: string) =>
+  postAccountAction<{ uid: string; temporaryPassword: string }>(
+    FORCE_PASSWORD_RESET_FUNCTION_BASE_URL,
+    'forcePasswordReset',
+    { uid, ...(temporaryPassword ? { temporaryPassword } : {}) }
+  );
+
+// Record a password change the signed-in user just made; this ends a forced reset.
+export const confirmPasswordChange = () =>
+  postAccountAction<{}>(
+    CONFIRM_PASSWORD_CHANGE_FUNCTION_BASE_URL,
+    'confirmPasswordChange',
+    {}
+  );
+
+// Archive and remove a (graduated) student's account. `confirm` must be their student ID.
+export const deprovisionUser = (uid: string, confirm: string) =>
+  postAccountAction<{ uid: string; archivePath: string }>(
+    DEPROVISION_USER_FUNCTION_BASE_URL,
+    'deprovisionUser',
+    { uid, confirm }
+  );
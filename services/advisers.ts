@@ -0,0 +1,61 @@
+import { auth, firestore, ASSIGN_ADVISER_FUNCTION_BASE_URL } from '../firebase/config';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+
+// Staff roles. Advisers see and review only the students assigned to them
+// (users/{uid}.adviserId); coordinators see and review every student.
+export type UserRole = 'student' | 'adviser' | 'coordinator' | 'admin' | 'super_admin';
+
+export const STAFF_ROLES: UserRole[] = ['adviser', 'coordinator', 'admin', 'super_admin'];
+
+export const isStaffRole = (role: unknown): boolean => STAFF_ROLES.includes(role as UserRole);
+
+export type AssignAdviserResult =
+  | { ok: true; assigned: number }
+  | { ok: false; reason: string; studentIds?: string[] };
+
+// Assign (or with adviserId null, unassign) an adviser to students (admins/coordinators).
+// The server also moves the students' uploads and weekly reports over to the new adviser.
+export async function assignAdviser(adviserId: string | null, studentIds: string[]): Promise<AssignAdviserResult> {
+  const user = auth.currentUser;
+  if (!user) return { ok: false, reason: 'not_authenticated' };
+  if (!ASSIGN_ADVISER_FUNCTION_BASE_URL) return { ok: false, reason: 'missing_function_url' };
+
+  try {
+    const idToken = await user.getIdToken();
+    const resp = await fetch(ASSIGN_ADVISER_FUNCTION_BASE_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${idToken}`,
+      },
+      body: JSON.stringify({ adviserId, studentIds }),
+    });
+
+    const json = await resp.json().catch(() => ({} as any));
+    if (!resp.ok) {
+      console.warn('assignAdviser failed:', resp.status, json);
+      return {
+        ok: false,
+        reason: typeof json?.error === 'string' ? json.error : `http_${resp.status}`,
+        studentIds: Array.isArray(json?.studentIds) ? json.studentIds : undefined,
+      };
+    }
+    return { ok: true, assigned: Number(json.assigned) || 0 };
+  } catch (e) {
+    console.warn('assignAdviser error:', e);
+    return { ok: false, reason: 'network_error' };
+  }
+}
+
+// Students assigned to an adviser (defaults to the signed-in adviser)
+export const getAssignedStudents = async (adviserId?: string) => {
+  const uid = adviserId || auth.currentUser?.uid;
+  if (!uid) throw new Error('Not authenticated');
+  try {
+    const snap = await getDocs(query(collection(firestore, 'users'), where('adviserId', '==', uid)));
+    return snap.docs.map((d: any) => ({ id: d.id, ...d.data() }));
+  } catch (error) {
+    console.error('Error fetching assigned students:', error);
+    throw new Error('Failed to fetch assigned students');
+  }
+};
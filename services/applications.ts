@@ -0,0 +1,66 @@
+import {
+  auth,
+  APPLY_TO_COMPANY_FUNCTION_BASE_URL,
+  WITHDRAW_APPLICATION_FUNCTION_BASE_URL,
+  DECIDE_APPLICATION_FUNCTION_BASE_URL,
+} from '../firebase/config';
+
+// Application writes (applications/{uid}_{companyId}, the user's applied/hired fields,
+// MOA slot counts and the matching notification) are owned by Cloud Functions.
+// The client only calls these endpoints and reads the results back from Firestore.
+
+export type ApplicationResult =
+  | { ok: true; applicationId: string; status: string }
+  | { ok: false; reason: string; companyName?: string; applicationStatus?: string };
+
+async function postToFunction(url: string, payload: Record<string, unknown>): Promise<ApplicationResult> {
+  const user = auth.currentUser;
+  if (!user) return { ok: false, reason: 'not_authenticated' };
+  if (!url) return { ok: false, reason: 'missing_function_url' };
+
+  try {
+    const idToken = await user.getIdToken();
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${idToken}`,
+      },
+      body: JSON.stringify(payload),
+    });
+
+    const json = await resp.json().catch(() => ({} as any));
+    if (!resp.ok) {
+      console.warn('Application function failed:', resp.status, json);
+      return {
+        ok: false,
+        // Server error codes (PLACEMENT_LOCKED, NO_SLOTS_AVAILABLE, ...) are passed through as-is.
+        reason: typeof json?.error === 'string' ? json.error : `http_${resp.status}`,
+        companyName: json?.companyName,
+        applicationStatus: json?.applicationStatus,
+      };
+    }
+
+    return { ok: true, applicationId: String(json.applicationId || ''), status: String(json.status || '') };
+  } catch (e) {
+    console.warn('Application function error:', e);
+    return { ok: false, reason: 'network_error' };
+  }
+}
+
+export function applyToCompany(companyId: string): Promise<ApplicationResult> {
+  return postToFunction(APPLY_TO_COMPANY_FUNCTION_BASE_URL, { companyId });
+}
+
+export function withdrawApplication(companyId: string): Promise<ApplicationResult> {
+  return postToFunction(WITHDRAW_APPLICATION_FUNCTION_BASE_URL, { companyId });
+}
+
+// Admin-only.
+export function decideApplication(
+  applicationId: string,
+  decision: 'approve' | 'deny',
+  note?: string
+): Promise<ApplicationResult> {
+  return postToFunction(DECIDE_APPLICATION_FUNCTION_BASE_URL, { applicationId, decision, note });
+}
@@ -0,0 +1,143 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState, Platform } from 'react-native';
+import Constants from 'expo-constants';
+import { auth, REPORT_CLIENT_ERRORS_FUNCTION_BASE_URL } from '../firebase/config';
+
+// Client error reporting. Screens and services call reportError() for failures worth tracking
+// (instead of writing lastXxxError fields onto the user doc). Reports are batched, with repeats
+// of the same error counted rather than resent, and posted to the reportClientErrors Cloud
+// Function, which aggregates them in the clientErrors collection. Reports that cannot be sent
+// yet (offline, signed out) are kept on the device and sent with the next batch.
+
+export type ErrorReportContext = Record<string, string | number | boolean | null | undefined>;
+
+type PendingErrorReport = {
+  screen: string;
+  operation: string;
+  message: string;
+  code: string | null;
+  context: ErrorReportContext;
+  count: number;
+  // First occurrence (ms).
+  at: number;
+};
+
+const PENDING_ERROR_REPORTS_KEY = '@InternQuest_pendingErrorReports';
+const FLUSH_DELAY_MS = 10 * 1000;
+const MAX_BATCH_SIZE = 25;
+const MAX_PENDING_REPORTS = 100;
+
+let pending: PendingErrorReport[] = [];
+let loaded: Promise<void> | null = null;
+let flushTimer: ReturnType<typeof setTimeout> | null = null;
+// Reports in the batch being sent; repeats are counted on a new entry.
+let inFlight: PendingErrorReport[] = [];
+
+const errorMessageOf = (error: unknown) => {
+  if (error instanceof Error) return error.message || error.name;
+  if (typeof error === 'string') return error;
+  const message = (error as any)?.message;
+  return typeof message === 'string' && message ? message : String(error);
+};
+
+const errorCodeOf = (error: unknown) => {
+  const code = (error as any)?.code;
+  return typeof code === 'string' && code ? code : null;
+};
+
+const ensureLoaded = (): Promise<void> => {
+  if (loaded) return loaded;
+  const loading = AsyncStorage.getItem(PENDING_ERROR_REPORTS_KEY)
+    .then((raw: string | null) => {
+      const stored: PendingErrorReport[] = raw ? JSON.parse(raw) : [];
+      pending = [...stored, ...pending].slice(-MAX_PENDING_REPORTS);
+    })
+    .catch(() => { /* start empty */ });
+  loaded = loading;
+  // Send what is queued when the app goes to the background.
+  AppState.addEventListener('change', (next) => {
+    if (next === 'background') void flushErrorReports();
+  });
+  return loading;
+};
+
+const persist = () =>
+  AsyncStorage.setItem(PENDING_ERROR_REPORTS_KEY, JSON.stringify(pending)).catch(() => { /* best-effort */ });
+
+const scheduleFlush = () => {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    void flushErrorReports();
+  }, FLUSH_DELAY_MS);
+};
+
+// Record a failure. `screen` and `operation` identify where it happened (short names such as
+// 'OJTTracker' / 'deleteLog'); `context` adds a few short values (ids, counts), never personal data.
+export function reportError(
+  error: unknown,
+  where: { screen: string; operation: string; context?: ErrorReportContext }
+): void {
+  const report: PendingErrorReport = {
+    screen: where.screen,
+    operation: where.operation,
+    message: errorMessageOf(error).slice(0, 500),
+    code: errorCodeOf(error),
+    context: where.context || {},
+    count: 1,
+    at: Date.now(),
+  };
+  void ensureLoaded().then(() => {
+    const same = pending.find((p) => !inFlight.includes(p) &&
+      p.screen === report.screen && p.operation === report.operation && p.code === report.code && p.message === report.message
+    );
+    if (same) {
+      same.count += 1;
+      same.context = report.context;
+    } else {
+      pending = [...pending, report].slice(-MAX_PENDING_REPORTS);
+    }
+    void persist();
+    scheduleFlush();
+  });
+}
+
+// Send queued reports now (best-effort; failures leave them queued).
+export async function flushErrorReports(): Promise<void> {
+  await ensureLoaded();
+  const user = auth.currentUser;
+  if (inFlight.length || !pending.length || !user || !REPORT_CLIENT_ERRORS_FUNCTION_BASE_URL) return;
+
+  const batch = pending.slice(0, MAX_BATCH_SIZE);
+  inFlight = batch;
+  let sent = false;
+  try {
+    const idToken = await user.getIdToken();
+    const resp = await fetch(REPORT_CLIENT_ERRORS_FUNCTION_BASE_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${idToken}`,
+      },
+      body: JSON.stringify({
+        appVersion: Constants?.expoConfig?.version ?? null,
+        platform: Platform.OS,
+        osVersion: String(Platform.Version ?? ''),
+        errors: batch,
+      }),
+    });
+    // A rejected batch (bad input) would be rejected again; drop it like a sent one.
+    if (resp.ok || (resp.status >= 400 && resp.status < 500 && resp.status !== 401 && resp.status !== 429)) {
+      pending = pending.filter((p) => !batch.includes(p));
+      sent = true;
+      await persist();
+      if (!resp.ok) console.warn('reportClientErrors rejected a batch:', resp.status);
+    }
+  } catch (e) {
+    // Offline; keep the reports for the next attempt.
+  } finally {
+    inFlight = [];
+  }
+  if (sent && pending.length) scheduleFlush();
+}
+
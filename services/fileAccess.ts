@@ -0,0 +1,90 @@
+import { auth, firestore, FILE_ACCESS_FUNCTION_BASE_URL } from '../firebase/config';
+import { collection, getDocs, query, where, orderBy, limit } from 'firebase/firestore';
+
+// Uploaded files and help desk templates are opened through the getFile Cloud Function,
+// which checks the caller may see the file and returns a URL that expires after a few
+// minutes. Open the URL right away; do not store it. Every request is logged in
+// fileAccessLogs for admins.
+
+export type FileAccessCollection = 'admin_files' | 'helpDeskFiles';
+
+export type FileAccessResult =
+  | { ok: true; url: string; expiresAt: number; name: string; contentType: string }
+  | { ok: false; reason: string };
+
+export async function getFileAccessUrl(collectionName: FileAccessCollection, docId: string): Promise<FileAccessResult> {
+  const user = auth.currentUser;
+  if (!user) return { ok: false, reason: 'not_authenticated' };
+  if (!FILE_ACCESS_FUNCTION_BASE_URL) return { ok: false, reason: 'missing_function_url' };
+
+  try {
+    const idToken = await user.getIdToken();
+    const resp = await fetch(FILE_ACCESS_FUNCTION_BASE_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${idToken}`,
+      },
+      body: JSON.stringify({ collection: collectionName, docId }),
+    });
+
+    const json = await resp.json().catch(() => ({} as any));
+    if (!resp.ok) {
+      console.warn('getFileAccessUrl failed:', resp.status, json);
+      // FILE_NOT_FOUND, FORBIDDEN, FILE_REJECTED, NO_CONTENT are passed through as-is.
+      return { ok: false, reason: typeof json?.error === 'string' ? json.error : `http_${resp.status}` };
+    }
+
+    return {
+      ok: true,
+      url: String(json.url || ''),
+      expiresAt: Number(json.expiresAt) || 0,
+      name: String(json.name || 'file'),
+      contentType: String(json.contentType || 'application/octet-stream'),
+    };
+  } catch (e) {
+    console.warn('getFileAccessUrl error:', e);
+    return { ok: false, reason: 'network_error' };
+  }
+}
+
+export type FileAccessLog = {
+  id: string;
+  collection: FileAccessCollection;
+  docId: string;
+  userId: string;
+  ownerId: string | null;
+  admin?: boolean;
+  action: 'signed_url' | 'ticket' | 'stream' | 'denied';
+  via: 'token' | 'ticket';
+  path?: string | null;
+  range?: string | null;
+  error?: string | null;
+  ip?: string | null;
+  userAgent?: string | null;
+  at: Date | null;
+};
+
+// Recent access to one file, or by/for one user (for admins)
+export const getFileAccessLogs = async (
+  filter: { docId?: string; userId?: string; ownerId?: string },
+  pageSize: number = 50
+): Promise<FileAccessLog[]> => {
+  const [field, value] = filter.docId
+    ? ['docId', filter.docId]
+    : filter.userId
+    ? ['userId', filter.userId]
+    : ['ownerId', filter.ownerId];
+  if (!value) return [];
+
+  const snap = await getDocs(query(
+    collection(firestore, 'fileAccessLogs'),
+    where(field, '==', value),
+    orderBy('at', 'desc'),
+    limit(pageSize)
+  ));
+  return snap.docs.map((d: any) => {
+    const data = d.data();
+    return { id: d.id, ...data, at: data.at?.toDate ? data.at.toDate() : null } as FileAccessLog;
+  });
+};
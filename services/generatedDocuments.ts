@@ -0,0 +1,57 @@
+import { auth, GENERATE_DOCUMENT_PDF_FUNCTION_BASE_URL } from '../firebase/config';
+
+// Official PDFs are rendered and archived by the generateDocumentPdf Cloud Function
+// (generatedDocuments/{userId}/ in Storage, listed under generatedDocuments on the user doc).
+// On-device expo-print output (PDFGenerator / OJTChecklistGenerator) is for previews and sharing only.
+
+export type GeneratedDocumentType = 'weekly_report' | 'ojt_checklist';
+
+// Printed as a QR code and id on archived PDFs; the public verifyDocument function
+// confirms a copy is genuine. Device previews carry none.
+export type DocumentVerification = {
+  id: string;
+  url?: string;
+  qrDataUri?: string;
+};
+
+export type GeneratedDocumentResult =
+  | { ok: true; url: string; path: string; version: number; verificationId: string }
+  | { ok: false; reason: string };
+
+export async function generateDocumentPdf(
+  type: GeneratedDocumentType,
+  options: { reportId?: string; userId?: string; sourceReviewedAtMs?: number } = {}
+): Promise<GeneratedDocumentResult> {
+  const user = auth.currentUser;
+  if (!user) return { ok: false, reason: 'not_authenticated' };
+  if (!GENERATE_DOCUMENT_PDF_FUNCTION_BASE_URL) return { ok: false, reason: 'missing_function_url' };
+
+  try {
+    const idToken = await user.getIdToken();
+    const resp = await fetch(GENERATE_DOCUMENT_PDF_FUNCTION_BASE_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${idToken}`,
+      },
+      body: JSON.stringify({ type, ...options }),
+    });
+
+    const json = await resp.json().catch(() => ({} as any));
+    if (!resp.ok) {
+      console.warn('generateDocumentPdf failed:', resp.status, json);
+      return { ok: false, reason: typeof json?.error === 'string' ? json.error : `http_${resp.status}` };
+    }
+
+    return {
+      ok: true,
+      url: String(json.url || ''),
+      path: String(json.path || ''),
+      version: Number(json.version) || 1,
+      verificationId: String(json.verificationId || ''),
+    };
+  } catch (e) {
+    console.warn('generateDocumentPdf error:', e);
+    return { ok: false, reason: 'network_error' };
+  }
+}
@@ -2,8 +2,13 @@ import { Platform } from 'react-native';
 import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
 import Constants from 'expo-constants';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { auth, firestore, SEND_PUSH_SELF_FUNCTION_BASE_URL } from '../firebase/config';
-import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { collection, deleteDoc, doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+
+// Per-install id for the push device registry at users/{uid}/devices/{deviceId}.
+// Kept across sign-outs so the same phone re-registers under the same entry.
+const PUSH_DEVICE_ID_KEY = 'PUSH_DEVICE_ID';
 
 let hasInitialized = false;
 
@@ -74,6 +79,15 @@ export async function registerForExpoPushToken(): Promise<string | null> {
   }
 }
 
+async function getPushDeviceId(uid: string): Promise<string> {
+  const existing = await AsyncStorage.getItem(PUSH_DEVICE_ID_KEY);
+  if (existing) return existing;
+  // Firestore auto-ids are random and URL-safe, which is all we need here.
+  const generated = doc(collection(firestore, 'users', uid, 'devices')).id;
+  await AsyncStorage.setItem(PUSH_DEVICE_ID_KEY, generated);
+  return generated;
+}
+
 export async function syncExpoPushTokenForCurrentUser(): Promise<{ ok: true } | { ok: false; reason: string }> {
   const user = auth.currentUser;
   if (!user) return { ok: false, reason: 'not_authenticated' };
@@ -82,12 +96,17 @@ export async function syncExpoPushTokenForCurrentUser(): Promise<{ ok: true } |
   if (!token) return { ok: false, reason: 'token_unavailable' };
 
   try {
+    const deviceId = await getPushDeviceId(user.uid);
+    // One entry per device, so signing in on a tablet no longer replaces the phone's token.
+    // lastSeenAt is refreshed on every sign-in; the server skips devices that go stale.
     await setDoc(
-      doc(firestore, 'users', user.uid),
+      doc(firestore, 'users', user.uid, 'devices', deviceId),
       {
         expoPushToken: token,
-        expoPushTokenPlatform: Platform.OS,
-        expoPushTokenUpdatedAt: serverTimestamp(),
+        platform: Platform.OS,
+        appVersion: Constants?.expoConfig?.version ?? null,
+        deviceName: Device.deviceName ?? null,
+        lastSeenAt: serverTimestamp(),
       },
       { merge: true }
     );
@@ -103,19 +122,30 @@ export async function clearExpoPushTokenForCurrentUser(): Promise<{ ok: true } |
   if (!user) return { ok: false, reason: 'not_authenticated' };
 
   try {
+    // Only this device's entry is removed; the user's other devices keep receiving pushes.
+    const deviceId = await AsyncStorage.getItem(PUSH_DEVICE_ID_KEY);
+    let token: string | null = null;
+    if (deviceId) {
+      const deviceRef = doc(firestore, 'users', user.uid, 'devices', deviceId);
+      const deviceSnap = await getDoc(deviceRef);
+      token = deviceSnap.exists() ? (deviceSnap.data() as any).expoPushToken || null : null;
+      await deleteDoc(deviceRef);
+    }
+
+    // Legacy single-token field (written by older app versions): clear it only if it is ours.
     const userRef = doc(firestore, 'users', user.uid);
     const snap = await getDoc(userRef);
-    if (!snap.exists()) return { ok: true };
-
-    // Avoid deleteField dependency; just null it out.
-    await setDoc(
-      userRef,
-      {
-        expoPushToken: null,
-        expoPushTokenUpdatedAt: serverTimestamp(),
-      },
-      { merge: true }
-    );
+    if (snap.exists() && token && (snap.data() as any).expoPushToken === token) {
+      // Avoid deleteField dependency; just null it out.
+      await setDoc(
+        userRef,
+        {
+          expoPushToken: null,
+          expoPushTokenUpdatedAt: serverTimestamp(),
+        },
+        { merge: true }
+      );
+    }
     return { ok: true };
   } catch (e) {
     console.warn('Failed to clear expo push token:', e);
@@ -184,3 +214,84 @@ export async function sendRemoteTestPushToSelf(): Promise<{ ok: true } | { ok: f
     return { ok: false, reason: 'network_error' };
   }
 }
+
+// ---- Notification preferences ----
+// Stored on users/{uid}.notificationPreferences and enforced server-side before any push
+// (functions/index.js readNotificationPreferences). Critical notifications ignore them.
+export type NotificationCategory = 'requirements' | 'reports' | 'applications' | 'announcements';
+
+export type NotificationPreferences = {
+  categories: Record<NotificationCategory, boolean>;
+  // Hours are 0-23 in Asia/Manila time.
+  quietHours: { enabled: boolean; startHour: number; endHour: number };
+  delivery: 'immediate' | 'digest';
+  digestHour: number;
+};
+
+export const NOTIFICATION_CATEGORY_LABELS: Record<NotificationCategory, string> = {
+  requirements: 'Requirements',
+  reports: 'Weekly reports',
+  applications: 'Applications',
+  announcements: 'Announcements',
+};
+
+export const DEFAULT_NOTIFICATION_PREFERENCES: NotificationPreferences = {
+  categories: { requirements: true, reports: true, applications: true, announcements: true },
+  quietHours: { enabled: false, startHour: 22, endHour: 7 },
+  delivery: 'immediate',
+  digestHour: 18,
+};
+
+const toHour = (value: any, fallback: number) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 && n <= 23 ? n : fallback;
+};
+
+export async function loadNotificationPreferences(): Promise<NotificationPreferences> {
+  const user = auth.currentUser;
+  if (!user) return DEFAULT_NOTIFICATION_PREFERENCES;
+
+  const snap = await getDoc(doc(firestore, 'users', user.uid));
+  const raw = snap.exists() ? ((snap.data() as any).notificationPreferences || {}) : {};
+  const defaults = DEFAULT_NOTIFICATION_PREFERENCES;
+  const categories = { ...defaults.categories };
+  (Object.keys(categories) as NotificationCategory[]).forEach((c) => {
+    categories[c] = raw?.categories?.[c] !== false;
+  });
+
+  return {
+    categories,
+    quietHours: {
+      enabled: raw?.quietHours?.enabled === true,
+      startHour: toHour(raw?.quietHours?.startHour, defaults.quietHours.startHour),
+      endHour: toHour(raw?.quietHours?.endHour, defaults.quietHours.endHour),
+    },
+    delivery: raw?.delivery === 'digest' ? 'digest' : 'immediate',
+    digestHour: toHour(raw?.digestHour, defaults.digestHour),
+  };
+}
+
+export async function saveNotificationPreferences(
+  prefs: NotificationPreferences
+): Promise<{ ok: true } | { ok: false; reason: string }> {
+  const user = auth.currentUser;
+  if (!user) return { ok: false, reason: 'not_authenticated' };
+
+  try {
+    await setDoc(
+      doc(firestore, 'users', user.uid),
+      { notificationPreferences: { ...prefs, updatedAt: serverTimestamp() } },
+      { merge: true }
+    );
+    return { ok: true };
+  } catch (e) {
+    console.warn('Failed to save notification preferences:', e);
+    return { ok: false, reason: 'firestore_write_failed' };
+  }
+}
+
+export function formatHour(hour: number): string {
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  const h12 = hour % 12 === 0 ? 12 : hour % 12;
+  return `${h12}:00 ${suffix}`;
+}
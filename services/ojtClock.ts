@@ -0,0 +1,76 @@
+import { auth, CLOCK_OJT_FUNCTION_BASE_URL } from '../firebase/config';
+
+// Live clock-in/clock-out. The clockOjt Cloud Function stamps the server time, checks the
+// device location against the hired company's geofence and writes the ojtLogs document.
+
+export type OjtVerificationStatus = 'verified' | 'out_of_radius' | 'unverified' | 'manual';
+
+export type GeofenceCheck = {
+  status: 'inside' | 'outside' | 'unknown';
+  distanceMeters?: number;
+  radiusMeters?: number;
+  flag?: string;
+};
+
+export type ClockResult =
+  | { ok: true; logId: string; time: string; hours?: number; geofence: GeofenceCheck }
+  | { ok: false; reason: string };
+
+type DeviceLocation = { latitude: number; longitude: number; accuracy: number | null };
+
+// Returns null when permission is denied or no fix is available; the server then records
+// the punch as unverified instead of rejecting it.
+async function getDeviceLocation(): Promise<DeviceLocation | null> {
+  try {
+    // Loaded lazily: native modules can be null at file scope in Expo Go.
+    const Location = await import('expo-location');
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    if (status !== 'granted') return null;
+    const pos = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+    return {
+      latitude: pos.coords.latitude,
+      longitude: pos.coords.longitude,
+      accuracy: pos.coords.accuracy ?? null,
+    };
+  } catch (e) {
+    console.warn('ojtClock: location unavailable', e);
+    return null;
+  }
+}
+
+export async function clockOjt(action: 'in' | 'out'): Promise<ClockResult> {
+  const user = auth.currentUser;
+  if (!user) return { ok: false, reason: 'not_authenticated' };
+  if (!CLOCK_OJT_FUNCTION_BASE_URL) return { ok: false, reason: 'missing_function_url' };
+
+  try {
+    const location = await getDeviceLocation();
+    const idToken = await user.getIdToken();
+    const resp = await fetch(CLOCK_OJT_FUNCTION_BASE_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${idToken}`,
+      },
+      body: JSON.stringify({ action, ...(location || {}) }),
+    });
+
+    const json = await resp.json().catch(() => ({} as any));
+    if (!resp.ok) {
+      console.warn('clockOjt failed:', resp.status, json);
+      // Server error codes (ALREADY_CLOCKED_IN, NOT_CLOCKED_IN, NOT_PLACED, ...) are passed through as-is.
+      return { ok: false, reason: typeof json?.error === 'string' ? json.error : `http_${resp.status}` };
+    }
+
+    return {
+      ok: true,
+      logId: String(json.logId || ''),
+      time: String((action === 'in' ? json.clockIn : json.clockOut) || ''),
+      hours: typeof json.hours === 'number' ? json.hours : undefined,
+      geofence: json.geofence || { status: 'unknown' },
+    };
+  } catch (e) {
+    console.warn('clockOjt error:', e);
+    return { ok: false, reason: 'network_error' };
+  }
+}
@@ -0,0 +1,65 @@
+import { auth, firestore } from '../firebase/config';
+import { doc, writeBatch, serverTimestamp, collection, getDocs, query, where } from 'firebase/firestore';
+
+export type OjtLogReviewStatus = 'pending' | 'approved' | 'disputed';
+
+export type OjtLogReviewDecision = 'approve' | 'dispute' | 'reopen';
+
+// Review one or more of a student's OJT logs (for advisers/admins).
+// - approve: marks the logs approved and locks them against student edits
+// - dispute: flags the logs with a comment; the student can edit them, which resets them to pending
+// - reopen: clears the review and unlocks the logs
+export const reviewOjtLogs = async (
+    userId: string,
+    logIds: string[],
+    decision: OjtLogReviewDecision,
+    comment?: string
+): Promise<void> => {
+    if (decision === 'dispute' && !comment?.trim()) {
+        throw new Error('A comment is required when disputing a log');
+    }
+
+    try {
+        const batch = writeBatch(firestore);
+        for (const logId of logIds) {
+            const logRef = doc(firestore, `users/${userId}/ojtLogs/${logId}`);
+            if (decision === 'reopen') {
+                batch.update(logRef, {
+                    reviewStatus: 'pending',
+                    reviewComment: null,
+                    locked: false,
+                    lockedByReportId: null,
+                });
+            } else {
+                batch.update(logRef, {
+                    reviewStatus: decision === 'approve' ? 'approved' : 'disputed',
+                    reviewComment: comment?.trim() || null,
+                    reviewedBy: auth.currentUser?.uid || null,
+                    reviewedAt: serverTimestamp(),
+                    locked: decision === 'approve',
+                });
+            }
+        }
+        await batch.commit();
+    } catch (error) {
+        console.error('Error reviewing OJT logs:', error);
+        throw new Error('Failed to review OJT logs');
+    }
+};
+
+// Get a student's logs in a given review state (for advisers/admins)
+export const getOjtLogsByReviewStatus = async (userId: string, status: OjtLogReviewStatus) => {
+    try {
+        const logsCol = collection(firestore, `users/${userId}/ojtLogs`);
+        // Logs written before reviews existed have no reviewStatus and count as pending.
+        const snap = status === 'pending'
+            ? await getDocs(logsCol)
+            : await getDocs(query(logsCol, where('reviewStatus', '==', status)));
+        return snap.docs
+            .map((d: any) => ({ id: d.id, ...d.data() }))
+            .filter((log: any) => (log.reviewStatus || 'pending') === status);
+    } catch (error) {
+        console.error('Error fetching OJT logs by review status:', error);
+        throw new Error('Failed to fetch OJT logs');
+    }
+};
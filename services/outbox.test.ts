@@ -0,0 +1,187 @@
+// Outbox sending and conflict handling, against an in-memory stand-in for Firestore.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  flushOutbox,
+  getOutboxState,
+  ojtLogIdOf,
+  queueOjtLogDelete,
+  queueOjtLogSave,
+  queueWeeklyReportResubmit,
+  stopOutboxSync,
+} from './outbox';
+import { reportError } from './errorReporting';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../firebase/config', () => ({ auth: { currentUser: { uid: 'stu' } }, firestore: {} }));
+jest.mock('./generatedDocuments', () => ({ generateDocumentPdf: jest.fn(() => Promise.resolve({ ok: true })) }));
+jest.mock('./errorReporting', () => ({ reportError: jest.fn() }));
+
+// Server documents by path. The next read or write fails with mockFailure.code while it is set.
+const mockServer = new Map<string, Record<string, any>>();
+const mockFailure: { code: string | null } = { code: null };
+
+jest.mock('firebase/firestore', () => {
+  const check = () => {
+    if (mockFailure.code) throw Object.assign(new Error(`mock ${mockFailure.code}`), { code: mockFailure.code });
+  };
+  return {
+    doc: (parent: any, path?: string) => ({ path: path ?? `${parent.path}/${Math.random().toString(36).slice(2)}` }),
+    collection: (_firestore: any, path: string) => ({ path }),
+    getDoc: async (ref: { path: string }) => {
+      check();
+      const data = mockServer.get(ref.path);
+      return { exists: () => !!data, data: () => (data ? { ...data } : undefined) };
+    },
+    setDoc: async (ref: { path: string }, data: Record<string, any>, options?: { merge?: boolean }) => {
+      check();
+      mockServer.set(ref.path, options?.merge ? { ...mockServer.get(ref.path), ...data } : { ...data });
+    },
+    updateDoc: async (ref: { path: string }, data: Record<string, any>) => {
+      check();
+      if (!mockServer.has(ref.path)) throw Object.assign(new Error('No document to update'), { code: 'not-found' });
+      mockServer.set(ref.path, { ...mockServer.get(ref.path), ...data });
+    },
+    deleteDoc: async (ref: { path: string }) => {
+      check();
+      mockServer.delete(ref.path);
+    },
+    Timestamp: { fromMillis: (ms: number) => ({ toMillis: () => ms }) },
+  };
+});
+
+const log = { date: '2025/06/02', clockIn: '8:00 AM', clockOut: '5:00 PM' };
+const logPath = `users/stu/ojtLogs/${ojtLogIdOf(log)}`;
+
+beforeEach(async () => {
+  stopOutboxSync();
+  await AsyncStorage.clear();
+  mockServer.clear();
+  mockFailure.code = null;
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+afterAll(() => stopOutboxSync());
+
+describe('time logs', () => {
+  it('sends a change made from the current server copy', async () => {
+    mockServer.set(logPath, { ...log, clientUpdatedAt: 1000 });
+
+    const result = await queueOjtLogSave({ ...log, clockOut: '6:00 PM' }, { clientUpdatedAt: 1000 });
+    expect(result).toEqual({ ok: true, queued: false });
+    expect(mockServer.get(logPath)?.clockOut).toBe('6:00 PM');
+    expect(getOutboxState().conflicts).toEqual([]);
+  });
+
+  it('keeps the ledger fields the server stamped on the log', async () => {
+    mockServer.set(logPath, { ...log, clientUpdatedAt: 1000, ledgerStatus: 'counted', ledgerHours: 8 });
+
+    await queueOjtLogSave({ ...log, clockOut: '6:00 PM' }, { clientUpdatedAt: 1000 });
+    expect(mockServer.get(logPath)).toMatchObject({ clockOut: '6:00 PM', ledgerStatus: 'counted', ledgerHours: 8 });
+  });
+
+  it('sends an edited log back for review', async () => {
+    mockServer.set(logPath, { ...log, clientUpdatedAt: 1000, reviewStatus: 'disputed', reviewComment: 'Wrong date' });
+
+    await queueOjtLogSave({ ...log, clockOut: '6:00 PM' }, { clientUpdatedAt: 1000 });
+    expect(mockServer.get(logPath)).toMatchObject({ clockOut: '6:00 PM', reviewStatus: 'pending', reviewComment: 'Wrong date' });
+  });
+
+  it('does not edit clock-in/out logs', async () => {
+    mockServer.set(logPath, { ...log, source: 'clock', verificationStatus: 'verified', clientUpdatedAt: 1000 });
+
+    const result = await queueOjtLogSave({ ...log, clockOut: '6:00 PM' }, { clientUpdatedAt: 1000 });
+    expect(result).toEqual({ ok: false, reason: 'conflict' });
+    expect(mockServer.get(logPath)).toMatchObject({ clockOut: '5:00 PM', source: 'clock' });
+    expect(getOutboxState().conflicts[0].message).toMatch(/recorded by clock-in\/out/);
+  });
+
+  it('keeps a newer edit from another device', async () => {
+    mockServer.set(logPath, { ...log, clockOut: '4:00 PM', clientUpdatedAt: Date.now() + 60 * 1000 });
+
+    const result = await queueOjtLogSave({ ...log, clockOut: '6:00 PM' }, { clientUpdatedAt: 1000 });
+    expect(result).toEqual({ ok: false, reason: 'conflict' });
+    expect(mockServer.get(logPath)?.clockOut).toBe('4:00 PM');
+    expect(getOutboxState().conflicts[0].message).toMatch(/changed more recently on another device/);
+  });
+
+  it('overwrites an older edit from another device', async () => {
+    mockServer.set(logPath, { ...log, clockOut: '4:00 PM', clientUpdatedAt: 2000 });
+
+    const result = await queueOjtLogSave({ ...log, clockOut: '6:00 PM' }, { clientUpdatedAt: 1000 });
+    expect(result.ok).toBe(true);
+    expect(mockServer.get(logPath)?.clockOut).toBe('6:00 PM');
+  });
+
+  it('does not recreate a log deleted on another device', async () => {
+    const result = await queueOjtLogSave({ ...log, clockOut: '6:00 PM' }, { clientUpdatedAt: 1000 });
+    expect(result).toEqual({ ok: false, reason: 'conflict' });
+    expect(mockServer.has(logPath)).toBe(false);
+    expect(getOutboxState().conflicts[0].message).toMatch(/deleted on another device/);
+  });
+
+  it('leaves logs locked by an approved report alone', async () => {
+    mockServer.set(logPath, { ...log, clientUpdatedAt: 1000, locked: true, lockedByReportId: 'r1' });
+
+    expect(await queueOjtLogSave({ ...log, clockOut: '6:00 PM' }, { clientUpdatedAt: 1000 })).toEqual({ ok: false, reason: 'conflict' });
+    expect(await queueOjtLogDelete({ ...log, clientUpdatedAt: 1000 })).toEqual({ ok: false, reason: 'conflict' });
+
+    expect(mockServer.get(logPath)).toMatchObject({ clockOut: '5:00 PM', locked: true });
+    expect(getOutboxState().conflicts.map((c) => c.message)).toEqual([
+      expect.stringMatching(/approved this log, so it was not deleted/),
+      expect.stringMatching(/approved this log before your change reached the server/),
+    ]);
+  });
+
+  it('keeps a log edited elsewhere after it was deleted here', async () => {
+    mockServer.set(logPath, { ...log, clientUpdatedAt: Date.now() + 60 * 1000 });
+
+    const result = await queueOjtLogDelete({ ...log, clientUpdatedAt: 1000 });
+    expect(result).toEqual({ ok: false, reason: 'conflict' });
+    expect(mockServer.has(logPath)).toBe(true);
+  });
+
+  it('keeps changes queued while the server cannot be reached', async () => {
+    mockFailure.code = 'unavailable';
+    const result = await queueOjtLogSave(log, null);
+    expect(result).toEqual({ ok: true, queued: true });
+    expect(getOutboxState()).toMatchObject({ pending: 1, offline: true });
+    expect(getOutboxState().nextRetryAt).not.toBeNull();
+
+    mockFailure.code = null;
+    await flushOutbox();
+    expect(getOutboxState()).toMatchObject({ pending: 0, offline: false });
+    expect(mockServer.get(logPath)).toMatchObject(log);
+  });
+
+  it('drops a change the server refuses and lists it', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockFailure.code = 'permission-denied';
+    const result = await queueOjtLogSave(log, null);
+    expect(result).toEqual({ ok: false, reason: 'conflict' });
+    expect(getOutboxState().pending).toBe(0);
+    expect(getOutboxState().conflicts[0].message).toMatch(/did not accept this change \(permission-denied\)/);
+    expect(reportError).toHaveBeenCalledWith(expect.objectContaining({ code: 'permission-denied' }), expect.objectContaining({ screen: 'Outbox', operation: 'ojtLog.set' }));
+  });
+});
+
+describe('weekly report resubmissions', () => {
+  const reportPath = 'users/stu/weeklyReports/r1';
+
+  it('are not applied to a report reviewed in the meantime', async () => {
+    mockServer.set(reportPath, { userId: 'stu', status: 'approved', monthCovered: 'June 2025' });
+
+    const result = await queueWeeklyReportResubmit('r1', { monthCovered: 'June 2025', summary: 'Revised' });
+    expect(result).toEqual({ ok: false, reason: 'conflict' });
+    expect(mockServer.get(reportPath)).toEqual({ userId: 'stu', status: 'approved', monthCovered: 'June 2025' });
+  });
+
+  it('are sent while the report is open for revision', async () => {
+    mockServer.set(reportPath, { userId: 'stu', status: 'revision_requested', monthCovered: 'June 2025' });
+
+    const result = await queueWeeklyReportResubmit('r1', { summary: 'Revised' });
+    expect(result).toEqual({ ok: true, queued: false });
+    expect(mockServer.get(reportPath)).toMatchObject({ status: 'submitted', summary: 'Revised' });
+  });
+});
@@ -0,0 +1,442 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { auth, firestore } from '../firebase/config';
+import { doc, getDoc, setDoc, deleteDoc, updateDoc, collection, Timestamp } from 'firebase/firestore';
+import { generateDocumentPdf } from './generatedDocuments';
+import { reportError } from './errorReporting';
+
+// Offline outbox for OJT time logs and weekly report submissions. Changes are queued on the
+// device (per user) and sent in order once Firestore can be reached: right away, with backoff
+// while the device is offline, and whenever the app comes back to the foreground.
+//
+// Every log written from the app carries clientUpdatedAt, the time it was edited on the device.
+// A queued change remembers the copy it was made from; if the server copy has changed since
+// (edited on another device), the later edit wins. Logs locked by an approved report and reports
+// no longer open for editing keep the server copy. Local changes that lose are listed as
+// conflicts so the student can see what was not applied.
+
+export type OjtLogData = Record<string, any> & { date: string; clockIn: string };
+
+// What the queued change was based on: whether the log existed and its clientUpdatedAt.
+export type OjtLogBase = { exists: boolean; clientUpdatedAt: number | null };
+
+type OutboxItemBase = { id: string; queuedAt: number; attempts: number; lastError?: string | null };
+
+export type OutboxItem = OutboxItemBase & (
+  | { kind: 'ojtLog.set'; logId: string; data: OjtLogData; base: OjtLogBase }
+  | { kind: 'ojtLog.delete'; logId: string; data: OjtLogData; base: OjtLogBase }
+  | { kind: 'weeklyReport.submit'; reportId: string; data: Record<string, any> }
+  | { kind: 'weeklyReport.resubmit'; reportId: string; data: Record<string, any> }
+);
+
+export type OutboxConflict = {
+  id: string;
+  kind: OutboxItem['kind'];
+  at: number;
+  title: string;
+  message: string;
+};
+
+export type OutboxState = {
+  pending: number;
+  syncing: boolean;
+  // Set while the last attempt could not reach the server.
+  offline: boolean;
+  nextRetryAt: number | null;
+  conflicts: OutboxConflict[];
+};
+
+type OutboxResult =
+  | { ok: true; queued: boolean }
+  | { ok: false; reason: string };
+
+const outboxKeyForUser = (uid: string) => `@InternQuest_outbox_${uid}`;
+const conflictsKeyForUser = (uid: string) => `@InternQuest_outboxConflicts_${uid}`;
+
+const WRITE_TIMEOUT_MS = 15 * 1000;
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const MAX_CONFLICTS = 50;
+const EDITABLE_REPORT_STATUSES = ['draft', 'revision_requested', 'rejected'];
+// Errors that mean "try again later" rather than "the server said no".
+const TRANSIENT_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'aborted', 'internal', 'unknown', 'timeout'];
+
+export const ojtLogIdOf = (log: { date: string; clockIn: string }) => `${log.date}_${log.clockIn}`.replace(/\W/g, '');
+
+let loadedUid: string | null = null;
+let items: OutboxItem[] = [];
+let conflicts: OutboxConflict[] = [];
+let flushing: Promise<void> | null = null;
+let offline = false;
+let retryTimer: ReturnType<typeof setTimeout> | null = null;
+let nextRetryAt: number | null = null;
+let retryAttempt = 0;
+let appStateSub: { remove: () => void } | null = null;
+const listeners = new Set<(state: OutboxState) => void>();
+
+const newItemId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+const millisOf = (value: any): number | null => {
+  if (typeof value === 'number') return value;
+  if (value?.toMillis) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return null;
+};
+
+const currentState = (): OutboxState => ({
+  pending: items.length,
+  syncing: !!flushing,
+  offline,
+  nextRetryAt,
+  conflicts,
+});
+
+const notify = () => {
+  const state = currentState();
+  listeners.forEach((listener) => {
+    try { listener(state); } catch (e) { /* ignore */ }
+  });
+};
+
+const ensureLoaded = async (uid: string) => {
+  if (loadedUid === uid) return;
+  const [rawItems, rawConflicts] = await Promise.all([
+    AsyncStorage.getItem(outboxKeyForUser(uid)).catch(() => null),
+    AsyncStorage.getItem(conflictsKeyForUser(uid)).catch(() => null),
+  ]);
+  try { items = rawItems ? JSON.parse(rawItems) : []; } catch (e) { items = []; }
+  try { conflicts = rawConflicts ? JSON.parse(rawConflicts) : []; } catch (e) { conflicts = []; }
+  loadedUid = uid;
+};
+
+const persist = async () => {
+  if (!loadedUid) return;
+  await Promise.all([
+    AsyncStorage.setItem(outboxKeyForUser(loadedUid), JSON.stringify(items)),
+    AsyncStorage.setItem(conflictsKeyForUser(loadedUid), JSON.stringify(conflicts)),
+  ]);
+  notify();
+};
+
+const withTimeout = <T>(promise: Promise<T>): Promise<T> =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(Object.assign(new Error('Timed out waiting for the server'), { code: 'timeout' })), WRITE_TIMEOUT_MS);
+    promise.then(
+      (value) => { clearTimeout(timer); resolve(value); },
+      (error) => { clearTimeout(timer); reject(error); }
+    );
+  });
+
+const isTransientError = (error: any) => {
+  const code = String(error?.code || '').replace(/^firestore\//, '');
+  if (TRANSIENT_ERROR_CODES.includes(code)) return true;
+  const message = String(error?.message || '').toLowerCase();
+  return message.includes('offline') || message.includes('network');
+};
+
+const addConflict = (item: OutboxItem, title: string, message: string) => {
+  conflicts = [{ id: item.id, kind: item.kind, at: Date.now(), title, message }, ...conflicts].slice(0, MAX_CONFLICTS);
+};
+
+const describeLog = (data: OjtLogData) => `${data.date} ${data.clockIn}`.trim();
+
+const reportTitle = (data: Record<string, any>) =>
+  data.monthCovered ? `Weekly report (${data.monthCovered})` : 'Weekly report';
+
+// Send one queued change. Resolves once it is done with (written, already applied, or dropped
+// as a conflict); rejects when it should be retried.
+const sendItem = async (uid: string, item: OutboxItem): Promise<void> => {
+  if (item.kind === 'ojtLog.set' || item.kind === 'ojtLog.delete') {
+    const logRef = doc(firestore, `users/${uid}/ojtLogs/${item.logId}`);
+    const snap = await withTimeout<any>(getDoc(logRef));
+    const server: any = snap.exists() ? snap.data() : null;
+    const serverUpdatedAt = server ? millisOf(server.clientUpdatedAt) : null;
+    const changedElsewhere = !!server !== item.base.exists || serverUpdatedAt !== item.base.clientUpdatedAt;
+    const title = `Time log ${describeLog(item.data)}`;
+
+    if (item.kind === 'ojtLog.delete') {
+      if (!server) return;
+      if (server.locked) {
+        addConflict(item, title, 'Your adviser approved this log, so it was not deleted.');
+        return;
+      }
+      if (changedElsewhere && (serverUpdatedAt ?? 0) > item.queuedAt) {
+        addConflict(item, title, 'It was edited on another device after you deleted it here, so the edited copy was kept.');
+        return;
+      }
+      await withTimeout(deleteDoc(logRef));
+      return;
+    }
+
+    const editedAt = millisOf(item.data.clientUpdatedAt) ?? item.queuedAt;
+    // A write that timed out earlier may still have reached the server.
+    if (server && serverUpdatedAt === editedAt) return;
+    if (server?.locked) {
+      addConflict(item, title, 'Your adviser approved this log before your change reached the server, so your change was not saved.');
+      return;
+    }
+    if (server?.source === 'clock') {
+      addConflict(item, title, 'This log was recorded by clock-in/out and cannot be edited, so your change was not saved.');
+      return;
+    }
+    if (changedElsewhere) {
+      if (!server) {
+        addConflict(item, title, 'It was deleted on another device, so your change was not saved.');
+        return;
+      }
+      if ((serverUpdatedAt ?? 0) > editedAt) {
+        addConflict(item, title, 'It was changed more recently on another device, so that version was kept.');
+        return;
+      }
+    }
+    // Merged, so the ledger and review fields kept on the log stay in place. An edit sends a
+    // reviewed log back to the adviser as pending.
+    const reviewReset = server?.reviewStatus && server.reviewStatus !== 'pending' ? { reviewStatus: 'pending' } : {};
+    await withTimeout(setDoc(logRef, { ...item.data, ...reviewReset }, { merge: true }));
+    return;
+  }
+
+  const reportRef = doc(firestore, `users/${uid}/weeklyReports/${item.reportId}`);
+  const snap = await withTimeout<any>(getDoc(reportRef));
+  const server: any = snap.exists() ? snap.data() : null;
+  const submittedAtMs = Number(item.data.submittedAtMs) || item.queuedAt;
+  const { submittedAtMs: _submittedAtMs, ...fields } = item.data;
+
+  if (item.kind === 'weeklyReport.submit') {
+    if (server) return;
+    await withTimeout(setDoc(reportRef, {
+      ...fields,
+      userId: uid,
+      status: 'submitted',
+      submittedAt: new Date(submittedAtMs),
+      timestamp: Timestamp.fromMillis(submittedAtMs),
+    }));
+  } else {
+    if (!server) {
+      addConflict(item, reportTitle(fields), 'The report was deleted before your revision reached the server.');
+      return;
+    }
+    if (server.status === 'submitted' && millisOf(server.submittedAt) === submittedAtMs) return;
+    if (!EDITABLE_REPORT_STATUSES.includes(server.status)) {
+      addConflict(item, reportTitle(fields), 'The report was submitted or reviewed from another device before your revision reached the server, so your revision was not saved.');
+      return;
+    }
+    await withTimeout(updateDoc(reportRef, {
+      ...fields,
+      status: 'submitted',
+      submittedAt: new Date(submittedAtMs),
+    }));
+  }
+
+  // Archive the official PDF in the background; the on-device PDF is only a preview.
+  generateDocumentPdf('weekly_report', { reportId: item.reportId }).then((result) => {
+    if (!result.ok) console.warn('Weekly report PDF archival failed:', result.reason);
+  });
+};
+
+const scheduleRetry = () => {
+  if (retryTimer) clearTimeout(retryTimer);
+  const delay = Math.min(RETRY_BASE_MS * 2 ** retryAttempt, RETRY_MAX_MS);
+  retryAttempt += 1;
+  nextRetryAt = Date.now() + delay;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    nextRetryAt = null;
+    void flushOutbox();
+  }, delay);
+};
+
+const runFlush = async (uid: string) => {
+  await ensureLoaded(uid);
+  while (items.length && loadedUid === uid) {
+    const item = items[0];
+    try {
+      await sendItem(uid, item);
+      items = items.filter((i) => i.id !== item.id);
+      offline = false;
+      retryAttempt = 0;
+      await persist();
+    } catch (error: any) {
+      if (isTransientError(error)) {
+        console.warn('Outbox: server unreachable, will retry', error?.code || error?.message || error);
+        items = items.map((i) => (i.id === item.id ? { ...i, attempts: i.attempts + 1, lastError: String(error?.message || error) } : i));
+        offline = true;
+        await persist();
+        scheduleRetry();
+        return;
+      }
+      // The server refused the change (permission or validation); retrying will not help.
+      console.warn('Outbox: change rejected', item.kind, error?.code || error?.message || error);
+      reportError(error, { screen: 'Outbox', operation: item.kind, context: { attempts: item.attempts } });
+      const title = item.kind.startsWith('ojtLog') ? `Time log ${describeLog((item as any).data)}` : reportTitle((item as any).data);
+      addConflict(item, title, `The server did not accept this change (${error?.code || error?.message || 'error'}).`);
+      items = items.filter((i) => i.id !== item.id);
+      await persist();
+    }
+  }
+};
+
+// Try to send everything queued for the signed-in user. Concurrent calls share one run.
+export const flushOutbox = async (): Promise<void> => {
+  const uid = auth.currentUser?.uid;
+  if (!uid) return;
+  if (flushing) return flushing;
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    nextRetryAt = null;
+  }
+  flushing = runFlush(uid)
+    .catch((e) => console.warn('Outbox flush failed:', e))
+    .finally(() => {
+      flushing = null;
+      notify();
+    });
+  notify();
+  return flushing;
+};
+
+const enqueue = async (uid: string, item: OutboxItem) => {
+  await ensureLoaded(uid);
+  if (item.kind === 'ojtLog.set' || item.kind === 'ojtLog.delete') {
+    // Only the latest change to a log is sent, checked against the copy the first one was based on.
+    const previous = items.find((i) => (i.kind === 'ojtLog.set' || i.kind === 'ojtLog.delete') && i.logId === item.logId) as
+      Extract<OutboxItem, { logId: string }> | undefined;
+    if (previous) {
+      item.base = previous.base;
+      items = items.filter((i) => i.id !== previous.id);
+      // Deleting a log that never reached the server leaves nothing to send.
+      if (item.kind === 'ojtLog.delete' && !item.base.exists) {
+        await persist();
+        return;
+      }
+    }
+  }
+  items = [...items, item];
+  await persist();
+};
+
+// Queue a change and try to send it now. `queued` is true when it is still waiting on the device.
+const enqueueAndFlush = async (item: OutboxItem): Promise<OutboxResult> => {
+  const uid = auth.currentUser?.uid;
+  if (!uid) return { ok: false, reason: 'not_authenticated' };
+  try {
+    await enqueue(uid, item);
+  } catch (e) {
+    console.warn('Outbox: could not save change on the device', e);
+    return { ok: false, reason: 'storage_error' };
+  }
+  await flushOutbox();
+  const still = items.some((i) => i.id === item.id);
+  const rejected = !still && conflicts.some((c) => c.id === item.id);
+  if (rejected) return { ok: false, reason: 'conflict' };
+  return { ok: true, queued: still };
+};
+
+// Save (create or replace) a manual time log. `base` is the copy it was edited from, if any.
+export const queueOjtLogSave = (log: OjtLogData, base: { clientUpdatedAt?: number | null } | null) => {
+  const now = Date.now();
+  return enqueueAndFlush({
+    id: newItemId(),
+    kind: 'ojtLog.set',
+    queuedAt: now,
+    attempts: 0,
+    logId: ojtLogIdOf(log),
+    data: { ...log, clientUpdatedAt: now },
+    base: { exists: !!base, clientUpdatedAt: base?.clientUpdatedAt ?? null },
+  });
+};
+
+export const queueOjtLogDelete = (log: OjtLogData & { clientUpdatedAt?: number | null }) =>
+  enqueueAndFlush({
+    id: newItemId(),
+    kind: 'ojtLog.delete',
+    queuedAt: Date.now(),
+    attempts: 0,
+    logId: ojtLogIdOf(log),
+    data: { date: log.date, clockIn: log.clockIn },
+    base: { exists: true, clientUpdatedAt: log.clientUpdatedAt ?? null },
+  });
+
+// Submit a new weekly report. The document id is picked now so a retry never creates a duplicate.
+export const queueWeeklyReportSubmit = async (report: Record<string, any>) => {
+  const now = Date.now();
+  const reportId = doc(collection(firestore, `users/${auth.currentUser?.uid || '_'}/weeklyReports`)).id;
+  const result = await enqueueAndFlush({
+    id: newItemId(),
+    kind: 'weeklyReport.submit',
+    queuedAt: now,
+    attempts: 0,
+    reportId,
+    data: { ...report, submittedAtMs: now },
+  });
+  return result.ok ? { ...result, reportId } : result;
+};
+
+// Resubmit a report after a revision request or rejection (see resubmitWeeklyReport).
+export const queueWeeklyReportResubmit = (reportId: string, updates: Record<string, any>) => {
+  const now = Date.now();
+  return enqueueAndFlush({
+    id: newItemId(),
+    kind: 'weeklyReport.resubmit',
+    queuedAt: now,
+    attempts: 0,
+    reportId,
+    data: { ...updates, submittedAtMs: now },
+  });
+};
+
+// Apply queued log changes to a list of logs (from the server or the device cache), so
+// unsent edits still show. Queued entries are marked with `pendingSync`.
+export const withPendingOjtLogs = <T extends { date: string; clockIn: string }>(logs: T[]): Array<T & { pendingSync?: boolean }> => {
+  const uid = auth.currentUser?.uid;
+  if (!uid || loadedUid !== uid) return logs;
+  const byId = new Map<string, T & { pendingSync?: boolean }>(logs.map((log) => [ojtLogIdOf(log), log]));
+  items.forEach((item) => {
+    if (item.kind === 'ojtLog.set') byId.set(item.logId, { ...(item.data as any), pendingSync: true });
+    if (item.kind === 'ojtLog.delete') byId.delete(item.logId);
+  });
+  return Array.from(byId.values());
+};
+
+export const getOutboxState = currentState;
+
+export const subscribeOutbox = (listener: (state: OutboxState) => void) => {
+  listeners.add(listener);
+  listener(currentState());
+  return () => { listeners.delete(listener); };
+};
+
+export const dismissOutboxConflicts = async () => {
+  conflicts = [];
+  await persist();
+};
+
+// Load the signed-in user's queue and keep retrying it; called from App on sign-in.
+export const startOutboxSync = async (uid: string) => {
+  stopOutboxSync();
+  await ensureLoaded(uid);
+  notify();
+  appStateSub = AppState.addEventListener('change', (next) => {
+    if (next === 'active') {
+      retryAttempt = 0;
+      void flushOutbox();
+    }
+  });
+  void flushOutbox();
+};
+
+// Stop retrying on sign-out. The queue stays on the device until the same user signs in again.
+export const stopOutboxSync = () => {
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = null;
+  nextRetryAt = null;
+  retryAttempt = 0;
+  offline = false;
+  appStateSub?.remove();
+  appStateSub = null;
+  loadedUid = null;
+  items = [];
+  conflicts = [];
+  notify();
+};
@@ -0,0 +1,88 @@
+import { auth, firestore, EXPORT_MY_DATA_FUNCTION_BASE_URL, ACCOUNT_DELETION_FUNCTION_BASE_URL } from '../firebase/config';
+import { doc, getDoc } from 'firebase/firestore';
+
+// Personal data controls for students (see docs/privacyPolicy.ts): a downloadable export of
+// everything the app keeps about them, and account deletion after a grace period.
+
+export type DataExportResult =
+  | { ok: true; url: string; expiresAt: string; fileCount: number }
+  | { ok: false; reason: string };
+
+export type AccountDeletionStatus = 'pending' | 'cancelled' | 'completed' | 'rejected';
+
+export type AccountDeletionRequest = {
+  status: AccountDeletionStatus;
+  requestedAt: Date | null;
+  scheduledFor: Date | null;
+};
+
+export type AccountDeletionResult =
+  | { ok: true; status: AccountDeletionStatus; scheduledFor: Date | null }
+  | { ok: false; reason: string };
+
+const postWithIdToken = async (url: string, body: Record<string, unknown>) => {
+  const user = auth.currentUser;
+  if (!user) return { resp: null, json: null, reason: 'not_authenticated' };
+  if (!url) return { resp: null, json: null, reason: 'missing_function_url' };
+  const idToken = await user.getIdToken();
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${idToken}`,
+    },
+    body: JSON.stringify(body),
+  });
+  const json = await resp.json().catch(() => ({} as any));
+  return { resp, json, reason: resp.ok ? null : (typeof json?.error === 'string' ? json.error : `http_${resp.status}`) };
+};
+
+// Build a ZIP of the signed-in student's data; the returned link is valid for an hour.
+export async function exportMyData(): Promise<DataExportResult> {
+  try {
+    const { json, reason } = await postWithIdToken(EXPORT_MY_DATA_FUNCTION_BASE_URL, {});
+    if (reason) {
+      console.warn('exportMyData failed:', reason, json);
+      return { ok: false, reason };
+    }
+    return { ok: true, url: String(json.url), expiresAt: String(json.expiresAt), fileCount: Number(json.fileCount) || 0 };
+  } catch (e) {
+    console.warn('exportMyData error:', e);
+    return { ok: false, reason: 'network_error' };
+  }
+}
+
+const sendDeletionAction = async (body: Record<string, unknown>): Promise<AccountDeletionResult> => {
+  try {
+    const { json, reason } = await postWithIdToken(ACCOUNT_DELETION_FUNCTION_BASE_URL, body);
+    if (reason) {
+      console.warn('accountDeletionRequest failed:', reason, json);
+      return { ok: false, reason };
+    }
+    return { ok: true, status: json.status, scheduledFor: json.scheduledFor ? new Date(json.scheduledFor) : null };
+  } catch (e) {
+    console.warn('accountDeletionRequest error:', e);
+    return { ok: false, reason: 'network_error' };
+  }
+};
+
+// Ask for the account to be deleted; it is deleted once the grace period is over unless
+// the request is cancelled first.
+export const requestAccountDeletion = (reason?: string) =>
+  sendDeletionAction({ action: 'request', reason: reason || null });
+
+export const cancelAccountDeletion = () => sendDeletionAction({ action: 'cancel' });
+
+// The signed-in student's deletion request, if any.
+export const getAccountDeletionRequest = async (): Promise<AccountDeletionRequest | null> => {
+  const uid = auth.currentUser?.uid;
+  if (!uid) return null;
+  const snap = await getDoc(doc(firestore, 'accountDeletionRequests', uid));
+  if (!snap.exists()) return null;
+  const data: any = snap.data();
+  return {
+    status: data.status,
+    requestedAt: data.requestedAt?.toDate ? data.requestedAt.toDate() : null,
+    scheduledFor: data.scheduledFor?.toDate ? data.scheduledFor.toDate() : null,
+  };
+};
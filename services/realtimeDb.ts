@@ -27,5 +27,5 @@ export const setMoaAvailabilityForCompany = async (companyId: string, value: num
   await set(companyRef, value);
 };
 
-// Atomically change (increment/decrement) availability using runTransaction
-// If you need atomic increment/decrement, consider doing that on the server or via a Cloud Function
+// Slot decrements/restores for applications happen server-side (decideApplication /
+// withdrawApplication Cloud Functions) inside a Realtime Database transaction.
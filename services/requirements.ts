@@ -0,0 +1,273 @@
+import { auth, firestore, REVIEW_REQUIREMENT_FILE_FUNCTION_BASE_URL } from '../firebase/config';
+import {
+    collection,
+    doc,
+    getDocs,
+    setDoc,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    serverTimestamp
+} from 'firebase/firestore';
+import { FileProcessingStatus } from './uploads';
+
+// Requirements are keyed by the stable ids in requirementCatalog/{requirementId}, so admins can
+// rename a requirement without breaking uploads or approvals. Each uploaded file has an
+// admin_files document (its fileId) that is reviewed on its own; the reviewRequirementFile Cloud
+// Function applies decisions to requirement_approvals/{uid} (keyed by requirement id).
+
+export type RequirementCategory = 'documents' | 'forms' | 'certifications' | 'other';
+
+export type RequirementCatalogItem = {
+    id: string;
+    title: string;
+    description: string;
+    category: RequirementCategory;
+    isRequired: boolean;
+    // The school supplies a template (e.g. the MOA) that students download and return.
+    adminProvided?: boolean;
+    // Matched against Help Desk file names/descriptions to find the admin-provided template.
+    templateKeywords?: string[];
+    dueDate?: Date | null;
+    order: number;
+    active: boolean;
+};
+
+export type FileReviewStatus = 'pending' | 'approved' | 'rejected' | 'needs_resubmission';
+
+export type RequirementApprovalStatus = 'not_submitted' | 'pending_review' | 'approved' | 'rejected' | 'needs_resubmission';
+
+export type FileReview = {
+    status: FileReviewStatus;
+    reason?: string | null;
+    reviewedBy?: string | null;
+    reviewedAt?: string | null;
+};
+
+// Used when the catalog collection is empty or unreadable; matches the seed written by
+// tools/migrations/migrations/004_requirements_to_catalog.js.
+export const DEFAULT_REQUIREMENT_CATALOG: RequirementCatalogItem[] = [
+    {
+        id: 'proof_of_enrollment',
+        title: 'Proof of Enrollment (COM)',
+        description: 'Certificate of Matriculation / proof of enrollment',
+        category: 'documents',
+        isRequired: true,
+        order: 1,
+        active: true,
+    },
+    {
+        id: 'parental_consent',
+        title: 'Notarized Parental Consent',
+        description: 'Notarized consent from parent or guardian',
+        category: 'forms',
+        isRequired: true,
+        order: 2,
+        active: true,
+    },
+    {
+        id: 'medical_certificate',
+        title: 'Medical Certificate',
+        description: 'Medical clearance from a licensed physician',
+        category: 'certifications',
+        isRequired: true,
+        order: 3,
+        active: true,
+    },
+    {
+        id: 'psychological_test',
+        title: 'Psychological Test Certification',
+        description: 'Psychological test certification (if required)',
+        category: 'certifications',
+        isRequired: true,
+        order: 4,
+        active: true,
+    },
+    {
+        id: 'proof_of_insurance',
+        title: 'Proof of Insurance',
+        description: 'Student insurance coverage proof/certificate',
+        category: 'certifications',
+        isRequired: true,
+        order: 5,
+        active: true,
+    },
+    {
+        id: 'memorandum_of_agreement',
+        title: 'Memorandum of Agreement',
+        description: 'MOA document provided by the school/administrator',
+        category: 'documents',
+        isRequired: true,
+        adminProvided: true,
+        templateKeywords: ['memorandum of agreement', 'moa'],
+        order: 6,
+        active: true,
+    },
+    {
+        id: 'curriculum_vitae',
+        title: 'Curriculum Vitae',
+        description: 'Updated resume / CV',
+        category: 'documents',
+        isRequired: true,
+        order: 7,
+        active: true,
+    },
+];
+
+// Ids used before the catalog existed; saved lists that were not migrated yet still carry them.
+export const LEGACY_REQUIREMENT_IDS: Record<string, string> = {
+    '1': 'proof_of_enrollment',
+    '2': 'parental_consent',
+    '3': 'medical_certificate',
+    '4': 'psychological_test',
+    '5': 'proof_of_insurance',
+    '7': 'memorandum_of_agreement',
+    '8': 'curriculum_vitae',
+};
+
+const toDate = (value: any): Date | null => {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+// Active catalog items in display order
+export const getRequirementCatalog = async (): Promise<RequirementCatalogItem[]> => {
+    try {
+        const snap = await getDocs(query(collection(firestore, 'requirementCatalog'), orderBy('order', 'asc')));
+        const items: RequirementCatalogItem[] = [];
+        snap.forEach((d: any) => {
+            const data = d.data();
+            if (data.active === false) return;
+            items.push({
+                ...data,
+                id: d.id,
+                isRequired: data.isRequired !== false,
+                dueDate: toDate(data.dueDate),
+                active: true,
+            } as RequirementCatalogItem);
+        });
+        return items.length ? items : DEFAULT_REQUIREMENT_CATALOG;
+    } catch (error) {
+        console.warn('Requirement catalog unavailable, using defaults:', error);
+        return DEFAULT_REQUIREMENT_CATALOG;
+    }
+};
+
+// Create or update a catalog item (admins). Retire items with active: false instead of
+// deleting them so existing submissions keep resolving.
+export const saveRequirementCatalogItem = async (item: RequirementCatalogItem): Promise<void> => {
+    try {
+        const { id, ...data } = item;
+        await setDoc(doc(firestore, `requirementCatalog/${id}`), {
+            ...data,
+            dueDate: data.dueDate || null,
+            updatedAt: serverTimestamp(),
+            updatedBy: auth.currentUser?.uid || null,
+        }, { merge: true });
+    } catch (error) {
+        console.error('Error saving requirement catalog item:', error);
+        throw new Error('Failed to save requirement');
+    }
+};
+
+// Requirement status from its files' reviews. A rejected or resubmission-requested file stops
+// counting once a newer file is uploaded for the same requirement.
+export const requirementStatusFromFiles = (
+    files: Array<{ uploadedAt?: string | null; review?: FileReview | null }>
+): RequirementApprovalStatus => {
+    if (!files.length) return 'not_submitted';
+    const uploadedMs = (f: { uploadedAt?: string | null }) => Date.parse(f.uploadedAt || '') || 0;
+    const latestMs = Math.max(...files.map(uploadedMs));
+    const statuses = files
+        .map((f) => ({ status: f.review?.status || 'pending', ms: uploadedMs(f) }))
+        .filter((f) => f.status === 'pending' || f.status === 'approved' || f.ms >= latestMs)
+        .map((f) => f.status);
+    if (statuses.includes('pending')) return 'pending_review';
+    if (statuses.includes('rejected')) return 'rejected';
+    if (statuses.includes('needs_resubmission')) return 'needs_resubmission';
+    return 'approved';
+};
+
+export type RequirementReviewQueueItem = {
+    fileId: string;
+    userId: string;
+    requirementId: string;
+    requirementTitle: string | null;
+    name: string;
+    url?: string;
+    path?: string;
+    contentType?: string;
+    uploadedAt: string;
+    processingStatus?: FileProcessingStatus;
+};
+
+// Uploaded files waiting for review, oldest first (for advisers/admins). Advisers must pass
+// their uid as adviserId: they can only read their assigned students' files.
+export const getRequirementReviewQueue = async (
+    pageSize: number = 25,
+    cursor: any | null = null,
+    adviserId?: string
+): Promise<{ items: RequirementReviewQueueItem[]; cursor: any | null }> => {
+    try {
+        const constraints: any[] = [where('reviewStatus', '==', 'pending'), orderBy('uploadedAt', 'asc')];
+        if (adviserId) constraints.unshift(where('adviserId', '==', adviserId));
+        if (cursor) constraints.push(startAfter(cursor));
+        constraints.push(limit(pageSize));
+        const snap = await getDocs(query(collection(firestore, 'admin_files'), ...constraints));
+        const docs = snap.docs || [];
+        return {
+            // Files rejected by the upload check never reach a reviewer
+            items: docs
+                .map((d: any) => ({ fileId: d.id, ...d.data() } as RequirementReviewQueueItem))
+                .filter((item: RequirementReviewQueueItem) => item.processingStatus !== 'rejected'),
+            cursor: docs.length === pageSize ? docs[docs.length - 1] : null,
+        };
+    } catch (error) {
+        console.error('Error fetching requirement review queue:', error);
+        throw new Error('Failed to fetch review queue');
+    }
+};
+
+export type RequirementReviewResult =
+    | { ok: true; requirementStatus: RequirementApprovalStatus }
+    | { ok: false; reason: string };
+
+// Record a decision on one uploaded file (admins, coordinators and the student's adviser).
+// The server updates the requirement's status and notifies the student.
+export async function reviewRequirementFile(
+    fileId: string,
+    decision: Exclude<FileReviewStatus, 'pending'>,
+    reason?: string,
+    notes?: string
+): Promise<RequirementReviewResult> {
+    const user = auth.currentUser;
+    if (!user) return { ok: false, reason: 'not_authenticated' };
+    if (!REVIEW_REQUIREMENT_FILE_FUNCTION_BASE_URL) return { ok: false, reason: 'missing_function_url' };
+
+    try {
+        const idToken = await user.getIdToken();
+        const resp = await fetch(REVIEW_REQUIREMENT_FILE_FUNCTION_BASE_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${idToken}`,
+            },
+            body: JSON.stringify({ fileId, decision, reason, notes }),
+        });
+
+        const json = await resp.json().catch(() => ({} as any));
+        if (!resp.ok) {
+            console.warn('reviewRequirementFile failed:', resp.status, json);
+            return { ok: false, reason: typeof json?.error === 'string' ? json.error : `http_${resp.status}` };
+        }
+        return { ok: true, requirementStatus: json.requirementStatus };
+    } catch (e) {
+        console.warn('reviewRequirementFile error:', e);
+        return { ok: false, reason: 'network_error' };
+    }
+}
@@ -1,6 +1,7 @@
 import { auth, firestore } from '../firebase/config';
 import { doc, getDoc } from 'firebase/firestore';
 import { Platform } from 'react-native';
+import { isStaffRole } from './advisers';
 
 // Security utility functions
 export class SecurityUtils {
@@ -31,6 +32,19 @@ export class SecurityUtils {
         }
     }
 
+    // Check if user is staff (adviser, coordinator or admin)
+    static async isStaff(): Promise<boolean> {
+        if (!auth.currentUser) return false;
+
+        try {
+            const userDoc = await getDoc(doc(firestore, 'users', auth.currentUser.uid));
+            return userDoc.exists() && isStaffRole(userDoc.data().role);
+        } catch (error) {
+            console.error('Error checking staff status:', error);
+            return false;
+        }
+    }
+
     // Sanitize user input
     static sanitizeInput(input: string): string {
         return input.trim().replace(/[<>]/g, '');
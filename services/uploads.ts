@@ -0,0 +1,48 @@
+import { firestore } from '../firebase/config';
+import { doc, getDoc } from 'firebase/firestore';
+
+// Files uploaded to requirements/ and helpDeskFiles/ are checked by the processUploadedFile
+// Cloud Function (real type, size, PDF page count, scripts/macros). It writes the outcome
+// to the owning admin_files / helpDeskFiles record; until then the record says 'processing'.
+// Rejected files are deleted or quarantined, so their download URL no longer works.
+
+export type FileProcessingStatus = 'processing' | 'accepted' | 'rejected';
+
+export type FileProcessing = {
+  status: FileProcessingStatus;
+  reason?: string | null;
+  // Human-readable reason, safe to show to the uploader
+  message?: string | null;
+  quarantined?: boolean;
+  detectedType?: string | null;
+  size?: number;
+  pageCount?: number | null;
+  previewUrl?: string | null;
+  processedAt?: string;
+};
+
+export type FileProcessingState = {
+  processingStatus: FileProcessingStatus;
+  processing?: FileProcessing;
+};
+
+// Processing state of the given records, keyed by document id. Records written before
+// uploads were checked have no processingStatus and are left out.
+export const getUploadProcessing = async (
+  collectionName: 'admin_files' | 'helpDeskFiles',
+  ids: string[]
+): Promise<Record<string, FileProcessingState>> => {
+  const out: Record<string, FileProcessingState> = {};
+  await Promise.all(Array.from(new Set(ids)).map(async (id) => {
+    try {
+      const snap = await getDoc(doc(firestore, collectionName, id));
+      const data: any = snap.exists() ? snap.data() : null;
+      if (data?.processingStatus) {
+        out[id] = { processingStatus: data.processingStatus, processing: data.processing || undefined };
+      }
+    } catch (e) {
+      // Unreadable records keep their last known state
+    }
+  }));
+  return out;
+};
@@ -1,4 +1,4 @@
-import { firestore } from '../firebase/config';
+import { auth, firestore } from '../firebase/config';
 import {
     collection,
     doc,
@@ -10,8 +10,14 @@ import {
     query,
     where,
     orderBy,
-    onSnapshot
+    onSnapshot,
+    serverTimestamp,
+    collectionGroup,
+    limit,
+    startAfter,
+    Timestamp
 } from 'firebase/firestore';
+import type { WeeklyReportEntry } from './pdfGenerator';
 
 export type WeeklyReport = {
     id?: string;
@@ -24,14 +30,95 @@ export type WeeklyReport = {
     nextWeekGoals: string;
     attachments: string[];
     submittedAt: Date;
-    status: 'draft' | 'submitted' | 'approved' | 'rejected';
-    feedback?: string;
+    status: WeeklyReportStatus;
+    // Latest reviewer note; the full thread lives in the comments subcollection.
+    feedback?: string | null;
     userId: string;
     company?: string;
+    // Reports submitted from WeeklyReportScreen use the daily-entry format instead.
+    traineeName?: string;
+    companyName?: string;
+    monthCovered?: string;
+    entries?: WeeklyReportEntry[];
+    totalHours?: number;
+    importedLogIds?: string[];
+    // Set by the server on every submission (see functions/index.js weeklyReportWorkflow).
+    version?: number;
+    reviewedBy?: string | null;
+    reviewedAt?: Date | null;
+    // Stamped from the student's profile on submission, for coordinator filtering.
+    program?: string | null;
+    adviserId?: string | null;
+    hiredCompanyId?: string | null;
+};
+
+export type WeeklyReportStatus = 'draft' | 'submitted' | 'revision_requested' | 'approved' | 'rejected';
+
+export const REPORT_STATUS_LABELS: Record<WeeklyReportStatus, string> = {
+    draft: 'Draft',
+    submitted: 'Submitted',
+    revision_requested: 'Revision requested',
+    approved: 'Approved',
+    rejected: 'Rejected',
+};
+
+// Sections reviewers can comment on. 'entries' covers the daily log table; 'general' the whole report.
+export type ReportSection = 'tasks' | 'learnings' | 'outcomes' | 'challenges' | 'nextWeekGoals' | 'entries' | 'general';
+
+export const REPORT_SECTION_LABELS: Record<ReportSection, string> = {
+    general: 'General',
+    tasks: 'Tasks',
+    learnings: 'Learnings',
+    outcomes: 'Outcomes',
+    challenges: 'Challenges',
+    nextWeekGoals: 'Next week goals',
+    entries: 'Daily entries',
+};
+
+export type ReportComment = {
+    id: string;
+    section: ReportSection;
+    text: string;
+    authorId: string;
+    authorRole: 'student' | 'reviewer';
+    // Replies point at the top-level comment they answer.
+    parentId: string | null;
+    version: number;
+    createdAt: any;
+};
+
+// Immutable snapshot of a submitted report, written by the server.
+export type ReportVersion = {
+    version: number;
+    status: WeeklyReportStatus;
+    content: Record<string, any>;
+    createdAt: any;
 };
 
 export type WeeklyReportFormData = Omit<WeeklyReport, 'id' | 'submittedAt' | 'status' | 'userId' | 'feedback'>;
 
+// Firestore returns Timestamps for Date fields; older reports may hold strings or only `timestamp`.
+const toDate = (value: any): Date | null => {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+const fromReportDoc = (reportDoc: any): WeeklyReport => {
+    const data = reportDoc.data();
+    return {
+        ...data,
+        id: reportDoc.id,
+        // Reports live at users/{userId}/weeklyReports; older ones did not store userId.
+        userId: data.userId || reportDoc.ref?.parent?.parent?.id || '',
+        status: data.status || 'submitted',
+        submittedAt: toDate(data.submittedAt) || toDate(data.timestamp) || new Date(0),
+        reviewedAt: toDate(data.reviewedAt),
+    } as WeeklyReport;
+};
+
 // Create a new weekly report
 export const createWeeklyReport = async (userId: string, reportData: WeeklyReportFormData): Promise<string> => {
     try {
@@ -58,7 +145,7 @@ export const getUserWeeklyReports = async (userId: string): Promise<WeeklyReport
 
         const reports: WeeklyReport[] = [];
         querySnapshot.forEach((doc: any) => {
-            reports.push({ id: doc.id, ...doc.data() } as WeeklyReport);
+            reports.push(fromReportDoc(doc));
         });
 
         return reports;
@@ -75,7 +162,7 @@ export const getWeeklyReport = async (userId: string, reportId: string): Promise
         const reportSnap = await getDoc(reportRef);
 
         if (reportSnap.exists()) {
-            return { id: reportSnap.id, ...reportSnap.data() } as WeeklyReport;
+            return fromReportDoc(reportSnap);
         }
         return null;
     } catch (error) {
@@ -123,7 +210,7 @@ export const getReportsByStatus = async (userId: string, status: WeeklyReport['s
 
         const reports: WeeklyReport[] = [];
         querySnapshot.forEach((doc: any) => {
-            reports.push({ id: doc.id, ...doc.data() } as WeeklyReport);
+            reports.push(fromReportDoc(doc));
         });
 
         return reports;
@@ -151,7 +238,7 @@ export const getReportsByDateRange = async (
 
         const reports: WeeklyReport[] = [];
         querySnapshot.forEach((doc: any) => {
-            reports.push({ id: doc.id, ...doc.data() } as WeeklyReport);
+            reports.push(fromReportDoc(doc));
         });
 
         return reports;
@@ -172,13 +259,15 @@ export const subscribeToWeeklyReports = (
     return onSnapshot(reportsQuery, (querySnapshot) => {
         const reports: WeeklyReport[] = [];
         querySnapshot.forEach((doc: any) => {
-            reports.push({ id: doc.id, ...doc.data() } as WeeklyReport);
+            reports.push(fromReportDoc(doc));
         });
         callback(reports);
     });
 };
 
-// Update report status (for coordinators/admins)
+// Update report status (for coordinators/admins). Feedback is kept as a 'general' comment
+// on the current version rather than overwriting the previous one; the student is notified
+// of the transition by the server.
 export const updateReportStatus = async (
     userId: string,
     reportId: string,
@@ -187,38 +276,226 @@ export const updateReportStatus = async (
 ): Promise<void> => {
     try {
         const reportRef = doc(firestore, `users/${userId}/weeklyReports/${reportId}`);
-        const updates: Partial<WeeklyReport> = { status };
+        await updateDoc(reportRef, {
+            status,
+            // Cleared when absent so an old note is not repeated on the next transition.
+            feedback: feedback || null,
+            reviewedBy: auth.currentUser?.uid || null,
+            reviewedAt: serverTimestamp(),
+        });
         if (feedback) {
-            updates.feedback = feedback;
+            await addReportComment(userId, reportId, { section: 'general', text: feedback });
         }
-        await updateDoc(reportRef, updates);
     } catch (error) {
         console.error('Error updating report status:', error);
         throw new Error('Failed to update report status');
     }
 };
 
-// Get all reports for coordinators (across all users)
-export const getAllReportsForCoordinators = async (): Promise<WeeklyReport[]> => {
+// Resubmit a report after a revision request or rejection. The server snapshots the new
+// content as the next version.
+export const resubmitWeeklyReport = async (
+    userId: string,
+    reportId: string,
+    updates: Record<string, any>
+): Promise<void> => {
     try {
-        const usersCol = collection(firestore, 'users');
-        const usersSnapshot = await getDocs(usersCol);
+        const reportRef = doc(firestore, `users/${userId}/weeklyReports/${reportId}`);
+        await updateDoc(reportRef, {
+            ...updates,
+            status: 'submitted',
+            submittedAt: new Date(),
+        });
+    } catch (error) {
+        console.error('Error resubmitting weekly report:', error);
+        throw new Error('Failed to resubmit weekly report');
+    }
+};
 
-        const allReports: WeeklyReport[] = [];
+// Add a reviewer comment, or a reply to one (student or reviewer)
+export const addReportComment = async (
+    userId: string,
+    reportId: string,
+    comment: { section: ReportSection; text: string; parentId?: string | null }
+): Promise<string> => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) throw new Error('Not authenticated');
+    try {
+        const reportSnap = await getDoc(doc(firestore, `users/${userId}/weeklyReports/${reportId}`));
+        const version = reportSnap.exists() ? Number(reportSnap.data().version) || 1 : 1;
+        const docRef = await addDoc(collection(firestore, `users/${userId}/weeklyReports/${reportId}/comments`), {
+            section: comment.section,
+            text: comment.text.trim(),
+            parentId: comment.parentId || null,
+            authorId: uid,
+            authorRole: uid === userId ? 'student' : 'reviewer',
+            version,
+            createdAt: serverTimestamp(),
+        });
+        return docRef.id;
+    } catch (error) {
+        console.error('Error adding report comment:', error);
+        throw new Error('Failed to add comment');
+    }
+};
 
-        for (const userDoc of usersSnapshot.docs) {
-            const reportsCol = collection(firestore, `users/${userDoc.id}/weeklyReports`);
-            const reportsQuery = query(reportsCol, orderBy('submittedAt', 'desc'));
-            const reportsSnapshot = await getDocs(reportsQuery);
+// Listen to a report's comment thread, oldest first
+export const subscribeToReportComments = (
+    userId: string,
+    reportId: string,
+    callback: (comments: ReportComment[]) => void
+) => {
+    const commentsCol = collection(firestore, `users/${userId}/weeklyReports/${reportId}/comments`);
+    return onSnapshot(query(commentsCol, orderBy('createdAt', 'asc')), (querySnapshot: any) => {
+        const comments: ReportComment[] = [];
+        querySnapshot.forEach((d: any) => {
+            comments.push({ id: d.id, ...d.data() } as ReportComment);
+        });
+        callback(comments);
+    });
+};
+
+// Get every submitted version of a report, oldest first
+export const getReportVersions = async (userId: string, reportId: string): Promise<ReportVersion[]> => {
+    try {
+        const versionsCol = collection(firestore, `users/${userId}/weeklyReports/${reportId}/versions`);
+        const snap = await getDocs(query(versionsCol, orderBy('version', 'asc')));
+        const versions: ReportVersion[] = [];
+        snap.forEach((d: any) => versions.push(d.data() as ReportVersion));
+        return versions;
+    } catch (error) {
+        console.error('Error fetching report versions:', error);
+        throw new Error('Failed to fetch report versions');
+    }
+};
+
+export type DiffLine = { type: 'same' | 'added' | 'removed'; text: string };
+export type ReportFieldDiff = { field: string; label: string; lines: DiffLine[] };
+
+const DIFF_FIELD_LABELS: Record<string, string> = {
+    traineeName: 'Trainee name',
+    departmentAssigned: 'Department',
+    companyName: 'Company',
+    monthCovered: 'Month covered',
+    supervisorName: 'Supervisor',
+    weekStartDate: 'Week start',
+    weekEndDate: 'Week end',
+    tasks: 'Tasks',
+    learnings: 'Learnings',
+    outcomes: 'Outcomes',
+    challenges: 'Challenges',
+    nextWeekGoals: 'Next week goals',
+    entries: 'Daily entries',
+};
+
+const contentLines = (field: string, value: any): string[] => {
+    if (value == null || value === '') return [];
+    if (field === 'entries' && Array.isArray(value)) {
+        return value.map((e: any) =>
+            `${e.date} ${e.timeIn}–${e.timeOut} (${e.hours}h): ${e.taskCompleted}${e.remarks ? ` — ${e.remarks}` : ''}`
+        );
+    }
+    return String(value).split('\n');
+};
 
-            reportsSnapshot.forEach((reportDoc: any) => {
-                allReports.push({ id: reportDoc.id, ...reportDoc.data() } as WeeklyReport);
-            });
+// Line diff via longest common subsequence; report fields are short enough for O(n*m).
+const diffLines = (before: string[], after: string[]): DiffLine[] => {
+    const n = before.length;
+    const m = after.length;
+    const lcs: number[][] = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
         }
+    }
+    const out: DiffLine[] = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (before[i] === after[j]) {
+            out.push({ type: 'same', text: before[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            out.push({ type: 'removed', text: before[i++] });
+        } else {
+            out.push({ type: 'added', text: after[j++] });
+        }
+    }
+    while (i < n) out.push({ type: 'removed', text: before[i++] });
+    while (j < m) out.push({ type: 'added', text: after[j++] });
+    return out;
+};
 
-        return allReports.sort((a, b) => b.submittedAt.getTime() - a.submittedAt.getTime());
+// Changed fields between two versions' content; unchanged fields are left out.
+export const diffReportVersions = (before: Record<string, any>, after: Record<string, any>): ReportFieldDiff[] => {
+    const diffs: ReportFieldDiff[] = [];
+    for (const field of Object.keys(DIFF_FIELD_LABELS)) {
+        const lines = diffLines(contentLines(field, before?.[field]), contentLines(field, after?.[field]));
+        if (lines.some((l) => l.type !== 'same')) {
+            diffs.push({ field, label: DIFF_FIELD_LABELS[field], lines });
+        }
+    }
+    return diffs;
+};
+
+export type CoordinatorReportFilters = {
+    status?: WeeklyReportStatus;
+    // Inclusive bounds on submittedAt
+    from?: Date;
+    to?: Date;
+    adviserId?: string;
+    program?: string;
+    hiredCompanyId?: string;
+};
+
+export type CoordinatorReportPage = {
+    reports: WeeklyReport[];
+    // Pass back to fetch the next page; null when there are no more reports.
+    cursor: any | null;
+};
+
+// Page through weekly reports across all students, newest first (for coordinators/admins).
+// Advisers must filter by their own adviserId. Uses one collection-group query; see firebase/firestore.indexes.json for the indexes each
+// filter needs. Equality filters can be combined, Firestore merges their indexes.
+export const getReportsForCoordinators = async (
+    filters: CoordinatorReportFilters = {},
+    pageSize: number = 25,
+    cursor: any | null = null
+): Promise<CoordinatorReportPage> => {
+    try {
+        const constraints: any[] = [];
+        if (filters.status) constraints.push(where('status', '==', filters.status));
+        if (filters.adviserId) constraints.push(where('adviserId', '==', filters.adviserId));
+        if (filters.program) constraints.push(where('program', '==', filters.program));
+        if (filters.hiredCompanyId) constraints.push(where('hiredCompanyId', '==', filters.hiredCompanyId));
+        if (filters.from) constraints.push(where('submittedAt', '>=', Timestamp.fromDate(filters.from)));
+        if (filters.to) constraints.push(where('submittedAt', '<=', Timestamp.fromDate(filters.to)));
+        constraints.push(orderBy('submittedAt', 'desc'));
+        if (cursor) constraints.push(startAfter(cursor));
+        constraints.push(limit(pageSize));
+
+        const snap = await getDocs(query(collectionGroup(firestore, 'weeklyReports'), ...constraints));
+        const docs = snap.docs || [];
+        return {
+            reports: docs.map(fromReportDoc),
+            cursor: docs.length === pageSize ? docs[docs.length - 1] : null,
+        };
     } catch (error) {
-        console.error('Error fetching all reports for coordinators:', error);
-        throw new Error('Failed to fetch all reports');
+        console.error('Error fetching reports for coordinators:', error);
+        throw new Error('Failed to fetch reports');
     }
-}; 
\ No newline at end of file
+};
+
+// Get all reports for coordinators (across all users). Prefer getReportsForCoordinators
+// with a filter; this reads every page.
+export const getAllReportsForCoordinators = async (filters: CoordinatorReportFilters = {}): Promise<WeeklyReport[]> => {
+    const allReports: WeeklyReport[] = [];
+    let cursor: any | null = null;
+    do {
+        const page = await getReportsForCoordinators(filters, 200, cursor);
+        allReports.push(...page.reports);
+        cursor = page.cursor;
+    } while (cursor);
+    return allReports;
+};
@@ -0,0 +1,98 @@
+/*
+ * expo_push_stub.js
+ * Local stand-in for the Expo push API so push sending and receipt processing can be exercised
+ * with the Functions emulator without touching real devices.
+ *
+ * Usage:
+ *  - node tools/emulators/expo_push_stub.js [--port 4100]
+ *  - start the emulator with EXPO_BASE_URL=http://localhost:4100 (read by expo-server-sdk)
+ *
+ * Behaviour:
+ *  - POST /--/api/v2/push/send returns one ok ticket per message. Tokens containing "invalid"
+ *    get a send-time DeviceNotRegistered error ticket.
+ *  - POST /--/api/v2/push/getReceipts returns receipts for known ticket ids. Tokens containing
+ *    "dead" get a DeviceNotRegistered receipt, "toobig" a MessageTooBig receipt, others ok.
+ *  - GET /sent lists every message received, for assertions.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const argv = require('minimist')(process.argv.slice(2));
+
+const port = Number(argv.port || 4100);
+const ticketTokens = new Map();
+const sent = [];
+
+// The SDK gzips request bodies over 1 KiB.
+const readJson = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', (c) => { chunks.push(c); });
+  req.on('end', () => {
+    try {
+      let buf = Buffer.concat(chunks);
+      if (req.headers['content-encoding'] === 'gzip') buf = zlib.gunzipSync(buf);
+      const raw = buf.toString('utf8');
+      resolve(raw ? JSON.parse(raw) : null);
+    } catch (e) {
+      reject(e);
+    }
+  });
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const receiptFor = (token) => {
+  if (token.includes('dead')) {
+    return { status: 'error', message: `"${token}" is not a registered push notification recipient`, details: { error: 'DeviceNotRegistered' } };
+  }
+  if (token.includes('toobig')) {
+    return { status: 'error', message: 'Message too big', details: { error: 'MessageTooBig' } };
+  }
+  return { status: 'ok' };
+};
+
+const server = http.createServer(async (req, res) => {
+  try {
+    if (req.method === 'POST' && req.url === '/--/api/v2/push/send') {
+      const body = await readJson(req);
+      const messages = Array.isArray(body) ? body : [body];
+      const data = messages.map((m) => {
+        sent.push(m);
+        if (String(m.to).includes('invalid')) {
+          return { status: 'error', message: 'DeviceNotRegistered', details: { error: 'DeviceNotRegistered', expoPushToken: m.to } };
+        }
+        const id = crypto.randomUUID();
+        ticketTokens.set(id, String(m.to));
+        return { status: 'ok', id };
+      });
+      return sendJson(res, 200, { data });
+    }
+
+    if (req.method === 'POST' && req.url === '/--/api/v2/push/getReceipts') {
+      const body = await readJson(req);
+      const data = {};
+      for (const id of (body && body.ids) || []) {
+        if (ticketTokens.has(id)) data[id] = receiptFor(ticketTokens.get(id));
+      }
+      return sendJson(res, 200, { data });
+    }
+
+    if (req.method === 'GET' && req.url === '/sent') {
+      return sendJson(res, 200, { sent });
+    }
+
+    return sendJson(res, 404, { errors: [{ code: 'NOT_FOUND', message: `${req.method} ${req.url}` }] });
+  } catch (e) {
+    console.error('expo push stub error:', e);
+    return sendJson(res, 500, { errors: [{ code: 'INTERNAL', message: String(e) }] });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Expo push stub listening on http://localhost:${port} (set EXPO_BASE_URL to this)`);
+});
@@ -0,0 +1,31 @@
+// Creates one sample OJT log for a user (--user <UID>) or for every user (--all).
+// Ported from the old create_ojt_logs_for_users.js; rollback deletes the created logs.
+
+const { FieldPath } = require('firebase-admin/firestore');
+
+const sampleLog = (ctx, userId) => {
+  const now = new Date();
+  return {
+    date: now.toISOString().split('T')[0].replace(/-/g, '/'), // YYYY/MM/DD
+    clockIn: '09:00 AM',
+    clockOut: '12:00 PM',
+    hours: '3',
+    createdAt: ctx.FieldValue.serverTimestamp(),
+    createdBy: 'migration-script',
+    userId,
+  };
+};
+
+module.exports = {
+  description: 'Create a sample OJT log for one user (--user) or all users (--all)',
+  skip: (args) => (args.user || args.all ? null : 'pass --user <UID> or --all'),
+  source: (db, args) => (args.user
+    ? db.collection('users').where(FieldPath.documentId(), '==', String(args.user))
+    : db.collection('users')),
+  up: async (snap, ctx) => {
+    const logRef = ctx.db.collection(`users/${snap.id}/ojtLogs`).doc();
+    await ctx.create(logRef, sampleLog(ctx, snap.id));
+    console.log(`  -> sample log ${logRef.id} for ${snap.id}`);
+    return true;
+  },
+};
@@ -0,0 +1,52 @@
+// Moves help desk templates stored inline in Firestore (fileData data URL or contentBase64)
+// into Storage under helpDeskFiles/<uploadedBy>/<docId>_<fileName>, then points the document
+// at the object. Ported from the old migrate_helpdesk_files_to_storage.js.
+
+// Returns { buffer, contentType } for the inline content, or null.
+const inlineContent = (data) => {
+  let contentType = data.fileType || data.contentType || 'application/octet-stream';
+  if (data.fileData) {
+    // data URL like data:<type>;base64,<base64>
+    const match = String(data.fileData).match(/^data:([^;]+);base64,(.*)$/s);
+    if (!match) return null;
+    contentType = match[1] || contentType;
+    return { buffer: Buffer.from(match[2], 'base64'), contentType };
+  }
+  if (data.contentBase64) return { buffer: Buffer.from(String(data.contentBase64), 'base64'), contentType };
+  return null;
+};
+
+module.exports = {
+  description: 'Move inline help desk templates (fileData / contentBase64) to Cloud Storage',
+  collection: 'helpDeskFiles',
+  inlineContent,
+  up: async (snap, ctx) => {
+    const data = snap.data() || {};
+    // Skip documents that already point to storage
+    if (data.path || data.url) return false;
+
+    const content = inlineContent(data);
+    if (!content) {
+      if (data.fileData) console.warn(`  fileData for ${snap.id} doesn't look like a data URL; skipping`);
+      return false;
+    }
+
+    const fileName = String(data.fileName || data.name || `migrated_${snap.id}`).replace(/[^a-z0-9_.-]/gi, '_');
+    const remotePath = `helpDeskFiles/${data.uploadedBy || 'migrated'}/${snap.id}_${fileName}`;
+    const url = await ctx.uploadFile(remotePath, content.buffer, content.contentType);
+
+    await ctx.update(snap.ref, {
+      path: remotePath,
+      url,
+      storedInFirestore: false,
+      fileType: content.contentType,
+      fileSize: content.buffer.length,
+      fileData: ctx.FieldValue.delete(),
+      contentBase64: ctx.FieldValue.delete(),
+      // processUploadedFile checks the new object and updates this
+      processingStatus: 'processing',
+    });
+    console.log(`  migrated ${snap.id} -> ${remotePath}`);
+    return true;
+  },
+};
@@ -0,0 +1,59 @@
+// Moves requirement uploads stored inline on admin_files (contentBase64) into Storage under
+// requirements/<userId>/<requirementId>/<docId>_<name>, the same place the app uploads to.
+// Runs per user so the matching entries in users/{uid}.requirements (which carry a copy of
+// the file as a data URL) are rewritten in the same commit.
+
+module.exports = {
+  description: 'Move inline requirement uploads (admin_files.contentBase64) to Cloud Storage',
+  collection: 'users',
+  up: async (userSnap, ctx) => {
+    const filesSnap = await ctx.db.collection('admin_files')
+      .where('userId', '==', userSnap.id)
+      .where('storedInFirestore', '==', true)
+      .get();
+    if (filesSnap.empty) return false;
+
+    const moved = {};
+    for (const fileSnap of filesSnap.docs) {
+      const data = fileSnap.data() || {};
+      if (!data.contentBase64) continue;
+      ctx.remember(fileSnap);
+
+      const name = String(data.name || `migrated_${fileSnap.id}`).replace(/[^a-z0-9_.-]/gi, '_');
+      const remotePath = `requirements/${userSnap.id}/${data.requirementId || 'unknown'}/${fileSnap.id}_${name}`;
+      const contentType = data.contentType || 'application/octet-stream';
+      const url = await ctx.uploadFile(remotePath, Buffer.from(String(data.contentBase64), 'base64'), contentType);
+
+      await ctx.update(fileSnap.ref, {
+        path: remotePath,
+        url,
+        storedInFirestore: false,
+        contentBase64: ctx.FieldValue.delete(),
+        // processUploadedFile checks the new object and updates this
+        processingStatus: 'processing',
+        processing: ctx.FieldValue.delete(),
+      });
+      moved[fileSnap.id] = { url, path: remotePath, contentType };
+      console.log(`  migrated admin_files/${fileSnap.id} -> ${remotePath}`);
+    }
+    if (!Object.keys(moved).length) return false;
+
+    const requirements = Array.isArray(userSnap.data().requirements) ? userSnap.data().requirements : [];
+    let touched = false;
+    const updated = requirements.map((r) => {
+      if (!r || !Array.isArray(r.uploadedFiles)) return r;
+      return {
+        ...r,
+        uploadedFiles: r.uploadedFiles.map((f) => {
+          const target = f && f.adminDocId ? moved[f.adminDocId] : null;
+          if (!target) return f;
+          touched = true;
+          const { downloadUrl, ...rest } = f;
+          return { ...rest, ...target, storedInFirestore: false, processingStatus: 'processing' };
+        }),
+      };
+    });
+    if (touched) await ctx.update(userSnap.ref, { requirements: updated });
+    return true;
+  },
+};
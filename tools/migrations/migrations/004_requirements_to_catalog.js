@@ -0,0 +1,184 @@
+// Re-keys requirements by the stable ids in requirementCatalog/{requirementId}:
+// - seeds requirementCatalog with the default requirements (existing catalog docs are left alone),
+// - re-keys each user's `requirements` list by catalog id (legacy numeric id, then exact title or
+//   alias, then the word matching the app used before); entries that match nothing are kept in
+//   `requirementsUnmatched` for an admin to sort out,
+// - copies requirement_approvals/{uid} to requirement_approvals_legacy/{uid} and rewrites it keyed by
+//   requirement id, with a per-file review for every uploaded file seeded from the old status,
+// - sets requirementId and reviewStatus on the matching admin_files documents.
+// Ported from the old migrate_requirements_to_catalog.js.
+
+// Keep in sync with DEFAULT_REQUIREMENT_CATALOG in services/requirements.ts
+const CATALOG = [
+  { id: 'proof_of_enrollment', legacyId: '1', title: 'Proof of Enrollment (COM)', description: 'Certificate of Matriculation / proof of enrollment', category: 'documents', aliases: ['Academic Records', 'COM'] },
+  { id: 'parental_consent', legacyId: '2', title: 'Notarized Parental Consent', description: 'Notarized consent from parent or guardian', category: 'forms', aliases: ['Parent/Guardian Consent Form'] },
+  { id: 'medical_certificate', legacyId: '3', title: 'Medical Certificate', description: 'Medical clearance from a licensed physician', category: 'certifications', aliases: [] },
+  { id: 'psychological_test', legacyId: '4', title: 'Psychological Test Certification', description: 'Psychological test certification (if required)', category: 'certifications', aliases: [] },
+  { id: 'proof_of_insurance', legacyId: '5', title: 'Proof of Insurance', description: 'Student insurance coverage proof/certificate', category: 'certifications', aliases: ['Insurance Certificate'] },
+  { id: 'memorandum_of_agreement', legacyId: '7', title: 'Memorandum of Agreement', description: 'MOA document provided by the school/administrator', category: 'documents', aliases: ['MOA (Memorandum of Agreement)', 'MOA'], adminProvided: true, templateKeywords: ['memorandum of agreement', 'moa'] },
+  { id: 'curriculum_vitae', legacyId: '8', title: 'Curriculum Vitae', description: 'Updated resume / CV', category: 'documents', aliases: ['Resume/CV'] },
+];
+
+const COMMON_WORDS = ['proof', 'of', 'certificate', 'certification', 'form', 'document'];
+
+const normalizeKey = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/\([^)]*\)/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const uniqueWords = (key) => key.split(' ').filter((w) => w.length > 3 && !COMMON_WORDS.includes(w));
+
+// Catalog item for a saved requirement title or approval key, or null.
+function matchCatalogItem(title) {
+  const key = normalizeKey(title);
+  const raw = String(title || '').toLowerCase().trim();
+  if (!key && !raw) return null;
+
+  // Exact title or known alias (aliases are compared raw too, since "(COM)" normalizes away)
+  for (const item of CATALOG) {
+    const names = [item.title, ...item.aliases];
+    if (names.some((n) => normalizeKey(n) === key || n.toLowerCase() === raw)) return item;
+  }
+
+  // At least two significant words in common, never pairing enrollment (COM) with insurance
+  for (const item of CATALOG) {
+    const itemKey = normalizeKey(item.title);
+    const hasCom = key.includes('com') || itemKey.includes('com');
+    const hasInsurance = key.includes('insurance') || itemKey.includes('insurance');
+    if (hasCom && hasInsurance) continue;
+    const common = uniqueWords(key).filter((w) => uniqueWords(itemKey).includes(w));
+    if (common.length >= 2) return item;
+  }
+  return null;
+}
+
+function catalogItemForRequirement(r) {
+  const id = String((r && r.id) || '');
+  return CATALOG.find((item) => item.id === id || item.legacyId === id) || matchCatalogItem(r && r.title);
+}
+
+function fileReviewStatus(status) {
+  const value = String(status || '').toLowerCase();
+  if (value === 'accepted' || value === 'approved') return 'approved';
+  if (value === 'denied' || value === 'rejected') return 'rejected';
+  if (value === 'needs_resubmission') return 'needs_resubmission';
+  return 'pending';
+}
+
+module.exports = {
+  description: 'Key requirements, approvals and admin_files by requirement catalog id',
+  collection: 'users',
+  before: async (ctx) => {
+    for (const [index, item] of CATALOG.entries()) {
+      const ref = ctx.db.collection('requirementCatalog').doc(item.id);
+      const snap = await ref.get();
+      if (snap.exists) continue;
+      await ctx.set(ref, {
+        title: item.title,
+        description: item.description,
+        category: item.category,
+        isRequired: true,
+        adminProvided: Boolean(item.adminProvided),
+        templateKeywords: item.templateKeywords || [],
+        legacyTitles: item.aliases,
+        dueDate: null,
+        order: index + 1,
+        active: true,
+        updatedAt: ctx.FieldValue.serverTimestamp(),
+        updatedBy: 'migration-script',
+      });
+    }
+  },
+  up: async (userSnap, ctx) => {
+    const uid = userSnap.id;
+    const data = userSnap.data() || {};
+    if (!Array.isArray(data.requirements)) return false;
+    const saved = data.requirements;
+
+    const byId = new Map();
+    const unmatched = [];
+    for (const r of saved) {
+      const item = catalogItemForRequirement(r);
+      if (!item || byId.has(item.id)) {
+        unmatched.push(r);
+        continue;
+      }
+      byId.set(item.id, { ...r, id: item.id, title: item.title });
+    }
+    const requirements = CATALOG.filter((item) => byId.has(item.id)).map((item) => byId.get(item.id));
+
+    // Approvals were keyed by (some version of) the requirement title
+    const approvalsRef = ctx.db.collection('requirement_approvals').doc(uid);
+    const approvalsSnap = await approvalsRef.get();
+    ctx.remember(approvalsSnap);
+    const legacyApprovals = approvalsSnap.exists ? approvalsSnap.data() || {} : {};
+    const approvals = {};
+    for (const [key, value] of Object.entries(legacyApprovals)) {
+      if (!value || typeof value !== 'object') continue;
+      const item = CATALOG.find((c) => c.id === key) || matchCatalogItem(key);
+      if (!item) {
+        console.warn(`  ${uid}: approval "${key}" matches no requirement; left in requirement_approvals_legacy`);
+        continue;
+      }
+      if (approvals[item.id]) continue;
+      if (value.files) {
+        approvals[item.id] = value;
+        continue;
+      }
+
+      const requirement = byId.get(item.id);
+      const files = {};
+      const review = {
+        status: fileReviewStatus(value.status),
+        reason: value.reason || null,
+        reviewedBy: value.reviewedBy || null,
+        reviewedAt: value.reviewedAt || null,
+      };
+      for (const f of (requirement && requirement.uploadedFiles) || []) {
+        if (f && typeof f === 'object' && !f.providedByAdmin && f.adminDocId) files[f.adminDocId] = review;
+      }
+      approvals[item.id] = {
+        status: review.status === 'pending' ? 'pending_review' : review.status,
+        reason: value.reason || null,
+        notes: value.notes || null,
+        reviewedBy: value.reviewedBy || null,
+        reviewedAt: value.reviewedAt || null,
+        files,
+      };
+    }
+
+    // Attach the reviews to the saved files too, as reviewRequirementFile does
+    for (const r of requirements) {
+      const approval = approvals[r.id];
+      if (!approval) continue;
+      r.approvalStatus = approval.status;
+      r.uploadedFiles = (r.uploadedFiles || []).map((f) => (
+        f && f.adminDocId && approval.files[f.adminDocId] ? { ...f, review: approval.files[f.adminDocId] } : f
+      ));
+    }
+
+    console.log(`  ${uid}: ${requirements.length} requirement(s), ${unmatched.length} unmatched, ${Object.keys(approvals).length} approval(s)`);
+
+    await ctx.set(userSnap.ref, {
+      requirements,
+      ...(unmatched.length ? { requirementsUnmatched: unmatched } : {}),
+    }, { merge: true });
+    if (approvalsSnap.exists) {
+      await ctx.set(ctx.db.collection('requirement_approvals_legacy').doc(uid), legacyApprovals);
+      await ctx.set(approvalsRef, approvals);
+    }
+    for (const r of requirements) {
+      for (const f of r.uploadedFiles || []) {
+        if (!f || typeof f !== 'object' || f.providedByAdmin || !f.adminDocId) continue;
+        const review = (approvals[r.id] && approvals[r.id].files[f.adminDocId]) || null;
+        await ctx.set(ctx.db.collection('admin_files').doc(f.adminDocId), {
+          requirementId: r.id,
+          requirementTitle: r.title,
+          reviewStatus: review ? review.status : 'pending',
+        }, { merge: true });
+      }
+    }
+    return true;
+  },
+};
@@ -0,0 +1,29 @@
+// Copies each student's adviserId onto their admin_files and weekly reports. Advisers list
+// those with where('adviserId', '==', uid) queries, which the rules only allow when the
+// records carry it. New uploads and reassignments are kept in step by the Cloud Functions
+// (stampAdviserOnAdminFileCreated / assignAdviser); this covers records written before.
+
+const STAFF_ROLES = ['adviser', 'coordinator', 'admin', 'super_admin'];
+
+module.exports = {
+  description: 'Stamp the assigned adviserId on existing admin_files and weekly reports',
+  collection: 'users',
+  up: async (userSnap, ctx) => {
+    const user = userSnap.data() || {};
+    if (STAFF_ROLES.includes(user.role)) return false;
+    const adviserId = typeof user.adviserId === 'string' && user.adviserId.trim() ? user.adviserId.trim() : null;
+
+    const [filesSnap, reportsSnap] = await Promise.all([
+      ctx.db.collection('admin_files').where('userId', '==', userSnap.id).get(),
+      userSnap.ref.collection('weeklyReports').get(),
+    ]);
+    let changed = false;
+    for (const snap of [...filesSnap.docs, ...reportsSnap.docs]) {
+      if ((snap.data().adviserId || null) === adviserId) continue;
+      ctx.remember(snap);
+      await ctx.update(snap.ref, { adviserId });
+      changed = true;
+    }
+    return changed;
+  },
+};
@@ -0,0 +1,19 @@
+// Security rules now check the `role` custom claim. The syncRoleClaims Cloud Function sets it
+// whenever a user doc is written; this touches every user doc whose claim has not been synced
+// yet (resetting roleClaim) so the function runs for accounts that have not changed since.
+// Deploy the functions before running it.
+
+const USER_ROLES = ['student', 'adviser', 'coordinator', 'admin', 'super_admin'];
+
+module.exports = {
+  description: 'Have syncRoleClaims set the role custom claim for every existing user',
+  collection: 'users',
+  up: async (snap, ctx) => {
+    const data = snap.data() || {};
+    const role = USER_ROLES.includes(data.role) ? data.role : 'student';
+    if (data.roleClaim === role) return false;
+    // The write has to change the document, or no trigger fires.
+    await ctx.update(snap.ref, { roleClaim: data.roleClaim === null ? ctx.FieldValue.delete() : null });
+    return true;
+  },
+};
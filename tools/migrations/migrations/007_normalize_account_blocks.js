@@ -0,0 +1,49 @@
+// Older admin tools marked blocked accounts in several ways (isBlocked, is_blocked, blocked,
+// accountStatus/status 'blocked', with blockedReason/blockReason/blockedBy next to them).
+// The app, the rules and signInWithStudentId now only read users/{uid}.accountAccess, which
+// setAccountBlocked writes, so this folds the old fields into it and removes them.
+// Auth users of accounts blocked this way are not disabled; re-block them through
+// setAccountBlocked to also revoke their sessions.
+
+const LEGACY_FIELDS = ['isBlocked', 'is_blocked', 'blocked', 'blockedReason', 'blockReason', 'blockedBy', 'blockedAt'];
+
+const text = (...values) => {
+  for (const v of values) {
+    if (typeof v === 'string' && v.trim()) return v.trim();
+  }
+  return null;
+};
+
+const isBlockedStatus = (value) => String(value || '').toLowerCase() === 'blocked';
+
+module.exports = {
+  description: 'Fold legacy account block fields into users/{uid}.accountAccess',
+  collection: 'users',
+  up: async (snap, ctx) => {
+    const data = snap.data() || {};
+    const present = LEGACY_FIELDS.filter((key) => data[key] !== undefined);
+    const blockedStatus = isBlockedStatus(data.accountStatus) || isBlockedStatus(data.status);
+    if (!present.length && !blockedStatus) return false;
+
+    const current = (data.accountAccess && typeof data.accountAccess === 'object') ? data.accountAccess : {};
+    const isBlocked = current.isBlocked === true ||
+      data.isBlocked === true || data.is_blocked === true || data.blocked === true || blockedStatus;
+
+    const update = {
+      accountAccess: {
+        ...current,
+        isBlocked,
+        blockedReason: isBlocked ? text(current.blockedReason, data.blockedReason, data.blockReason) : null,
+        blockedBy: isBlocked ? text(current.blockedBy, data.blockedBy) : null,
+        blockedAt: isBlocked ? (current.blockedAt || data.blockedAt || null) : null,
+      },
+    };
+    present.forEach((key) => { update[key] = ctx.FieldValue.delete(); });
+    if (isBlockedStatus(data.accountStatus)) update.accountStatus = ctx.FieldValue.delete();
+    // `status` is also the OJT state ('active', 'hired'); provisioning starts it at 'active'.
+    if (isBlockedStatus(data.status)) update.status = 'active';
+
+    await ctx.update(snap.ref, update);
+    return true;
+  },
+};
@@ -0,0 +1,19 @@
+// Screens used to record failures as lastXxxError fields on users/{uid} (lastOjtSyncError,
+// lastProfileFetchError, lastAvatarUploadError, ...). They now go to the reportClientErrors
+// Cloud Function (clientErrors collection), so this removes the stale fields.
+
+const LAST_ERROR_FIELD = /^last[A-Z]\w*Error$/;
+
+module.exports = {
+  description: 'Remove lastXxxError diagnostic fields from user docs',
+  collection: 'users',
+  up: async (snap, ctx) => {
+    const data = snap.data() || {};
+    const fields = Object.keys(data).filter((key) => LAST_ERROR_FIELD.test(key));
+    if (!fields.length) return false;
+    const update = {};
+    fields.forEach((key) => { update[key] = ctx.FieldValue.delete(); });
+    await ctx.update(snap.ref, update);
+    return true;
+  },
+};
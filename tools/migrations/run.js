@@ -0,0 +1,103 @@
+/*
+  Run InternQuest data migrations (tools/migrations/migrations/NNN_*.js) in order.
+
+  Requirements:
+  - Set GOOGLE_APPLICATION_CREDENTIALS to a Firebase Admin service account JSON file
+    (or pass --key), or run `gcloud auth application-default login` (ADC).
+
+  Usage examples:
+    npm run migrate -- --list
+    npm run migrate                                   (dry run of every pending migration)
+    npm run migrate -- --apply
+    npm run migrate -- --only 003 --apply --batchSize 50
+    npm run migrate -- --only 001 --user <UID> --apply
+    npm run migrate -- --rollback 002
+
+  Notes:
+  - Nothing is written without --apply. Dry runs do not record state or backups.
+  - Progress is kept in the Firestore `migrations` collection. A run that stopped part-way
+    resumes after its last committed page; completed migrations are skipped unless --force.
+  - Documents are backed up to <backupDir>/<migration id>/<run>.jsonl before they change.
+    Keep those files until you are sure the migration is good; --rollback needs them.
+*/
+
+const path = require('path');
+const minimist = require('minimist');
+const { initAdmin, listMigrations, runMigration, rollbackMigration, STATE_COLLECTION } = require('./runner');
+
+const printHelp = () => {
+  // Intentionally plain text (no markdown) so it reads well in terminals.
+  console.log(`
+InternQuest migration runner
+
+Options:
+  --list                     show migrations and their recorded state
+  --only <id or number>      run a single migration (e.g. 003 or 003_admin_files_to_storage)
+  --apply                    write changes (default is a dry run)
+  --batchSize <n>            documents per page/commit (default: 100)
+  --force                    re-run a completed migration from the start
+  --rollback <id or number>  restore documents from the migration's backups (add --apply to write)
+  --backupDir <dir>          where JSON backups go (default: tools/migrations/backups)
+  --key <file>               service account JSON (default: GOOGLE_APPLICATION_CREDENTIALS)
+  --projectId <id>           Firebase project id (only needed for some ADC setups)
+  --bucket <name>            Storage bucket (default: <projectId>.appspot.com)
+
+Migration options:
+  --user <uid> | --all       001_create_sample_ojt_logs: which users get a sample log
+`);
+};
+
+const args = minimist(process.argv.slice(2), {
+  string: ['only', 'rollback', 'backupDir', 'key', 'projectId', 'bucket', 'user'],
+  boolean: ['list', 'apply', 'force', 'all', 'help'],
+  alias: { h: 'help' },
+  default: { batchSize: 100, apply: false, force: false },
+});
+
+if (args.help) {
+  printHelp();
+  process.exit(0);
+}
+
+const matchMigration = (migrations, value) => {
+  const wanted = String(value || '').trim();
+  const found = migrations.filter((m) => m.id === wanted || m.id.startsWith(`${wanted}_`));
+  if (found.length !== 1) {
+    console.error(`Unknown migration "${wanted}". Use --list to see the available migrations.`);
+    process.exit(1);
+  }
+  return found[0];
+};
+
+const main = async () => {
+  const migrations = listMigrations();
+  const batchSize = Math.max(1, Math.min(Number(args.batchSize) || 100, 400));
+  const backupRoot = path.resolve(args.backupDir || path.join(__dirname, 'backups'));
+  const dryRun = !args.apply;
+  const { db, bucket } = initAdmin({ key: args.key, projectId: args.projectId, bucket: args.bucket });
+
+  if (args.list) {
+    for (const m of migrations) {
+      const snap = await db.collection(STATE_COLLECTION).doc(m.id).get();
+      const state = snap.exists ? snap.data() : null;
+      const status = state ? `${state.status} (${state.processed || 0} processed, ${state.changed || 0} changed)` : 'pending';
+      console.log(`${m.id.padEnd(40)} ${status}`);
+    }
+    return;
+  }
+
+  if (args.rollback) {
+    await rollbackMigration({ db, bucket, migration: matchMigration(migrations, args.rollback), backupRoot, dryRun });
+    return;
+  }
+
+  const selected = args.only ? [matchMigration(migrations, args.only)] : migrations;
+  for (const migration of selected) {
+    await runMigration({ db, bucket, migration, args, dryRun, batchSize, backupRoot, force: args.force });
+  }
+};
+
+main().then(() => process.exit(0)).catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,321 @@
+/*
+  Migration runner internals (see run.js for the CLI).
+
+  A migration is a module in tools/migrations/migrations/ named NNN_description.js:
+
+    module.exports = {
+      description: 'What it does',
+      // Documents to visit, read page by page in document-id order. Defaults to `collection`.
+      collection: 'helpDeskFiles',
+      source: (db, args) => db.collection('users'),
+      // Optional one-off step before the first page (e.g. seeding); must be idempotent.
+      before: async (ctx) => {},
+      // Optional: a reason to skip this run (e.g. a required option is missing); nothing is recorded.
+      skip: (args) => null,
+      // Called for every document. Return true when it changed (or would change) something.
+      up: async (snap, ctx) => false,
+    };
+
+  Migrations must write through ctx (ctx.set / ctx.update / ctx.create / ctx.delete /
+  ctx.uploadFile). That is what makes them safe to run:
+  - dry runs (the default) log what would be written and write nothing,
+  - every document is backed up to JSON lines before its first change, and every Storage
+    object created is recorded, so --rollback can restore the documents and remove the objects,
+  - writes are committed once per page and the cursor is saved in migrations/{id}, so an
+    interrupted run resumes after the last committed page.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { initializeApp, applicationDefault, cert } = require('firebase-admin/app');
+const { getFirestore, FieldValue, FieldPath, Timestamp, GeoPoint, DocumentReference } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const STATE_COLLECTION = 'migrations';
+// Firestore allows 500 writes per batch; leave room for the state update.
+const MAX_WRITES_PER_COMMIT = 450;
+
+const initAdmin = ({ key, projectId, bucket }) => {
+  const keyPath = key || process.env.GOOGLE_APPLICATION_CREDENTIALS || process.env.FIREBASE_ADMIN_SERVICE_ACCOUNT_PATH;
+  const serviceAccount = keyPath ? require(path.resolve(keyPath)) : null;
+  const resolvedProjectId = projectId || (serviceAccount && serviceAccount.project_id) || process.env.GCLOUD_PROJECT || undefined;
+  initializeApp({
+    credential: serviceAccount ? cert(serviceAccount) : applicationDefault(),
+    projectId: resolvedProjectId,
+    storageBucket: bucket || process.env.FIREBASE_STORAGE_BUCKET || (resolvedProjectId ? `${resolvedProjectId}.appspot.com` : undefined),
+  });
+  return { db: getFirestore(), bucket: getStorage().bucket() };
+};
+
+const listMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter((name) => /^\d{3}_.+\.js$/.test(name))
+  .sort()
+  .map((name) => {
+    const id = name.replace(/\.js$/, '');
+    return { id, ...require(path.join(MIGRATIONS_DIR, name)) };
+  });
+
+// ---- JSON backups ----
+// Firestore values that JSON cannot hold are tagged so a rollback restores the same types.
+const toJson = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Timestamp) return { __type: 'timestamp', value: value.toDate().toISOString() };
+  if (value instanceof GeoPoint) return { __type: 'geopoint', latitude: value.latitude, longitude: value.longitude };
+  if (value instanceof DocumentReference) return { __type: 'ref', path: value.path };
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return { __type: 'bytes', base64: Buffer.from(value).toString('base64') };
+  if (Array.isArray(value)) return value.map(toJson);
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = toJson(v);
+    return out;
+  }
+  return value;
+};
+
+const fromJson = (db, value) => {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.map((v) => fromJson(db, v));
+  if (typeof value === 'object') {
+    if (value.__type === 'timestamp') return Timestamp.fromDate(new Date(value.value));
+    if (value.__type === 'geopoint') return new GeoPoint(value.latitude, value.longitude);
+    if (value.__type === 'ref') return db.doc(value.path);
+    if (value.__type === 'bytes') return Buffer.from(value.base64, 'base64');
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = fromJson(db, v);
+    return out;
+  }
+  return value;
+};
+
+const backupDirFor = (backupRoot, migrationId) => path.join(backupRoot, migrationId);
+
+// Write context handed to migrations for one page of documents.
+const createContext = ({ db, bucket, args, dryRun, migrationId, backupFile }) => {
+  const writes = [];
+  const backedUp = new Set();
+  const known = new Map();
+  let changedThisDoc = false;
+
+  const appendBackup = (entry) => {
+    if (dryRun) return;
+    fs.appendFileSync(backupFile, `${JSON.stringify(entry)}\n`);
+  };
+
+  // Saves the current state of a document the first time the run touches it.
+  const backup = async (ref) => {
+    if (backedUp.has(ref.path)) return;
+    backedUp.add(ref.path);
+    let data;
+    if (known.has(ref.path)) {
+      data = known.get(ref.path);
+    } else {
+      const snap = await ref.get();
+      data = snap.exists ? snap.data() : null;
+    }
+    appendBackup({ type: 'doc', path: ref.path, data: toJson(data) });
+  };
+
+  const stage = async (op, ref, data, options) => {
+    changedThisDoc = true;
+    await backup(ref);
+    if (dryRun) {
+      console.log(`  [dry run] ${op} ${ref.path}`);
+      return;
+    }
+    writes.push({ op, ref, data, options });
+  };
+
+  return {
+    db,
+    bucket,
+    args,
+    dryRun,
+    migrationId,
+    FieldValue,
+    // Lets the context back up documents that were read as part of the page without re-reading them.
+    remember: (snap) => known.set(snap.ref.path, snap.exists ? snap.data() : null),
+    set: (ref, data, options) => stage('set', ref, data, options),
+    update: (ref, data) => stage('update', ref, data),
+    create: (ref, data) => stage('create', ref, data),
+    delete: (ref) => stage('delete', ref),
+    // Uploads a file with a Firebase download token and returns its download URL.
+    uploadFile: async (storagePath, buffer, contentType) => {
+      changedThisDoc = true;
+      if (dryRun) {
+        console.log(`  [dry run] upload ${storagePath} (${buffer.length} bytes)`);
+        return `dry-run://${storagePath}`;
+      }
+      // Recorded before the upload so an interrupted run can still remove the object.
+      appendBackup({ type: 'storage', path: storagePath });
+      const token = crypto.randomUUID();
+      await bucket.file(storagePath).save(buffer, {
+        resumable: false,
+        metadata: { contentType, metadata: { firebaseStorageDownloadTokens: token } },
+      });
+      return `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(storagePath)}?alt=media&token=${token}`;
+    },
+    _startDoc: () => { changedThisDoc = false; },
+    _docChanged: () => changedThisDoc,
+    _commit: async () => {
+      for (let i = 0; i < writes.length; i += MAX_WRITES_PER_COMMIT) {
+        const batch = db.batch();
+        for (const w of writes.slice(i, i + MAX_WRITES_PER_COMMIT)) {
+          if (w.op === 'set') batch.set(w.ref, w.data, w.options || {});
+          else if (w.op === 'update') batch.update(w.ref, w.data);
+          else if (w.op === 'create') batch.create(w.ref, w.data);
+          else batch.delete(w.ref);
+        }
+        await batch.commit();
+      }
+      return writes.length;
+    },
+  };
+};
+
+// Runs (or resumes) one migration. Returns the final state.
+const runMigration = async ({ db, bucket, migration, args, dryRun, batchSize, backupRoot, force }) => {
+  const stateRef = db.collection(STATE_COLLECTION).doc(migration.id);
+  const stateSnap = await stateRef.get();
+  const state = stateSnap.exists ? stateSnap.data() : null;
+
+  if (state && state.status === 'completed' && !force) {
+    console.log(`${migration.id}: already completed on ${state.finishedAt && state.finishedAt.toDate ? state.finishedAt.toDate().toISOString() : 'an earlier run'}, skipping`);
+    return state;
+  }
+  const skipReason = typeof migration.skip === 'function' ? migration.skip(args) : null;
+  if (skipReason) {
+    console.log(`${migration.id}: skipped (${skipReason})`);
+    return { status: 'skipped' };
+  }
+  const resuming = state && (state.status === 'running' || state.status === 'failed') && state.cursor && !force;
+  let cursor = resuming ? state.cursor : null;
+  let processed = resuming ? state.processed || 0 : 0;
+  let changed = resuming ? state.changed || 0 : 0;
+
+  const runId = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupDir = backupDirFor(backupRoot, migration.id);
+  const backupFile = path.join(backupDir, `${runId}.jsonl`);
+  if (!dryRun) fs.mkdirSync(backupDir, { recursive: true });
+
+  console.log(`${migration.id}: ${migration.description || ''}`);
+  if (dryRun) console.log('  dry run: nothing will be written');
+  if (resuming) console.log(`  resuming after ${cursor} (${processed} processed so far)`);
+
+  if (!dryRun) {
+    await stateRef.set({
+      id: migration.id,
+      description: migration.description || null,
+      status: 'running',
+      batchSize,
+      cursor,
+      processed,
+      changed,
+      startedAt: resuming ? state.startedAt : FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+      finishedAt: null,
+      error: null,
+      ranBy: `${os.userInfo().username}@${os.hostname()}`,
+      backupFiles: FieldValue.arrayUnion(path.relative(backupRoot, backupFile)),
+    }, { merge: true });
+  }
+
+  try {
+    if (typeof migration.before === 'function' && !resuming) {
+      const ctx = createContext({ db, bucket, args, dryRun, migrationId: migration.id, backupFile });
+      await migration.before(ctx);
+      await ctx._commit();
+    }
+
+    const source = typeof migration.source === 'function' ? migration.source(db, args) : db.collection(migration.collection);
+    for (;;) {
+      let pageQuery = source.orderBy(FieldPath.documentId()).limit(batchSize);
+      if (cursor) pageQuery = pageQuery.startAfter(cursor);
+      const page = await pageQuery.get();
+      if (page.empty) break;
+
+      const ctx = createContext({ db, bucket, args, dryRun, migrationId: migration.id, backupFile });
+      let pageChanged = 0;
+      for (const snap of page.docs) {
+        ctx.remember(snap);
+        ctx._startDoc();
+        const result = await migration.up(snap, ctx);
+        if (result || ctx._docChanged()) pageChanged++;
+      }
+      await ctx._commit();
+
+      cursor = page.docs[page.docs.length - 1].id;
+      processed += page.size;
+      changed += pageChanged;
+      console.log(`  ${processed} processed, ${changed} changed (cursor ${cursor})`);
+      if (!dryRun) {
+        await stateRef.update({ cursor, processed, changed, updatedAt: FieldValue.serverTimestamp() });
+      }
+      if (page.size < batchSize) break;
+    }
+
+    if (!dryRun) {
+      await stateRef.update({ status: 'completed', finishedAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() });
+    }
+    console.log(`${migration.id}: ${dryRun ? 'dry run finished' : 'completed'} (${processed} processed, ${changed} changed)`);
+    return { status: dryRun ? 'dry_run' : 'completed', processed, changed };
+  } catch (e) {
+    if (!dryRun) {
+      await stateRef.update({ status: 'failed', error: String((e && e.message) || e), updatedAt: FieldValue.serverTimestamp() });
+    }
+    throw e;
+  }
+};
+
+// Restores every backed-up document of a migration and deletes the Storage objects it created.
+// Backups are replayed newest first so each document ends at its state before the first run.
+const rollbackMigration = async ({ db, bucket, migration, backupRoot, dryRun }) => {
+  const backupDir = backupDirFor(backupRoot, migration.id);
+  if (!fs.existsSync(backupDir)) throw new Error(`No backups found in ${backupDir}`);
+  const files = fs.readdirSync(backupDir).filter((f) => f.endsWith('.jsonl')).sort().reverse();
+  const entries = [];
+  for (const file of files) {
+    const lines = fs.readFileSync(path.join(backupDir, file), 'utf8').split('\n').filter(Boolean);
+    lines.reverse().forEach((line) => entries.push(JSON.parse(line)));
+  }
+
+  console.log(`${migration.id}: rolling back ${entries.length} backup entries from ${files.length} file(s)`);
+  let batch = db.batch();
+  let pending = 0;
+  for (const entry of entries) {
+    if (entry.type === 'storage') {
+      console.log(`  delete object ${entry.path}`);
+      if (!dryRun) await bucket.file(entry.path).delete({ ignoreNotFound: true });
+      continue;
+    }
+    console.log(`  ${entry.data ? 'restore' : 'delete'} ${entry.path}`);
+    if (dryRun) continue;
+    if (entry.data) batch.set(db.doc(entry.path), fromJson(db, entry.data));
+    else batch.delete(db.doc(entry.path));
+    if (++pending >= MAX_WRITES_PER_COMMIT) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+  if (!dryRun) {
+    batch.set(db.collection(STATE_COLLECTION).doc(migration.id), {
+      status: 'rolled_back',
+      cursor: null,
+      rolledBackAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    await batch.commit();
+  }
+  console.log(`${migration.id}: ${dryRun ? 'rollback dry run finished' : 'rolled back'}`);
+};
+
+module.exports = {
+  initAdmin,
+  listMigrations,
+  runMigration,
+  rollbackMigration,
+  STATE_COLLECTION,
+};
@@ -10,9 +10,18 @@
 
     node tools/provisioning/provision_user.js --email "admin@neu.edu.ph" --password "Temp#12345" --studentId "00-00000-000" --role admin
 
+    node tools/provisioning/provision_user.js --email "adviser@neu.edu.ph" --password "Temp#12345" --studentId "00-00000-001" --role adviser
+
+    node tools/provisioning/provision_user.js --csv roster.csv --passwordsOut roster_passwords.csv
+
   Notes:
   - For students, the app signs in by Student ID -> lookup function -> email/password.
     So you must keep Firestore field `studentId` consistent.
+  - The role is stored on users/{uid} and set as the `role` custom claim. Advisers only see the
+    students whose adviserId is their uid; coordinators see every student.
+  - CSV mode always validates the whole roster and prints a dry-run report before writing anything.
+    Existing accounts are skipped unless --updateIfExists is set, so a half-failed run can be re-run
+    safely. Generated temporary passwords are appended to the --passwordsOut file, never printed.
 */
 
 const minimist = require('minimist');
@@ -20,13 +29,15 @@ const { initializeApp, applicationDefault, cert } = require('firebase-admin/app'
 const { getAuth } = require('firebase-admin/auth');
 const { getFirestore, FieldValue } = require('firebase-admin/firestore');
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 
 const printHelp = () => {
   // Intentionally plain text (no markdown) so it reads well in terminals.
   console.log(`
 InternQuest provisioning CLI
 
-Required:
+Required (single user):
   --email <email>
   --password <temporary password>
   --studentId <XX-XXXXX-XXX>
@@ -35,11 +46,17 @@ Optional:
   --firstName <string>
   --lastName <string>
   --contact <11-digit phone>           (Philippines format)
-  --role <student|admin|super_admin>   (default: student)
+  --role <student|adviser|coordinator|admin|super_admin>   (default: student)
+  --adviserId <adviser uid>            (students only)
   --projectId <firebase project id>    (only needed for some ADC setups)
   --dryRun                             (prints actions, does not write)
   --updateIfExists                     (updates existing Auth user + Firestore doc)
 
+Bulk roster import:
+  --csv <file>                         (header row: email,studentId,firstName,lastName,contact,role,adviserId)
+  --passwordsOut <file>                (default: <csv name>_passwords.csv next to the roster)
+  --resetPasswords                     (with --updateIfExists, also issue new passwords to existing users)
+
 Auth:
   Option A (recommended): set env var GOOGLE_APPLICATION_CREDENTIALS to a service account JSON.
   Option B: use Application Default Credentials via: gcloud auth application-default login
@@ -47,14 +64,16 @@ Auth:
 Examples:
   npm run provision:user -- --email "student@neu.edu.ph" --password "Temp#12345" --studentId "22-12345-678" --firstName "Student" --lastName "Name"
   npm run provision:user -- --email "admin@neu.edu.ph" --password "Temp#12345" --studentId "00-00000-000" --role admin
+  npm run provision:user -- --csv roster.csv --dryRun
+  npm run provision:user -- --csv roster.csv --updateIfExists
 `);
 };
 
 const args = minimist(process.argv.slice(2), {
-  string: ['email', 'password', 'studentId', 'firstName', 'lastName', 'role', 'projectId', 'contact'],
-  boolean: ['dryRun', 'updateIfExists', 'help'],
+  string: ['email', 'password', 'studentId', 'firstName', 'lastName', 'role', 'projectId', 'contact', 'adviserId', 'csv', 'passwordsOut'],
+  boolean: ['dryRun', 'updateIfExists', 'resetPasswords', 'help'],
   alias: { h: 'help' },
-  default: { role: 'student', dryRun: false, updateIfExists: false },
+  default: { role: 'student', dryRun: false, updateIfExists: false, resetPasswords: false },
 });
 
 if (args.help) {
@@ -62,31 +81,121 @@ if (args.help) {
   process.exit(0);
 }
 
-const email = (args.email || '').trim();
-const password = String(args.password || '');
-const studentId = (args.studentId || '').trim();
-const firstName = (args.firstName || '').trim();
-const lastName = (args.lastName || '').trim();
-const role = String(args.role || 'student').trim();
 const projectId = (args.projectId || '').trim();
-const contact = (args.contact || '').trim();
 
-const allowedRoles = new Set(['student', 'admin', 'super_admin']);
-if (!allowedRoles.has(role)) {
-  console.error(`Invalid --role: ${role}. Allowed: student|admin|super_admin`);
-  process.exit(1);
-}
+const allowedRoles = new Set(['student', 'adviser', 'coordinator', 'admin', 'super_admin']);
+const studentIdRegex = /^\d{2}-\d{5}-\d{3}$/;
+const contactRegex = /^\d{11}$/;
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Returns a list of human-readable problems for one account (empty when valid).
+// Shared by the single-user flags and every CSV row so both follow the same rules.
+const validateAccount = (account, { requirePassword }) => {
+  const errors = [];
+  if (!account.email) errors.push('email is required');
+  else if (!emailRegex.test(account.email)) errors.push(`invalid email: ${account.email}`);
+  if (requirePassword && !account.password) errors.push('password is required');
+  if (!account.studentId) errors.push('studentId is required');
+  else if (!studentIdRegex.test(account.studentId)) errors.push('invalid studentId format. Expected XX-XXXXX-XXX (digits + hyphens)');
+  if (account.contact && !contactRegex.test(account.contact)) errors.push('invalid contact. Expected 11 digits (Philippines format)');
+  if (!allowedRoles.has(account.role)) errors.push(`invalid role: ${account.role}. Allowed: ${[...allowedRoles].join('|')}`);
+  if (account.adviserId && account.role !== 'student') errors.push('adviserId only applies to students');
+  return errors;
+};
 
-if (!email || !password || !studentId) {
-  console.error('Missing required args. Use --help for usage.');
-  process.exit(1);
-}
+const normalizeAccount = (raw) => ({
+  email: String(raw.email || '').trim(),
+  password: String(raw.password || ''),
+  studentId: String(raw.studentId || '').trim(),
+  firstName: String(raw.firstName || '').trim(),
+  lastName: String(raw.lastName || '').trim(),
+  // Spreadsheets often store phone numbers with spaces or dashes.
+  contact: String(raw.contact || '').replace(/[\s-]/g, ''),
+  role: String(raw.role || 'student').trim() || 'student',
+  adviserId: String(raw.adviserId || '').trim(),
+});
 
-const studentIdRegex = /^\d{2}-\d{5}-\d{3}$/;
-if (!studentIdRegex.test(studentId)) {
-  console.error('Invalid --studentId format. Expected XX-XXXXX-XXX (digits + hyphens).');
-  process.exit(1);
-}
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF line endings.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+};
+
+const csvColumns = ['email', 'studentId', 'firstName', 'lastName', 'contact', 'role', 'adviserId', 'password'];
+
+const readRoster = (csvPath) => {
+  // Strip a UTF-8 BOM (Excel adds one on "CSV UTF-8" export).
+  const text = fs.readFileSync(csvPath, 'utf8').replace(/^\uFEFF/, '');
+  const [header, ...records] = parseCsv(text);
+  if (!header) throw new Error(`Roster ${csvPath} is empty.`);
+
+  const columnIndex = {};
+  header.forEach((name, idx) => {
+    const match = csvColumns.find((c) => c.toLowerCase() === name.trim().toLowerCase());
+    if (match) columnIndex[match] = idx;
+  });
+  for (const required of ['email', 'studentId']) {
+    if (columnIndex[required] === undefined) {
+      throw new Error(`Roster header is missing required column "${required}".`);
+    }
+  }
+
+  return records.map((cells, idx) => {
+    const raw = {};
+    for (const [name, colIdx] of Object.entries(columnIndex)) raw[name] = cells[colIdx];
+    // +2: 1-based line numbers and the header row.
+    return { line: idx + 2, account: normalizeAccount(raw) };
+  });
+};
+
+const csvEscape = (value) => {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// 12 chars from an unambiguous alphabet plus a fixed suffix so Auth's complexity rules always pass.
+const generateTempPassword = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+  const bytes = crypto.randomBytes(12);
+  let out = '';
+  for (const b of bytes) out += alphabet[b % alphabet.length];
+  return `${out}#9`;
+};
 
 const initAdmin = () => {
   // Prefer GOOGLE_APPLICATION_CREDENTIALS (service account). If set, initialize via cert.
@@ -101,19 +210,86 @@ const initAdmin = () => {
   initializeApp({ credential: applicationDefault(), projectId: projectId || undefined });
 };
 
-const run = async () => {
-  initAdmin();
+const findExistingUser = async (adminAuth, email) => {
+  try {
+    return await adminAuth.getUserByEmail(email);
+  } catch (e) {
+    if (e && e.code === 'auth/user-not-found') return null;
+    throw e;
+  }
+};
 
-  const adminAuth = getAuth();
-  const db = getFirestore();
+// Creates or updates one account. Returns { action, uid }. `onPasswordIssued` fires as soon as Auth
+// accepts a new credential, so the password is recorded even if the Firestore write then fails.
+const provisionAccount = async ({ adminAuth, db }, account, { updateIfExists, resetPassword, onPasswordIssued }) => {
+  const displayName = [account.firstName, account.lastName].filter(Boolean).join(' ').trim();
 
-  const displayName = [firstName, lastName].filter(Boolean).join(' ').trim();
+  let userRecord = updateIfExists ? await findExistingUser(adminAuth, account.email) : null;
+  let action;
+
+  if (!userRecord) {
+    userRecord = await adminAuth.createUser({
+      email: account.email,
+      password: account.password,
+      displayName: displayName || undefined,
+    });
+    action = 'created';
+    if (onPasswordIssued) onPasswordIssued(account.password);
+  } else {
+    const update = { displayName: displayName || undefined };
+    if (resetPassword) update.password = account.password;
+    userRecord = await adminAuth.updateUser(userRecord.uid, update);
+    action = 'updated';
+    if (resetPassword && onPasswordIssued) onPasswordIssued(account.password);
+  }
+
+  // Keep any other claims; the role claim always matches the Firestore role.
+  await adminAuth.setCustomUserClaims(userRecord.uid, { ...(userRecord.customClaims || {}), role: account.role });
+
+  const firestoreData = {
+    email: account.email,
+    studentId: account.studentId,
+    firstName: account.firstName,
+    lastName: account.lastName,
+    role: account.role,
+  };
+  // Keep the original creation time when re-running over an existing account.
+  if (action === 'created') {
+    firestoreData.createdAt = FieldValue.serverTimestamp();
+    // OJT state; the application Cloud Functions move it to 'hired'.
+    firestoreData.status = 'active';
+  } else {
+    firestoreData.updatedAt = FieldValue.serverTimestamp();
+  }
+
+  // Add optional fields if provided
+  if (account.contact) firestoreData.contact = account.contact;
+  if (account.adviserId) firestoreData.adviserId = account.adviserId;
+
+  await db.collection('users').doc(userRecord.uid).set(firestoreData, { merge: true });
+
+  return { action, uid: userRecord.uid };
+};
+
+const runSingle = async () => {
+  const account = normalizeAccount(args);
+  const errors = validateAccount(account, { requirePassword: true });
+  if (errors.length > 0) {
+    errors.forEach((e) => console.error(`Invalid arguments: ${e}`));
+    console.error('Use --help for usage.');
+    process.exit(1);
+  }
+
+  initAdmin();
+
+  const displayName = [account.firstName, account.lastName].filter(Boolean).join(' ').trim();
 
   const planned = {
-    email,
-    studentId,
-    role,
+    email: account.email,
+    studentId: account.studentId,
+    role: account.role,
     displayName: displayName || undefined,
+    adviserId: account.adviserId || undefined,
     updateIfExists: !!args.updateIfExists,
   };
 
@@ -122,57 +298,130 @@ const run = async () => {
     return;
   }
 
-  let userRecord = null;
+  const result = await provisionAccount(
+    { adminAuth: getAuth(), db: getFirestore() },
+    account,
+    { updateIfExists: !!args.updateIfExists, resetPassword: true },
+  );
+
+  console.log(result.action === 'created' ? 'Created Auth user:' : 'Updated Auth user:', result.uid);
+  console.log('Set custom claims role:', account.role);
+  console.log('Upserted Firestore doc: users/' + result.uid);
+  console.log('Done.');
+};
+
+const runCsv = async () => {
+  const csvPath = path.resolve(args.csv);
+  if (!fs.existsSync(csvPath)) {
+    console.error(`Roster not found: ${csvPath}`);
+    process.exit(1);
+  }
 
-  if (args.updateIfExists) {
-    try {
-      userRecord = await adminAuth.getUserByEmail(email);
-    } catch (e) {
-      userRecord = null;
+  const rows = readRoster(csvPath);
+  const updateIfExists = !!args.updateIfExists;
+  const resetPasswords = updateIfExists && !!args.resetPasswords;
+
+  // Validation + duplicate detection across the whole file before touching Auth.
+  const seenEmails = new Map();
+  const seenStudentIds = new Map();
+  const invalid = [];
+  const invalidLines = new Set();
+  for (const row of rows) {
+    const errors = validateAccount(row.account, { requirePassword: false });
+    const emailKey = row.account.email.toLowerCase();
+    if (emailKey && seenEmails.has(emailKey)) errors.push(`duplicate email (also on line ${seenEmails.get(emailKey)})`);
+    if (row.account.studentId && seenStudentIds.has(row.account.studentId)) {
+      errors.push(`duplicate studentId (also on line ${seenStudentIds.get(row.account.studentId)})`);
+    }
+    if (emailKey) seenEmails.set(emailKey, row.line);
+    if (row.account.studentId) seenStudentIds.set(row.account.studentId, row.line);
+    if (errors.length > 0) {
+      invalid.push({ line: row.line, email: row.account.email, errors });
+      invalidLines.add(row.line);
     }
   }
 
-  if (!userRecord) {
-    userRecord = await adminAuth.createUser({
-      email,
-      password,
-      displayName: displayName || undefined,
-    });
-    console.log('Created Auth user:', userRecord.uid);
-  } else {
-    userRecord = await adminAuth.updateUser(userRecord.uid, {
-      password,
-      displayName: displayName || undefined,
-    });
-    console.log('Updated Auth user:', userRecord.uid);
+  initAdmin();
+  const adminAuth = getAuth();
+  const db = getFirestore();
+
+  // Dry-run report: what would happen to every valid row.
+  const plan = [];
+  for (const row of rows) {
+    if (invalidLines.has(row.line)) continue;
+    // eslint-disable-next-line no-await-in-loop
+    const existing = await findExistingUser(adminAuth, row.account.email);
+    let action = 'create';
+    if (existing) action = updateIfExists ? 'update' : 'skip (already exists)';
+    plan.push({ ...row, action });
   }
 
-  if (role === 'admin' || role === 'super_admin') {
-    await adminAuth.setCustomUserClaims(userRecord.uid, { role });
-    console.log('Set custom claims role:', role);
+  console.log(`Roster: ${csvPath}`);
+  console.log(`Rows: ${rows.length}  valid: ${plan.length}  invalid: ${invalid.length}`);
+  for (const item of plan) {
+    console.log(`  line ${item.line}: ${item.action.padEnd(22)} ${item.account.email} (${item.account.studentId}, ${item.account.role})`);
+  }
+  for (const item of invalid) {
+    console.log(`  line ${item.line}: INVALID ${item.email || '(no email)'} - ${item.errors.join('; ')}`);
   }
 
-  const firestoreData = {
-    email,
-    studentId,
-    firstName,
-    lastName,
-    role,
-    createdAt: FieldValue.serverTimestamp(),
-  };
+  if (invalid.length > 0) {
+    console.error('Fix the invalid rows above and re-run. Nothing was written.');
+    process.exit(1);
+  }
 
-  // Add contact if provided
-  if (contact) {
-    firestoreData.contact = contact;
+  if (args.dryRun) {
+    console.log('DRY RUN - nothing was written.');
+    return;
   }
 
-  await db.collection('users').doc(userRecord.uid).set(firestoreData, { merge: true });
+  const passwordsOut = path.resolve(
+    args.passwordsOut || path.join(path.dirname(csvPath), `${path.basename(csvPath, path.extname(csvPath))}_passwords.csv`),
+  );
+  // Append so passwords issued by an earlier, interrupted run are never lost.
+  const isNewPasswordsFile = !fs.existsSync(passwordsOut);
+  const passwordsFd = fs.openSync(passwordsOut, 'a', 0o600);
+  if (isNewPasswordsFile) fs.writeSync(passwordsFd, 'email,studentId,temporaryPassword\n');
+
+  const summary = { created: 0, updated: 0, skipped: 0, failed: 0 };
+  try {
+    for (const item of plan) {
+      if (item.action.startsWith('skip')) {
+        summary.skipped++;
+        console.log(`SKIP    line ${item.line} ${item.account.email}: already exists (use --updateIfExists)`);
+        continue;
+      }
+
+      const account = { ...item.account, password: item.account.password || generateTempPassword() };
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await provisionAccount({ adminAuth, db }, account, {
+          updateIfExists,
+          resetPassword: resetPasswords,
+          onPasswordIssued: (password) => {
+            fs.writeSync(passwordsFd, `${[account.email, account.studentId, password].map(csvEscape).join(',')}\n`);
+          },
+        });
+        summary[result.action]++;
+        console.log(`${result.action.toUpperCase().padEnd(7)} line ${item.line} ${account.email} -> users/${result.uid}`);
+      } catch (err) {
+        summary.failed++;
+        console.error(`FAILED  line ${item.line} ${account.email}: ${err && err.message ? err.message : err}`);
+      }
+    }
+  } finally {
+    fs.closeSync(passwordsFd);
+  }
 
-  console.log('Upserted Firestore doc: users/' + userRecord.uid);
-  console.log('Done.');
+  console.log(`Done. created: ${summary.created}  updated: ${summary.updated}  skipped: ${summary.skipped}  failed: ${summary.failed}`);
+  console.log(`Temporary passwords: ${passwordsOut}`);
+  if (summary.failed > 0) {
+    console.error('Some rows failed. Re-run with --updateIfExists to retry them safely.');
+    process.exit(1);
+  }
 };
 
-run().catch((err) => {
+(args.csv ? runCsv() : runSingle()).catch((err) => {
   console.error('Provisioning failed:', err && err.message ? err.message : err);
   process.exit(1);
 });
@@ -17,9 +17,13 @@ declare module 'firebase/firestore' {
   export function orderBy(...args: any[]): any;
   export function startAt(...args: any[]): any;
   export function endAt(...args: any[]): any;
+  export function collectionGroup(...args: any[]): any;
+  export function limit(...args: any[]): any;
+  export function startAfter(...args: any[]): any;
   export function updateDoc(...args: any[]): Promise<any> | any;
   export function deleteDoc(...args: any[]): Promise<any> | any;
   export function deleteField(...args: any[]): any;
+  export function writeBatch(...args: any[]): any;
   export function onSnapshot(ref: any, cb: (snap: any) => any, onError?: (err: any) => any): any;
   export function serverTimestamp(): any;
   export const Timestamp: any;
@@ -43,6 +47,7 @@ declare module 'firebase/auth' {
   export function getAuth(...args: any[]): any;
   export function createUserWithEmailAndPassword(...args: any[]): any;
   export function signInWithEmailAndPassword(...args: any[]): any;
+  export function signInWithCustomToken(...args: any[]): any;
   export function sendPasswordResetEmail(...args: any[]): any;
   export function onAuthStateChanged(auth: any, cb: (user: any) => any): any;
   export function signOut(...args: any[]): any;